@@ -0,0 +1,472 @@
+// FILE PATH: js/agents/adr-agent-interface.js
+// ADR Agent Interface
+// Decision input (optionally pre-filled from Technology Research or Supplier Quad), MADR/Nygard preview and numbered Markdown export
+
+class AdrAgentInterface {
+    constructor() {
+        this.currentRecord = null;
+        this.evidence = null;
+        this.sequenceKey = 'ea_adr_sequence';
+    }
+
+    initializeInterface() {
+        const modal = document.getElementById('agent-modal');
+        this.evidence = null;
+
+        const researchReady = Boolean(window.technologyResearch?.currentResearch?.aggregatedData);
+        const quadReady = Boolean(window.supplierQuadInterface?.currentAnalysis?.vendors?.length);
+
+        modal.innerHTML = `
+            <div class="modal-content adr-modal">
+                <div class="modal-header">
+                    <h2><i class="fas fa-file-alt"></i> ADR Agent</h2>
+                    <span class="close" onclick="closeModal()">&times;</span>
+                </div>
+                <div class="modal-body" style="padding: 30px;">
+                    <div id="adr-input">
+                        <h3 style="color: #2c3e50; margin-bottom: 10px;">
+                            <i class="fas fa-gavel"></i> Architecture Decision Record
+                        </h3>
+                        <p style="color: #7f8c8d; margin-bottom: 20px; line-height: 1.6;">
+                            Draft a MADR or Nygard-style ADR with context, options considered, decision and consequences, ready to commit to docs/adr.
+                        </p>
+
+                        <div class="adr-prefill">
+                            <span>Start from:</span>
+                            <button class="adr-secondary" onclick="adrAgentInterface.prefillFromResearch()" ${researchReady ? '' : 'disabled title="Run Technology Research first"'}>
+                                <i class="fas fa-search"></i> Technology Research
+                            </button>
+                            <button class="adr-secondary" onclick="adrAgentInterface.prefillFromSupplierQuad()" ${quadReady ? '' : 'disabled title="Run Supplier Quad first"'}>
+                                <i class="fas fa-chart-area"></i> Supplier Quad
+                            </button>
+                        </div>
+                        <div id="adr-evidence-notice" style="display: none;"></div>
+
+                        <div class="adr-field">
+                            <label for="adr-question">Decision Question</label>
+                            <input type="text" id="adr-question" placeholder="e.g., Which message broker should we standardize on?">
+                        </div>
+
+                        <div class="adr-field">
+                            <label for="adr-context">Context <span class="field-hint">optional</span></label>
+                            <textarea id="adr-context" rows="3" placeholder="What forces are at play and why is a decision needed now?"></textarea>
+                        </div>
+
+                        <div class="adr-grid-2">
+                            <div class="adr-field">
+                                <label for="adr-options">Options <span class="field-hint">one per line, leave empty to let the agent propose</span></label>
+                                <textarea id="adr-options" rows="4" placeholder="Apache Kafka&#10;RabbitMQ&#10;Amazon SQS/SNS"></textarea>
+                            </div>
+                            <div class="adr-field">
+                                <label for="adr-drivers">Decision Drivers <span class="field-hint">optional, one per line</span></label>
+                                <textarea id="adr-drivers" rows="4" placeholder="Throughput above 50k msg/s&#10;Managed service preferred"></textarea>
+                            </div>
+                        </div>
+
+                        <div class="adr-grid-4">
+                            <div class="adr-field">
+                                <label for="adr-format">Format</label>
+                                <select id="adr-format">
+                                    <option value="madr">MADR</option>
+                                    <option value="nygard">Nygard</option>
+                                </select>
+                            </div>
+                            <div class="adr-field">
+                                <label for="adr-status">Status</label>
+                                <select id="adr-status">
+                                    <option value="proposed">Proposed</option>
+                                    <option value="accepted">Accepted</option>
+                                    <option value="rejected">Rejected</option>
+                                    <option value="deprecated">Deprecated</option>
+                                </select>
+                            </div>
+                            <div class="adr-field">
+                                <label for="adr-number">ADR Number</label>
+                                <input type="number" id="adr-number" min="1" value="${this.getNextNumber()}">
+                            </div>
+                            <div class="adr-field">
+                                <label for="adr-deciders">Deciders</label>
+                                <input type="text" id="adr-deciders" placeholder="e.g., Architecture Board">
+                            </div>
+                        </div>
+
+                        <div class="adr-field">
+                            <label for="adr-depth">Analysis Depth</label>
+                            <select id="adr-depth">
+                                <option value="overview">Overview (Concise record)</option>
+                                <option value="comprehensive" selected>Comprehensive</option>
+                                <option value="detailed">Detailed</option>
+                            </select>
+                        </div>
+
+                        <button id="adr-start-btn" class="adr-button" onclick="adrAgentInterface.generateRecord()">
+                            <i class="fas fa-play"></i> Draft ADR
+                        </button>
+                    </div>
+
+                    <div id="adr-progress" style="display: none; margin-top: 30px;">
+                        <div style="background: #f8f9fa; border-radius: 12px; padding: 25px; text-align: center;">
+                            <i class="fas fa-file-alt fa-2x" style="color: #3498db; margin-bottom: 15px;"></i>
+                            <h4 style="color: #2c3e50; margin-bottom: 10px;">Drafting Decision Record</h4>
+                            <p style="color: #7f8c8d;">Weighing the options against the decision drivers...</p>
+                        </div>
+                    </div>
+
+                    <div id="adr-results" style="display: none; margin-top: 30px;"></div>
+                </div>
+            </div>
+
+            <style>
+                .adr-field {
+                    margin-bottom: 15px;
+                }
+
+                .adr-field label {
+                    display: block;
+                    font-weight: 600;
+                    color: #2c3e50;
+                    margin-bottom: 6px;
+                }
+
+                .adr-field input,
+                .adr-field select,
+                .adr-field textarea {
+                    width: 100%;
+                    padding: 10px 12px;
+                    border: 2px solid #e1e8ed;
+                    border-radius: 8px;
+                    font-size: 0.95rem;
+                    font-family: inherit;
+                }
+
+                .field-hint {
+                    font-weight: 400;
+                    color: #95a5a6;
+                    font-size: 0.8rem;
+                }
+
+                .adr-grid-2 {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(240px, 1fr));
+                    gap: 0 15px;
+                }
+
+                .adr-grid-4 {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+                    gap: 0 15px;
+                }
+
+                .adr-prefill {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    flex-wrap: wrap;
+                    margin-bottom: 15px;
+                    color: #7f8c8d;
+                }
+
+                .adr-button {
+                    background: linear-gradient(45deg, #3498db, #2980b9);
+                    color: white;
+                    border: none;
+                    padding: 12px 24px;
+                    border-radius: 8px;
+                    font-weight: 600;
+                    cursor: pointer;
+                    width: 100%;
+                    font-size: 1rem;
+                }
+
+                .adr-button:disabled {
+                    background: #bdc3c7;
+                    cursor: not-allowed;
+                }
+
+                .adr-secondary {
+                    background: #ecf0f1;
+                    color: #2c3e50;
+                    border: none;
+                    padding: 8px 14px;
+                    border-radius: 6px;
+                    cursor: pointer;
+                }
+
+                .adr-secondary:disabled {
+                    color: #95a5a6;
+                    cursor: not-allowed;
+                }
+
+                .adr-notice {
+                    background: #eaf4fc;
+                    border-radius: 8px;
+                    padding: 12px 15px;
+                    color: #2c3e50;
+                    margin-bottom: 15px;
+                }
+
+                .adr-markdown {
+                    width: 100%;
+                    min-height: 420px;
+                    padding: 15px;
+                    border: 2px solid #e1e8ed;
+                    border-radius: 8px;
+                    font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', monospace;
+                    font-size: 0.85rem;
+                    line-height: 1.5;
+                    resize: vertical;
+                }
+            </style>
+        `;
+    }
+
+    // Last ADR number issued from this browser; the next record continues the sequence
+    getNextNumber() {
+        const last = parseInt(localStorage.getItem(this.sequenceKey) || '0', 10);
+        return (Number.isFinite(last) ? last : 0) + 1;
+    }
+
+    rememberNumber(number) {
+        const last = parseInt(localStorage.getItem(this.sequenceKey) || '0', 10) || 0;
+        if (number > last) {
+            localStorage.setItem(this.sequenceKey, String(number));
+        }
+    }
+
+    // Question, context, options and findings from the last Technology Research run
+    prefillFromResearch() {
+        const research = window.technologyResearch?.currentResearch;
+        if (!research?.aggregatedData) return;
+
+        const technology = research.technology;
+        const summary = research.aggregatedData.executiveSummary;
+
+        this.fillForm({
+            question: `Should we adopt ${technology}?`,
+            context: summary.overview,
+            options: [`Adopt ${technology}`, `Pilot ${technology} before wider adoption`, 'Defer and keep the current approach']
+        });
+
+        this.attachEvidence('technology-research', `${technology} Technology Research`, [
+            'Key findings:',
+            ...summary.keyFindings.map(finding => `- ${finding}`),
+            'Recommendations:',
+            ...(summary.recommendations || []).map(recommendation => `- ${recommendation}`)
+        ].join('\n'));
+    }
+
+    // Vendor selection question with the leading vendors from the last Supplier Quad run as options
+    prefillFromSupplierQuad() {
+        const analysis = window.supplierQuadInterface?.currentAnalysis;
+        if (!analysis?.vendors?.length) return;
+
+        const technology = analysis.metadata?.technology || 'this technology';
+        const rankedVendors = [...analysis.vendors]
+            .sort((a, b) => (b.abilityToExecute + b.completenessOfVision) - (a.abilityToExecute + a.completenessOfVision));
+
+        this.fillForm({
+            question: `Which ${technology} vendor should we select?`,
+            context: analysis.analysis,
+            options: rankedVendors.slice(0, 4).map(vendor => vendor.name)
+        });
+
+        this.attachEvidence('supplier-quad', `${technology} Supplier Quad`, rankedVendors
+            .map(vendor => `- ${vendor.name} (${vendor.quadrant}, execution ${vendor.abilityToExecute}, vision ${vendor.completenessOfVision}): ${vendor.strengths}`)
+            .join('\n'));
+    }
+
+    fillForm({ question, context, options }) {
+        document.getElementById('adr-question').value = question;
+        document.getElementById('adr-context').value = context || '';
+        document.getElementById('adr-options').value = options.join('\n');
+    }
+
+    attachEvidence(source, label, text) {
+        this.evidence = { source, label, text };
+
+        const notice = document.getElementById('adr-evidence-notice');
+        notice.style.display = 'block';
+        notice.innerHTML = `
+            <div class="adr-notice">
+                <i class="fas fa-paperclip"></i> Findings from ${window.agentRegistry.escape(label)} will ground the decision.
+                <a href="#" onclick="adrAgentInterface.clearEvidence(); return false;">Remove</a>
+            </div>
+        `;
+    }
+
+    clearEvidence() {
+        this.evidence = null;
+        document.getElementById('adr-evidence-notice').style.display = 'none';
+    }
+
+    // Read the form into a request body
+    readRequest() {
+        const value = id => document.getElementById(id)?.value.trim() || '';
+
+        return {
+            question: value('adr-question'),
+            context: value('adr-context'),
+            options: value('adr-options'),
+            decisionDrivers: value('adr-drivers'),
+            evidence: this.evidence?.text,
+            source: this.evidence?.source || 'manual',
+            format: value('adr-format'),
+            status: value('adr-status'),
+            adrNumber: parseInt(value('adr-number'), 10) || 1,
+            deciders: value('adr-deciders'),
+            analysisDepth: value('adr-depth'),
+            organization: window.organizationProfile?.getRequestProfile()
+        };
+    }
+
+    async generateRecord() {
+        const request = this.readRequest();
+
+        if (!request.question) {
+            alert('Please enter the decision question.');
+            return;
+        }
+
+        const progressDiv = document.getElementById('adr-progress');
+        const resultsDiv = document.getElementById('adr-results');
+        const startBtn = document.getElementById('adr-start-btn');
+
+        progressDiv.style.display = 'block';
+        resultsDiv.style.display = 'none';
+        startBtn.disabled = true;
+        startBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Drafting...';
+
+        try {
+            const response = await fetch('/.netlify/functions/adr-agent', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(request)
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.currentRecord = result;
+                this.rememberNumber(result.data.record.number);
+                this.displayResults(result.data);
+                window.agentRegistry?.recordRun('adr-agent', result);
+            } else {
+                this.displayError(result.error || 'ADR generation failed');
+            }
+        } catch (error) {
+            console.error('ADR generation error:', error);
+            this.displayError('Failed to connect to ADR service. Please try again.');
+        } finally {
+            progressDiv.style.display = 'none';
+            startBtn.disabled = false;
+            startBtn.innerHTML = '<i class="fas fa-play"></i> Draft ADR';
+        }
+    }
+
+    // Show a run saved in the research library
+    reopen(result) {
+        this.initializeInterface();
+        this.currentRecord = result;
+        this.displayResults(result.data);
+    }
+
+    displayResults(data) {
+        const resultsDiv = document.getElementById('adr-results');
+
+        resultsDiv.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px; margin-bottom: 15px;">
+                <div>
+                    <h3 style="color: #2c3e50; margin: 0;">ADR ${String(data.record.number).padStart(4, '0')}: ${window.agentRegistry.escape(data.decision.title)}</h3>
+                    <p style="color: #7f8c8d; margin: 5px 0 0;">
+                        ${data.record.format === 'nygard' ? 'Nygard' : 'MADR'} &bull; ${data.record.status} &bull;
+                        Chosen: <strong style="color: #27ae60;">${window.agentRegistry.escape(data.decision.chosenOption)}</strong>
+                        of ${data.decision.options.length} options
+                    </p>
+                </div>
+            </div>
+
+            <div class="adr-field">
+                <label for="adr-file-name">File Name <span class="field-hint">commit to docs/adr/</span></label>
+                <input type="text" id="adr-file-name" value="${window.agentRegistry.escape(data.fileName)}">
+            </div>
+
+            <div class="adr-field">
+                <label for="adr-markdown">Markdown <span class="field-hint">edit before exporting if needed</span></label>
+                <textarea id="adr-markdown" class="adr-markdown">${window.agentRegistry.escape(data.markdown)}</textarea>
+            </div>
+
+            <div style="display: flex; gap: 10px; flex-wrap: wrap;">
+                <button class="adr-button" style="width: auto;" onclick="adrAgentInterface.downloadMarkdown()">
+                    <i class="fas fa-download"></i> Download Markdown
+                </button>
+                <button class="adr-secondary" onclick="adrAgentInterface.copyMarkdown()">
+                    <i class="fas fa-copy"></i> Copy to Clipboard
+                </button>
+                <button class="adr-secondary" onclick="adrAgentInterface.downloadData()">
+                    <i class="fas fa-database"></i> Download JSON
+                </button>
+            </div>
+        `;
+
+        resultsDiv.style.display = 'block';
+    }
+
+    downloadMarkdown() {
+        const markdown = document.getElementById('adr-markdown').value;
+        const fileName = document.getElementById('adr-file-name').value.trim() || this.currentRecord.data.fileName;
+
+        const link = document.createElement('a');
+        link.download = fileName.endsWith('.md') ? fileName : `${fileName}.md`;
+        link.href = URL.createObjectURL(new Blob([markdown], { type: 'text/markdown' }));
+        link.click();
+    }
+
+    async copyMarkdown() {
+        const markdown = document.getElementById('adr-markdown').value;
+
+        try {
+            await navigator.clipboard.writeText(markdown);
+            alert('ADR copied to clipboard.');
+        } catch (error) {
+            console.error('Clipboard copy failed:', error);
+            document.getElementById('adr-markdown').select();
+        }
+    }
+
+    downloadData() {
+        if (!this.currentRecord) return;
+
+        const link = document.createElement('a');
+        link.download = this.currentRecord.data.fileName.replace(/\.md$/, '.json');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(this.currentRecord, null, 2)], { type: 'application/json' }));
+        link.click();
+    }
+
+    displayError(error) {
+        window.agentRegistry.showError(document.getElementById('adr-results'), 'ADR Generation Failed', error);
+    }
+}
+
+// Initialize the interface
+window.adrAgentInterface = new AdrAgentInterface();
+
+// Register with the dashboard
+window.agentRegistry.register({
+    id: 'adr-agent',
+    name: 'ADR Agent',
+    description: 'Architecture Decision Record generation and documentation management for enterprise architecture governance.',
+    icon: 'fas fa-file-contract',
+    priority: 6,
+    features: [
+        'Decision documentation',
+        'Context analysis',
+        'Consequence evaluation',
+        'Template generation'
+    ],
+    metrics: '~10s • Markdown ADR',
+    endpoint: 'adr-agent',
+    historyTitle: result => `ADR ${result.data.record.number}: ${result.data.decision.title}`,
+    interface: window.adrAgentInterface
+});
@@ -0,0 +1,468 @@
+// FILE PATH: js/agents/agent-registry.js
+// Agent Registry - Pluggable Agent Definitions
+// Each agent registers its metadata, form, backend function, renderer and artifacts once; cards, modal routing and history are built from the registry
+
+class AgentRegistry {
+    constructor() {
+        this.agents = new Map();
+        this.historyKey = window.EA_CONFIG?.storage?.history || 'ea_assistant_history';
+        this.maxHistoryItems = window.EA_CONFIG?.ui?.maxHistoryItems || 50;
+        this.currentRun = null;
+
+        // Agents usually register from script tags before the DOM is ready; render once it is
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.refreshDashboard());
+        }
+    }
+
+    // Add or replace an agent. Supply either an `interface` with initializeInterface() and reopen(), or `fields` plus an `endpoint`
+    register(definition) {
+        if (!definition || !definition.id || !definition.name) {
+            throw new Error('Agent definitions need an id and a name');
+        }
+        if (!definition.interface && !definition.endpoint && definition.status !== 'coming-soon') {
+            throw new Error(`Agent ${definition.id} needs an interface or an endpoint`);
+        }
+
+        const existing = this.agents.get(definition.id);
+        const agent = {
+            description: '',
+            icon: 'fas fa-robot',
+            status: 'ready',
+            priority: existing ? existing.priority : this.agents.size + 1,
+            features: [],
+            metrics: '',
+            fields: [],
+            submitLabel: 'Run Analysis',
+            ...definition
+        };
+
+        this.agents.set(agent.id, agent);
+        if (document.readyState !== 'loading') {
+            this.refreshDashboard();
+        }
+        return agent;
+    }
+
+    get(agentId) {
+        return this.agents.get(agentId) || null;
+    }
+
+    has(agentId) {
+        return this.agents.has(agentId);
+    }
+
+    // Registered agents in dashboard order
+    list() {
+        return [...this.agents.values()].sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name));
+    }
+
+    refreshDashboard() {
+        this.renderCards();
+        this.renderHistory();
+    }
+
+    renderCards(containerId = 'agents-grid') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.innerHTML = this.list().map(agent => `
+            <div class="agent-card priority-${((agent.priority - 1) % 6) + 1}" onclick="openAgent('${this.escape(agent.id)}')">
+                <div class="agent-header">
+                    <i class="${this.escape(agent.icon)} agent-icon"></i>
+                    <div class="priority-badge">Priority ${agent.priority}</div>
+                </div>
+                <h3>${this.escape(agent.name)}</h3>
+                <p>${this.escape(agent.description)}</p>
+                <ul class="features">
+                    ${agent.features.map(feature => `<li>${this.escape(feature)}</li>`).join('')}
+                </ul>
+                <div class="agent-status">
+                    ${agent.status === 'ready'
+                        ? '<span class="status-ready">Ready</span>'
+                        : '<span class="status-coming-soon">Coming Soon</span>'}
+                    <div class="agent-metrics">${this.escape(agent.metrics)}</div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Route a card click to the agent's own interface or to the schema-driven form
+    open(agentId) {
+        const agent = this.get(agentId);
+        if (!agent) {
+            console.log('Unknown agent type:', agentId);
+            return;
+        }
+
+        const modal = document.getElementById('agent-modal');
+        if (agent.status !== 'ready') {
+            this.renderComingSoon(agent);
+        } else if (agent.interface) {
+            agent.interface.initializeInterface();
+        } else {
+            this.renderForm(agent);
+        }
+        modal.style.display = 'block';
+    }
+
+    renderComingSoon(agent) {
+        document.getElementById('agent-modal').innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2><i class="${this.escape(agent.icon)}"></i> ${this.escape(agent.name)}</h2>
+                    <span class="close" onclick="closeModal()">&times;</span>
+                </div>
+                <div style="padding: 40px; text-align: center;">
+                    <i class="${this.escape(agent.icon)}" style="font-size: 3rem; color: #f39c12; margin-bottom: 20px;"></i>
+                    <h3 style="color: #2c3e50; margin-bottom: 15px;">Coming Soon</h3>
+                    <p style="color: #7f8c8d; line-height: 1.6;">${this.escape(agent.description)}</p>
+                </div>
+            </div>
+        `;
+    }
+
+    // Generic modal for agents that declare `fields` instead of shipping their own interface
+    renderForm(agent) {
+        document.getElementById('agent-modal').innerHTML = `
+            <div class="modal-content registry-modal">
+                <div class="modal-header">
+                    <h2><i class="${this.escape(agent.icon)}"></i> ${this.escape(agent.name)}</h2>
+                    <span class="close" onclick="closeModal()">&times;</span>
+                </div>
+                <div class="modal-body" style="padding: 30px;">
+                    <div id="registry-input">
+                        <p style="color: #7f8c8d; margin-bottom: 20px; line-height: 1.6;">${this.escape(agent.description)}</p>
+                        ${agent.fields.map(field => this.renderField(field)).join('')}
+                        <button id="registry-start-btn" class="registry-start-btn" onclick="agentRegistry.run('${this.escape(agent.id)}')">
+                            <i class="fas fa-play"></i> ${this.escape(agent.submitLabel)}
+                        </button>
+                    </div>
+                    <div id="registry-progress" style="display: none; text-align: center; padding: 30px;">
+                        <i class="fas fa-spinner fa-spin" style="font-size: 2rem; color: #3498db; margin-bottom: 15px;"></i>
+                        <p style="color: #7f8c8d;">${this.escape(agent.progressMessage || `Running ${agent.name}...`)}</p>
+                    </div>
+                    <div id="registry-results" style="display: none; margin-top: 25px;"></div>
+                </div>
+            </div>
+            <style>
+                .registry-field { margin-bottom: 18px; }
+                .registry-field label { display: block; font-weight: 600; color: #2c3e50; margin-bottom: 6px; }
+                .registry-field input[type="text"], .registry-field input[type="number"], .registry-field select, .registry-field textarea {
+                    width: 100%; padding: 10px 12px; border: 2px solid #e1e8ed; border-radius: 8px; font-size: 0.95rem; font-family: inherit;
+                }
+                .registry-field .field-help { font-size: 0.8rem; color: #95a5a6; margin-top: 4px; }
+                .registry-start-btn {
+                    background: linear-gradient(45deg, #3498db, #2980b9); color: white; border: none; padding: 12px 24px;
+                    border-radius: 25px; font-weight: 600; cursor: pointer; width: 100%;
+                }
+                .registry-start-btn:disabled { opacity: 0.6; cursor: not-allowed; }
+                .registry-artifacts { display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 12px; margin-top: 20px; }
+                .registry-artifact { display: flex; gap: 12px; align-items: center; padding: 12px; border: 2px solid #e1e8ed; border-radius: 8px; text-decoration: none; color: #2c3e50; }
+                .registry-artifact:hover { border-color: #3498db; }
+                .registry-artifact i { font-size: 1.4rem; color: #3498db; }
+                .registry-artifact small { display: block; color: #7f8c8d; }
+            </style>
+        `;
+    }
+
+    // Field types: text, textarea, number, select, checkbox
+    renderField(field) {
+        const id = `registry-field-${this.escape(field.name)}`;
+        const label = `${this.escape(field.label || field.name)}${field.required ? ' *' : ''}`;
+        const help = field.help ? `<div class="field-help">${this.escape(field.help)}</div>` : '';
+        const value = field.default !== undefined ? this.escape(field.default) : '';
+        const placeholder = this.escape(field.placeholder || '');
+        let control;
+
+        switch (field.type) {
+            case 'textarea':
+                control = `<textarea id="${id}" rows="${field.rows || 4}" placeholder="${placeholder}">${value}</textarea>`;
+                break;
+            case 'number':
+                control = `<input type="number" id="${id}" value="${value}" placeholder="${placeholder}"${field.min !== undefined ? ` min="${field.min}"` : ''}${field.max !== undefined ? ` max="${field.max}"` : ''}${field.step !== undefined ? ` step="${field.step}"` : ''}>`;
+                break;
+            case 'select':
+                control = `<select id="${id}">${(field.options || []).map(option => {
+                    const { value: optionValue, label: optionLabel } = typeof option === 'object' ? option : { value: option, label: option };
+                    return `<option value="${this.escape(optionValue)}"${optionValue === field.default ? ' selected' : ''}>${this.escape(optionLabel)}</option>`;
+                }).join('')}</select>`;
+                break;
+            case 'checkbox':
+                return `
+                    <div class="registry-field">
+                        <label><input type="checkbox" id="${id}"${field.default ? ' checked' : ''}> ${label}</label>
+                        ${help}
+                    </div>
+                `;
+            default:
+                control = `<input type="text" id="${id}" value="${value}" placeholder="${placeholder}">`;
+        }
+
+        return `
+            <div class="registry-field">
+                <label for="${id}">${label}</label>
+                ${control}
+                ${help}
+            </div>
+        `;
+    }
+
+    // Collect field values into the request body; returns the first missing required field, if any
+    readForm(agent) {
+        const request = {};
+        let missing = null;
+
+        agent.fields.forEach(field => {
+            const element = document.getElementById(`registry-field-${field.name}`);
+            if (!element) return;
+
+            let value;
+            if (field.type === 'checkbox') {
+                value = element.checked;
+            } else if (field.type === 'number') {
+                value = element.value === '' ? undefined : parseFloat(element.value);
+            } else {
+                value = element.value.trim();
+            }
+
+            if (field.required && (value === undefined || value === '') && !missing) {
+                missing = field;
+            }
+            if (value !== undefined && value !== '') {
+                request[field.name] = value;
+            }
+        });
+
+        request.organization = window.organizationProfile?.getRequestProfile();
+        return { request: agent.buildRequest ? agent.buildRequest(request) : request, missing: missing };
+    }
+
+    async run(agentId) {
+        const agent = this.get(agentId);
+        const { request, missing } = this.readForm(agent);
+
+        if (missing) {
+            alert(`Please enter ${missing.label || missing.name}.`);
+            return;
+        }
+
+        const progressDiv = document.getElementById('registry-progress');
+        const resultsDiv = document.getElementById('registry-results');
+        const startBtn = document.getElementById('registry-start-btn');
+
+        progressDiv.style.display = 'block';
+        resultsDiv.style.display = 'none';
+        startBtn.disabled = true;
+
+        try {
+            const response = await fetch(`/.netlify/functions/${agent.endpoint}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(request)
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.currentRun = { agentId: agent.id, request: request, result: result };
+                this.displayResults(agent, result);
+                this.recordRun(agent.id, result);
+            } else {
+                this.displayError(agent, result.error || 'Analysis failed');
+            }
+        } catch (error) {
+            console.error(`${agent.name} error:`, error);
+            this.displayError(agent, 'Failed to connect to analysis service. Please try again.');
+        } finally {
+            progressDiv.style.display = 'none';
+            startBtn.disabled = false;
+        }
+    }
+
+    // The agent's render() may return HTML or fill the container itself; artifacts() returns download cards
+    displayResults(agent, result) {
+        const resultsDiv = document.getElementById('registry-results');
+        resultsDiv.innerHTML = '<div id="registry-output"></div><div id="registry-artifacts" class="registry-artifacts"></div>';
+        const output = document.getElementById('registry-output');
+
+        const html = agent.render ? agent.render(result, output) : this.renderDefault(result);
+        if (typeof html === 'string') {
+            output.innerHTML = html;
+        }
+
+        const artifacts = [
+            ...(agent.artifacts ? agent.artifacts(result) || [] : []),
+            {
+                name: `${agent.id}-${Date.now()}.json`,
+                title: 'Raw Data (JSON)',
+                description: 'Full response for further processing',
+                content: JSON.stringify(result, null, 2),
+                mimeType: 'application/json',
+                icon: 'fas fa-code'
+            }
+        ];
+
+        document.getElementById('registry-artifacts').innerHTML = artifacts.map(artifact => {
+            const url = artifact.url || URL.createObjectURL(new Blob([artifact.content], { type: artifact.mimeType || 'text/plain' }));
+            return `
+                <a class="registry-artifact" href="${url}" download="${this.escape(artifact.name)}">
+                    <i class="${this.escape(artifact.icon || 'fas fa-file')}"></i>
+                    <span>${this.escape(artifact.title)}<small>${this.escape(artifact.description || '')}</small></span>
+                </a>
+            `;
+        }).join('');
+
+        resultsDiv.style.display = 'block';
+    }
+
+    // Fallback renderer: the module's web summary when it has one, otherwise the data as JSON
+    renderDefault(result) {
+        const summary = result.artifacts?.webSummary;
+        if (summary && typeof summary === 'object') {
+            return Object.entries(summary).map(([key, value]) => `
+                <div style="margin-bottom: 12px;">
+                    <strong style="color: #2c3e50;">${this.escape(key)}</strong>
+                    <div style="color: #34495e; line-height: 1.6;">${this.escape(Array.isArray(value) ? value.join('; ') : typeof value === 'object' ? JSON.stringify(value) : value)}</div>
+                </div>
+            `).join('');
+        }
+        return `<pre style="background: #f8f9fa; padding: 15px; border-radius: 8px; overflow-x: auto; font-size: 0.85rem;">${this.escape(JSON.stringify(result.data, null, 2))}</pre>`;
+    }
+
+    displayError(agent, error) {
+        this.showError(document.getElementById('registry-results'), 'Analysis Failed', error);
+    }
+
+    // Error box for any agent's results area; retryAction, when given, is the onclick of a Try Again button
+    showError(resultsDiv, title, error, retryAction) {
+        resultsDiv.innerHTML = `
+            <div style="background: #f8d7da; color: #721c24; padding: 20px; border-radius: 8px; text-align: center;">
+                <i class="fas fa-exclamation-triangle" style="font-size: 2rem; margin-bottom: 10px;"></i>
+                <h4>${this.escape(title)}</h4>
+                <p>${this.escape(error)}</p>
+                ${retryAction ? `
+                    <button onclick="${this.escape(retryAction)}" style="background: #dc3545; color: white; border: none; padding: 8px 16px; border-radius: 6px; margin-top: 10px; cursor: pointer;">
+                        Try Again
+                    </button>
+                ` : ''}
+            </div>
+        `;
+        resultsDiv.style.display = 'block';
+    }
+
+    // Completed runs go to the shared history list and the research library; the agent's historyTitle() names the entry
+    recordRun(agentId, result) {
+        const agent = this.get(agentId);
+        if (!agent) return;
+
+        const title = agent.historyTitle
+            ? agent.historyTitle(result)
+            : result?.technology || result?.data?.technology || result?.metadata?.technology || agent.name;
+        const entry = {
+            id: `${agentId}-${Date.now()}`,
+            type: agentId,
+            title: String(title),
+            technology: result?.technology || result?.data?.technology || undefined,
+            timestamp: new Date().toISOString()
+        };
+
+        this.saveHistory([entry, ...this.loadHistory()]);
+        this.saveToLibrary(agent, result, entry);
+    }
+
+    // Full runs go to the research library; once saved, the history entry links to it so it can be reopened
+    async saveToLibrary(agent, result, entry) {
+        if (!window.researchLibrary) return;
+
+        try {
+            const run = await window.researchLibrary.save(agent, result, entry.title);
+            this.saveHistory(this.loadHistory().map(item => item.id === entry.id ? { ...item, libraryId: run.id } : item));
+        } catch (error) {
+            console.error('Error saving to research library:', error);
+        }
+    }
+
+    saveHistory(history) {
+        try {
+            localStorage.setItem(this.historyKey, JSON.stringify(history.slice(0, this.maxHistoryItems)));
+        } catch (error) {
+            console.error('Error saving history:', error);
+        }
+        this.renderHistory();
+    }
+
+    // Show a saved run again: agents with their own interface restore it through reopen(), the rest through the schema-driven form
+    reopen(agentId, result) {
+        const agent = this.get(agentId);
+        if (!agent) {
+            throw new Error(`Unknown agent ${agentId}`);
+        }
+
+        if (agent.interface) {
+            if (!agent.interface.reopen) {
+                throw new Error(`${agent.name} cannot reopen saved runs`);
+            }
+            agent.interface.reopen(result);
+        } else {
+            this.renderForm(agent);
+            document.getElementById('registry-input').style.display = 'none';
+            this.currentRun = { agentId: agent.id, request: null, result: result };
+            this.displayResults(agent, result);
+        }
+        document.getElementById('agent-modal').style.display = 'block';
+    }
+
+    loadHistory() {
+        try {
+            const stored = localStorage.getItem(this.historyKey);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Error loading history:', error);
+            return [];
+        }
+    }
+
+    renderHistory(containerId = 'activity-list', limit = 5) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const history = this.loadHistory().slice(0, limit);
+        if (history.length === 0) {
+            container.innerHTML = `
+                <div class="activity-item">
+                    <i class="fas fa-info-circle"></i>
+                    <span>No recent analysis. Pick an agent above to start your first enterprise architecture assessment.</span>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = history.map(item => {
+            const agent = this.get(item.type);
+            // Runs saved to the library reopen in full; older entries just open their agent
+            const action = item.libraryId
+                ? `researchLibrary.reopen('${this.escape(item.libraryId)}')`
+                : agent ? `openAgent('${this.escape(item.type)}')` : null;
+            return `
+                <div class="activity-item"${action ? ` onclick="${action}" style="cursor: pointer;"` : ''}>
+                    <i class="${this.escape(agent ? agent.icon : 'fas fa-file-alt')}"></i>
+                    <div>
+                        <strong>${this.escape(item.title || item.technology || 'Analysis')}</strong>
+                        <div style="font-size: 0.85rem; color: #7f8c8d;">${this.escape(agent ? agent.name : item.type)} • ${this.escape(new Date(item.timestamp).toLocaleString())}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Shared by every agent module: model output and user input are untrusted text, so escape before inserting into HTML
+    escape(text) {
+        return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+}
+
+// Initialize the registry before any agent module loads
+window.agentRegistry = new AgentRegistry();
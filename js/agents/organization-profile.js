@@ -0,0 +1,102 @@
+// FILE PATH: js/agents/organization-profile.js
+// Organization Profile Store - Shared Organization Context
+// Persists the organization profile with the EA Assistant settings and supplies it to every module call
+
+class OrganizationProfileStore {
+    constructor() {
+        // Shared with EAAssistant settings so organizationName/industrySector stay in sync
+        this.storageKey = window.EA_CONFIG?.storage?.settings || 'ea_assistant_settings';
+
+        this.industries = window.EA_CONFIG?.industries || [
+            { value: 'financial-services', label: 'Financial Services' },
+            { value: 'healthcare', label: 'Healthcare' },
+            { value: 'technology', label: 'Technology' },
+            { value: 'manufacturing', label: 'Manufacturing' },
+            { value: 'retail', label: 'Retail' },
+            { value: 'government', label: 'Government' },
+            { value: 'education', label: 'Education' },
+            { value: 'other', label: 'Other' }
+        ];
+        this.sizes = [
+            { value: 'Small (under 500 employees)', label: 'Small (under 500 employees)' },
+            { value: 'Mid-size (500-5,000 employees)', label: 'Mid-size (500-5,000 employees)' },
+            { value: 'Enterprise (5,000+ employees)', label: 'Enterprise (5,000+ employees)' }
+        ];
+        this.regions = [
+            { value: 'north-america', label: 'North America' },
+            { value: 'eu', label: 'European Union' },
+            { value: 'uk', label: 'United Kingdom' },
+            { value: 'apac', label: 'Asia-Pacific' },
+            { value: 'latam', label: 'Latin America' },
+            { value: 'global', label: 'Global' }
+        ];
+        this.riskAppetites = [
+            { value: 'conservative', label: 'Conservative' },
+            { value: 'moderate', label: 'Moderate' },
+            { value: 'aggressive', label: 'Aggressive' }
+        ];
+
+        console.log('Organization Profile Store initialized');
+    }
+
+    // Load the profile from stored settings
+    load() {
+        const settings = this.loadSettings();
+
+        return {
+            name: settings.organizationName || '',
+            industry: settings.industrySector || '',
+            size: settings.organizationSize || '',
+            region: settings.organizationRegion || '',
+            regulatoryRegime: settings.regulatoryRegime || '',
+            currentStack: settings.currentStack || '',
+            riskAppetite: settings.riskAppetite || ''
+        };
+    }
+
+    // Save the profile, keeping any other settings intact
+    save(profile) {
+        const settings = this.loadSettings();
+
+        Object.assign(settings, {
+            organizationName: profile.name || '',
+            industrySector: profile.industry || '',
+            organizationSize: profile.size || '',
+            organizationRegion: profile.region || '',
+            regulatoryRegime: profile.regulatoryRegime || '',
+            currentStack: profile.currentStack || '',
+            riskAppetite: profile.riskAppetite || '',
+            lastUpdated: new Date().toISOString()
+        });
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(settings));
+        } catch (error) {
+            console.error('Error saving organization profile:', error);
+        }
+    }
+
+    // Profile as sent in module request bodies; null when nothing has been filled in
+    getRequestProfile() {
+        const profile = this.load();
+        const hasContent = Object.values(profile).some(value => value);
+        return hasContent ? profile : null;
+    }
+
+    // Read stored settings, tolerating missing or corrupt storage
+    loadSettings() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading organization profile:', error);
+            return {};
+        }
+    }
+}
+
+// Initialize profile store
+const organizationProfile = new OrganizationProfileStore();
+
+// Export for use by agents and interfaces
+window.organizationProfile = organizationProfile;
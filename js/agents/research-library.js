@@ -0,0 +1,256 @@
+// FILE PATH: js/agents/research-library.js
+// Research Library - Saved Runs for Every Agent
+// Saves finished runs to the research-library function, lists and filters them, and reopens any run in its agent's interface
+
+class ResearchLibrary {
+    constructor() {
+        this.endpoint = '/.netlify/functions/research-library';
+        this.pageSize = 50;
+        this.filters = { q: '', technology: '', agent: '', tag: '', from: '', to: '' };
+        this.runs = [];
+
+        console.log('Research Library initialized');
+    }
+
+    // Save a finished run. The agent's libraryEntry() may supply the stored payload, technologies, tags and summary
+    async save(agent, result, title) {
+        const entry = agent.libraryEntry ? agent.libraryEntry(result) : {};
+        const technology = result?.technology || result?.data?.technology || result?.metadata?.technology;
+
+        return this.request('POST', '', {
+            agent: agent.id,
+            title: title,
+            technologies: entry.technologies || (technology ? [technology] : []),
+            tags: entry.tags || [],
+            summary: entry.summary || '',
+            status: entry.status || result?.status || 'completed',
+            payload: entry.payload || result
+        });
+    }
+
+    async list(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        });
+        return this.request('GET', `?${params.toString()}`);
+    }
+
+    async get(runId) {
+        const { run } = await this.request('GET', `?id=${encodeURIComponent(runId)}`);
+        return run;
+    }
+
+    async updateTags(runId, tags) {
+        const { run } = await this.request('PATCH', `?id=${encodeURIComponent(runId)}`, { tags: tags });
+        return run;
+    }
+
+    async remove(runId) {
+        await this.request('DELETE', `?id=${encodeURIComponent(runId)}`);
+    }
+
+    // Call the library function; failures surface as errors carrying the server's message
+    async request(method, query, body) {
+        const response = await fetch(`${this.endpoint}${query}`, {
+            method: method,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || result.success === false) {
+            throw new Error(result.error || `Research library returned ${response.status}`);
+        }
+        if (method === 'POST') {
+            return result.run;
+        }
+        return result;
+    }
+
+    // Load a saved run and show it in its agent's interface, with charts and downloads rebuilt from the stored data
+    async reopen(runId) {
+        try {
+            const run = await this.get(runId);
+            window.agentRegistry.reopen(run.agent, run.payload);
+        } catch (error) {
+            console.error('Reopening saved run failed:', error);
+            alert(`Could not reopen this run: ${error.message}`);
+        }
+    }
+
+    // Library browser in the agent modal
+    open() {
+        const agents = window.agentRegistry.list();
+
+        document.getElementById('agent-modal').innerHTML = `
+            <div class="modal-content library-modal">
+                <div class="modal-header">
+                    <h2><i class="fas fa-book"></i> Research Library</h2>
+                    <span class="close" onclick="closeModal()">&times;</span>
+                </div>
+                <div class="modal-body" style="padding: 30px;">
+                    <div class="library-filters">
+                        <input type="text" id="library-q" placeholder="Search titles, summaries and tags" value="${window.agentRegistry.escape(this.filters.q)}">
+                        <input type="text" id="library-technology" placeholder="Technology" list="library-technologies" value="${window.agentRegistry.escape(this.filters.technology)}">
+                        <datalist id="library-technologies"></datalist>
+                        <select id="library-agent">
+                            <option value="">All agents</option>
+                            ${agents.map(agent => `<option value="${window.agentRegistry.escape(agent.id)}"${agent.id === this.filters.agent ? ' selected' : ''}>${window.agentRegistry.escape(agent.name)}</option>`).join('')}
+                        </select>
+                        <select id="library-tag">
+                            <option value="">All tags</option>
+                            ${this.filters.tag ? `<option value="${window.agentRegistry.escape(this.filters.tag)}" selected>${window.agentRegistry.escape(this.filters.tag)}</option>` : ''}
+                        </select>
+                        <label>From <input type="date" id="library-from" value="${window.agentRegistry.escape(this.filters.from)}"></label>
+                        <label>To <input type="date" id="library-to" value="${window.agentRegistry.escape(this.filters.to)}"></label>
+                        <button class="library-search-btn" onclick="researchLibrary.search()"><i class="fas fa-search"></i> Search</button>
+                    </div>
+                    <div id="library-status" class="library-status"></div>
+                    <div id="library-results" class="library-results"></div>
+                </div>
+            </div>
+            <style>
+                .library-filters { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 10px; margin-bottom: 20px; align-items: end; }
+                .library-filters input, .library-filters select {
+                    width: 100%; padding: 9px 12px; border: 2px solid #e1e8ed; border-radius: 8px; font-size: 0.9rem; font-family: inherit;
+                }
+                .library-filters label { font-size: 0.8rem; color: #7f8c8d; }
+                .library-search-btn {
+                    background: linear-gradient(45deg, #3498db, #2980b9); color: white; border: none; padding: 10px 18px;
+                    border-radius: 25px; font-weight: 600; cursor: pointer;
+                }
+                .library-status { color: #7f8c8d; font-size: 0.9rem; margin-bottom: 12px; }
+                .library-status.error { color: #c0392b; }
+                .library-run { display: flex; justify-content: space-between; gap: 15px; padding: 14px; border: 2px solid #e1e8ed; border-radius: 8px; margin-bottom: 10px; }
+                .library-run:hover { border-color: #3498db; }
+                .library-run h4 { color: #2c3e50; margin: 0 0 4px; }
+                .library-run p { color: #34495e; margin: 6px 0 0; font-size: 0.9rem; line-height: 1.5; }
+                .library-run .library-meta { color: #7f8c8d; font-size: 0.85rem; }
+                .library-tag { display: inline-block; background: #ecf0f1; color: #2c3e50; border-radius: 10px; padding: 2px 8px; margin: 6px 4px 0 0; font-size: 0.75rem; }
+                .library-actions { display: flex; flex-direction: column; gap: 6px; }
+                .library-actions button { border: none; border-radius: 6px; padding: 6px 12px; cursor: pointer; font-size: 0.85rem; color: white; background: #7f8c8d; }
+                .library-actions .library-open { background: #3498db; }
+                .library-actions .library-delete { background: #e74c3c; }
+            </style>
+        `;
+
+        document.querySelectorAll('.library-filters input[type="text"]').forEach(input => {
+            input.addEventListener('keydown', event => {
+                if (event.key === 'Enter') this.search();
+            });
+        });
+        document.getElementById('agent-modal').style.display = 'block';
+        this.search();
+    }
+
+    // Read the filter controls and show the matching runs, newest first
+    async search() {
+        const value = id => document.getElementById(id)?.value.trim() || '';
+        this.filters = {
+            q: value('library-q'),
+            technology: value('library-technology'),
+            agent: value('library-agent'),
+            tag: value('library-tag'),
+            from: value('library-from'),
+            to: value('library-to')
+        };
+
+        const status = document.getElementById('library-status');
+        status.className = 'library-status';
+        status.textContent = 'Loading saved runs...';
+
+        try {
+            const result = await this.list({ ...this.filters, limit: this.pageSize });
+            this.runs = result.runs;
+            this.renderFacets(result.facets);
+            status.textContent = result.total > result.runs.length
+                ? `Showing the ${result.runs.length} newest of ${result.total} matching runs`
+                : `${result.total} matching run${result.total === 1 ? '' : 's'}`;
+            this.renderRuns(result.runs);
+        } catch (error) {
+            console.error('Loading research library failed:', error);
+            status.className = 'library-status error';
+            status.textContent = `Could not load the library: ${error.message}`;
+            document.getElementById('library-results').innerHTML = '';
+        }
+    }
+
+    // Tag and technology choices come from everything saved, so filters never offer values with no runs
+    renderFacets(facets) {
+        const tagSelect = document.getElementById('library-tag');
+        if (tagSelect) {
+            tagSelect.innerHTML = `
+                <option value="">All tags</option>
+                ${facets.tags.map(tag => `<option value="${window.agentRegistry.escape(tag)}"${tag === this.filters.tag ? ' selected' : ''}>${window.agentRegistry.escape(tag)}</option>`).join('')}
+            `;
+        }
+
+        const technologies = document.getElementById('library-technologies');
+        if (technologies) {
+            technologies.innerHTML = facets.technologies.map(technology => `<option value="${window.agentRegistry.escape(technology)}"></option>`).join('');
+        }
+    }
+
+    renderRuns(runs) {
+        const container = document.getElementById('library-results');
+        if (runs.length === 0) {
+            container.innerHTML = '<p style="color: #7f8c8d; text-align: center; padding: 20px;">No saved runs match these filters.</p>';
+            return;
+        }
+
+        container.innerHTML = runs.map(run => {
+            const agent = window.agentRegistry.get(run.agent);
+            return `
+                <div class="library-run">
+                    <div>
+                        <h4><i class="${window.agentRegistry.escape(agent ? agent.icon : 'fas fa-file-alt')}"></i> ${window.agentRegistry.escape(run.title)}</h4>
+                        <div class="library-meta">
+                            ${window.agentRegistry.escape(agent ? agent.name : run.agent)} • ${window.agentRegistry.escape(new Date(run.createdAt).toLocaleString())}
+                            ${run.status !== 'completed' ? ` • ${window.agentRegistry.escape(run.status)}` : ''}
+                        </div>
+                        ${run.summary ? `<p>${window.agentRegistry.escape(run.summary)}</p>` : ''}
+                        <div>${run.tags.map(tag => `<span class="library-tag">${window.agentRegistry.escape(tag)}</span>`).join('')}</div>
+                    </div>
+                    <div class="library-actions">
+                        <button class="library-open" onclick="researchLibrary.reopen('${window.agentRegistry.escape(run.id)}')"><i class="fas fa-folder-open"></i> Open</button>
+                        <button onclick="researchLibrary.editTags('${window.agentRegistry.escape(run.id)}')"><i class="fas fa-tags"></i> Tags</button>
+                        <button class="library-delete" onclick="researchLibrary.confirmRemove('${window.agentRegistry.escape(run.id)}')"><i class="fas fa-trash"></i> Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async editTags(runId) {
+        const run = this.runs.find(item => item.id === runId);
+        const input = prompt('Tags for this run (comma separated):', run ? run.tags.join(', ') : '');
+        if (input === null) return;
+
+        try {
+            await this.updateTags(runId, input.split(',').map(tag => tag.trim()).filter(Boolean));
+            await this.search();
+        } catch (error) {
+            console.error('Updating tags failed:', error);
+            alert(`Could not update tags: ${error.message}`);
+        }
+    }
+
+    async confirmRemove(runId) {
+        const run = this.runs.find(item => item.id === runId);
+        if (!confirm(`Delete "${run ? run.title : 'this run'}" from the library? This cannot be undone.`)) return;
+
+        try {
+            await this.remove(runId);
+            await this.search();
+        } catch (error) {
+            console.error('Deleting saved run failed:', error);
+            alert(`Could not delete this run: ${error.message}`);
+        }
+    }
+}
+
+// Initialize the library before the registry records any run
+window.researchLibrary = new ResearchLibrary();
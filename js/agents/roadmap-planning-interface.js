@@ -0,0 +1,772 @@
+// FILE PATH: js/agents/roadmap-planning-interface.js
+// Roadmap Planning Agent Interface
+// Initiative editor (durations, dependencies, resources), critical path and levelled Gantt roadmap, milestones and exports
+
+class RoadmapPlanningInterface {
+    constructor() {
+        this.currentRoadmap = null;
+        this.forecastPhases = null;
+        this.charts = {};
+        this.artifacts = [];
+        this.recommendationLabels = {
+            'resequence': 'Resequence',
+            'parallelize': 'Parallelize',
+            'add-capacity': 'Add Capacity',
+            'split': 'Split',
+            'descope': 'Descope',
+            'accelerate': 'Accelerate'
+        };
+    }
+
+    initializeInterface() {
+        const modal = document.getElementById('agent-modal');
+        this.forecastPhases = null;
+
+        modal.innerHTML = `
+            <div class="modal-content roadmap-modal">
+                <div class="modal-header">
+                    <h2><i class="fas fa-road"></i> Roadmap Planning Agent</h2>
+                    <span class="close" onclick="closeModal()">&times;</span>
+                </div>
+                <div class="modal-body" style="padding: 30px;">
+                    <div id="roadmap-input">
+                        <h3 style="color: #2c3e50; margin-bottom: 10px;">
+                            <i class="fas fa-project-diagram"></i> Multi-Year Roadmap
+                        </h3>
+                        <p style="color: #7f8c8d; margin-bottom: 20px; line-height: 1.6;">
+                            Critical path and resource-levelled schedule for your initiatives, with sequencing rationale, milestones and a Gantt roadmap.
+                        </p>
+
+                        <div class="roadmap-grid">
+                            <div class="roadmap-field">
+                                <label for="roadmap-technology">Programme / Technology</label>
+                                <input type="text" id="roadmap-technology" placeholder="e.g., Data Platform Modernization">
+                            </div>
+                            <div class="roadmap-field">
+                                <label for="roadmap-start">Start Month</label>
+                                <input type="month" id="roadmap-start" value="${new Date().toISOString().slice(0, 7)}">
+                            </div>
+                        </div>
+
+                        <div class="roadmap-field">
+                            <label for="roadmap-capacity">Resource Capacity <span class="field-hint">units per month, e.g. engineering:6, data:3 - leave empty for no limits</span></label>
+                            <input type="text" id="roadmap-capacity" placeholder="engineering:6, data:3">
+                        </div>
+
+                        <div class="roadmap-field">
+                            <label>Initiatives</label>
+                            <div id="roadmap-forecast-notice" style="display: none;"></div>
+                            <div id="roadmap-editor">
+                                <table class="roadmap-table" id="roadmap-initiatives">
+                                    <tr>
+                                        <th>Initiative</th>
+                                        <th style="width: 90px;">Months</th>
+                                        <th>Depends On <span class="field-hint">names, comma separated</span></th>
+                                        <th>Resources <span class="field-hint">pool:units</span></th>
+                                        <th style="width: 40px;"></th>
+                                    </tr>
+                                </table>
+                                <div style="display: flex; gap: 10px; margin-top: 10px; flex-wrap: wrap;">
+                                    <button class="roadmap-secondary" onclick="roadmapPlanningInterface.addInitiativeRow()">
+                                        <i class="fas fa-plus"></i> Add Initiative
+                                    </button>
+                                    <button class="roadmap-secondary" id="roadmap-import-btn" onclick="roadmapPlanningInterface.importForecastPhases()">
+                                        <i class="fas fa-chart-line"></i> Use 5-Year Forecast Phases
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+
+                        <div class="roadmap-field">
+                            <label for="roadmap-depth">Analysis Depth</label>
+                            <select id="roadmap-depth">
+                                <option value="overview">Overview</option>
+                                <option value="comprehensive" selected>Comprehensive</option>
+                                <option value="detailed">Detailed</option>
+                            </select>
+                        </div>
+
+                        <button id="roadmap-start-btn" class="roadmap-button" onclick="roadmapPlanningInterface.startPlanning()">
+                            <i class="fas fa-play"></i> Build Roadmap
+                        </button>
+                    </div>
+
+                    <div id="roadmap-progress" style="display: none; margin-top: 30px;">
+                        <div style="background: #f8f9fa; border-radius: 12px; padding: 25px; text-align: center;">
+                            <i class="fas fa-road fa-2x" style="color: #3498db; margin-bottom: 15px;"></i>
+                            <h4 style="color: #2c3e50; margin-bottom: 10px;">Planning Roadmap</h4>
+                            <p style="color: #7f8c8d;">Computing the critical path, levelling resources and drafting sequencing rationale...</p>
+                        </div>
+                    </div>
+
+                    <div id="roadmap-results" style="display: none; margin-top: 30px;"></div>
+                </div>
+            </div>
+
+            <style>
+                .roadmap-field {
+                    margin-bottom: 15px;
+                }
+
+                .roadmap-field label {
+                    display: block;
+                    font-weight: 600;
+                    color: #2c3e50;
+                    margin-bottom: 6px;
+                }
+
+                .roadmap-field input,
+                .roadmap-field select,
+                .roadmap-table input {
+                    width: 100%;
+                    padding: 8px 10px;
+                    border: 2px solid #e1e8ed;
+                    border-radius: 8px;
+                    font-size: 0.9rem;
+                    font-family: inherit;
+                }
+
+                .field-hint {
+                    font-weight: 400;
+                    color: #95a5a6;
+                    font-size: 0.8rem;
+                }
+
+                .roadmap-grid {
+                    display: grid;
+                    grid-template-columns: 2fr 1fr;
+                    gap: 0 15px;
+                }
+
+                .roadmap-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 0.9rem;
+                }
+
+                .roadmap-table th,
+                .roadmap-table td {
+                    padding: 6px 8px;
+                    border-bottom: 1px solid #e1e8ed;
+                    text-align: left;
+                    vertical-align: top;
+                }
+
+                .roadmap-table th {
+                    background: #f8f9fa;
+                    color: #2c3e50;
+                }
+
+                .roadmap-table tr.critical td:first-child {
+                    border-left: 4px solid #e74c3c;
+                }
+
+                .roadmap-button {
+                    background: linear-gradient(45deg, #3498db, #2980b9);
+                    color: white;
+                    border: none;
+                    padding: 12px 24px;
+                    border-radius: 8px;
+                    font-weight: 600;
+                    cursor: pointer;
+                    width: 100%;
+                    font-size: 1rem;
+                }
+
+                .roadmap-button:disabled {
+                    background: #bdc3c7;
+                    cursor: not-allowed;
+                }
+
+                .roadmap-secondary {
+                    background: #ecf0f1;
+                    color: #2c3e50;
+                    border: none;
+                    padding: 8px 14px;
+                    border-radius: 6px;
+                    cursor: pointer;
+                }
+
+                .roadmap-secondary:disabled {
+                    color: #95a5a6;
+                    cursor: not-allowed;
+                }
+
+                .roadmap-remove {
+                    background: none;
+                    border: none;
+                    color: #e74c3c;
+                    cursor: pointer;
+                    font-size: 1rem;
+                }
+
+                .roadmap-notice {
+                    background: #eaf4fc;
+                    border-radius: 8px;
+                    padding: 12px 15px;
+                    color: #2c3e50;
+                }
+
+                .roadmap-section {
+                    margin-top: 25px;
+                }
+
+                .roadmap-section h3 {
+                    color: #2c3e50;
+                    margin-bottom: 15px;
+                }
+
+                .roadmap-kpis {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+                    gap: 12px;
+                }
+
+                .roadmap-kpi {
+                    background: #f8f9fa;
+                    border-radius: 8px;
+                    padding: 15px;
+                    text-align: center;
+                }
+
+                .roadmap-kpi strong {
+                    display: block;
+                    font-size: 1.3rem;
+                    color: #2c3e50;
+                }
+
+                .roadmap-kpi span {
+                    font-size: 0.8rem;
+                    color: #7f8c8d;
+                    text-transform: uppercase;
+                }
+
+                .roadmap-artifacts {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                    gap: 12px;
+                }
+
+                .roadmap-artifact {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    background: #f8f9fa;
+                    border-radius: 8px;
+                    padding: 12px;
+                    color: #2c3e50;
+                    text-decoration: none;
+                }
+
+                .roadmap-artifact i {
+                    font-size: 1.4rem;
+                    color: #3498db;
+                }
+            </style>
+        `;
+
+        this.addInitiativeRow();
+        this.addInitiativeRow();
+
+        // Forecast phases can only be reused once a Technology Research run has produced them
+        const importBtn = document.getElementById('roadmap-import-btn');
+        if (importBtn && !this.getForecastPhases()) {
+            importBtn.disabled = true;
+            importBtn.title = 'Run Technology Research with the 5-Year Forecast module first';
+        }
+    }
+
+    addInitiativeRow(initiative = {}) {
+        const table = document.getElementById('roadmap-initiatives');
+        if (!table) return;
+
+        const row = table.insertRow();
+        row.className = 'initiative-row';
+        row.innerHTML = `
+            <td><input type="text" class="initiative-name" placeholder="e.g., Platform Build" value="${window.agentRegistry.escape(initiative.name || '')}"></td>
+            <td><input type="number" class="initiative-duration" min="1" max="60" value="${initiative.durationMonths || 3}"></td>
+            <td><input type="text" class="initiative-dependencies" placeholder="Discovery" value="${window.agentRegistry.escape(initiative.dependencies || '')}"></td>
+            <td><input type="text" class="initiative-resources" placeholder="engineering:3" value="${window.agentRegistry.escape(initiative.resources || '')}"></td>
+            <td><button class="roadmap-remove" title="Remove" onclick="this.closest('tr').remove()"><i class="fas fa-times"></i></button></td>
+        `;
+    }
+
+    // Milestones from the last Technology Research run's 5-year forecast, if there was one
+    getForecastPhases() {
+        const forecast = window.technologyResearch?.currentResearch?.modules?.['5-year-forecast'];
+        const milestones = forecast?.data?.structured?.milestones;
+        return Array.isArray(milestones) && milestones.length > 0
+            ? { technology: window.technologyResearch.currentResearch.technology, phases: milestones }
+            : null;
+    }
+
+    importForecastPhases() {
+        const forecast = this.getForecastPhases();
+        if (!forecast) return;
+
+        this.forecastPhases = forecast.phases;
+        const technologyInput = document.getElementById('roadmap-technology');
+        if (technologyInput && !technologyInput.value.trim()) {
+            technologyInput.value = forecast.technology;
+        }
+
+        document.getElementById('roadmap-editor').style.display = 'none';
+        const notice = document.getElementById('roadmap-forecast-notice');
+        notice.style.display = 'block';
+        notice.innerHTML = `
+            <div class="roadmap-notice">
+                <i class="fas fa-chart-line"></i> Using ${forecast.phases.length} phases from the ${window.agentRegistry.escape(forecast.technology)} 5-year forecast:
+                ${forecast.phases.map(phase => `${window.agentRegistry.escape(phase.phase)} (Y${phase.startYear}-${phase.endYear})`).join(', ')}.
+                <a href="#" onclick="roadmapPlanningInterface.clearForecastPhases(); return false;">Edit initiatives instead</a>
+            </div>
+        `;
+    }
+
+    clearForecastPhases() {
+        this.forecastPhases = null;
+        document.getElementById('roadmap-forecast-notice').style.display = 'none';
+        document.getElementById('roadmap-editor').style.display = 'block';
+    }
+
+    // Read the form into a request body; blank initiative rows are skipped
+    readRequest() {
+        const value = id => document.getElementById(id)?.value.trim() || '';
+        const initiatives = this.forecastPhases ? [] : [...document.querySelectorAll('#roadmap-initiatives .initiative-row')]
+            .map(row => ({
+                name: row.querySelector('.initiative-name').value.trim(),
+                durationMonths: row.querySelector('.initiative-duration').value,
+                dependencies: row.querySelector('.initiative-dependencies').value,
+                resources: row.querySelector('.initiative-resources').value
+            }))
+            .filter(initiative => initiative.name);
+
+        return {
+            technology: value('roadmap-technology'),
+            startDate: value('roadmap-start'),
+            capacity: value('roadmap-capacity'),
+            initiatives: initiatives,
+            forecastPhases: this.forecastPhases || undefined,
+            analysisDepth: value('roadmap-depth'),
+            organization: window.organizationProfile?.getRequestProfile()
+        };
+    }
+
+    async startPlanning() {
+        const request = this.readRequest();
+
+        if (!request.technology) {
+            alert('Please enter the programme or technology this roadmap is for.');
+            return;
+        }
+
+        if (request.initiatives.length === 0 && !request.forecastPhases) {
+            alert('Please add at least one initiative or use the 5-year forecast phases.');
+            return;
+        }
+
+        const progressDiv = document.getElementById('roadmap-progress');
+        const resultsDiv = document.getElementById('roadmap-results');
+        const startBtn = document.getElementById('roadmap-start-btn');
+
+        progressDiv.style.display = 'block';
+        resultsDiv.style.display = 'none';
+        startBtn.disabled = true;
+        startBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Planning...';
+
+        try {
+            const response = await fetch('/.netlify/functions/roadmap-planning', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(request)
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.currentRoadmap = result;
+                this.displayResults(result.data);
+                window.agentRegistry?.recordRun('roadmap-planning', result);
+            } else {
+                this.displayError(result.error || 'Roadmap planning failed');
+            }
+        } catch (error) {
+            console.error('Roadmap planning error:', error);
+            this.displayError('Failed to connect to roadmap service. Please try again.');
+        } finally {
+            progressDiv.style.display = 'none';
+            startBtn.disabled = false;
+            startBtn.innerHTML = '<i class="fas fa-play"></i> Build Roadmap';
+        }
+    }
+
+    // Show a run saved in the research library
+    reopen(result) {
+        this.initializeInterface();
+        this.currentRoadmap = result;
+        this.displayResults(result.data);
+    }
+
+    displayResults(data) {
+        const resultsDiv = document.getElementById('roadmap-results');
+        const { schedule } = data;
+        const names = this.initiativeNames(schedule);
+
+        resultsDiv.innerHTML = `
+            <p style="color: #34495e; line-height: 1.6;">${window.agentRegistry.escape(data.summary)}</p>
+
+            <div class="roadmap-kpis">
+                <div class="roadmap-kpi"><strong>${schedule.totalMonths} mo</strong><span>Duration to ${schedule.endLabel}</span></div>
+                <div class="roadmap-kpi"><strong>${schedule.unconstrainedMonths} mo</strong><span>Unconstrained</span></div>
+                <div class="roadmap-kpi"><strong>+${schedule.levellingDelayMonths} mo</strong><span>Levelling Delay</span></div>
+                <div class="roadmap-kpi"><strong>${schedule.criticalPath.length}</strong><span>Critical Initiatives</span></div>
+                <div class="roadmap-kpi"><strong>${data.milestones.length}</strong><span>Milestones</span></div>
+            </div>
+
+            ${schedule.overallocated.length > 0 ? `
+                <div class="roadmap-notice" style="background: #fdecea; margin-top: 15px;">
+                    <i class="fas fa-exclamation-triangle"></i> Needs more than the available capacity on its own:
+                    ${schedule.overallocated.map(id => window.agentRegistry.escape(names.get(id))).join(', ')}
+                </div>
+            ` : ''}
+
+            <div class="roadmap-section">
+                <h3><i class="fas fa-stream"></i> Gantt Roadmap</h3>
+                <p style="color: #7f8c8d; font-size: 0.9rem;">Critical path: ${schedule.criticalPath.map(id => window.agentRegistry.escape(names.get(id))).join(' &rarr; ')}</p>
+                <div style="height: ${Math.max(220, schedule.initiatives.length * 36 + 90)}px;">
+                    <canvas id="roadmap-gantt-chart"></canvas>
+                </div>
+            </div>
+
+            ${schedule.resourceProfile.length > 0 ? `
+                <div class="roadmap-section">
+                    <h3><i class="fas fa-users-cog"></i> Resource Plan</h3>
+                    <div style="height: 280px;"><canvas id="roadmap-resource-chart"></canvas></div>
+                </div>
+            ` : ''}
+
+            <div class="roadmap-section">
+                <h3><i class="fas fa-list-ol"></i> Schedule and Sequencing Rationale</h3>
+                <div style="overflow-x: auto;">
+                    <table class="roadmap-table">
+                        <tr><th>Initiative</th><th>When</th><th>Months</th><th>Slack</th><th>Depends On</th><th>Rationale</th></tr>
+                        ${schedule.initiatives.map(item => `
+                            <tr class="${item.critical ? 'critical' : ''}">
+                                <td><strong>${window.agentRegistry.escape(item.name)}</strong>${item.critical ? '<br><span style="color: #e74c3c; font-size: 0.8rem;">Critical</span>' : ''}</td>
+                                <td style="white-space: nowrap;">${item.startLabel} - ${item.finishLabel}${item.delayMonths > 0 ? `<br><span style="color: #f39c12; font-size: 0.8rem;">+${item.delayMonths} mo for capacity</span>` : ''}</td>
+                                <td>${item.durationMonths}</td>
+                                <td>${item.slackMonths}</td>
+                                <td>${item.dependencies.map(id => window.agentRegistry.escape(names.get(id))).join(', ') || '-'}</td>
+                                <td>${window.agentRegistry.escape(item.rationale)}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                </div>
+            </div>
+
+            <div class="roadmap-section">
+                <h3><i class="fas fa-flag-checkered"></i> Milestones</h3>
+                <table class="roadmap-table">
+                    <tr><th>Due</th><th>Milestone</th><th>Marked By</th><th>Success Criteria</th></tr>
+                    ${data.milestones.map(milestone => `
+                        <tr class="${milestone.critical ? 'critical' : ''}">
+                            <td style="white-space: nowrap;">${milestone.dueLabel}</td>
+                            <td><strong>${window.agentRegistry.escape(milestone.name)}</strong></td>
+                            <td>${window.agentRegistry.escape(milestone.initiative)}</td>
+                            <td>${window.agentRegistry.escape(milestone.successCriteria)}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+
+            ${data.recommendations.length > 0 ? `
+                <div class="roadmap-section">
+                    <h3><i class="fas fa-lightbulb"></i> Timeline Optimization</h3>
+                    <ul style="line-height: 1.7;">
+                        ${data.recommendations.map(recommendation => `
+                            <li><strong>${this.recommendationLabels[recommendation.type]}</strong>${recommendation.initiativeIds.length > 0 ? ` (${recommendation.initiativeIds.map(id => window.agentRegistry.escape(names.get(id))).join(', ')})` : ''}: ${window.agentRegistry.escape(recommendation.suggestion)}</li>
+                        `).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+
+            <div class="roadmap-section" style="padding-top: 20px; border-top: 2px solid #e1e8ed;">
+                <h3><i class="fas fa-download"></i> Artifacts</h3>
+                <div class="roadmap-artifacts" id="roadmap-artifacts"></div>
+            </div>
+        `;
+
+        resultsDiv.style.display = 'block';
+
+        // Charts first, so the PNG artifacts can be taken from them
+        setTimeout(() => {
+            this.createGanttChart(data.chartData, data.startDate);
+            this.createResourceChart(data.resourceChartData);
+            this.generateArtifacts(data);
+        }, 100);
+    }
+
+    initiativeNames(schedule) {
+        return new Map(schedule.initiatives.map(item => [item.id, item.name]));
+    }
+
+    createGanttChart(chartData, startDate) {
+        const ctx = document.getElementById('roadmap-gantt-chart');
+        if (!ctx || !chartData) return;
+
+        if (this.charts.gantt) {
+            this.charts.gantt.destroy();
+        }
+
+        this.charts.gantt = new Chart(ctx, {
+            type: 'bar',
+            data: chartData.data,
+            options: {
+                ...chartData.options,
+                maintainAspectRatio: false,
+                // Render synchronously so the PNG export has the finished chart
+                animation: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: chartData.title
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: context => `${context.dataset.label}: month ${context.raw[0]} to ${context.raw[1]}`
+                        }
+                    }
+                },
+                scales: {
+                    ...chartData.options.scales,
+                    x: {
+                        ...chartData.options.scales.x,
+                        title: {
+                            display: true,
+                            text: `Months from ${startDate}`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    createResourceChart(chartData) {
+        const ctx = document.getElementById('roadmap-resource-chart');
+        if (!ctx || !chartData) return;
+
+        if (this.charts.resources) {
+            this.charts.resources.destroy();
+        }
+
+        this.charts.resources = new Chart(ctx, {
+            type: 'line',
+            data: chartData.data,
+            options: {
+                ...chartData.options,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: chartData.title
+                    }
+                }
+            }
+        });
+    }
+
+    // Build downloadable artifacts in the same card format as Technology Research
+    generateArtifacts(data) {
+        const fileBase = `${data.technology.replace(/\s+/g, '_')}_Roadmap`;
+        this.artifacts = [];
+
+        try {
+            this.artifacts.push({
+                name: `${fileBase}.pdf`,
+                title: 'Roadmap Report',
+                description: 'Schedule, critical path, milestones and rationale (PDF)',
+                url: this.generateRoadmapPDF(data),
+                icon: 'fas fa-file-pdf'
+            });
+        } catch (error) {
+            console.error('Roadmap PDF generation failed:', error);
+        }
+
+        if (this.charts.gantt) {
+            this.artifacts.push({
+                name: `${fileBase}_Gantt.png`,
+                title: 'Gantt Chart',
+                description: 'Levelled multi-year roadmap (PNG)',
+                url: this.charts.gantt.toBase64Image(),
+                icon: 'fas fa-stream'
+            });
+        }
+
+        if (this.charts.resources) {
+            this.artifacts.push({
+                name: `${fileBase}_Resources.png`,
+                title: 'Resource Plan Chart',
+                description: 'Monthly demand against capacity (PNG)',
+                url: this.charts.resources.toBase64Image(),
+                icon: 'fas fa-users-cog'
+            });
+        }
+
+        this.artifacts.push({
+            name: `${fileBase}_Schedule.csv`,
+            title: 'Schedule',
+            description: 'Initiatives with dates, slack and dependencies (CSV)',
+            url: this.generateScheduleCSV(data),
+            icon: 'fas fa-table'
+        });
+
+        this.artifacts.push({
+            name: `${fileBase}_Data.json`,
+            title: 'Complete Roadmap Data',
+            description: 'Raw roadmap data and metadata (JSON)',
+            url: URL.createObjectURL(new Blob([JSON.stringify(this.currentRoadmap, null, 2)], { type: 'application/json' })),
+            icon: 'fas fa-database'
+        });
+
+        const artifactsDiv = document.getElementById('roadmap-artifacts');
+        if (artifactsDiv) {
+            artifactsDiv.innerHTML = this.artifacts.map(artifact => `
+                <a class="roadmap-artifact" href="${artifact.url}" download="${artifact.name}">
+                    <i class="${artifact.icon}"></i>
+                    <div>
+                        <strong>${artifact.title}</strong>
+                        <div style="font-size: 0.8rem; color: #7f8c8d;">${artifact.description}</div>
+                    </div>
+                </a>
+            `).join('');
+        }
+    }
+
+    // Roadmap report - summary, Gantt image, schedule with rationale, milestones and optimization ideas
+    generateRoadmapPDF(data) {
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF();
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const margin = 20;
+        const lineHeight = 6;
+        const { schedule } = data;
+        const names = this.initiativeNames(schedule);
+        let yPosition = 30;
+
+        const ensureSpace = needed => {
+            if (yPosition + needed > 275) {
+                doc.addPage();
+                yPosition = 30;
+            }
+        };
+        const heading = text => {
+            ensureSpace(20);
+            yPosition += 6;
+            doc.setFontSize(14);
+            doc.setFont(undefined, 'bold');
+            doc.text(text, margin, yPosition);
+            yPosition += 8;
+            doc.setFontSize(10);
+            doc.setFont(undefined, 'normal');
+        };
+        const paragraph = (text, indent = 0) => {
+            const lines = doc.splitTextToSize(text, pageWidth - 2 * margin - indent);
+            ensureSpace(lines.length * lineHeight);
+            doc.text(lines, margin + indent, yPosition);
+            yPosition += lines.length * lineHeight;
+        };
+
+        doc.setFontSize(20);
+        doc.setFont(undefined, 'bold');
+        doc.text('Technology Roadmap', margin, yPosition);
+        yPosition += 12;
+        doc.setFontSize(16);
+        doc.text(data.technology, margin, yPosition);
+        yPosition += 8;
+        doc.setFontSize(10);
+        doc.setFont(undefined, 'normal');
+        doc.text(`Generated: ${new Date().toLocaleDateString()}`, margin, yPosition);
+        yPosition += 6;
+
+        heading('Summary');
+        paragraph(data.summary);
+        paragraph(`${schedule.totalMonths} months from ${data.startDate} to ${schedule.endLabel} (${schedule.unconstrainedMonths} months without resource limits). Critical path: ${schedule.criticalPath.map(id => names.get(id)).join(' -> ')}.`);
+
+        if (this.charts.gantt) {
+            const imageWidth = pageWidth - 2 * margin;
+            const canvas = this.charts.gantt.canvas;
+            const imageHeight = imageWidth * canvas.height / canvas.width;
+            ensureSpace(imageHeight + 5);
+            doc.addImage(this.charts.gantt.toBase64Image(), 'PNG', margin, yPosition, imageWidth, imageHeight);
+            yPosition += imageHeight + 5;
+        }
+
+        heading('Schedule');
+        schedule.initiatives.forEach(item => {
+            paragraph(`${item.name}${item.critical ? ' [CRITICAL]' : ''}: ${item.startLabel} - ${item.finishLabel} (${item.durationMonths} months, slack ${item.slackMonths}${item.delayMonths > 0 ? `, delayed ${item.delayMonths} for capacity` : ''})`);
+            if (item.dependencies.length > 0) paragraph(`After: ${item.dependencies.map(id => names.get(id)).join(', ')}`, 5);
+            if (item.rationale) paragraph(item.rationale, 5);
+        });
+
+        heading('Milestones');
+        data.milestones.forEach(milestone => {
+            paragraph(`• ${milestone.dueLabel} - ${milestone.name} (${milestone.initiative}): ${milestone.successCriteria}`, 5);
+        });
+
+        if (data.recommendations.length > 0) {
+            heading('Timeline Optimization');
+            data.recommendations.forEach(recommendation => {
+                paragraph(`• ${this.recommendationLabels[recommendation.type]}: ${recommendation.suggestion}`, 5);
+            });
+        }
+
+        return URL.createObjectURL(doc.output('blob'));
+    }
+
+    // Schedule as CSV for import into a planning tool
+    generateScheduleCSV(data) {
+        const { schedule } = data;
+        const names = this.initiativeNames(schedule);
+        const csvCell = value => `"${String(value).replace(/"/g, '""')}"`;
+        const rows = [
+            ['Initiative', 'Start', 'Finish', 'Start Month', 'Finish Month', 'Duration (months)', 'Slack (months)', 'Critical', 'Capacity Delay (months)', 'Depends On', 'Resources', 'Rationale'],
+            ...schedule.initiatives.map(item => [
+                item.name, item.startLabel, item.finishLabel, item.start, item.finish, item.durationMonths, item.slackMonths,
+                item.critical ? 'yes' : 'no', item.delayMonths,
+                item.dependencies.map(id => names.get(id)).join('; '),
+                Object.entries(item.resources).map(([pool, units]) => `${pool}:${units}`).join('; '),
+                item.rationale
+            ])
+        ];
+
+        const csv = rows.map(row => row.map(csvCell).join(',')).join('\n');
+        return URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    }
+
+    displayError(error) {
+        window.agentRegistry.showError(document.getElementById('roadmap-results'), 'Roadmap Planning Failed', error);
+    }
+}
+
+// Initialize the interface
+window.roadmapPlanningInterface = new RoadmapPlanningInterface();
+
+// Register with the dashboard
+window.agentRegistry.register({
+    id: 'roadmap-planning',
+    name: 'Roadmap Planning Agent',
+    description: 'Multi-year technology roadmap development with dependency mapping and milestone planning.',
+    icon: 'fas fa-road',
+    priority: 5,
+    features: [
+        'Dependency analysis',
+        'Timeline optimization',
+        'Resource planning',
+        'Milestone tracking'
+    ],
+    metrics: '~15s • Gantt roadmap',
+    endpoint: 'roadmap-planning',
+    interface: window.roadmapPlanningInterface
+});
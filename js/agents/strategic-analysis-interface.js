@@ -0,0 +1,772 @@
+// FILE PATH: js/agents/strategic-analysis-interface.js
+// Strategic Analysis Agent Interface
+// Business case input form, financial model and risk matrix views, and exportable artifacts
+
+class StrategicAnalysisInterface {
+    constructor() {
+        this.currentAnalysis = null;
+        this.cashFlowChart = null;
+        this.artifacts = [];
+        this.currencies = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY'];
+        this.recommendationLabels = {
+            'proceed': 'Proceed',
+            'proceed-with-conditions': 'Proceed with Conditions',
+            'defer': 'Defer',
+            'do-not-proceed': 'Do Not Proceed'
+        };
+        this.severityColors = { high: '#e74c3c', medium: '#f39c12', low: '#27ae60' };
+    }
+
+    initializeInterface() {
+        const modal = document.getElementById('agent-modal');
+
+        modal.innerHTML = `
+            <div class="modal-content strategic-modal">
+                <div class="modal-header">
+                    <h2><i class="fas fa-chess"></i> Strategic Analysis Agent</h2>
+                    <span class="close" onclick="closeModal()">&times;</span>
+                </div>
+                <div class="modal-body" style="padding: 30px;">
+                    <div class="strategic-input" id="strategic-input">
+                        <h3 style="color: #2c3e50; margin-bottom: 10px;">
+                            <i class="fas fa-briefcase"></i> Business Case Development
+                        </h3>
+                        <p style="color: #7f8c8d; margin-bottom: 20px; line-height: 1.6;">
+                            Quantified benefits, ROI/NPV/payback model, likelihood-impact risk matrix and a phased implementation roadmap.
+                        </p>
+
+                        <div class="strategic-field">
+                            <label for="strategic-technology">Technology</label>
+                            <input type="text" id="strategic-technology" placeholder="e.g., Zero Trust Security, Data Mesh, AIOps">
+                        </div>
+
+                        <div class="strategic-field">
+                            <label for="strategic-objectives">Business Objectives <span class="field-hint">one per line</span></label>
+                            <textarea id="strategic-objectives" rows="3" placeholder="e.g., Reduce breach risk&#10;Retire legacy VPN by 2027"></textarea>
+                        </div>
+
+                        <div class="strategic-grid">
+                            <div class="strategic-field">
+                                <label for="strategic-currency">Currency</label>
+                                <select id="strategic-currency">
+                                    ${this.currencies.map(currency => `<option value="${currency}">${currency}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="strategic-field">
+                                <label for="strategic-capex">One-time Budget</label>
+                                <input type="number" id="strategic-capex" min="0" step="1000" placeholder="No limit">
+                            </div>
+                            <div class="strategic-field">
+                                <label for="strategic-opex">Annual Run Budget</label>
+                                <input type="number" id="strategic-opex" min="0" step="1000" placeholder="No limit">
+                            </div>
+                            <div class="strategic-field">
+                                <label for="strategic-payback">Max Payback (months)</label>
+                                <input type="number" id="strategic-payback" min="1" placeholder="No limit">
+                            </div>
+                            <div class="strategic-field">
+                                <label for="strategic-horizon">Horizon</label>
+                                <select id="strategic-horizon">
+                                    <option value="3">3 years</option>
+                                    <option value="5" selected>5 years</option>
+                                    <option value="7">7 years</option>
+                                    <option value="10">10 years</option>
+                                </select>
+                            </div>
+                            <div class="strategic-field">
+                                <label for="strategic-discount">Discount Rate (%)</label>
+                                <input type="number" id="strategic-discount" min="0" max="50" step="0.5" value="8">
+                            </div>
+                        </div>
+
+                        <div class="strategic-field">
+                            <label for="strategic-depth">Analysis Depth</label>
+                            <select id="strategic-depth">
+                                <option value="overview">Overview (Quick insights)</option>
+                                <option value="comprehensive" selected>Comprehensive (Full analysis)</option>
+                                <option value="detailed">Detailed (In-depth research)</option>
+                            </select>
+                        </div>
+
+                        <button id="strategic-start-btn" class="strategic-button" onclick="strategicAnalysisInterface.startAnalysis()">
+                            <i class="fas fa-play"></i> Build Business Case
+                        </button>
+                    </div>
+
+                    <div id="strategic-progress" style="display: none; margin-top: 30px;">
+                        <div style="background: #f8f9fa; border-radius: 12px; padding: 25px; text-align: center;">
+                            <i class="fas fa-chess fa-2x" style="color: #3498db; margin-bottom: 15px;"></i>
+                            <h4 style="color: #2c3e50; margin-bottom: 10px;">Building Business Case</h4>
+                            <p style="color: #7f8c8d;">Quantifying benefits, modelling cash flows and assessing risks...</p>
+                        </div>
+                    </div>
+
+                    <div id="strategic-results" style="display: none; margin-top: 30px;"></div>
+                </div>
+            </div>
+
+            <style>
+                .strategic-field {
+                    margin-bottom: 15px;
+                }
+
+                .strategic-field label {
+                    display: block;
+                    font-weight: 600;
+                    color: #2c3e50;
+                    margin-bottom: 6px;
+                }
+
+                .strategic-field input,
+                .strategic-field select,
+                .strategic-field textarea {
+                    width: 100%;
+                    padding: 10px 12px;
+                    border: 2px solid #e1e8ed;
+                    border-radius: 8px;
+                    font-size: 0.95rem;
+                    font-family: inherit;
+                }
+
+                .field-hint {
+                    font-weight: 400;
+                    color: #95a5a6;
+                    font-size: 0.85rem;
+                }
+
+                .strategic-grid {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+                    gap: 0 15px;
+                }
+
+                .strategic-button {
+                    background: linear-gradient(45deg, #3498db, #2980b9);
+                    color: white;
+                    border: none;
+                    padding: 12px 24px;
+                    border-radius: 8px;
+                    font-weight: 600;
+                    cursor: pointer;
+                    width: 100%;
+                    font-size: 1rem;
+                }
+
+                .strategic-button:disabled {
+                    background: #bdc3c7;
+                    cursor: not-allowed;
+                }
+
+                .strategic-section {
+                    margin-top: 25px;
+                }
+
+                .strategic-section h3 {
+                    color: #2c3e50;
+                    margin-bottom: 15px;
+                }
+
+                .recommendation-banner {
+                    padding: 15px 20px;
+                    border-radius: 8px;
+                    color: white;
+                    font-weight: 600;
+                    margin-bottom: 15px;
+                }
+
+                .kpi-grid {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+                    gap: 12px;
+                }
+
+                .kpi-card {
+                    background: #f8f9fa;
+                    border-radius: 8px;
+                    padding: 15px;
+                    text-align: center;
+                }
+
+                .kpi-value {
+                    font-size: 1.4rem;
+                    font-weight: 700;
+                    color: #2c3e50;
+                }
+
+                .kpi-label {
+                    font-size: 0.8rem;
+                    color: #7f8c8d;
+                    text-transform: uppercase;
+                }
+
+                .budget-badges {
+                    display: flex;
+                    gap: 8px;
+                    flex-wrap: wrap;
+                    margin-top: 12px;
+                }
+
+                .budget-badge {
+                    padding: 4px 10px;
+                    border-radius: 12px;
+                    font-size: 0.8rem;
+                    font-weight: 600;
+                }
+
+                .budget-badge.pass { background: #d5f5d0; color: #1e8449; }
+                .budget-badge.fail { background: #fadbd8; color: #a93226; }
+
+                .strategic-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 0.9rem;
+                }
+
+                .strategic-table th,
+                .strategic-table td {
+                    padding: 8px 10px;
+                    border-bottom: 1px solid #e1e8ed;
+                    text-align: left;
+                    vertical-align: top;
+                }
+
+                .strategic-table th {
+                    background: #f8f9fa;
+                    color: #2c3e50;
+                }
+
+                .strategic-table td.amount {
+                    text-align: right;
+                    white-space: nowrap;
+                }
+
+                .risk-matrix {
+                    display: grid;
+                    grid-template-columns: 90px repeat(5, 1fr);
+                    gap: 3px;
+                    font-size: 0.75rem;
+                }
+
+                .risk-cell {
+                    min-height: 48px;
+                    border-radius: 4px;
+                    padding: 4px;
+                    color: white;
+                    font-weight: 600;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    flex-wrap: wrap;
+                    gap: 3px;
+                }
+
+                .risk-axis {
+                    color: #7f8c8d;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    text-align: center;
+                }
+
+                .roadmap-row {
+                    display: grid;
+                    grid-template-columns: 140px 1fr;
+                    align-items: center;
+                    gap: 10px;
+                    margin-bottom: 8px;
+                }
+
+                .roadmap-track {
+                    position: relative;
+                    height: 28px;
+                    background: #f8f9fa;
+                    border-radius: 4px;
+                }
+
+                .roadmap-bar {
+                    position: absolute;
+                    top: 0;
+                    bottom: 0;
+                    background: linear-gradient(45deg, #3498db, #2980b9);
+                    border-radius: 4px;
+                    color: white;
+                    font-size: 0.75rem;
+                    padding: 6px 8px;
+                    white-space: nowrap;
+                    overflow: hidden;
+                }
+
+                .strategic-artifacts {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                    gap: 12px;
+                }
+
+                .strategic-artifact {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    background: #f8f9fa;
+                    border-radius: 8px;
+                    padding: 12px;
+                    color: #2c3e50;
+                    text-decoration: none;
+                }
+
+                .strategic-artifact i {
+                    font-size: 1.4rem;
+                    color: #3498db;
+                }
+            </style>
+        `;
+    }
+
+    // Read the form into a request body
+    readRequest() {
+        const value = id => document.getElementById(id)?.value.trim() || '';
+
+        return {
+            technology: value('strategic-technology'),
+            objectives: value('strategic-objectives'),
+            budget: {
+                currency: value('strategic-currency'),
+                capex: value('strategic-capex') || null,
+                annualOpex: value('strategic-opex') || null,
+                maxPaybackMonths: value('strategic-payback') || null
+            },
+            horizonYears: value('strategic-horizon'),
+            discountRate: value('strategic-discount'),
+            analysisDepth: value('strategic-depth'),
+            organization: window.organizationProfile?.getRequestProfile()
+        };
+    }
+
+    async startAnalysis() {
+        const request = this.readRequest();
+
+        if (!request.technology) {
+            alert('Please enter a technology to build the business case for.');
+            return;
+        }
+
+        const progressDiv = document.getElementById('strategic-progress');
+        const resultsDiv = document.getElementById('strategic-results');
+        const startBtn = document.getElementById('strategic-start-btn');
+
+        progressDiv.style.display = 'block';
+        resultsDiv.style.display = 'none';
+        startBtn.disabled = true;
+        startBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Analyzing...';
+
+        try {
+            const response = await fetch('/.netlify/functions/strategic-analysis', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(request)
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.currentAnalysis = result;
+                this.displayResults(result.data);
+                window.agentRegistry?.recordRun('strategic-analysis', result);
+            } else {
+                this.displayError(result.error || 'Analysis failed');
+            }
+        } catch (error) {
+            console.error('Strategic analysis error:', error);
+            this.displayError('Failed to connect to analysis service. Please try again.');
+        } finally {
+            progressDiv.style.display = 'none';
+            startBtn.disabled = false;
+            startBtn.innerHTML = '<i class="fas fa-play"></i> Build Business Case';
+        }
+    }
+
+    // Show a run saved in the research library
+    reopen(result) {
+        this.initializeInterface();
+        this.currentAnalysis = result;
+        this.displayResults(result.data);
+    }
+
+    displayResults(data) {
+        const resultsDiv = document.getElementById('strategic-results');
+        const financialModel = data.financialModel;
+        const money = amount => this.formatMoney(amount, financialModel.currency);
+        const recommendationColors = {
+            'proceed': '#27ae60',
+            'proceed-with-conditions': '#2980b9',
+            'defer': '#f39c12',
+            'do-not-proceed': '#e74c3c'
+        };
+
+        resultsDiv.innerHTML = `
+            <div class="recommendation-banner" style="background: ${recommendationColors[data.recommendation]};">
+                <i class="fas fa-flag"></i> Recommendation: ${this.recommendationLabels[data.recommendation]}
+            </div>
+            <p style="color: #34495e; line-height: 1.6;">${window.agentRegistry.escape(data.summary)}</p>
+
+            <div class="strategic-section">
+                <h3><i class="fas fa-coins"></i> Financial Model (${financialModel.horizonYears} years, ${financialModel.discountRatePercent}% discount rate)</h3>
+                <div class="kpi-grid">
+                    ${this.renderKpi('NPV', money(financialModel.npv))}
+                    ${this.renderKpi('Risk-adjusted NPV', money(financialModel.riskAdjustedNpv))}
+                    ${this.renderKpi('ROI', financialModel.roiPercent !== null ? `${financialModel.roiPercent}%` : 'n/a')}
+                    ${this.renderKpi('IRR', financialModel.irrPercent !== null ? `${financialModel.irrPercent}%` : 'n/a')}
+                    ${this.renderKpi('Payback', financialModel.paybackMonths !== null ? `${financialModel.paybackMonths} mo` : 'Not reached')}
+                </div>
+                <div class="budget-badges">${this.renderBudgetFit(financialModel.budgetFit)}</div>
+                <div style="height: 320px; margin-top: 20px;">
+                    <canvas id="strategic-cash-flow-chart"></canvas>
+                </div>
+            </div>
+
+            <div class="strategic-section">
+                <h3><i class="fas fa-chart-line"></i> Quantified Benefits</h3>
+                <table class="strategic-table">
+                    <tr><th>Benefit</th><th>Category</th><th>Annual Value</th><th>From</th><th>Confidence</th><th>Assumption</th></tr>
+                    ${data.businessCase.benefits.map(benefit => `
+                        <tr>
+                            <td>${window.agentRegistry.escape(benefit.name)}</td>
+                            <td>${benefit.category}</td>
+                            <td class="amount">${money(benefit.annualValue)}</td>
+                            <td>Year ${benefit.startYear}${benefit.rampUpYears > 1 ? ` (${benefit.rampUpYears}-yr ramp)` : ''}</td>
+                            <td>${benefit.confidence}</td>
+                            <td>${window.agentRegistry.escape(benefit.assumption)}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+
+            <div class="strategic-section">
+                <h3><i class="fas fa-receipt"></i> Costs</h3>
+                <table class="strategic-table">
+                    <tr><th>Item</th><th>Type</th><th>Amount</th><th>Timing</th></tr>
+                    ${data.businessCase.oneTimeCosts.map(cost => `
+                        <tr><td>${window.agentRegistry.escape(cost.item)}</td><td>One-time</td><td class="amount">${money(cost.amount)}</td><td>${cost.year === 0 ? 'Upfront' : `Year ${cost.year}`}</td></tr>
+                    `).join('')}
+                    ${data.businessCase.recurringCosts.map(cost => `
+                        <tr><td>${window.agentRegistry.escape(cost.item)}</td><td>Recurring</td><td class="amount">${money(cost.annualAmount)}/yr</td><td>From year ${cost.startYear}</td></tr>
+                    `).join('')}
+                </table>
+            </div>
+
+            <div class="strategic-section">
+                <h3><i class="fas fa-exclamation-triangle"></i> Risk Matrix</h3>
+                ${this.renderRiskMatrix(data.riskAssessment)}
+                <table class="strategic-table" style="margin-top: 15px;">
+                    <tr><th>ID</th><th>Risk</th><th>Category</th><th>L x I</th><th>Mitigation</th></tr>
+                    ${data.riskAssessment.risks.map(risk => `
+                        <tr>
+                            <td><strong style="color: ${this.severityColors[risk.severity]};">${risk.id}</strong></td>
+                            <td>${window.agentRegistry.escape(risk.risk)}</td>
+                            <td>${risk.category}</td>
+                            <td>${risk.likelihood} x ${risk.impact} = ${risk.score}</td>
+                            <td>${window.agentRegistry.escape(risk.mitigation)}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+
+            <div class="strategic-section">
+                <h3><i class="fas fa-road"></i> Implementation Roadmap (${data.roadmap.totalMonths} months)</h3>
+                ${this.renderRoadmap(data.roadmap)}
+            </div>
+
+            <div class="strategic-section" style="padding-top: 20px; border-top: 2px solid #e1e8ed;">
+                <h3><i class="fas fa-download"></i> Artifacts</h3>
+                <div class="strategic-artifacts" id="strategic-artifacts"></div>
+            </div>
+        `;
+
+        resultsDiv.style.display = 'block';
+
+        // Chart first, so the PNG artifact can be taken from it
+        setTimeout(() => {
+            this.createCashFlowChart(data.chartData);
+            this.generateArtifacts(data);
+        }, 100);
+    }
+
+    renderKpi(label, value) {
+        return `
+            <div class="kpi-card">
+                <div class="kpi-value">${value}</div>
+                <div class="kpi-label">${label}</div>
+            </div>
+        `;
+    }
+
+    // Pass/fail badges for the budget limits that were given
+    renderBudgetFit(budgetFit) {
+        const checks = [
+            ['withinCapex', 'One-time budget'],
+            ['withinOpex', 'Annual run budget'],
+            ['withinPayback', 'Payback target']
+        ];
+
+        return checks
+            .filter(([key]) => budgetFit[key] !== null)
+            .map(([key, label]) => `
+                <span class="budget-badge ${budgetFit[key] ? 'pass' : 'fail'}">
+                    <i class="fas fa-${budgetFit[key] ? 'check' : 'times'}"></i> ${label}
+                </span>
+            `).join('');
+    }
+
+    // 5x5 likelihood-impact grid, impact rows from severe down to negligible
+    renderRiskMatrix(riskAssessment) {
+        const { matrix } = riskAssessment;
+        const cellColors = { high: '#e74c3c', medium: '#f5b041', low: '#58d68d' };
+        let html = '<div class="risk-matrix">';
+
+        for (let impact = 5; impact >= 1; impact--) {
+            html += `<div class="risk-axis">${matrix.impactLabels[impact - 1]}</div>`;
+            matrix.cells
+                .filter(cell => cell.impact === impact)
+                .forEach(cell => {
+                    html += `<div class="risk-cell" style="background: ${cellColors[cell.severity]};">${cell.riskIds.join(' ')}</div>`;
+                });
+        }
+
+        html += '<div></div>';
+        matrix.likelihoodLabels.forEach(label => {
+            html += `<div class="risk-axis">${label}</div>`;
+        });
+        html += '</div>';
+        html += '<div style="text-align: center; color: #7f8c8d; font-size: 0.8rem; margin-top: 6px;">Likelihood &rarr; (rows: Impact)</div>';
+
+        return html;
+    }
+
+    // Phases as bars positioned on a month scale
+    renderRoadmap(roadmap) {
+        return roadmap.phases.map(phase => `
+            <div class="roadmap-row">
+                <div style="font-weight: 600; color: #2c3e50;">${window.agentRegistry.escape(phase.name)}</div>
+                <div class="roadmap-track">
+                    <div class="roadmap-bar"
+                         style="left: ${phase.startMonth / roadmap.totalMonths * 100}%; width: ${phase.durationMonths / roadmap.totalMonths * 100}%;"
+                         title="${window.agentRegistry.escape(phase.milestones.join('; '))}">
+                        M${phase.startMonth}-M${phase.endMonth}
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    createCashFlowChart(chartData) {
+        const ctx = document.getElementById('strategic-cash-flow-chart');
+        if (!ctx || !chartData) return;
+
+        if (this.cashFlowChart) {
+            this.cashFlowChart.destroy();
+        }
+
+        this.cashFlowChart = new Chart(ctx, {
+            type: 'bar',
+            data: chartData.data,
+            options: {
+                ...chartData.options,
+                maintainAspectRatio: false,
+                // Render synchronously so the PNG export has the finished chart
+                animation: false
+            }
+        });
+    }
+
+    // Build downloadable artifacts in the same card format as Technology Research
+    generateArtifacts(data) {
+        const fileBase = `${data.technology.replace(/\s+/g, '_')}_Business_Case`;
+        this.artifacts = [];
+
+        try {
+            this.artifacts.push({
+                name: `${fileBase}.pdf`,
+                title: 'Business Case Report',
+                description: 'Business case, financial model, risks and roadmap (PDF)',
+                url: this.generateBusinessCasePDF(data),
+                icon: 'fas fa-file-pdf'
+            });
+        } catch (error) {
+            console.error('Business case PDF generation failed:', error);
+        }
+
+        if (this.cashFlowChart) {
+            this.artifacts.push({
+                name: `${fileBase}_Cash_Flow.png`,
+                title: 'Cash Flow Chart',
+                description: 'Annual and cumulative cash flow (PNG)',
+                url: this.cashFlowChart.toBase64Image(),
+                icon: 'fas fa-chart-bar'
+            });
+        }
+
+        this.artifacts.push({
+            name: `${fileBase}_Risk_Register.csv`,
+            title: 'Risk Register',
+            description: 'Scored risks with mitigations (CSV)',
+            url: this.generateRiskRegisterCSV(data.riskAssessment),
+            icon: 'fas fa-table'
+        });
+
+        this.artifacts.push({
+            name: `${fileBase}_Data.json`,
+            title: 'Complete Analysis Data',
+            description: 'Raw analysis data and metadata (JSON)',
+            url: URL.createObjectURL(new Blob([JSON.stringify(this.currentAnalysis, null, 2)], { type: 'application/json' })),
+            icon: 'fas fa-database'
+        });
+
+        const artifactsDiv = document.getElementById('strategic-artifacts');
+        if (artifactsDiv) {
+            artifactsDiv.innerHTML = this.artifacts.map(artifact => `
+                <a class="strategic-artifact" href="${artifact.url}" download="${artifact.name}">
+                    <i class="${artifact.icon}"></i>
+                    <div>
+                        <strong>${artifact.title}</strong>
+                        <div style="font-size: 0.8rem; color: #7f8c8d;">${artifact.description}</div>
+                    </div>
+                </a>
+            `).join('');
+        }
+    }
+
+    // Business case report - summary, financials, benefits, costs, risks and roadmap
+    generateBusinessCasePDF(data) {
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF();
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const margin = 20;
+        const lineHeight = 6;
+        const financialModel = data.financialModel;
+        const money = amount => this.formatMoney(amount, financialModel.currency);
+        let yPosition = 30;
+
+        const ensureSpace = needed => {
+            if (yPosition + needed > 275) {
+                doc.addPage();
+                yPosition = 30;
+            }
+        };
+        const heading = text => {
+            ensureSpace(20);
+            yPosition += 6;
+            doc.setFontSize(14);
+            doc.setFont(undefined, 'bold');
+            doc.text(text, margin, yPosition);
+            yPosition += 8;
+            doc.setFontSize(10);
+            doc.setFont(undefined, 'normal');
+        };
+        const paragraph = (text, indent = 0) => {
+            const lines = doc.splitTextToSize(text, pageWidth - 2 * margin - indent);
+            ensureSpace(lines.length * lineHeight);
+            doc.text(lines, margin + indent, yPosition);
+            yPosition += lines.length * lineHeight;
+        };
+
+        doc.setFontSize(20);
+        doc.setFont(undefined, 'bold');
+        doc.text('Business Case', margin, yPosition);
+        yPosition += 12;
+        doc.setFontSize(16);
+        doc.text(`${data.technology} Strategic Analysis`, margin, yPosition);
+        yPosition += 8;
+        doc.setFontSize(10);
+        doc.setFont(undefined, 'normal');
+        doc.text(`Generated: ${new Date().toLocaleDateString()}`, margin, yPosition);
+        yPosition += 6;
+
+        heading(`Recommendation: ${this.recommendationLabels[data.recommendation]}`);
+        paragraph(data.summary);
+
+        if (data.objectives.length > 0) {
+            heading('Business Objectives');
+            data.businessCase.objectiveAlignment.forEach(alignment => {
+                paragraph(`• ${alignment.objective}: ${alignment.contribution}`, 5);
+            });
+        }
+
+        heading(`Financial Model (${financialModel.horizonYears} years, ${financialModel.discountRatePercent}% discount rate)`);
+        paragraph(`NPV ${money(financialModel.npv)} (risk-adjusted ${money(financialModel.riskAdjustedNpv)}), ROI ${financialModel.roiPercent !== null ? `${financialModel.roiPercent}%` : 'n/a'}, IRR ${financialModel.irrPercent !== null ? `${financialModel.irrPercent}%` : 'n/a'}, payback ${financialModel.paybackMonths !== null ? `${financialModel.paybackMonths} months` : 'not reached'}.`);
+        yPosition += 2;
+        financialModel.years.forEach(row => {
+            paragraph(`${row.year === 0 ? 'Upfront' : `Year ${row.year}`}: benefits ${money(row.benefits)}, costs ${money(row.oneTimeCosts + row.recurringCosts)}, net ${money(row.netCashFlow)}, cumulative ${money(row.cumulativeCashFlow)}`, 5);
+        });
+
+        heading('Quantified Benefits');
+        data.businessCase.benefits.forEach(benefit => {
+            paragraph(`• ${benefit.name} - ${money(benefit.annualValue)}/yr from year ${benefit.startYear} (${benefit.confidence} confidence). ${benefit.assumption}`, 5);
+        });
+
+        heading('Costs');
+        data.businessCase.oneTimeCosts.forEach(cost => {
+            paragraph(`• ${cost.item} - ${money(cost.amount)} ${cost.year === 0 ? 'upfront' : `in year ${cost.year}`}`, 5);
+        });
+        data.businessCase.recurringCosts.forEach(cost => {
+            paragraph(`• ${cost.item} - ${money(cost.annualAmount)}/yr from year ${cost.startYear}`, 5);
+        });
+
+        heading(`Risk Assessment (${data.riskAssessment.counts.high} high, ${data.riskAssessment.counts.medium} medium, ${data.riskAssessment.counts.low} low)`);
+        data.riskAssessment.risks.forEach(risk => {
+            paragraph(`• ${risk.id} [${risk.severity.toUpperCase()} ${risk.likelihood}x${risk.impact}] ${risk.risk} - Mitigation: ${risk.mitigation}`, 5);
+        });
+
+        heading('Implementation Roadmap');
+        data.roadmap.phases.forEach(phase => {
+            paragraph(`• Phase ${phase.phase}: ${phase.name} (month ${phase.startMonth}-${phase.endMonth}) - ${phase.objectives.join('; ')}. Milestones: ${phase.milestones.join('; ')}`, 5);
+        });
+
+        return URL.createObjectURL(doc.output('blob'));
+    }
+
+    // Risk register as CSV for import into a risk log
+    generateRiskRegisterCSV(riskAssessment) {
+        const csvCell = value => `"${String(value).replace(/"/g, '""')}"`;
+        const rows = [
+            ['ID', 'Risk', 'Category', 'Likelihood', 'Impact', 'Score', 'Severity', 'Mitigation'],
+            ...riskAssessment.risks.map(risk => [risk.id, risk.risk, risk.category, risk.likelihood, risk.impact, risk.score, risk.severity, risk.mitigation])
+        ];
+
+        const csv = rows.map(row => row.map(csvCell).join(',')).join('\n');
+        return URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    }
+
+    formatMoney(amount, currency) {
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency, maximumFractionDigits: 0 }).format(amount);
+        } catch (error) {
+            return `${currency} ${Math.round(amount).toLocaleString()}`;
+        }
+    }
+
+    displayError(error) {
+        window.agentRegistry.showError(document.getElementById('strategic-results'), 'Analysis Failed', error, 'strategicAnalysisInterface.initializeInterface()');
+    }
+}
+
+// Initialize the interface
+window.strategicAnalysisInterface = new StrategicAnalysisInterface();
+
+// Register with the dashboard
+window.agentRegistry.register({
+    id: 'strategic-analysis',
+    name: 'Strategic Analysis Agent',
+    description: 'Business-technology alignment analysis and strategic planning recommendations for enterprise initiatives.',
+    icon: 'fas fa-chess',
+    priority: 3,
+    features: [
+        'Business case development',
+        'ROI analysis frameworks',
+        'Risk assessment matrices',
+        'Implementation roadmaps'
+    ],
+    metrics: '~15s • Business case PDF',
+    endpoint: 'strategic-analysis',
+    interface: window.strategicAnalysisInterface
+});
@@ -0,0 +1,752 @@
+// FILE PATH: js/agents/supplier-evaluation-interface.js
+// Supplier Evaluation Agent Interface
+// Vendor shortlist with 4 P's weights, scorecards, TCO comparison and an RFP starting pack
+
+class SupplierEvaluationInterface {
+    constructor() {
+        this.currentEvaluation = null;
+        this.charts = {};
+        this.artifacts = [];
+        this.currencies = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY'];
+        this.pillars = {
+            people: { label: 'People', icon: 'fas fa-users' },
+            process: { label: 'Process', icon: 'fas fa-project-diagram' },
+            platform: { label: 'Platform', icon: 'fas fa-server' },
+            price: { label: 'Price', icon: 'fas fa-tag' }
+        };
+        this.severityColors = { high: '#e74c3c', medium: '#f39c12', low: '#27ae60' };
+    }
+
+    initializeInterface() {
+        const modal = document.getElementById('agent-modal');
+
+        modal.innerHTML = `
+            <div class="modal-content supplier-eval-modal">
+                <div class="modal-header">
+                    <h2><i class="fas fa-balance-scale"></i> Supplier Evaluation Agent</h2>
+                    <span class="close" onclick="closeModal()">&times;</span>
+                </div>
+                <div class="modal-body" style="padding: 30px;">
+                    <div id="supplier-eval-input">
+                        <h3 style="color: #2c3e50; margin-bottom: 10px;">
+                            <i class="fas fa-clipboard-check"></i> 4 P's Vendor Evaluation
+                        </h3>
+                        <p style="color: #7f8c8d; margin-bottom: 20px; line-height: 1.6;">
+                            Weighted People, Process, Platform and Price scorecards, multi-year total cost of ownership and a side-by-side comparison to seed your RFP.
+                        </p>
+
+                        <div class="eval-field">
+                            <label for="eval-technology">Solution Category</label>
+                            <input type="text" id="eval-technology" placeholder="e.g., Workforce Identity, Observability Platform, CRM">
+                        </div>
+
+                        <div class="eval-field">
+                            <label for="eval-vendors">Vendor Shortlist <span class="field-hint">2-6 vendors, one per line</span></label>
+                            <textarea id="eval-vendors" rows="4" placeholder="Okta&#10;Microsoft Entra ID&#10;Ping Identity"></textarea>
+                        </div>
+
+                        <div class="eval-field">
+                            <label>4 P's Weights <span class="field-hint">relative importance, normalized to 100%</span></label>
+                            <div class="eval-weights">
+                                ${Object.entries(this.pillars).map(([key, pillar]) => `
+                                    <div class="eval-weight">
+                                        <span><i class="${pillar.icon}"></i> ${pillar.label}</span>
+                                        <input type="range" id="eval-weight-${key}" min="0" max="100" value="25" oninput="supplierEvaluationInterface.updateWeightLabels()">
+                                        <strong id="eval-weight-${key}-label">25%</strong>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+
+                        <div class="eval-field">
+                            <label for="eval-requirements">Key Requirements <span class="field-hint">optional, one per line</span></label>
+                            <textarea id="eval-requirements" rows="3" placeholder="e.g., EU data residency&#10;SCIM provisioning for 5,000 users"></textarea>
+                        </div>
+
+                        <div class="eval-grid">
+                            <div class="eval-field">
+                                <label for="eval-currency">Currency</label>
+                                <select id="eval-currency">
+                                    ${this.currencies.map(currency => `<option value="${currency}">${currency}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="eval-field">
+                                <label for="eval-horizon">TCO Horizon</label>
+                                <select id="eval-horizon">
+                                    <option value="3">3 years</option>
+                                    <option value="5" selected>5 years</option>
+                                    <option value="7">7 years</option>
+                                    <option value="10">10 years</option>
+                                </select>
+                            </div>
+                            <div class="eval-field">
+                                <label for="eval-discount">Discount Rate (%)</label>
+                                <input type="number" id="eval-discount" min="0" max="50" step="0.5" value="8">
+                            </div>
+                            <div class="eval-field">
+                                <label for="eval-depth">Analysis Depth</label>
+                                <select id="eval-depth">
+                                    <option value="overview">Overview</option>
+                                    <option value="comprehensive" selected>Comprehensive</option>
+                                    <option value="detailed">Detailed</option>
+                                </select>
+                            </div>
+                        </div>
+
+                        <button id="eval-start-btn" class="eval-button" onclick="supplierEvaluationInterface.startEvaluation()">
+                            <i class="fas fa-play"></i> Evaluate Vendors
+                        </button>
+                    </div>
+
+                    <div id="eval-progress" style="display: none; margin-top: 30px;">
+                        <div style="background: #f8f9fa; border-radius: 12px; padding: 25px; text-align: center;">
+                            <i class="fas fa-balance-scale fa-2x" style="color: #3498db; margin-bottom: 15px;"></i>
+                            <h4 style="color: #2c3e50; margin-bottom: 10px;">Evaluating Vendors</h4>
+                            <p style="color: #7f8c8d;">Scoring the 4 P's and costing ownership for each vendor...</p>
+                        </div>
+                    </div>
+
+                    <div id="eval-results" style="display: none; margin-top: 30px;"></div>
+                </div>
+            </div>
+
+            <style>
+                .eval-field {
+                    margin-bottom: 15px;
+                }
+
+                .eval-field label {
+                    display: block;
+                    font-weight: 600;
+                    color: #2c3e50;
+                    margin-bottom: 6px;
+                }
+
+                .eval-field input[type="text"],
+                .eval-field input[type="number"],
+                .eval-field select,
+                .eval-field textarea {
+                    width: 100%;
+                    padding: 10px 12px;
+                    border: 2px solid #e1e8ed;
+                    border-radius: 8px;
+                    font-size: 0.95rem;
+                    font-family: inherit;
+                }
+
+                .field-hint {
+                    font-weight: 400;
+                    color: #95a5a6;
+                    font-size: 0.85rem;
+                }
+
+                .eval-grid {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+                    gap: 0 15px;
+                }
+
+                .eval-weights {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+                    gap: 10px 20px;
+                    background: #f8f9fa;
+                    border-radius: 8px;
+                    padding: 15px;
+                }
+
+                .eval-weight {
+                    display: grid;
+                    grid-template-columns: 100px 1fr 50px;
+                    align-items: center;
+                    gap: 8px;
+                    color: #2c3e50;
+                }
+
+                .eval-button {
+                    background: linear-gradient(45deg, #3498db, #2980b9);
+                    color: white;
+                    border: none;
+                    padding: 12px 24px;
+                    border-radius: 8px;
+                    font-weight: 600;
+                    cursor: pointer;
+                    width: 100%;
+                    font-size: 1rem;
+                }
+
+                .eval-button:disabled {
+                    background: #bdc3c7;
+                    cursor: not-allowed;
+                }
+
+                .eval-section {
+                    margin-top: 25px;
+                }
+
+                .eval-section h3 {
+                    color: #2c3e50;
+                    margin-bottom: 15px;
+                }
+
+                .eval-highlights {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+                    gap: 12px;
+                }
+
+                .eval-highlight {
+                    background: #f8f9fa;
+                    border-radius: 8px;
+                    padding: 15px;
+                    text-align: center;
+                }
+
+                .eval-highlight strong {
+                    display: block;
+                    font-size: 1.1rem;
+                    color: #2c3e50;
+                }
+
+                .eval-highlight span {
+                    font-size: 0.8rem;
+                    color: #7f8c8d;
+                    text-transform: uppercase;
+                }
+
+                .eval-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 0.9rem;
+                }
+
+                .eval-table th,
+                .eval-table td {
+                    padding: 8px 10px;
+                    border-bottom: 1px solid #e1e8ed;
+                    text-align: left;
+                    vertical-align: top;
+                }
+
+                .eval-table th {
+                    background: #f8f9fa;
+                    color: #2c3e50;
+                }
+
+                .eval-table td.best {
+                    background: #d5f5d0;
+                    font-weight: 700;
+                }
+
+                .eval-charts {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(320px, 1fr));
+                    gap: 20px;
+                }
+
+                .eval-chart {
+                    height: 300px;
+                }
+
+                .vendor-scorecard {
+                    border: 1px solid #e1e8ed;
+                    border-radius: 8px;
+                    padding: 12px 15px;
+                    margin-bottom: 10px;
+                }
+
+                .vendor-scorecard summary {
+                    cursor: pointer;
+                    font-weight: 600;
+                    color: #2c3e50;
+                }
+
+                .eval-artifacts {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                    gap: 12px;
+                }
+
+                .eval-artifact {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    background: #f8f9fa;
+                    border-radius: 8px;
+                    padding: 12px;
+                    color: #2c3e50;
+                    text-decoration: none;
+                }
+
+                .eval-artifact i {
+                    font-size: 1.4rem;
+                    color: #3498db;
+                }
+            </style>
+        `;
+    }
+
+    // Show each slider as its share of the total weight
+    updateWeightLabels() {
+        const weights = this.readWeights();
+        const total = Object.values(weights).reduce((sum, value) => sum + value, 0);
+
+        Object.keys(this.pillars).forEach(key => {
+            const label = document.getElementById(`eval-weight-${key}-label`);
+            if (label) {
+                label.textContent = total > 0 ? `${Math.round(weights[key] / total * 100)}%` : '25%';
+            }
+        });
+    }
+
+    readWeights() {
+        return Object.keys(this.pillars).reduce((weights, key) => {
+            weights[key] = parseInt(document.getElementById(`eval-weight-${key}`)?.value || '0', 10);
+            return weights;
+        }, {});
+    }
+
+    // Read the form into a request body
+    readRequest() {
+        const value = id => document.getElementById(id)?.value.trim() || '';
+
+        return {
+            technology: value('eval-technology'),
+            vendors: value('eval-vendors').split('\n').map(vendor => vendor.trim()).filter(Boolean),
+            weights: this.readWeights(),
+            requirements: value('eval-requirements'),
+            currency: value('eval-currency'),
+            horizonYears: value('eval-horizon'),
+            discountRate: value('eval-discount'),
+            analysisDepth: value('eval-depth'),
+            organization: window.organizationProfile?.getRequestProfile()
+        };
+    }
+
+    async startEvaluation() {
+        const request = this.readRequest();
+
+        if (!request.technology) {
+            alert('Please enter the solution category being evaluated.');
+            return;
+        }
+
+        if (request.vendors.length < 2 || request.vendors.length > 6) {
+            alert('Please list between 2 and 6 vendors, one per line.');
+            return;
+        }
+
+        const progressDiv = document.getElementById('eval-progress');
+        const resultsDiv = document.getElementById('eval-results');
+        const startBtn = document.getElementById('eval-start-btn');
+
+        progressDiv.style.display = 'block';
+        resultsDiv.style.display = 'none';
+        startBtn.disabled = true;
+        startBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Evaluating...';
+
+        try {
+            const response = await fetch('/.netlify/functions/supplier-evaluation', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(request)
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.currentEvaluation = result;
+                this.displayResults(result.data);
+                window.agentRegistry?.recordRun('supplier-evaluation', result);
+            } else {
+                this.displayError(result.error || 'Evaluation failed');
+            }
+        } catch (error) {
+            console.error('Supplier evaluation error:', error);
+            this.displayError('Failed to connect to evaluation service. Please try again.');
+        } finally {
+            progressDiv.style.display = 'none';
+            startBtn.disabled = false;
+            startBtn.innerHTML = '<i class="fas fa-play"></i> Evaluate Vendors';
+        }
+    }
+
+    // Show a run saved in the research library
+    reopen(result) {
+        this.initializeInterface();
+        this.currentEvaluation = result;
+        this.displayResults(result.data);
+    }
+
+    displayResults(data) {
+        const resultsDiv = document.getElementById('eval-results');
+        const { comparison } = data;
+
+        resultsDiv.innerHTML = `
+            <p style="color: #34495e; line-height: 1.6;">${window.agentRegistry.escape(data.summary)}</p>
+
+            <div class="eval-highlights">
+                <div class="eval-highlight"><span>Highest Score</span><strong>${window.agentRegistry.escape(comparison.highestScore)}</strong></div>
+                <div class="eval-highlight"><span>Lowest ${data.horizonYears}-Year TCO</span><strong>${window.agentRegistry.escape(comparison.lowestTco)}</strong></div>
+                <div class="eval-highlight"><span>Best Value</span><strong>${window.agentRegistry.escape(comparison.bestValue || 'n/a')}</strong></div>
+            </div>
+
+            <div class="eval-section">
+                <h3><i class="fas fa-chart-bar"></i> Scorecard and TCO</h3>
+                <div class="eval-charts">
+                    <div class="eval-chart"><canvas id="eval-scorecard-chart"></canvas></div>
+                    <div class="eval-chart"><canvas id="eval-tco-chart"></canvas></div>
+                </div>
+            </div>
+
+            <div class="eval-section">
+                <h3><i class="fas fa-columns"></i> Side-by-Side Comparison</h3>
+                <div style="overflow-x: auto;">${this.renderComparisonTable(data)}</div>
+            </div>
+
+            <div class="eval-section">
+                <h3><i class="fas fa-clipboard-list"></i> Vendor Scorecards</h3>
+                ${data.scorecards.map(card => this.renderScorecard(card, data.currency)).join('')}
+            </div>
+
+            <div class="eval-section">
+                <h3><i class="fas fa-file-signature"></i> RFP Starting Pack</h3>
+                ${this.renderRfpSeed(data.rfpSeed)}
+            </div>
+
+            <div class="eval-section" style="padding-top: 20px; border-top: 2px solid #e1e8ed;">
+                <h3><i class="fas fa-download"></i> Artifacts</h3>
+                <div class="eval-artifacts" id="eval-artifacts"></div>
+            </div>
+        `;
+
+        resultsDiv.style.display = 'block';
+
+        // Charts first, so the PNG artifacts can be taken from them
+        setTimeout(() => {
+            this.createChart('scorecard', 'eval-scorecard-chart', data.chartData);
+            this.createChart('tco', 'eval-tco-chart', data.tcoChartData);
+            this.generateArtifacts(data);
+        }, 100);
+    }
+
+    renderComparisonTable(data) {
+        const { comparison } = data;
+        const formatValue = (value, format) => format === 'money' ? this.formatMoney(value, data.currency) : value;
+
+        return `
+            <table class="eval-table">
+                <tr>
+                    <th>Criterion</th>
+                    ${comparison.vendors.map((vendor, index) => `<th>#${index + 1} ${window.agentRegistry.escape(vendor)}</th>`).join('')}
+                </tr>
+                ${comparison.rows.map(row => `
+                    <tr>
+                        <td>${row.label}${this.pillars[row.key] ? ` (${data.weights[row.key]}%)` : ''}</td>
+                        ${row.values.map((value, index) => `<td class="${index === row.bestIndex ? 'best' : ''}">${formatValue(value, row.format)}</td>`).join('')}
+                    </tr>
+                `).join('')}
+                <tr>
+                    <td>Value Index <span class="field-hint">score per 1M TCO</span></td>
+                    ${comparison.valueIndex.map(value => `<td>${value !== null ? value : 'n/a'}</td>`).join('')}
+                </tr>
+            </table>
+        `;
+    }
+
+    renderScorecard(card, currency) {
+        return `
+            <details class="vendor-scorecard" ${card.rank === 1 ? 'open' : ''}>
+                <summary>#${card.rank} ${window.agentRegistry.escape(card.vendor)} - ${card.weightedScore} weighted, ${this.formatMoney(card.tco.total, currency)} TCO</summary>
+                <table class="eval-table" style="margin-top: 10px;">
+                    <tr><th>Pillar</th><th>Score</th><th>Rationale</th></tr>
+                    ${Object.entries(this.pillars).map(([key, pillar]) => `
+                        <tr><td><i class="${pillar.icon}"></i> ${pillar.label}</td><td>${card.scores[key].score}</td><td>${window.agentRegistry.escape(card.scores[key].rationale)}</td></tr>
+                    `).join('')}
+                </table>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px; margin-top: 10px;">
+                    <div><strong>Strengths</strong><ul>${card.strengths.map(item => `<li>${window.agentRegistry.escape(item)}</li>`).join('')}</ul></div>
+                    <div><strong>Weaknesses</strong><ul>${card.weaknesses.map(item => `<li>${window.agentRegistry.escape(item)}</li>`).join('')}</ul></div>
+                </div>
+                ${card.risks.length > 0 ? `
+                    <strong>Risks</strong>
+                    <ul>${card.risks.map(risk => `<li><span style="color: ${this.severityColors[risk.severity]}; font-weight: 600;">${risk.severity.toUpperCase()}</span> ${window.agentRegistry.escape(risk.risk)} - ${window.agentRegistry.escape(risk.mitigation)}</li>`).join('')}</ul>
+                ` : ''}
+                <p style="color: #7f8c8d; font-size: 0.85rem;"><strong>TCO assumptions:</strong> ${window.agentRegistry.escape(card.tco.assumptions)}</p>
+            </details>
+        `;
+    }
+
+    renderRfpSeed(rfpSeed) {
+        return `
+            <p><strong>Shortlist:</strong> ${rfpSeed.shortlist.map(vendor => window.agentRegistry.escape(vendor)).join(', ')}</p>
+            ${rfpSeed.mandatoryRequirements.length > 0 ? `
+                <p><strong>Mandatory requirements:</strong></p>
+                <ul>${rfpSeed.mandatoryRequirements.map(requirement => `<li>${window.agentRegistry.escape(requirement)}</li>`).join('')}</ul>
+            ` : ''}
+            ${rfpSeed.evaluationCriteria.map(criterion => `
+                <p style="margin-bottom: 4px;"><strong>${criterion.label} (${criterion.weight}%)</strong> - ${criterion.description}</p>
+                <ul>${criterion.questions.map(question => `<li>${window.agentRegistry.escape(question)}</li>`).join('')}</ul>
+            `).join('')}
+        `;
+    }
+
+    createChart(name, canvasId, chartData) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx || !chartData) return;
+
+        if (this.charts[name]) {
+            this.charts[name].destroy();
+        }
+
+        this.charts[name] = new Chart(ctx, {
+            type: 'bar',
+            data: chartData.data,
+            options: {
+                ...chartData.options,
+                maintainAspectRatio: false,
+                // Render synchronously so the PNG export has the finished chart
+                animation: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: chartData.title
+                    }
+                }
+            }
+        });
+    }
+
+    // Build downloadable artifacts in the same card format as Technology Research
+    generateArtifacts(data) {
+        const fileBase = `${data.technology.replace(/\s+/g, '_')}_Supplier_Evaluation`;
+        this.artifacts = [];
+
+        try {
+            this.artifacts.push({
+                name: `${fileBase}.pdf`,
+                title: 'Evaluation Report',
+                description: 'Scorecards, TCO and comparison (PDF)',
+                url: this.generateEvaluationPDF(data),
+                icon: 'fas fa-file-pdf'
+            });
+        } catch (error) {
+            console.error('Evaluation PDF generation failed:', error);
+        }
+
+        this.artifacts.push({
+            name: `${fileBase}_RFP_Pack.md`,
+            title: 'RFP Starting Pack',
+            description: 'Shortlist, weighted criteria and questions (Markdown)',
+            url: URL.createObjectURL(new Blob([this.generateRfpMarkdown(data)], { type: 'text/markdown' })),
+            icon: 'fas fa-file-signature'
+        });
+
+        this.artifacts.push({
+            name: `${fileBase}_Comparison.csv`,
+            title: 'Comparison Matrix',
+            description: 'Side-by-side scores and costs (CSV)',
+            url: this.generateComparisonCSV(data),
+            icon: 'fas fa-table'
+        });
+
+        if (this.charts.scorecard) {
+            this.artifacts.push({
+                name: `${fileBase}_Scorecard.png`,
+                title: '4 P\'s Scorecard Chart',
+                description: 'Scores by pillar and vendor (PNG)',
+                url: this.charts.scorecard.toBase64Image(),
+                icon: 'fas fa-chart-bar'
+            });
+        }
+
+        if (this.charts.tco) {
+            this.artifacts.push({
+                name: `${fileBase}_TCO.png`,
+                title: 'TCO Chart',
+                description: 'Ownership cost by category (PNG)',
+                url: this.charts.tco.toBase64Image(),
+                icon: 'fas fa-coins'
+            });
+        }
+
+        this.artifacts.push({
+            name: `${fileBase}_Data.json`,
+            title: 'Complete Evaluation Data',
+            description: 'Raw evaluation data and metadata (JSON)',
+            url: URL.createObjectURL(new Blob([JSON.stringify(this.currentEvaluation, null, 2)], { type: 'application/json' })),
+            icon: 'fas fa-database'
+        });
+
+        const artifactsDiv = document.getElementById('eval-artifacts');
+        if (artifactsDiv) {
+            artifactsDiv.innerHTML = this.artifacts.map(artifact => `
+                <a class="eval-artifact" href="${artifact.url}" download="${artifact.name}">
+                    <i class="${artifact.icon}"></i>
+                    <div>
+                        <strong>${artifact.title}</strong>
+                        <div style="font-size: 0.8rem; color: #7f8c8d;">${artifact.description}</div>
+                    </div>
+                </a>
+            `).join('');
+        }
+    }
+
+    // Evaluation report - ranking, comparison, per-vendor scorecards and the RFP pack
+    generateEvaluationPDF(data) {
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF();
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const margin = 20;
+        const lineHeight = 6;
+        const money = amount => this.formatMoney(amount, data.currency);
+        let yPosition = 30;
+
+        const ensureSpace = needed => {
+            if (yPosition + needed > 275) {
+                doc.addPage();
+                yPosition = 30;
+            }
+        };
+        const heading = text => {
+            ensureSpace(20);
+            yPosition += 6;
+            doc.setFontSize(14);
+            doc.setFont(undefined, 'bold');
+            doc.text(text, margin, yPosition);
+            yPosition += 8;
+            doc.setFontSize(10);
+            doc.setFont(undefined, 'normal');
+        };
+        const paragraph = (text, indent = 0) => {
+            const lines = doc.splitTextToSize(text, pageWidth - 2 * margin - indent);
+            ensureSpace(lines.length * lineHeight);
+            doc.text(lines, margin + indent, yPosition);
+            yPosition += lines.length * lineHeight;
+        };
+
+        doc.setFontSize(20);
+        doc.setFont(undefined, 'bold');
+        doc.text('Supplier Evaluation', margin, yPosition);
+        yPosition += 12;
+        doc.setFontSize(16);
+        doc.text(`${data.technology} - 4 P's Framework`, margin, yPosition);
+        yPosition += 8;
+        doc.setFontSize(10);
+        doc.setFont(undefined, 'normal');
+        doc.text(`Generated: ${new Date().toLocaleDateString()}`, margin, yPosition);
+        yPosition += 6;
+
+        heading('Summary');
+        paragraph(data.summary);
+        paragraph(`Weights: ${Object.entries(this.pillars).map(([key, pillar]) => `${pillar.label} ${data.weights[key]}%`).join(', ')}. TCO over ${data.horizonYears} years at a ${data.discountRatePercent}% discount rate.`);
+
+        heading('Ranking');
+        data.scorecards.forEach(card => {
+            paragraph(`${card.rank}. ${card.vendor} - weighted score ${card.weightedScore}, TCO ${money(card.tco.total)} (present value ${money(card.tco.presentValue)})`, 5);
+        });
+        paragraph(`Highest score: ${data.comparison.highestScore}. Lowest TCO: ${data.comparison.lowestTco}. Best value: ${data.comparison.bestValue || 'n/a'}.`);
+
+        data.scorecards.forEach(card => {
+            heading(`${card.rank}. ${card.vendor}`);
+            Object.entries(this.pillars).forEach(([key, pillar]) => {
+                paragraph(`• ${pillar.label} ${card.scores[key].score}/100 - ${card.scores[key].rationale}`, 5);
+            });
+            paragraph(`TCO: licence ${money(card.tco.byCategory.license)}, implementation ${money(card.tco.byCategory.implementation)}, operations ${money(card.tco.byCategory.operations)}, exit ${money(card.tco.byCategory.exit)}. ${card.tco.assumptions}`, 5);
+            if (card.strengths.length > 0) paragraph(`Strengths: ${card.strengths.join('; ')}`, 5);
+            if (card.weaknesses.length > 0) paragraph(`Weaknesses: ${card.weaknesses.join('; ')}`, 5);
+            card.risks.forEach(risk => {
+                paragraph(`Risk [${risk.severity.toUpperCase()}]: ${risk.risk} - ${risk.mitigation}`, 5);
+            });
+        });
+
+        heading('RFP Starting Pack');
+        paragraph(`Shortlist: ${data.rfpSeed.shortlist.join(', ')}`);
+        data.rfpSeed.mandatoryRequirements.forEach(requirement => paragraph(`• ${requirement}`, 5));
+        data.rfpSeed.evaluationCriteria.forEach(criterion => {
+            paragraph(`${criterion.label} (${criterion.weight}%)`);
+            criterion.questions.forEach(question => paragraph(`• ${question}`, 5));
+        });
+
+        return URL.createObjectURL(doc.output('blob'));
+    }
+
+    // RFP starting pack as Markdown, ready to paste into the RFP document
+    generateRfpMarkdown(data) {
+        const { rfpSeed } = data;
+        const lines = [
+            `# RFP: ${data.technology}`,
+            '',
+            `## Invited Vendors`,
+            '',
+            ...rfpSeed.shortlist.map(vendor => `- ${vendor}`),
+            ''
+        ];
+
+        if (rfpSeed.mandatoryRequirements.length > 0) {
+            lines.push('## Mandatory Requirements', '', ...rfpSeed.mandatoryRequirements.map(requirement => `- ${requirement}`), '');
+        }
+
+        lines.push('## Evaluation Criteria', '', '| Criterion | Weight | Covers |', '| --- | --- | --- |');
+        rfpSeed.evaluationCriteria.forEach(criterion => {
+            lines.push(`| ${criterion.label} | ${criterion.weight}% | ${criterion.description} |`);
+        });
+        lines.push('');
+
+        rfpSeed.evaluationCriteria.forEach(criterion => {
+            lines.push(`## ${criterion.label} Questions`, '', ...criterion.questions.map((question, index) => `${index + 1}. ${question}`), '');
+        });
+
+        lines.push('## Pricing Response', '', `Quote ${data.horizonYears}-year costs in ${data.currency} for: licence/subscription, implementation, ongoing operations and exit (data export and termination).`, '');
+
+        return lines.join('\n');
+    }
+
+    // Comparison matrix as CSV, one column per vendor in rank order
+    generateComparisonCSV(data) {
+        const csvCell = value => `"${String(value).replace(/"/g, '""')}"`;
+        const rows = [
+            ['Criterion', ...data.comparison.vendors],
+            ...data.comparison.rows.map(row => [row.label, ...row.values]),
+            ['Value Index (score per 1M TCO)', ...data.comparison.valueIndex.map(value => value !== null ? value : '')]
+        ];
+
+        const csv = rows.map(row => row.map(csvCell).join(',')).join('\n');
+        return URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    }
+
+    formatMoney(amount, currency) {
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency, maximumFractionDigits: 0 }).format(amount);
+        } catch (error) {
+            return `${currency} ${Math.round(amount).toLocaleString()}`;
+        }
+    }
+
+    displayError(error) {
+        window.agentRegistry.showError(document.getElementById('eval-results'), 'Evaluation Failed', error, 'supplierEvaluationInterface.initializeInterface()');
+    }
+}
+
+// Initialize the interface
+window.supplierEvaluationInterface = new SupplierEvaluationInterface();
+
+// Register with the dashboard
+window.agentRegistry.register({
+    id: 'supplier-evaluation',
+    name: 'Supplier Evaluation Agent',
+    description: '4 P\'s framework evaluation: People, Process, Platform, Price analysis for comprehensive vendor selection.',
+    icon: 'fas fa-balance-scale',
+    priority: 4,
+    features: [
+        '4 P\'s evaluation framework',
+        'TCO analysis and modeling',
+        'Risk assessment scoring',
+        'Comparative scorecards'
+    ],
+    metrics: '~20s • TCO & RFP pack',
+    endpoint: 'supplier-evaluation',
+    interface: window.supplierEvaluationInterface
+});
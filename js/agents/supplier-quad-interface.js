@@ -5,6 +5,12 @@ class SupplierQuadInterface {
     constructor() {
         this.currentAnalysis = null;
         this.magicQuadrantChart = null;
+        // Raw slider values per axis; null until a run returns the server's default weights
+        this.weights = null;
+        this.axisLabels = {
+            execution: 'Ability to Execute',
+            vision: 'Completeness of Vision'
+        };
     }
 
     initializeInterface() {
@@ -40,6 +46,25 @@ class SupplierQuadInterface {
                                     onkeypress="if(event.key==='Enter') this.startAnalysis()"
                                 />
                             </div>
+
+                            <div class="vendor-selection-grid">
+                                <div class="form-group">
+                                    <label for="shortlist-input">Shortlisted Vendors</label>
+                                    <input type="text" id="shortlist-input" placeholder="Comma separated, e.g. Snowflake, Databricks" />
+                                </div>
+                                <div class="form-group">
+                                    <label for="incumbents-input">Incumbent Vendors</label>
+                                    <input type="text" id="incumbents-input" placeholder="Vendors already in use" />
+                                </div>
+                                <div class="form-group">
+                                    <label for="exclude-input">Exclude Vendors</label>
+                                    <input type="text" id="exclude-input" placeholder="Vendors to leave out" />
+                                </div>
+                                <div class="form-group">
+                                    <label for="vendor-count-input">Vendor Count</label>
+                                    <input type="number" id="vendor-count-input" min="3" max="15" placeholder="Auto (6-10)" />
+                                </div>
+                            </div>
                             
                             <button 
                                 id="start-analysis-btn"
@@ -151,6 +176,87 @@ class SupplierQuadInterface {
                 .vendor-card.challengers { border-left-color: #f39c12; }
                 .vendor-card.visionaries { border-left-color: #9b59b6; }
                 .vendor-card.niche { border-left-color: #95a5a6; }
+
+                .vendor-selection-grid {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                    gap: 15px;
+                    margin-bottom: 20px;
+                }
+
+                .vendor-selection-grid label {
+                    display: block;
+                    font-weight: 600;
+                    color: #2c3e50;
+                    margin-bottom: 6px;
+                    font-size: 0.9rem;
+                }
+
+                .vendor-selection-grid input {
+                    width: 100%;
+                    padding: 10px;
+                    border: 2px solid #e1e8ed;
+                    border-radius: 8px;
+                    font-size: 0.9rem;
+                }
+
+                .vendor-role {
+                    display: inline-block;
+                    font-size: 0.7rem;
+                    font-weight: 600;
+                    text-transform: uppercase;
+                    padding: 2px 8px;
+                    border-radius: 10px;
+                    margin-left: 6px;
+                    vertical-align: middle;
+                }
+
+                .vendor-role.shortlist { background: #d6eaf8; color: #21618c; }
+                .vendor-role.incumbent { background: #fdebd0; color: #9c640c; }
+
+                .weights-grid {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
+                    gap: 20px;
+                    background: #f8f9fa;
+                    border-radius: 12px;
+                    padding: 20px;
+                }
+
+                .weight-axis h4 {
+                    color: #2c3e50;
+                    margin-bottom: 10px;
+                    font-size: 1rem;
+                }
+
+                .weight-row {
+                    display: grid;
+                    grid-template-columns: 160px 1fr 50px;
+                    align-items: center;
+                    gap: 10px;
+                    margin-bottom: 8px;
+                    font-size: 0.85rem;
+                    color: #34495e;
+                }
+
+                .weight-row input[type="range"] {
+                    width: 100%;
+                }
+
+                .weight-share {
+                    text-align: right;
+                    font-weight: 600;
+                }
+
+                .weights-note {
+                    color: #7f8c8d;
+                    font-size: 0.85rem;
+                    margin-top: 10px;
+                }
+
+                .weights-note.warning {
+                    color: #c0392b;
+                }
             </style>
         `;
     }
@@ -158,12 +264,18 @@ class SupplierQuadInterface {
     async startAnalysis() {
         const technologyInput = document.getElementById('technology-input');
         const technology = technologyInput.value.trim();
+        const vendorCount = document.getElementById('vendor-count-input').value.trim();
         
         if (!technology) {
             alert('Please enter a technology area to analyze.');
             return;
         }
 
+        if (vendorCount && (parseInt(vendorCount, 10) < 3 || parseInt(vendorCount, 10) > 15)) {
+            alert('Vendor count must be between 3 and 15.');
+            return;
+        }
+
         // Show progress
         const progressDiv = document.getElementById('analysis-progress');
         const resultsDiv = document.getElementById('analysis-results');
@@ -188,7 +300,15 @@ class SupplierQuadInterface {
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ technology: technology })
+                body: JSON.stringify({
+                    technology: technology,
+                    organization: window.organizationProfile?.getRequestProfile(),
+                    weights: this.weights || undefined,
+                    shortlist: document.getElementById('shortlist-input').value,
+                    incumbents: document.getElementById('incumbents-input').value,
+                    excludeVendors: document.getElementById('exclude-input').value,
+                    vendorCount: vendorCount || undefined
+                })
             });
 
             const result = await response.json();
@@ -200,9 +320,13 @@ class SupplierQuadInterface {
 
             if (result.success) {
                 this.currentAnalysis = result.data;
+                if (!this.weights && result.data.defaultWeights) {
+                    this.weights = this.copyWeights(result.data.defaultWeights);
+                }
                 this.displayResults(result.data);
+                window.agentRegistry?.recordRun('supplier-quad', result.data);
             } else {
-                this.displayError(result.error || 'Analysis failed');
+                this.displayError(result.details || result.error || 'Analysis failed');
             }
         } catch (error) {
             console.error('Supplier Quad analysis error:', error);
@@ -213,22 +337,35 @@ class SupplierQuadInterface {
         }
     }
 
+    // Show a run saved in the research library
+    reopen(data) {
+        this.initializeInterface();
+        this.currentAnalysis = data;
+        // Sliders resume at the shares the run was scored with
+        this.weights = data.defaultWeights ? this.copyWeights(data.weights || data.defaultWeights) : null;
+        this.displayResults(data);
+    }
+
     displayResults(data) {
         const resultsDiv = document.getElementById('analysis-results');
         
         resultsDiv.innerHTML = `
             <div class="analysis-success" style="background: #d4edda; color: #155724; padding: 15px; border-radius: 8px; margin-bottom: 25px;">
                 <i class="fas fa-check-circle"></i>
-                <strong>Analysis Complete!</strong> Magic Quadrant positioning generated for ${data.metadata.technology}
+                <strong>Analysis Complete!</strong> Magic Quadrant positioning generated for ${window.agentRegistry.escape(data.metadata.technology)}
                 <span style="float: right; font-size: 0.9rem;">
                     <i class="fas fa-clock"></i> ${(data.metadata.executionTime/1000).toFixed(1)}s
                 </span>
             </div>
 
+            ${this.generateSelectionNotice(data.vendorSelection)}
+
+            ${this.generateConsistencyNotice(data.consistency)}
+
             <!-- Magic Quadrant Chart -->
             <div class="chart-section">
                 <h3 style="color: #2c3e50; margin-bottom: 15px;">
-                    <i class="fas fa-chart-scatter"></i> Magic Quadrant - ${data.metadata.technology}
+                    <i class="fas fa-chart-scatter"></i> Magic Quadrant - ${window.agentRegistry.escape(data.metadata.technology)}
                 </h3>
                 <div class="quadrant-chart-container">
                     <div class="quadrant-labels">
@@ -241,12 +378,14 @@ class SupplierQuadInterface {
                 </div>
             </div>
 
+            ${this.generateWeightControls(data)}
+
             <!-- Vendor Summary -->
             <div class="vendor-summary-section">
                 <h3 style="color: #2c3e50; margin-bottom: 15px;">
                     <i class="fas fa-building"></i> Vendor Positioning Summary
                 </h3>
-                <div class="vendor-summary-grid">
+                <div class="vendor-summary-grid" id="vendor-summary-grid">
                     ${this.generateVendorCards(data.vendors)}
                 </div>
             </div>
@@ -258,15 +397,10 @@ class SupplierQuadInterface {
                 </h3>
                 <div style="background: #f8f9fa; border-radius: 12px; padding: 20px;">
                     <p style="color: #34495e; line-height: 1.6; margin-bottom: 15px;">
-                        ${data.webSummary.overview}
+                        ${window.agentRegistry.escape(data.webSummary.overview)}
                     </p>
-                    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 15px;">
-                        ${Object.entries(data.webSummary.quadrantDistribution).map(([quadrant, count]) => `
-                            <div style="text-align: center; background: white; padding: 15px; border-radius: 8px; border: 2px solid #e1e8ed;">
-                                <div style="font-size: 1.8rem; font-weight: bold; color: ${this.getQuadrantColor(quadrant)};">${count}</div>
-                                <div style="font-size: 0.9rem; color: #7f8c8d; text-transform: uppercase;">${quadrant}</div>
-                            </div>
-                        `).join('')}
+                    <div id="quadrant-distribution" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 15px;">
+                        ${this.generateQuadrantDistribution(data.webSummary.quadrantDistribution)}
                     </div>
                 </div>
             </div>
@@ -308,16 +442,7 @@ class SupplierQuadInterface {
         }
 
         // Prepare vendor data for chart
-        const chartData = data.vendors.map(vendor => ({
-            x: vendor.completenessOfVision,
-            y: vendor.abilityToExecute,
-            label: vendor.name,
-            quadrant: vendor.quadrant,
-            backgroundColor: this.getQuadrantColor(vendor.quadrant),
-            borderColor: this.getQuadrantColor(vendor.quadrant),
-            pointRadius: 8,
-            pointHoverRadius: 12
-        }));
+        const chartData = this.buildChartPoints(data.vendors);
 
         this.magicQuadrantChart = new Chart(ctx, {
             type: 'scatter',
@@ -348,11 +473,15 @@ class SupplierQuadInterface {
                                 return context[0].raw.label;
                             },
                             label: function(context) {
-                                return [
+                                const lines = [
                                     `Quadrant: ${context.raw.quadrant}`,
                                     `Vision: ${context.raw.x.toFixed(1)}`,
                                     `Execution: ${context.raw.y.toFixed(1)}`
                                 ];
+                                if (context.raw.role && context.raw.role !== 'market') {
+                                    lines.push(`Our ${context.raw.role}`);
+                                }
+                                return lines;
                             }
                         }
                     }
@@ -418,11 +547,231 @@ class SupplierQuadInterface {
         });
     }
 
+    buildChartPoints(vendors) {
+        return vendors.map(vendor => ({
+            x: vendor.completenessOfVision,
+            y: vendor.abilityToExecute,
+            label: vendor.name,
+            quadrant: vendor.quadrant,
+            role: vendor.role,
+            backgroundColor: this.getQuadrantColor(vendor.quadrant),
+            borderColor: this.getQuadrantColor(vendor.quadrant),
+            pointRadius: 8,
+            pointHoverRadius: 12
+        }));
+    }
+
+    // Sliders for the 12 sub-criteria; shares are normalized within each axis like the server does
+    generateWeightControls(data) {
+        if (!data.defaultWeights || !this.weights) return '';
+
+        const normalized = this.normalizeWeights(this.weights);
+        const escape = text => window.agentRegistry.escape(text);
+        return `
+            <div class="weights-section" style="margin-top: 25px;">
+                <h3 style="color: #2c3e50; margin-bottom: 15px;">
+                    <i class="fas fa-sliders-h"></i> Criterion Weights
+                </h3>
+                <div class="weights-grid">
+                    ${Object.keys(data.defaultWeights).map(axis => `
+                        <div class="weight-axis">
+                            <h4>${escape(this.axisLabels[axis] || axis)}</h4>
+                            ${Object.keys(data.defaultWeights[axis]).map(key => `
+                                <div class="weight-row">
+                                    <label for="weight-${escape(key)}">${escape(data.criteria?.[key] || key)}</label>
+                                    <input type="range" id="weight-${escape(key)}" min="0" max="50" step="1"
+                                        value="${escape(this.weights[axis][key])}" data-axis="${escape(axis)}" data-criterion="${escape(key)}"
+                                        oninput="supplierQuadInterface.updateWeight(this.dataset.axis, this.dataset.criterion, this.value)" />
+                                    <span class="weight-share" id="weight-share-${escape(key)}">${normalized[axis][key].toFixed(0)}%</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+                <div style="display: flex; align-items: center; justify-content: space-between; gap: 10px;">
+                    <p class="weights-note" id="weights-note">Scores re-plot instantly from the vendors' raw sub-scores. New analyses use these weights.</p>
+                    <button onclick="supplierQuadInterface.resetWeights()" style="background: #7f8c8d; color: white; border: none; padding: 6px 14px; border-radius: 6px; font-size: 0.85rem; cursor: pointer; margin-top: 10px;">
+                        <i class="fas fa-undo"></i> Reset to Defaults
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    updateWeight(axis, key, value) {
+        const previous = this.weights[axis][key];
+        this.weights[axis][key] = Number(value);
+
+        // An axis needs at least one weighted criterion to place vendors on it
+        const note = document.getElementById('weights-note');
+        if (Object.values(this.weights[axis]).every(weight => weight === 0)) {
+            this.weights[axis][key] = previous;
+            document.getElementById(`weight-${key}`).value = previous;
+            if (note) {
+                note.textContent = `At least one ${this.axisLabels[axis]} criterion needs a weight above zero.`;
+                note.classList.add('warning');
+            }
+            return;
+        }
+        if (note) note.classList.remove('warning');
+
+        this.rescore();
+    }
+
+    resetWeights() {
+        if (!this.currentAnalysis?.defaultWeights) return;
+
+        this.weights = this.copyWeights(this.currentAnalysis.defaultWeights);
+        Object.values(this.weights).forEach(axisWeights => {
+            Object.entries(axisWeights).forEach(([key, weight]) => {
+                const slider = document.getElementById(`weight-${key}`);
+                if (slider) slider.value = weight;
+            });
+        });
+        this.rescore();
+    }
+
+    // Recompute axis positions and quadrants locally - mirrors the server formula, no model call
+    rescore() {
+        const data = this.currentAnalysis;
+        if (!data || !this.weights) return;
+
+        const normalized = this.normalizeWeights(this.weights);
+        data.weights = normalized;
+
+        data.vendors.forEach(vendor => {
+            vendor.abilityToExecute = this.axisScore(vendor.scores, normalized.execution);
+            vendor.completenessOfVision = this.axisScore(vendor.scores, normalized.vision);
+            vendor.quadrant = this.quadrantFor(vendor.abilityToExecute, vendor.completenessOfVision);
+        });
+
+        data.webSummary.quadrantDistribution = data.vendors.reduce((distribution, vendor) => {
+            distribution[vendor.quadrant] = (distribution[vendor.quadrant] || 0) + 1;
+            return distribution;
+        }, {});
+
+        Object.values(normalized).forEach(axisWeights => {
+            Object.entries(axisWeights).forEach(([key, share]) => {
+                const label = document.getElementById(`weight-share-${key}`);
+                if (label) label.textContent = `${share.toFixed(0)}%`;
+            });
+        });
+
+        const vendorGrid = document.getElementById('vendor-summary-grid');
+        if (vendorGrid) vendorGrid.innerHTML = this.generateVendorCards(data.vendors);
+
+        const distribution = document.getElementById('quadrant-distribution');
+        if (distribution) distribution.innerHTML = this.generateQuadrantDistribution(data.webSummary.quadrantDistribution);
+
+        // Update the existing chart in place so the re-plot is immediate
+        if (this.magicQuadrantChart) {
+            const points = this.buildChartPoints(data.vendors);
+            const dataset = this.magicQuadrantChart.data.datasets[0];
+            dataset.data = points;
+            dataset.backgroundColor = points.map(point => point.backgroundColor);
+            dataset.borderColor = points.map(point => point.borderColor);
+            this.magicQuadrantChart.update();
+        }
+    }
+
+    normalizeWeights(weights) {
+        const normalized = {};
+        Object.entries(weights).forEach(([axis, axisWeights]) => {
+            const total = Object.values(axisWeights).reduce((sum, weight) => sum + weight, 0);
+            normalized[axis] = {};
+            Object.entries(axisWeights).forEach(([key, weight]) => {
+                normalized[axis][key] = Math.round((weight / total) * 1000) / 10;
+            });
+        });
+        return normalized;
+    }
+
+    axisScore(scores, axisWeights) {
+        const total = Object.values(axisWeights).reduce((sum, weight) => sum + weight, 0);
+        const weighted = Object.keys(axisWeights).reduce((sum, key) => sum + scores[key] * axisWeights[key], 0);
+        return Math.round((weighted / total) * 10) / 10;
+    }
+
+    quadrantFor(abilityToExecute, completenessOfVision) {
+        const lines = this.currentAnalysis?.chartData?.quadrantLines || { vertical: 50, horizontal: 50 };
+        const executes = abilityToExecute >= lines.horizontal;
+        const visionary = completenessOfVision >= lines.vertical;
+        if (executes && visionary) return 'Leaders';
+        if (executes) return 'Challengers';
+        if (visionary) return 'Visionaries';
+        return 'Niche Players';
+    }
+
+    copyWeights(weights) {
+        return JSON.parse(JSON.stringify(weights));
+    }
+
+    // Requested vendors the model could not place, and excluded vendors it returned anyway
+    generateSelectionNotice(selection) {
+        if (!selection || (selection.unassessed.length === 0 && selection.removedExcluded.length === 0)) return '';
+
+        return `
+            <div class="selection-notice" style="background: #fdedec; color: #922b21; padding: 15px 20px; border-radius: 8px; margin-bottom: 25px;">
+                <strong><i class="fas fa-user-slash"></i> Vendor Selection</strong>
+                <ul style="margin: 8px 0 0 20px;">
+                    ${selection.unassessed.map(item => `<li>${window.agentRegistry.escape(item.name)} could not be assessed: ${window.agentRegistry.escape(item.reason)}</li>`).join('')}
+                    ${selection.removedExcluded.map(name => `<li>${window.agentRegistry.escape(name)} was excluded and removed from the quadrant</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    // Discrepancies between the model's overall positions and its own sub-scores, plus parse warnings
+    generateConsistencyNotice(consistency) {
+        if (!consistency || (consistency.consistent && consistency.warnings.length === 0)) return '';
+
+        const fieldLabels = {
+            abilityToExecute: 'Ability to Execute',
+            completenessOfVision: 'Completeness of Vision',
+            quadrant: 'Quadrant'
+        };
+
+        return `
+            <div class="consistency-notice" style="background: #fff3cd; color: #856404; padding: 15px 20px; border-radius: 8px; margin-bottom: 25px;">
+                <strong><i class="fas fa-exclamation-triangle"></i> Consistency Check</strong>
+                ${consistency.discrepancies.length > 0 ? `
+                    <p style="margin: 8px 0;">
+                        ${consistency.discrepancies.length} discrepanc${consistency.discrepancies.length === 1 ? 'y' : 'ies'} between the model's overall positions
+                        and its sub-scores (default weights, tolerance ±${window.agentRegistry.escape(consistency.tolerance)}). Positions are plotted from the sub-scores.
+                    </p>
+                    <ul style="margin: 0 0 8px 20px;">
+                        ${consistency.discrepancies.map(item => `
+                            <li>${window.agentRegistry.escape(item.vendor)} - ${window.agentRegistry.escape(fieldLabels[item.field] || item.field)}: reported ${window.agentRegistry.escape(item.reported)}, computed ${window.agentRegistry.escape(item.computed)}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                ${consistency.warnings.length > 0 ? `
+                    <ul style="margin: 8px 0 0 20px;">
+                        ${consistency.warnings.map(warning => `<li>${window.agentRegistry.escape(warning)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    generateQuadrantDistribution(distribution) {
+        const escape = text => window.agentRegistry.escape(text);
+        return Object.entries(distribution).map(([quadrant, count]) => `
+            <div style="text-align: center; background: white; padding: 15px; border-radius: 8px; border: 2px solid #e1e8ed;">
+                <div style="font-size: 1.8rem; font-weight: bold; color: ${escape(this.getQuadrantColor(quadrant))};">${escape(count)}</div>
+                <div style="font-size: 0.9rem; color: #7f8c8d; text-transform: uppercase;">${escape(quadrant)}</div>
+            </div>
+        `).join('');
+    }
+
     generateVendorCards(vendors) {
+        const escape = text => window.agentRegistry.escape(text);
         return vendors.map(vendor => `
-            <div class="vendor-card ${vendor.quadrant.toLowerCase().replace(' ', '')}">
-                <h4 style="color: #2c3e50; margin-bottom: 8px; font-size: 1.1rem;">${vendor.name}</h4>
-                <div style="color: #7f8c8d; font-size: 0.9rem; margin-bottom: 10px;">${vendor.quadrant}</div>
+            <div class="vendor-card ${escape(String(vendor.quadrant).toLowerCase().replace(' ', ''))}">
+                <h4 style="color: #2c3e50; margin-bottom: 8px; font-size: 1.1rem;">
+                    ${escape(vendor.name)}${vendor.role && vendor.role !== 'market' ? `<span class="vendor-role ${escape(vendor.role)}">${escape(vendor.role)}</span>` : ''}
+                </h4>
+                <div style="color: #7f8c8d; font-size: 0.9rem; margin-bottom: 10px;">${escape(vendor.quadrant)}</div>
                 <div style="display: flex; justify-content: between; font-size: 0.8rem;">
                     <span style="color: #34495e;">Vision: <strong>${vendor.completenessOfVision.toFixed(1)}</strong></span>
                     <span style="color: #34495e; margin-left: 15px;">Execute: <strong>${vendor.abilityToExecute.toFixed(1)}</strong></span>
@@ -442,18 +791,7 @@ class SupplierQuadInterface {
     }
 
     displayError(error) {
-        const resultsDiv = document.getElementById('analysis-results');
-        resultsDiv.innerHTML = `
-            <div style="background: #f8d7da; color: #721c24; padding: 20px; border-radius: 8px; text-align: center;">
-                <i class="fas fa-exclamation-triangle" style="font-size: 2rem; margin-bottom: 10px;"></i>
-                <h4>Analysis Failed</h4>
-                <p>${error}</p>
-                <button onclick="supplierQuadInterface.initializeInterface()" style="background: #dc3545; color: white; border: none; padding: 8px 16px; border-radius: 6px; margin-top: 10px; cursor: pointer;">
-                    Try Again
-                </button>
-            </div>
-        `;
-        resultsDiv.style.display = 'block';
+        window.agentRegistry.showError(document.getElementById('analysis-results'), 'Analysis Failed', error, 'supplierQuadInterface.initializeInterface()');
     }
 
     downloadChart() {
@@ -476,11 +814,162 @@ class SupplierQuadInterface {
         }
     }
 
+    // Quadrant report - cover, methodology and weights, the chart as plotted, then one page per vendor
     generateReport() {
-        // This would generate a PDF report - simplified for now
-        alert('PDF report generation will be implemented in the next update. Use PNG chart download for now.');
+        const data = this.currentAnalysis;
+        if (!data) return;
+
+        if (!window.jspdf) {
+            alert('PDF library failed to load. Use the PNG chart and JSON data downloads instead.');
+            return;
+        }
+
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF();
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const margin = 20;
+        const lineHeight = 6;
+        const technology = data.metadata.technology;
+        const axisGroups = data.defaultWeights || data.weights || {};
+        const criterionLabel = key => data.criteria?.[key] || key;
+        let yPosition = 30;
+
+        const ensureSpace = needed => {
+            if (yPosition + needed > 275) {
+                doc.addPage();
+                yPosition = 30;
+            }
+        };
+        const heading = text => {
+            ensureSpace(20);
+            yPosition += 6;
+            doc.setFontSize(14);
+            doc.setFont(undefined, 'bold');
+            doc.text(text, margin, yPosition);
+            yPosition += 8;
+            doc.setFontSize(10);
+            doc.setFont(undefined, 'normal');
+        };
+        // Line by line so text longer than a page continues on the next one instead of running off the bottom
+        const paragraph = (text, indent = 0) => {
+            doc.splitTextToSize(text, pageWidth - 2 * margin - indent).forEach(line => {
+                ensureSpace(lineHeight);
+                doc.text(line, margin + indent, yPosition);
+                yPosition += lineHeight;
+            });
+        };
+
+        // Cover page
+        doc.setFontSize(24);
+        doc.setFont(undefined, 'bold');
+        doc.text('Magic Quadrant Analysis', margin, 80);
+        doc.setFontSize(18);
+        doc.text(technology, margin, 95);
+        doc.setFontSize(11);
+        doc.setFont(undefined, 'normal');
+        doc.text(`Vendors evaluated: ${data.vendors.length}`, margin, 115);
+        doc.text(`Generated: ${new Date().toLocaleDateString()}`, margin, 122);
+        doc.text(`Model: ${data.metadata.provider || 'n/a'} / ${data.metadata.model || 'n/a'}`, margin, 129);
+
+        // Overview, methodology and weights
+        doc.addPage();
+        heading('Overview');
+        paragraph(data.analysis);
+
+        heading('Methodology');
+        paragraph('Each vendor is scored from 0-100 on 12 criteria. Ability to Execute and Completeness of Vision are the weighted averages of their six criteria; vendors at or above 50 on an axis sit in the upper or right half of the quadrant.');
+        Object.entries(axisGroups).forEach(([axis, criteria]) => {
+            paragraph(`${this.axisLabels[axis] || axis}: ${Object.keys(criteria).map(key => `${criterionLabel(key)} ${data.weights[axis][key]}%`).join(', ')}`, 5);
+        });
+
+        if (data.vendorSelection) {
+            const selection = data.vendorSelection;
+            if (selection.shortlist.length > 0) paragraph(`Shortlisted: ${selection.shortlist.join(', ')}`);
+            if (selection.incumbents.length > 0) paragraph(`Incumbents: ${selection.incumbents.join(', ')}`);
+            if (selection.excluded.length > 0) paragraph(`Excluded: ${selection.excluded.join(', ')}`);
+            selection.unassessed.forEach(item => paragraph(`• ${item.name} could not be assessed: ${item.reason}`, 5));
+        }
+
+        if (data.consistency && data.consistency.discrepancies.length > 0) {
+            paragraph(`Consistency check: ${data.consistency.discrepancies.length} discrepancies between the model's overall positions and its sub-scores; positions below are plotted from the sub-scores.`);
+        }
+
+        // Chart as currently plotted, with the quadrant names the HTML overlay shows on screen
+        if (this.magicQuadrantChart) {
+            heading('Magic Quadrant');
+            const imageWidth = pageWidth - 2 * margin;
+            const canvas = this.magicQuadrantChart.canvas;
+            const imageHeight = canvas && canvas.width ? imageWidth * (canvas.height / canvas.width) : imageWidth * 0.75;
+            ensureSpace(imageHeight + 10);
+            doc.addImage(this.magicQuadrantChart.toBase64Image(), 'PNG', margin, yPosition, imageWidth, imageHeight);
+            doc.setFontSize(9);
+            doc.setFont(undefined, 'bold');
+            doc.text('CHALLENGERS', margin + 15, yPosition + 8);
+            doc.text('LEADERS', margin + imageWidth - 25, yPosition + 8);
+            doc.text('NICHE PLAYERS', margin + 15, yPosition + imageHeight - 15);
+            doc.text('VISIONARIES', margin + imageWidth - 30, yPosition + imageHeight - 15);
+            doc.setFontSize(10);
+            doc.setFont(undefined, 'normal');
+            yPosition += imageHeight + 6;
+        }
+
+        heading('Quadrant Distribution');
+        ['Leaders', 'Challengers', 'Visionaries', 'Niche Players'].forEach(quadrant => {
+            const names = data.vendors.filter(vendor => vendor.quadrant === quadrant).map(vendor => vendor.name);
+            paragraph(`${quadrant} (${names.length}): ${names.join(', ') || 'None'}`, 5);
+        });
+
+        // One page per vendor with every sub-score and its rationale
+        data.vendors.forEach(vendor => {
+            doc.addPage();
+            yPosition = 30;
+            doc.setFontSize(16);
+            doc.setFont(undefined, 'bold');
+            doc.text(vendor.name, margin, yPosition);
+            yPosition += 8;
+            doc.setFontSize(10);
+            doc.setFont(undefined, 'normal');
+            const role = vendor.role && vendor.role !== 'market' ? ` • Our ${vendor.role}` : '';
+            paragraph(`${vendor.quadrant} • Ability to Execute ${vendor.abilityToExecute.toFixed(1)} • Completeness of Vision ${vendor.completenessOfVision.toFixed(1)}${role}`);
+
+            Object.entries(axisGroups).forEach(([axis, criteria]) => {
+                heading(this.axisLabels[axis] || axis);
+                Object.keys(criteria).forEach(key => {
+                    doc.setFont(undefined, 'bold');
+                    paragraph(`${criterionLabel(key)} - ${vendor.scores[key]}/100 (weight ${data.weights[axis][key]}%)`);
+                    doc.setFont(undefined, 'normal');
+                    if (vendor.rationales?.[key]) paragraph(vendor.rationales[key], 5);
+                });
+            });
+
+            heading('Strengths');
+            paragraph(vendor.strengths || 'None listed');
+        });
+
+        doc.save(`magic-quadrant-${technology.replace(/\s+/g, '-')}.pdf`);
     }
 }
 
 // Initialize the interface
-window.supplierQuadInterface = new SupplierQuadInterface();
\ No newline at end of file
+window.supplierQuadInterface = new SupplierQuadInterface();
+
+// Register with the dashboard
+window.agentRegistry.register({
+    id: 'supplier-quad',
+    name: 'Supplier Quad Agent',
+    description: 'Magic Quadrant-style vendor positioning analysis with Gartner methodology and 12-factor weighted scoring framework.',
+    icon: 'fas fa-th-large',
+    priority: 2,
+    features: [
+        'Gartner-style Magic Quadrant positioning',
+        '12-factor weighted scoring system',
+        'Custom shortlist, incumbents and exclusions',
+        'Adjustable criterion weights with live re-plotting',
+        'Leaders/Challengers/Visionaries classification',
+        'Evidence-based vendor evaluation',
+        'Professional quadrant chart generation'
+    ],
+    metrics: '~8s • Magic Quadrant chart',
+    endpoint: 'supplier-quad',
+    interface: window.supplierQuadInterface
+});
@@ -56,47 +56,94 @@ class TechnologyResearchInterface {
                     <label for="technology-input">Technology Area</label>
                     <input type="text" 
                            id="technology-input" 
-                           placeholder="e.g., Zero Trust Security, AIOps, Edge Computing" 
+                           placeholder="e.g., Zero Trust Security - or Data Mesh vs Data Fabric vs Lakehouse" 
                            class="form-input"
                            autocomplete="off">
-                    <div class="input-help">Enter the technology or solution area you want to analyze</div>
+                    <div class="input-help">Enter the technology or solution area you want to analyze, or 2-5 separated by "vs" or commas to compare them</div>
                 </div>
                 
                 <div class="analysis-options">
                     <h4>Analysis Modules</h4>
                     <div class="options-grid">
-                        <div class="option-card">
+                        <label class="option-card selectable">
+                            <input type="checkbox" id="include-market" class="scope-checkbox" checked>
                             <div class="option-icon"><i class="fas fa-chart-line"></i></div>
                             <div class="option-content">
                                 <h5>Market Analysis</h5>
                                 <p>Market size, growth trends, and industry adoption patterns</p>
                                 <span class="timing">~5.3s</span>
                             </div>
-                        </div>
-                        <div class="option-card">
+                        </label>
+                        <label class="option-card selectable">
+                            <input type="checkbox" id="include-vendor" class="scope-checkbox" checked>
                             <div class="option-icon"><i class="fas fa-building"></i></div>
                             <div class="option-content">
                                 <h5>Vendor Analysis</h5>
                                 <p>Competitive landscape and vendor positioning assessment</p>
                                 <span class="timing">~7.7s</span>
                             </div>
-                        </div>
-                        <div class="option-card">
+                        </label>
+                        <label class="option-card selectable">
+                            <input type="checkbox" id="include-hype" class="scope-checkbox" checked>
                             <div class="option-icon"><i class="fas fa-clock"></i></div>
                             <div class="option-content">
                                 <h5>Maturity Assessment</h5>
                                 <p>Hype cycle positioning and implementation readiness</p>
                                 <span class="timing">~4.9s</span>
                             </div>
-                        </div>
-                        <div class="option-card">
+                        </label>
+                        <label class="option-card selectable">
+                            <input type="checkbox" id="include-strategic" class="scope-checkbox" checked>
                             <div class="option-icon"><i class="fas fa-road"></i></div>
                             <div class="option-content">
                                 <h5>5-Year Forecast</h5>
                                 <p>Strategic roadmap and future evolution projections</p>
                                 <span class="timing">~8.7s</span>
                             </div>
-                        </div>
+                        </label>
+                    </div>
+                    
+                    <div class="deep-dive-option">
+                        <label class="grounding-option">
+                            <input type="checkbox" id="include-deep-dive" class="scope-checkbox-extended">
+                            <span>Vendor deep dive - position the landscape vendors on a Magic Quadrant, then analyse the top leaders</span>
+                        </label>
+                        <select id="deep-dive-leaders" class="form-input deep-dive-leaders" aria-label="Number of leaders to analyse">
+                            <option value="1">Top leader</option>
+                            <option value="2" selected>Top 2 leaders</option>
+                            <option value="3">Top 3 leaders</option>
+                        </select>
+                    </div>
+                    
+                    ${this.renderOrganizationProfile()}
+                    
+                    <label class="grounding-option">
+                        <input type="checkbox" id="use-web-search">
+                        <span>Ground analysis in web search results and cite sources</span>
+                    </label>
+                    
+                    <label class="grounding-option">
+                        <input type="checkbox" id="force-refresh">
+                        <span>Refresh cached results instead of reusing recent analyses</span>
+                    </label>
+                    
+                    <label class="grounding-option">
+                        <input type="checkbox" id="reconcile-contradictions" checked>
+                        <span>Ask the model to reconcile contradictions between modules</span>
+                    </label>
+                    
+                    <label class="grounding-option">
+                        <input type="checkbox" id="run-on-server">
+                        <span>Run on the server - research continues if this tab is closed and can be resumed by job ID</span>
+                    </label>
+                    
+                    <div class="form-group depth-group">
+                        <label for="analysis-depth">Analysis Depth</label>
+                        <select id="analysis-depth" class="form-input">
+                            <option value="overview">Overview (Quick insights)</option>
+                            <option value="comprehensive" selected>Comprehensive (Full analysis)</option>
+                            <option value="detailed">Detailed (In-depth research)</option>
+                        </select>
                     </div>
                 </div>
                 
@@ -104,11 +151,11 @@ class TechnologyResearchInterface {
                     <div class="summary-stats">
                         <div class="stat">
                             <span class="stat-label">Total Modules:</span>
-                            <span class="stat-value">4</span>
+                            <span class="stat-value" id="scope-module-count">4</span>
                         </div>
                         <div class="stat">
                             <span class="stat-label">Expected Time:</span>
-                            <span class="stat-value">~26 seconds</span>
+                            <span class="stat-value" id="scope-expected-time">~26 seconds</span>
                         </div>
                         <div class="stat">
                             <span class="stat-label">Artifacts:</span>
@@ -128,10 +175,108 @@ class TechnologyResearchInterface {
                         Cancel
                     </button>
                 </div>
+                
+                ${this.renderResumeJob()}
             </div>
         `;
     }
 
+    // Render the resume form for server-side research jobs, offering recently started jobs
+    renderResumeJob() {
+        const recentJobs = window.technologyResearch?.getRecentJobs() || [];
+        
+        return `
+            <details class="resume-job" ${recentJobs.length > 0 ? 'open' : ''}>
+                <summary>Resume Research Job <span class="profile-hint">pick up research started earlier or shared by a colleague</span></summary>
+                <div class="resume-job-row">
+                    <input type="text" id="resume-job-id" class="form-input" list="recent-research-jobs" placeholder="Job ID">
+                    <datalist id="recent-research-jobs">
+                        ${recentJobs.map(job => `
+                            <option value="${window.agentRegistry.escape(job.id)}" label="${window.agentRegistry.escape(job.technology)} - ${new Date(job.createdAt).toLocaleString()}"></option>
+                        `).join('')}
+                    </datalist>
+                    <button class="secondary-button" onclick="researchInterface.resumeResearch()">
+                        <i class="fas fa-history"></i> Resume
+                    </button>
+                </div>
+            </details>
+        `;
+    }
+
+    // Render organization profile fields, prefilled from the stored profile
+    renderOrganizationProfile() {
+        const store = window.organizationProfile;
+        if (!store) return '';
+        
+        const profile = store.load();
+        const renderOptions = (options, selected) => options.map(option =>
+            `<option value="${option.value}" ${option.value === selected ? 'selected' : ''}>${option.label}</option>`
+        ).join('');
+        
+        return `
+            <details class="organization-profile" ${profile.industry ? 'open' : ''}>
+                <summary>Organization Profile <span class="profile-hint">tailors every module to your context</span></summary>
+                <div class="profile-grid">
+                    <div class="form-group">
+                        <label for="org-name">Organization</label>
+                        <input type="text" id="org-name" class="form-input" value="${window.agentRegistry.escape(profile.name)}" placeholder="e.g., Contoso Health">
+                    </div>
+                    <div class="form-group">
+                        <label for="org-industry">Industry</label>
+                        <select id="org-industry" class="form-input">
+                            <option value="">Not specified</option>
+                            ${renderOptions(store.industries, profile.industry)}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="org-size">Size</label>
+                        <select id="org-size" class="form-input">
+                            <option value="">Not specified</option>
+                            ${renderOptions(store.sizes, profile.size)}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="org-region">Region</label>
+                        <select id="org-region" class="form-input">
+                            <option value="">Not specified</option>
+                            ${renderOptions(store.regions, profile.region)}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="org-regulation">Regulatory Regime</label>
+                        <input type="text" id="org-regulation" class="form-input" value="${window.agentRegistry.escape(profile.regulatoryRegime)}" placeholder="Derived from industry and region if blank">
+                    </div>
+                    <div class="form-group">
+                        <label for="org-risk">Risk Appetite</label>
+                        <select id="org-risk" class="form-input">
+                            <option value="">Not specified</option>
+                            ${renderOptions(store.riskAppetites, profile.riskAppetite)}
+                        </select>
+                    </div>
+                    <div class="form-group profile-wide">
+                        <label for="org-stack">Current Technology Stack</label>
+                        <input type="text" id="org-stack" class="form-input" value="${window.agentRegistry.escape(profile.currentStack)}" placeholder="e.g., Azure, SAP S/4HANA, ServiceNow">
+                    </div>
+                </div>
+            </details>
+        `;
+    }
+
+    // Read organization profile fields from the form
+    readOrganizationProfile() {
+        const value = id => document.getElementById(id)?.value.trim() || '';
+        
+        return {
+            name: value('org-name'),
+            industry: value('org-industry'),
+            size: value('org-size'),
+            region: value('org-region'),
+            regulatoryRegime: value('org-regulation'),
+            currentStack: value('org-stack'),
+            riskAppetite: value('org-risk')
+        };
+    }
+
     // Attach event listeners
     attachEventListeners() {
         const technologyInput = document.getElementById('technology-input');
@@ -144,8 +289,55 @@ class TechnologyResearchInterface {
             
             technologyInput.addEventListener('input', (e) => {
                 this.validateInput();
+                this.updateScopeSummary();
             });
         }
+
+        document.querySelectorAll('.scope-checkbox, .scope-checkbox-extended, #deep-dive-leaders').forEach(control => {
+            control.addEventListener('change', () => this.updateScopeSummary());
+        });
+        this.updateScopeSummary();
+    }
+
+    // Read research scope and depth from the form
+    getResearchOptions() {
+        const isChecked = id => document.getElementById(id)?.checked ?? true;
+        
+        return {
+            includeMarketResearch: isChecked('include-market'),
+            includeVendorAnalysis: isChecked('include-vendor'),
+            includeHypeCycle: isChecked('include-hype'),
+            includeStrategicSummary: isChecked('include-strategic'),
+            includeVendorDeepDive: document.getElementById('include-deep-dive')?.checked ?? false,
+            deepDiveLeaders: parseInt(document.getElementById('deep-dive-leaders')?.value, 10) || undefined,
+            analysisDepth: document.getElementById('analysis-depth')?.value || 'comprehensive',
+            useWebSearch: document.getElementById('use-web-search')?.checked ?? false,
+            forceRefresh: document.getElementById('force-refresh')?.checked ?? false,
+            reconcileContradictions: isChecked('reconcile-contradictions'),
+            runOnServer: document.getElementById('run-on-server')?.checked ?? false
+        };
+    }
+
+    // Keep module count and time estimate in step with the selected scope and number of technologies
+    updateScopeSummary() {
+        const orchestrator = window.technologyResearch;
+        const countElement = document.getElementById('scope-module-count');
+        const timeElement = document.getElementById('scope-expected-time');
+        if (!orchestrator || !countElement || !timeElement) return;
+        
+        const options = this.getResearchOptions();
+        const technologyCount = this.parseTechnologies(document.getElementById('technology-input')?.value || '').length;
+        const comparing = technologyCount > 1;
+        const modules = comparing ? orchestrator.resolveComparisonScope(options) : orchestrator.resolveScope(options);
+        const parallelTime = orchestrator.estimateScopeTime(modules);
+        
+        countElement.textContent = comparing ? `${modules.length} × ${technologyCount} technologies` : modules.length;
+        timeElement.textContent = `~${Math.round(parallelTime * Math.max(1, technologyCount))} seconds`;
+    }
+
+    // Technologies to research: one, or several separated by "vs", commas or semicolons
+    parseTechnologies(text) {
+        return text.split(/\s+vs\.?\s+|[,;]/i).map(technology => technology.trim()).filter(Boolean);
     }
 
     // Validate input
@@ -174,15 +366,49 @@ class TechnologyResearchInterface {
         const technologyInput = document.getElementById('technology-input');
         if (!technologyInput) return;
         
-        const technology = technologyInput.value.trim();
+        const technologies = this.parseTechnologies(technologyInput.value);
+        const comparing = technologies.length > 1;
         
-        if (!technology || technology.length < 3) {
+        if (technologies.length === 0 || technologies.some(technology => technology.length < 3)) {
             this.showValidationError('Please enter a technology area (minimum 3 characters)');
             return;
         }
         
+        const { minTechnologies, maxTechnologies } = window.technologyResearch.comparisonSettings;
+        if (comparing && technologies.length > maxTechnologies) {
+            this.showValidationError(`Compare between ${minTechnologies} and ${maxTechnologies} technologies`);
+            return;
+        }
+        
+        const researchOptions = this.getResearchOptions();
+        if (!comparing && window.technologyResearch.resolveScope(researchOptions).length === 0) {
+            this.showValidationError('Select at least one analysis module');
+            return;
+        }
+        
+        // Server jobs research a single technology; comparisons run in this tab
+        if (comparing && researchOptions.runOnServer) {
+            this.showValidationError('Comparisons run in the browser - untick "Run on the server" to compare');
+            return;
+        }
+        
+        // The deep dive chains modules on each other's results, so it runs for one technology in this tab
+        if (researchOptions.includeVendorDeepDive && comparing) {
+            this.showValidationError('Vendor deep dives cover a single technology - untick the deep dive to compare');
+            return;
+        }
+        if (researchOptions.includeVendorDeepDive && researchOptions.runOnServer) {
+            this.showValidationError('Vendor deep dives run in the browser - untick "Run on the server" to include them');
+            return;
+        }
+        
+        // Persist the profile so every agent reuses it; the orchestrator reads it from the store
+        if (window.organizationProfile && document.getElementById('org-name')) {
+            window.organizationProfile.save(this.readOrganizationProfile());
+        }
+        
         this.isResearchActive = true;
-        this.currentTechnology = technology;
+        this.currentTechnology = technologies.join(' vs ');
         
         // Hide input form and show progress
         const inputSection = document.getElementById('input-section');
@@ -191,11 +417,17 @@ class TechnologyResearchInterface {
         }
         
         try {
-            // Use the orchestrator to conduct research
-            await window.technologyResearch.conductResearch(technology, {
+            // Use the orchestrator to conduct research, or to compare several technologies
+            const options = {
+                ...researchOptions,
                 generateArtifacts: true,
                 webSummary: true
-            });
+            };
+            if (comparing) {
+                await window.technologyResearch.conductComparison(technologies, options);
+            } else {
+                await window.technologyResearch.conductResearch(technologies[0], options);
+            }
             
         } catch (error) {
             console.error('Research failed:', error);
@@ -205,6 +437,35 @@ class TechnologyResearchInterface {
         }
     }
 
+    // Resume a server-side research job by ID
+    async resumeResearch() {
+        if (this.isResearchActive) return;
+        
+        const jobInput = document.getElementById('resume-job-id');
+        const jobId = jobInput ? jobInput.value.trim() : '';
+        if (!jobId) {
+            this.showValidationError('Enter the ID of the research job to resume');
+            return;
+        }
+        
+        this.isResearchActive = true;
+        
+        const inputSection = document.getElementById('input-section');
+        if (inputSection) {
+            inputSection.style.display = 'none';
+        }
+        
+        try {
+            await window.technologyResearch.resumeJob(jobId);
+            this.currentTechnology = window.technologyResearch.currentResearch.technology;
+        } catch (error) {
+            console.error('Resuming research failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.isResearchActive = false;
+        }
+    }
+
     // Show validation error
     showValidationError(message) {
         const technologyInput = document.getElementById('technology-input');
@@ -250,7 +511,7 @@ class TechnologyResearchInterface {
                 </div>
                 <div class="error-content">
                     <h3>Analysis Failed</h3>
-                    <p>${errorMessage}</p>
+                    <p>${window.agentRegistry.escape(errorMessage)}</p>
                     <div class="error-details">
                         <p>This could be due to:</p>
                         <ul>
@@ -277,6 +538,24 @@ class TechnologyResearchInterface {
         }
     }
 
+    // Show a research or comparison run saved in the research library
+    async reopen(run) {
+        this.initializeInterface();
+        this.currentTechnology = run.technology;
+
+        const inputSection = document.getElementById('input-section');
+        if (inputSection) {
+            inputSection.style.display = 'none';
+        }
+
+        try {
+            await window.technologyResearch.reopenResearch(run);
+        } catch (error) {
+            console.error('Reopening research failed:', error);
+            this.showError(error.message);
+        }
+    }
+
     // Reset interface to initial state
     resetInterface() {
         this.isResearchActive = false;
@@ -389,6 +668,61 @@ class TechnologyResearchInterface {
                 background: #ffffff;
             }
             
+            .option-card.selectable {
+                display: block;
+                position: relative;
+                cursor: pointer;
+            }
+            
+            .option-card.selectable .scope-checkbox {
+                position: absolute;
+                top: 12px;
+                right: 12px;
+            }
+            
+            .option-card.selectable:has(.scope-checkbox:not(:checked)) {
+                opacity: 0.55;
+            }
+            
+            .organization-profile {
+                margin-top: 20px;
+                border: 2px solid #e1e8ed;
+                border-radius: 8px;
+                padding: 15px;
+            }
+            
+            .organization-profile summary {
+                font-weight: 600;
+                color: #2c3e50;
+                cursor: pointer;
+            }
+            
+            .profile-hint {
+                font-weight: normal;
+                font-size: 13px;
+                color: #7f8c8d;
+                margin-left: 8px;
+            }
+            
+            .profile-grid {
+                display: grid;
+                grid-template-columns: repeat(2, 1fr);
+                gap: 0 15px;
+                margin-top: 15px;
+            }
+            
+            .profile-grid .form-group {
+                margin-bottom: 15px;
+            }
+            
+            .profile-grid .profile-wide {
+                grid-column: 1 / -1;
+            }
+            
+            .depth-group {
+                margin-top: 20px;
+            }
+            
             .option-card.vendor-specific {
                 border-color: #f39c12;
                 background: linear-gradient(135deg, #fff 0%, #fdf6e3 100%);
@@ -559,6 +893,26 @@ class TechnologyResearchInterface {
                 border-left-color: #e74c3c;
             }
             
+            .progress-step.skipped {
+                opacity: 0.5;
+            }
+            
+            .deep-dive-option {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                flex-wrap: wrap;
+            }
+            
+            .deep-dive-option .deep-dive-leaders {
+                width: auto;
+                padding: 6px 10px;
+            }
+            
+            .progress-step.retrying {
+                border-left-color: #e67e22;
+            }
+            
             .step-number {
                 position: absolute;
                 left: -12px;
@@ -587,6 +941,10 @@ class TechnologyResearchInterface {
                 background: #e74c3c;
             }
             
+            .progress-step.retrying .step-number {
+                background: #e67e22;
+            }
+            
             .step-content {
                 margin-left: 30px;
                 flex: 1;
@@ -610,6 +968,31 @@ class TechnologyResearchInterface {
                 margin-top: 5px;
             }
             
+            .step-preview {
+                display: none;
+                margin-top: 8px;
+                padding: 8px 10px;
+                background: #f8f9fa;
+                border-left: 3px solid #3498db;
+                border-radius: 4px;
+                color: #5d6d7e;
+                font-size: 12px;
+                line-height: 1.4;
+                white-space: pre-wrap;
+                max-height: 90px;
+                overflow: hidden;
+            }
+            
+            .step-preview.streaming,
+            .step-preview.completed {
+                display: block;
+            }
+            
+            .step-preview.completed {
+                border-left-color: #27ae60;
+                color: #2c3e50;
+            }
+            
             .progress-bar-container {
                 margin-top: 20px;
             }
@@ -750,7 +1133,91 @@ class TechnologyResearchInterface {
                 border-left: 4px solid #3498db;
                 color: #2c3e50;
             }
-            
+
+            .recommendation-justification {
+                font-size: 13px;
+                font-style: italic;
+                color: #7f8c8d;
+                margin-top: 4px;
+            }
+
+            .synthesis-notice {
+                color: #e67e22;
+                font-size: 14px;
+            }
+
+            .implementation-plan {
+                margin-bottom: 30px;
+            }
+
+            .implementation-plan h3 {
+                color: #2c3e50;
+                margin-bottom: 15px;
+                font-size: 20px;
+            }
+
+            .implementation-plan .plan-duration {
+                font-size: 14px;
+                font-weight: normal;
+                color: #7f8c8d;
+            }
+
+            .risk-list {
+                list-style: none;
+                padding: 0;
+            }
+
+            .risk-list li,
+            .phase-plan li {
+                background: #ecf0f1;
+                padding: 12px 16px;
+                margin-bottom: 8px;
+                border-radius: 6px;
+                border-left: 4px solid #3498db;
+                color: #2c3e50;
+            }
+
+            .risk-list li.risk-high {
+                border-left-color: #e74c3c;
+            }
+
+            .risk-list li.risk-medium {
+                border-left-color: #f39c12;
+            }
+
+            .consistency-section {
+                margin-bottom: 30px;
+            }
+
+            .consistency-section h3 {
+                color: #2c3e50;
+                margin-bottom: 15px;
+                font-size: 20px;
+            }
+
+            .consistency-list {
+                list-style: none;
+                padding: 0;
+            }
+
+            .consistency-list li {
+                background: #ecf0f1;
+                padding: 12px 16px;
+                margin-bottom: 8px;
+                border-radius: 6px;
+                border-left: 4px solid #27ae60;
+                color: #2c3e50;
+            }
+
+            .consistency-list li.consistency-contradiction {
+                border-left-color: #e74c3c;
+            }
+
+            .consistency-reconciliation {
+                margin-top: 6px;
+                font-size: 14px;
+            }
+
             .module-results h3 {
                 color: #2c3e50;
                 margin-bottom: 20px;
@@ -771,6 +1238,11 @@ class TechnologyResearchInterface {
                 box-shadow: 0 2px 8px rgba(52, 152, 219, 0.1);
             }
             
+            .module-result-card.missing {
+                border-color: #e74c3c;
+                background: #fdf2f2;
+            }
+            
             .module-header {
                 display: flex;
                 justify-content: between;
@@ -798,6 +1270,130 @@ class TechnologyResearchInterface {
                 line-height: 1.5;
             }
             
+            .module-footnotes {
+                margin: 12px 0 0;
+                padding-left: 24px;
+                font-size: 13px;
+                color: #7f8c8d;
+            }
+            
+            .module-footnotes a {
+                color: #3498db;
+            }
+            
+            .footnote-claims {
+                display: block;
+                font-style: italic;
+            }
+            
+            .comparison-caveats {
+                margin: 12px 0 0;
+                padding-left: 20px;
+                color: #8a6d3b;
+            }
+            
+            .comparison-matrix {
+                margin-bottom: 30px;
+                overflow-x: auto;
+            }
+            
+            .comparison-matrix h3 {
+                color: #2c3e50;
+                margin-bottom: 15px;
+                font-size: 20px;
+            }
+            
+            .comparison-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 14px;
+            }
+            
+            .comparison-table th,
+            .comparison-table td {
+                padding: 10px 8px;
+                border-bottom: 1px solid #e1e8ed;
+                text-align: left;
+            }
+            
+            .comparison-table th {
+                background: #f8f9fa;
+                color: #7f8c8d;
+                font-size: 12px;
+                text-transform: uppercase;
+            }
+            
+            .comparison-table tr.recommended {
+                background: #eafaf1;
+            }
+            
+            .comparison-swatch {
+                display: inline-block;
+                width: 10px;
+                height: 10px;
+                border-radius: 50%;
+                margin-right: 8px;
+            }
+            
+            .comparison-note {
+                margin-top: 10px;
+                color: #7f8c8d;
+                font-size: 13px;
+            }
+            
+            .comparison-charts {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+                gap: 15px;
+                margin-bottom: 30px;
+            }
+            
+            .comparison-charts img {
+                width: 100%;
+                border: 2px solid #e1e8ed;
+                border-radius: 8px;
+            }
+            
+            .resume-job {
+                margin-top: 25px;
+                border-top: 1px solid #e1e8ed;
+                padding-top: 15px;
+            }
+            
+            .resume-job summary {
+                cursor: pointer;
+                color: #2c3e50;
+                font-weight: 600;
+            }
+            
+            .resume-job-row {
+                display: flex;
+                gap: 10px;
+                margin-top: 12px;
+            }
+            
+            .resume-job-row .form-input {
+                flex: 1;
+                font-family: monospace;
+            }
+            
+            .job-reference {
+                margin-top: 15px;
+                padding: 10px 15px;
+                background: #eaf4fc;
+                border-radius: 8px;
+                color: #2c3e50;
+                font-size: 14px;
+            }
+            
+            .grounding-option {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin-top: 20px;
+                color: #2c3e50;
+            }
+            
             .artifacts-section {
                 border-top: 2px solid #e1e8ed;
                 padding-top: 30px;
@@ -966,4 +1562,24 @@ class TechnologyResearchInterface {
 const researchInterface = new TechnologyResearchInterface();
 
 // Export for global access
-window.researchInterface = researchInterface;
\ No newline at end of file
+window.researchInterface = researchInterface;
+
+// Register with the dashboard
+window.agentRegistry.register({
+    id: 'technology-research',
+    name: 'Technology Research Agent',
+    description: 'Comprehensive 5-module EA analysis powered by GPT-4o with market intelligence, vendor evaluation, and vendor-specific technology assessment.',
+    icon: 'fas fa-search',
+    priority: 1,
+    features: [
+        'Market trends & growth analysis',
+        'Competitive vendor positioning',
+        'Technology maturity assessment',
+        '5-year strategic forecasting',
+        'Vendor-specific technology analysis'
+    ],
+    metrics: '~33s • 10+ artifacts',
+    endpoint: 'research-jobs',
+    libraryEntry: run => window.technologyResearch.libraryEntry(run),
+    interface: window.researchInterface
+});
@@ -8,6 +8,8 @@ class TechnologyResearchOrchestrator {
         this.analysisModules = [
             { 
                 name: 'market-analysis', 
+                scopeOption: 'includeMarketResearch',
+                coverage: 'market landscape',
                 title: 'Market Analysis', 
                 step: 'step-market',
                 expectedTime: 5.3,
@@ -15,6 +17,8 @@ class TechnologyResearchOrchestrator {
             },
             { 
                 name: 'vendor-analysis', 
+                scopeOption: 'includeVendorAnalysis',
+                coverage: 'vendor ecosystem',
                 title: 'Vendor Analysis', 
                 step: 'step-vendor',
                 expectedTime: 7.7,
@@ -22,6 +26,8 @@ class TechnologyResearchOrchestrator {
             },
             { 
                 name: 'maturity-assessment', 
+                scopeOption: 'includeHypeCycle',
+                coverage: 'technology maturity',
                 title: 'Maturity Assessment', 
                 step: 'step-maturity',
                 expectedTime: 4.9,
@@ -29,14 +35,95 @@ class TechnologyResearchOrchestrator {
             },
             { 
                 name: '5-year-forecast', 
+                scopeOption: 'includeStrategicSummary',
+                coverage: '5-year strategic forecast',
                 title: '5-Year Forecast', 
                 step: 'step-forecast',
                 expectedTime: 8.7,
                 description: 'Developing strategic forecast and roadmap'
             }
         ];
+        // Opt-in vendor deep dive: after the base modules, position the landscape vendors on a Magic Quadrant,
+        // then run a vendor-specific analysis on the top quadrant leaders
+        this.vendorDeepDive = {
+            scopeOption: 'includeVendorDeepDive',
+            defaultLeaders: 2,
+            maxLeaders: 3,
+            quadrantVendors: 10,   // Landscape vendors passed to the quadrant as its shortlist
+            quadrant: {
+                name: 'supplier-quad',
+                phase: 'quadrant',
+                coverage: 'Magic Quadrant positioning',
+                title: 'Magic Quadrant',
+                step: 'step-quadrant',
+                expectedTime: 8.0,
+                description: 'Positioning the landscape vendors on the Magic Quadrant'
+            },
+            leader: {
+                name: 'vendor-technology-analysis',
+                phase: 'deep-dive',
+                coverage: 'leader deep dives',
+                expectedTime: 6.5,
+                description: 'Vendor-specific analysis of a quadrant leader'
+            }
+        };
         this.totalExpectedTime = 26.6; // Sum of all module times
-        this.currentModuleIndex = 0;
+        this.executionSettings = {
+            concurrency: 2,        // Modules running at once
+            moduleTimeout: 30000,  // Per-attempt timeout (ms)
+            retries: 1,            // Extra attempts after a failed call
+            retryDelay: 1500,      // Backoff before each retry (ms), multiplied by attempt
+            streaming: true        // Stream tokens through research-stream when the endpoint is available
+        };
+        // Depth controls what each module is asked for and which PDF sections are rendered
+        this.depthProfiles = {
+            overview: { label: 'Overview', pdfSections: ['summary'], analysisChars: 0, recommendationCount: 3 },
+            comprehensive: { label: 'Comprehensive', pdfSections: ['analysis', 'supportingData'], analysisChars: 1500, recommendationCount: 5 },
+            detailed: { label: 'Detailed', pdfSections: ['analysis', 'supportingData', 'moduleDetails'], analysisChars: null, recommendationCount: 5 }
+        };
+        // Findings sent to research-synthesis, which traces every recommendation, risk and phase back to a module
+        this.synthesisSettings = {
+            excerptChars: 1500,    // Start of each module's analysis passed along with its summary and facts
+            maxVendors: 8          // Landscape vendors included in the vendor analysis facts
+        };
+        // Cross-module checks on facts the market, maturity and forecast modules each report independently
+        this.consistencySettings = {
+            adoptionTolerancePoints: 10,    // Current adoption rates further apart than this (percentage points) contradict
+            mainstreamAdoptionPercent: 16,  // Adoption at which a technology counts as mainstream (innovators plus early adopters)
+            mainstreamToleranceYears: 1,    // Allowed gap between maturity's time to mainstream and the forecast trajectory
+            marketSizeTolerance: 0.5,       // Allowed relative gap between the forecast's market size projection and market analysis
+            currencySymbols: { USD: '$', EUR: '€', GBP: '£' }
+        };
+        // Server-side research jobs keep running when the tab is closed and can be resumed by ID
+        this.jobSettings = {
+            pollInterval: 2000,          // Status poll interval (ms)
+            maxWait: 15 * 60 * 1000,     // Stop waiting after the background function limit (ms)
+            storageKey: 'ea_research_jobs',
+            maxRecentJobs: 10
+        };
+        // Comparison mode runs every technology through the same modules and ranks them on aligned metrics
+        this.comparisonSettings = {
+            minTechnologies: 2,
+            maxTechnologies: 5,
+            requiredModules: ['market-analysis', 'maturity-assessment'], // Source of the aligned metrics
+            closeCallMargin: 5,                                          // Score gap treated as too close to call
+            colors: ['#e74c3c', '#3498db', '#27ae60', '#f39c12', '#9b59b6'],
+            // Score weights by organization risk appetite; missing metrics drop out and the rest are re-weighted
+            weights: {
+                conservative: { maturity: 40, mainstream: 30, growth: 15, marketSize: 15 },
+                moderate: { maturity: 30, mainstream: 25, growth: 25, marketSize: 20 },
+                aggressive: { maturity: 15, mainstream: 15, growth: 45, marketSize: 25 }
+            },
+            labels: { maturity: 'hype cycle maturity', mainstream: 'time to mainstream', growth: 'market growth', marketSize: 'market size' }
+        };
+        this.hypeCyclePhases = [
+            'Innovation Trigger',
+            'Peak of Inflated Expectations',
+            'Trough of Disillusionment',
+            'Slope of Enlightenment',
+            'Plateau of Productivity'
+        ];
+        this.currentComparison = null;
         this.startTime = null;
         
         console.log('Technology Research Orchestrator initialized (Production v2.0)');
@@ -44,42 +131,52 @@ class TechnologyResearchOrchestrator {
 
     // Main orchestration method
     async conductResearch(technology, options = {}) {
+        // Research scope decides which modules run; unset flags default to included
+        const activeModules = this.resolveScope(options);
+        if (activeModules.length === 0) {
+            throw new Error('Select at least one analysis module');
+        }
+
         try {
             this.startTime = Date.now();
-            this.currentModuleIndex = 0;
-            
+            this.currentComparison = null;
+
             // Initialize research object
-            this.currentResearch = {
-                technology: technology,
-                startTime: new Date(),
-                options: options,
-                modules: {},
-                aggregatedData: {},
-                status: 'in-progress',
-                totalTime: 0
-            };
+            this.currentResearch = this.createResearch(technology, options, activeModules);
 
             // Update UI
             this.initializeProgress();
             this.showProgress();
 
-            // Execute all modules sequentially
-            for (let i = 0; i < this.analysisModules.length; i++) {
-                this.currentModuleIndex = i;
-                const module = this.analysisModules[i];
-                
-                await this.executeModule(module, technology);
-                this.updateProgress();
+            if (options.jobId) {
+                // Pick up an existing server-side job
+                await this.waitForJob(options.jobId);
+            } else if (options.runOnServer) {
+                if (activeModules.some(module => module.phase)) {
+                    throw new Error('Vendor deep dives run in the browser - untick "Run on the server" to include them');
+                }
+                await this.runServerJob(technology);
+            } else {
+                // Modules are independent, so run them concurrently up to the configured limit
+                await this.executeModulesConcurrently(technology);
+                await this.executeVendorDeepDive(technology);
+            }
+
+            const failedCount = Object.keys(this.currentResearch.failedModules).length;
+            if (failedCount === activeModules.length) {
+                const reasons = Object.values(this.currentResearch.failedModules).map(failure => `${failure.title}: ${failure.error}`);
+                throw new Error(`All analysis modules failed (${reasons.join('; ')})`);
             }
 
             // Aggregate results and generate artifacts
             await this.aggregateResults();
             await this.generateArtifacts();
             
-            this.currentResearch.status = 'completed';
+            this.currentResearch.status = failedCount > 0 ? 'partial' : 'completed';
             this.currentResearch.totalTime = Date.now() - this.startTime;
             
             this.showResults();
+            window.agentRegistry?.recordRun('technology-research', this.currentResearch);
             console.log(`Research completed in ${this.currentResearch.totalTime}ms`);
             
         } catch (error) {
@@ -90,44 +187,548 @@ class TechnologyResearchOrchestrator {
         }
     }
 
-    // Execute individual analysis module
-    async executeModule(module, technology) {
+    // Resume a server-side research job by ID, e.g. one started in another tab or by a colleague
+    async resumeJob(jobId) {
+        const { job } = await this.fetchJob(jobId);
+        
+        return this.conductResearch(job.technology, {
+            ...job.options,
+            organization: job.organization,
+            runOnServer: true,
+            jobId: job.id
+        });
+    }
+
+    // What the research library stores for a research or comparison run. Artifacts hold blob URLs that die with the page, so they are rebuilt on reopen
+    libraryEntry(run) {
+        const { artifacts, ...stored } = run;
+        const payload = JSON.parse(JSON.stringify(stored));
+        const comparing = Array.isArray(run.technologies);
+        const research = comparing ? run.results : [run];
+
+        const tags = [
+            run.analysisDepth || run.options?.analysisDepth,
+            comparing ? 'comparison' : null,
+            run.status === 'partial' ? 'partial' : null,
+            run.organization?.industry,
+            research.some(result => result.activeModules.some(module => module.phase)) ? 'vendor-deep-dive' : null
+        ].filter(Boolean);
+
+        const summary = comparing
+            ? run.recommendation?.summary
+            : Object.values(run.modules).map(module => module.data?.summary).find(Boolean);
+
+        return {
+            payload: payload,
+            technologies: comparing ? run.technologies : [run.technology],
+            tags: tags,
+            summary: summary || '',
+            status: run.status
+        };
+    }
+
+    // Show a research or comparison run from the research library, regenerating its PDFs, charts and exports
+    async reopenResearch(run) {
+        if (Array.isArray(run.technologies)) {
+            this.currentComparison = { ...run, startTime: new Date(run.startTime) };
+            await this.generateComparisonArtifacts();
+            this.showComparisonResults();
+            return;
+        }
+
+        this.currentComparison = null;
+        this.currentResearch = { ...run, startTime: new Date(run.startTime) };
+        await this.generateArtifacts();
+        this.showResults();
+    }
+
+    // Fresh research state for one technology
+    createResearch(technology, options, activeModules) {
+        return {
+            technology: technology,
+            startTime: new Date(),
+            options: options,
+            settings: { ...this.executionSettings, ...this.pickExecutionOverrides(options) },
+            activeModules: activeModules,
+            organization: options.organization || window.organizationProfile?.getRequestProfile() || null,
+            analysisDepth: this.depthProfiles[options.analysisDepth] ? options.analysisDepth : 'comprehensive',
+            modules: {},
+            failedModules: {},
+            aggregatedData: {},
+            status: 'in-progress',
+            totalTime: 0
+        };
+    }
+
+    // Compare 2-5 technologies: run the modules for each in turn, then align, rank and chart them together
+    async conductComparison(technologies, options = {}) {
+        const names = this.normalizeComparisonTechnologies(technologies);
+        const activeModules = this.resolveComparisonScope(options);
+        const organization = options.organization || window.organizationProfile?.getRequestProfile() || null;
+
+        this.startTime = Date.now();
+        this.currentComparison = {
+            technology: names.join(' vs '),
+            technologies: names,
+            startTime: new Date(),
+            options: options,
+            organization: organization,
+            activeModules: activeModules,
+            currentIndex: 0,
+            results: [],
+            failedTechnologies: [],
+            status: 'in-progress',
+            totalTime: 0
+        };
+
+        try {
+            this.initializeComparisonProgress();
+            this.showProgress();
+
+            // Technologies run one after another; each one's modules still run concurrently
+            for (const [index, technology] of names.entries()) {
+                this.currentComparison.currentIndex = index;
+                this.currentResearch = this.createResearch(technology, { ...options, organization: organization }, activeModules);
+                this.setComparisonStep(index, 'active', `0 of ${activeModules.length} modules`);
+
+                await this.executeModulesConcurrently(technology);
+
+                const failures = Object.values(this.currentResearch.failedModules);
+                if (failures.length === activeModules.length) {
+                    const reason = failures.map(failure => `${failure.title}: ${failure.error}`).join('; ');
+                    this.currentComparison.failedTechnologies.push({ technology: technology, error: reason });
+                    this.setComparisonStep(index, 'error', 'All modules failed');
+                    continue;
+                }
+
+                await this.aggregateResults();
+                this.currentResearch.status = failures.length > 0 ? 'partial' : 'completed';
+                this.currentComparison.results.push(this.currentResearch);
+                this.setComparisonStep(index, 'completed', failures.length > 0 ? `${failures.length} module(s) missing` : 'Done');
+            }
+
+            const { results, failedTechnologies } = this.currentComparison;
+            if (results.length < this.comparisonSettings.minTechnologies) {
+                const reasons = failedTechnologies.map(failure => `${failure.technology}: ${failure.error}`);
+                throw new Error(`At least ${this.comparisonSettings.minTechnologies} technologies need results to compare (${reasons.join('; ')})`);
+            }
+
+            this.buildComparison();
+            await this.generateComparisonArtifacts();
+
+            const partial = failedTechnologies.length > 0 || results.some(research => research.status === 'partial');
+            this.currentComparison.status = partial ? 'partial' : 'completed';
+            this.currentComparison.totalTime = Date.now() - this.startTime;
+
+            this.showComparisonResults();
+            window.agentRegistry?.recordRun('technology-research', this.currentComparison);
+            console.log(`Comparison of ${names.length} technologies completed in ${this.currentComparison.totalTime}ms`);
+
+        } catch (error) {
+            console.error('Comparison failed:', error);
+            this.currentComparison.status = 'failed';
+            this.showError(error.message);
+            throw error;
+        }
+    }
+
+    // Trimmed, de-duplicated technology names within the comparison limits
+    normalizeComparisonTechnologies(technologies) {
+        const { minTechnologies, maxTechnologies } = this.comparisonSettings;
+        const seen = new Set();
+        const names = (Array.isArray(technologies) ? technologies : [])
+            .map(technology => String(technology || '').trim())
+            .filter(technology => {
+                const key = technology.toLowerCase();
+                if (!technology || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+
+        if (names.length < minTechnologies || names.length > maxTechnologies) {
+            throw new Error(`Compare between ${minTechnologies} and ${maxTechnologies} different technologies`);
+        }
+        return names;
+    }
+
+    // Modules selected by the include* scope options; the vendor deep dive must be asked for explicitly
+    resolveScope(options) {
+        const modules = this.analysisModules.filter(module => options[module.scopeOption] !== false);
+        if (options[this.vendorDeepDive.scopeOption] === true) {
+            modules.push(...this.buildDeepDiveModules(options));
+        }
+        return modules;
+    }
+
+    // Quadrant module plus one placeholder per leader; leader vendors are filled in once the quadrant is known
+    buildDeepDiveModules(options) {
+        const { quadrant, leader, defaultLeaders, maxLeaders } = this.vendorDeepDive;
+        const requested = parseInt(options.deepDiveLeaders, 10);
+        const leaderCount = Number.isInteger(requested) ? Math.min(Math.max(requested, 1), maxLeaders) : defaultLeaders;
+
+        return [
+            { ...quadrant },
+            ...Array.from({ length: leaderCount }, (_, index) => ({
+                ...leader,
+                key: `${leader.name}-${index + 1}`,
+                title: `Leader Deep Dive ${index + 1}`,
+                step: `step-deep-dive-${index + 1}`,
+                vendor: null
+            }))
+        ];
+    }
+
+    // Results and failures are stored per module key; deep dives share one endpoint, so each has its own key
+    moduleKey(module) {
+        return module.key || module.name;
+    }
+
+    // Comparison scope: the selected modules plus those supplying the aligned metrics
+    resolveComparisonScope(options) {
+        const { requiredModules } = this.comparisonSettings;
+        return this.analysisModules.filter(module => requiredModules.includes(module.name) || options[module.scopeOption] !== false);
+    }
+
+    // Depth profile for the current research run
+    getDepthProfile() {
+        return this.depthProfiles[this.currentResearch.analysisDepth];
+    }
+
+    // Only numeric execution overrides are accepted from research options
+    pickExecutionOverrides(options) {
+        const overrides = {};
+        ['concurrency', 'moduleTimeout', 'retries', 'retryDelay'].forEach(key => {
+            if (Number.isFinite(options[key]) && options[key] >= 0) {
+                overrides[key] = options[key];
+            }
+        });
+        if (options.streaming === false) {
+            overrides.streaming = false;
+        }
+        if (overrides.concurrency !== undefined) {
+            overrides.concurrency = Math.max(1, Math.floor(overrides.concurrency));
+        }
+        return overrides;
+    }
+
+    // Run modules through a fixed-size worker pool; failures are recorded, never thrown.
+    // Defaults to the independent modules; deep dive phases are run by executeVendorDeepDive
+    async executeModulesConcurrently(technology, modules = this.currentResearch.activeModules.filter(module => !module.phase)) {
+        const queue = [...modules];
+        const workerCount = Math.min(this.currentResearch.settings.concurrency, queue.length);
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const module = queue.shift();
+                try {
+                    await this.executeModuleWithRetry(module, technology);
+                } catch (error) {
+                    this.currentResearch.failedModules[this.moduleKey(module)] = {
+                        title: module.title,
+                        error: error.message,
+                        attempts: error.attempts || 1,
+                        failedAt: new Date()
+                    };
+                }
+                this.updateProgress();
+            }
+        };
+
+        await Promise.all(Array.from({ length: workerCount }, worker));
+    }
+
+    // Magic Quadrant over the landscape vendors, then vendor-specific analysis of the top leaders
+    async executeVendorDeepDive(technology) {
+        const research = this.currentResearch;
+        const quadrant = research.activeModules.find(module => module.phase === 'quadrant');
+        if (!quadrant) return;
+
+        await this.executeModulesConcurrently(technology, [quadrant]);
+
+        const leaders = this.selectQuadrantLeaders();
+        const deepDives = research.activeModules.filter(module => module.phase === 'deep-dive');
+        research.vendors = leaders.slice(0, deepDives.length);
+        research.vendor = leaders[0] || null;
+
+        deepDives.forEach((module, index) => {
+            const vendor = leaders[index];
+            if (vendor) {
+                module.vendor = vendor;
+                module.title = `${vendor} Deep Dive`;
+                this.setModuleState(module, '', module.title);
+            } else if (research.failedModules[quadrant.name]) {
+                research.failedModules[module.key] = {
+                    title: module.title,
+                    error: 'Magic Quadrant unavailable, so no leader could be selected',
+                    attempts: 0,
+                    failedAt: new Date()
+                };
+                this.setModuleState(module, 'error', `${module.title} skipped`, 'Magic Quadrant unavailable');
+            } else {
+                // Fewer leaders than requested deep dives - drop the spare steps from the run
+                research.activeModules = research.activeModules.filter(active => active !== module);
+                this.setModuleState(module, 'skipped', `${module.title} skipped`, 'No further quadrant leaders');
+            }
+        });
+        this.updateProgress();
+
+        await this.executeModulesConcurrently(technology, deepDives.filter(module => module.vendor));
+    }
+
+    // Quadrant leaders ranked by combined axis scores
+    selectQuadrantLeaders() {
+        const vendors = this.currentResearch.modules['supplier-quad']?.data?.vendors || [];
+        return vendors
+            .filter(vendor => vendor.quadrant === 'Leaders')
+            .sort((a, b) => (b.abilityToExecute + b.completenessOfVision) - (a.abilityToExecute + a.completenessOfVision))
+            .map(vendor => vendor.name);
+    }
+
+    // Landscape vendors the quadrant should position, so both views cover the same field
+    landscapeShortlist() {
+        const vendors = this.currentResearch.modules['vendor-analysis']?.data?.vendors || [];
+        return vendors.slice(0, this.vendorDeepDive.quadrantVendors).map(vendor => vendor.name);
+    }
+
+    // Execute a module, retrying timeouts, network errors and server errors with backoff
+    async executeModuleWithRetry(module, technology) {
+        const { retries, retryDelay } = this.currentResearch.settings;
+        const maxAttempts = retries + 1;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                return await this.executeModule(module, technology, attempt);
+            } catch (error) {
+                if (attempt === maxAttempts || error.retryable === false) {
+                    error.attempts = attempt;
+                    this.setModuleState(module, 'error', `${module.title} failed`, error.message);
+                    throw error;
+                }
+
+                console.warn(`${module.title} attempt ${attempt} failed, retrying:`, error.message);
+                this.setModuleState(module, 'retrying', `${module.title} - retrying (${attempt + 1}/${maxAttempts})`, error.message);
+                await new Promise(resolve => setTimeout(resolve, retryDelay * attempt));
+            }
+        }
+    }
+
+    // Start a server-side research job, then wait for it like a resumed job
+    async runServerJob(technology) {
+        const { options, organization } = this.currentResearch;
+        
+        const response = await fetch('/.netlify/functions/research-jobs', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ technology: technology, options: options, organization: organization })
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Research job could not be started (HTTP ${response.status})`);
+        }
+
+        await this.waitForJob(result.jobId);
+    }
+
+    // Poll a job until it finishes, mirroring its module states, then load its results
+    async waitForJob(jobId) {
+        const { pollInterval, maxWait } = this.jobSettings;
+        const deadline = Date.now() + maxWait;
+        let rememberedJob = false;
+
+        this.currentResearch.jobId = jobId;
+        this.showJobReference(jobId);
+
+        while (true) {
+            const { job } = await this.fetchJob(jobId);
+            if (!rememberedJob) {
+                this.rememberJob(job);
+                rememberedJob = true;
+            }
+            this.applyJobProgress(job);
+
+            if (['completed', 'partial', 'failed'].includes(job.status)) break;
+            if (Date.now() > deadline) {
+                throw new Error(`Research job ${jobId} is still running - resume it later with its job ID`);
+            }
+            await new Promise(resolve => setTimeout(resolve, pollInterval));
+        }
+
+        const result = await this.fetchJob(jobId, 'result');
+        if (result.job.status === 'failed' && Object.keys(result.results).length === 0) {
+            throw new Error(result.job.error || 'Research job failed');
+        }
+
+        Object.entries(result.results).forEach(([moduleName, moduleResult]) => {
+            this.currentResearch.modules[moduleName] = {
+                ...moduleResult,
+                completedAt: new Date(moduleResult.completedAt)
+            };
+        });
+        Object.entries(result.failedModules).forEach(([moduleName, failure]) => {
+            this.currentResearch.failedModules[moduleName] = {
+                ...failure,
+                failedAt: new Date(failure.failedAt)
+            };
+        });
+    }
+
+    // Fetch job status, or the full results with view 'result'
+    async fetchJob(jobId, view) {
+        const query = `id=${encodeURIComponent(jobId)}${view ? `&view=${view}` : ''}`;
+        const response = await fetch(`/.netlify/functions/research-jobs?${query}`);
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Research job lookup failed (HTTP ${response.status})`);
+        }
+        return result;
+    }
+
+    // Mirror server-side module states in the progress steps and bar
+    applyJobProgress(job) {
+        this.currentResearch.activeModules.forEach(module => {
+            const moduleState = job.modules[module.name];
+            if (!moduleState) return;
+
+            switch (moduleState.status) {
+                case 'running':
+                    this.setModuleState(module, 'active', moduleState.attempts > 1 ? `${module.description} (attempt ${moduleState.attempts})` : module.description);
+                    break;
+                case 'retrying':
+                    this.setModuleState(module, 'retrying', `${module.title} - retrying (${moduleState.attempts + 1}/${this.currentResearch.settings.retries + 1})`, moduleState.error);
+                    break;
+                case 'completed': {
+                    const seconds = (Date.parse(moduleState.completedAt) - Date.parse(moduleState.startedAt)) / 1000;
+                    this.setModuleState(module, 'completed', module.title, Number.isFinite(seconds) ? `${seconds.toFixed(1)}s` : 'Done');
+                    break;
+                }
+                case 'failed':
+                    this.setModuleState(module, 'error', `${module.title} failed`, moduleState.error);
+                    break;
+            }
+        });
+
+        this.renderProgress(job.progress.completed, job.progress.failed, job.progress.total);
+    }
+
+    // Show the job ID so the research can be picked up later or shared
+    showJobReference(jobId) {
+        const referenceElement = document.getElementById('job-reference');
+        if (!referenceElement) return;
+
+        referenceElement.innerHTML = `Job ID: <code>${jobId}</code> - safe to close this tab and resume later`;
+        referenceElement.style.display = 'block';
+    }
+
+    // Keep the most recent job IDs so the interface can offer them for resuming
+    rememberJob(job) {
+        const recentJobs = this.getRecentJobs().filter(recentJob => recentJob.id !== job.id);
+        recentJobs.unshift({ id: job.id, technology: job.technology, createdAt: job.createdAt });
+
+        try {
+            localStorage.setItem(this.jobSettings.storageKey, JSON.stringify(recentJobs.slice(0, this.jobSettings.maxRecentJobs)));
+        } catch (error) {
+            console.error('Error saving research job:', error);
+        }
+    }
+
+    // Recently started or resumed jobs, newest first
+    getRecentJobs() {
+        try {
+            return JSON.parse(localStorage.getItem(this.jobSettings.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Reflect one module's own state in its progress step
+    setModuleState(module, state, title, detail) {
         const stepElement = document.getElementById(module.step);
-        if (stepElement) {
-            stepElement.className = 'progress-step active';
-            stepElement.querySelector('.step-title').textContent = module.description;
+        if (!stepElement) return;
+
+        stepElement.className = `progress-step ${state}`;
+        stepElement.querySelector('.step-title').textContent = title;
+        if (detail !== undefined) {
+            stepElement.querySelector('.step-time').textContent = detail;
         }
+    }
+
+    // Execute individual analysis module (single attempt, bounded by the module timeout)
+    async executeModule(module, technology, attempt = 1) {
+        this.setModuleState(module, 'active', attempt > 1 ? `${module.description} (attempt ${attempt})` : module.description);
+
+        const { moduleTimeout } = this.currentResearch.settings;
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), moduleTimeout);
 
         try {
             const moduleStartTime = Date.now();
             
             // Prepare request body based on module type
-            let requestBody;
+            let payload;
             if (module.name === 'vendor-technology-analysis') {
                 // Vendor-specific analysis requires both vendor and technology
-                const vendor = this.currentResearch.vendor || 'Leading Vendor';
-                requestBody = JSON.stringify({ 
+                const vendor = module.vendor || this.currentResearch.vendor || 'Leading Vendor';
+                payload = { 
                     vendor: vendor, 
                     technology: technology 
-                });
+                };
+            } else if (module.name === 'supplier-quad') {
+                // Position the vendors the landscape found; without a landscape the quadrant picks its own
+                payload = {
+                    technology: technology,
+                    shortlist: this.landscapeShortlist()
+                };
             } else {
                 // Standard modules only need technology
-                requestBody = JSON.stringify({ technology: technology });
+                payload = { technology: technology };
             }
-            
-            const response = await fetch(`/.netlify/functions/${module.name}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: requestBody
-            });
 
-            if (!response.ok) {
-                throw new Error(`${module.title} failed: ${response.status}`);
+            // Depth scales prompt length and token budget on the server
+            payload.analysisDepth = this.currentResearch.analysisDepth;
+
+            // Optional source grounding - modules run the web search pipeline and return citations
+            if (this.currentResearch.options.useWebSearch) {
+                payload.useWebSearch = true;
             }
 
-            const result = await response.json();
+            // Bypass the server response cache when the user asks for fresh results
+            if (this.currentResearch.options.forceRefresh) {
+                payload.forceRefresh = true;
+            }
+
+            // Organization profile tailors every module to the industry, regulation and stack
+            if (this.currentResearch.organization) {
+                payload.organization = this.currentResearch.organization;
+            }
+
+            // Forward LLM provider/model selection so every module uses the same model
+            const { provider, model } = this.currentResearch.options;
+            if (provider) payload.provider = provider;
+            if (model) payload.model = model;
+            
+            // Streaming previews the analysis as it is written; without it the module's own endpoint is used
+            let result = null;
+            if (this.currentResearch.settings.streaming && this.streamingAvailable !== false && !module.phase) {
+                result = await this.streamModule(module, payload, controller.signal);
+            }
+
+            if (!result) {
+                const response = await fetch(`/.netlify/functions/${module.name}`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(payload),
+                    signal: controller.signal
+                });
+
+                this.checkModuleResponse(module, response);
+                result = await response.json();
+            }
             
             if (!result.success) {
                 throw new Error(result.error || `${module.title} failed`);
@@ -136,70 +737,349 @@ class TechnologyResearchOrchestrator {
             const moduleTime = Date.now() - moduleStartTime;
             
             // Store module result
-            this.currentResearch.modules[module.name] = {
+            this.currentResearch.modules[this.moduleKey(module)] = {
                 ...result,
                 executionTime: moduleTime,
                 completedAt: new Date()
             };
 
             // Update UI
-            if (stepElement) {
-                stepElement.className = 'progress-step completed';
-                stepElement.querySelector('.step-time').textContent = `${(moduleTime/1000).toFixed(1)}s`;
-            }
+            this.setModuleState(module, 'completed', module.title, `${(moduleTime/1000).toFixed(1)}s`);
+            this.renderStepPreview(module, result.data?.summary || '', 'completed');
 
             console.log(`${module.title} completed in ${moduleTime}ms`);
             
         } catch (error) {
             console.error(`${module.title} failed:`, error);
-            
-            if (stepElement) {
-                stepElement.className = 'progress-step error';
-                stepElement.querySelector('.step-title').textContent = `${module.title} failed`;
+
+            if (error.name === 'AbortError') {
+                throw new Error(`${module.title} timed out after ${(moduleTimeout/1000).toFixed(0)}s`);
             }
-            
-            throw new Error(`${module.title}: ${error.message}`);
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // Throw a module HTTP error, marking whether a retry could succeed
+    checkModuleResponse(module, response) {
+        if (!response.ok) {
+            const httpError = new Error(`${module.title} failed: ${response.status}`);
+            // Client errors will fail the same way again; timeouts, rate limits and server errors may not
+            httpError.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw httpError;
         }
     }
 
+    // Run a module through the streaming endpoint, previewing its analysis as tokens arrive.
+    // Returns null when streaming is unavailable so the caller falls back to the module's own endpoint
+    async streamModule(module, payload, signal) {
+        const response = await fetch('/.netlify/functions/research-stream', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ module: module.name, ...payload }),
+            signal: signal
+        });
+
+        // Anything but an event stream (missing endpoint, older runtime, rejected request) falls back;
+        // the module endpoint reports genuine request errors itself
+        if (!response.ok || !response.body || !(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+            if (response.status === 404 || response.status >= 500) {
+                console.warn('Streaming endpoint unavailable, using module endpoints');
+                this.streamingAvailable = false;
+            }
+            return null;
+        }
+
+        let streamedText = '';
+        let currentCall = 0;
+        let outcome = null;
+
+        await this.readEventStream(response, (event, data) => {
+            if (event === 'token') {
+                // A new model call (validation retry) starts the preview over
+                if (data.call !== currentCall) {
+                    currentCall = data.call;
+                    streamedText = '';
+                }
+                streamedText += data.text;
+                this.renderStepPreview(module, this.extractStreamingAnalysis(streamedText), 'streaming');
+            } else if (event === 'module-completed' || event === 'module-failed') {
+                outcome = { event, data };
+            }
+        });
+
+        if (!outcome) {
+            const streamError = new Error(`${module.title} stream ended before the module finished`);
+            streamError.retryable = true;
+            throw streamError;
+        }
+
+        if (outcome.event === 'module-failed') {
+            const moduleError = new Error(outcome.data.error);
+            moduleError.retryable = outcome.data.retryable;
+            throw moduleError;
+        }
+
+        return outcome.data.result;
+    }
+
+    // Parse a server-sent event stream, calling onEvent(event, data) with parsed JSON data
+    async readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+            const events = buffer.split('\n\n');
+            buffer = done ? '' : events.pop();
+
+            events.forEach(block => {
+                const eventLine = block.split('\n').find(line => line.startsWith('event:'));
+                const dataLines = block.split('\n').filter(line => line.startsWith('data:'));
+                if (eventLine && dataLines.length > 0) {
+                    onEvent(eventLine.slice(6).trim(), JSON.parse(dataLines.map(line => line.slice(5).trim()).join('\n')));
+                }
+            });
+
+            if (done) break;
+        }
+    }
+
+    // Decode the analysis text so far from a module's partially streamed JSON response
+    extractStreamingAnalysis(streamedJson) {
+        const match = streamedJson.match(/"analysis"\s*:\s*"((?:[^"\\]|\\.)*)/);
+        if (!match) return '';
+
+        // Drop a trailing half-written unicode escape before decoding
+        const raw = match[1].replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+        try {
+            return JSON.parse(`"${raw}"`).replace(/\*\*/g, '');
+        } catch (error) {
+            return raw.replace(/\\n/g, '\n');
+        }
+    }
+
+    // Show streamed text, or the summary once complete, under a module's progress step
+    renderStepPreview(module, text, state) {
+        const previewElement = document.getElementById(`${module.step}-preview`);
+        if (!previewElement || !text) return;
+
+        // Keep the most recent text visible while tokens arrive
+        previewElement.textContent = state === 'streaming' && text.length > 280 ? `...${text.slice(-280)}` : text;
+        previewElement.className = `step-preview ${state}`;
+    }
+
     // Aggregate results from all modules
     async aggregateResults() {
         const modules = this.currentResearch.modules;
+
+        // Recommendations, risks and the phase plan are synthesised from the module findings.
+        // Comparisons rank the technologies instead, so each one keeps the module-derived defaults
+        // Contradictions between modules are flagged, and optionally reconciled by the synthesis
+        const consistency = this.checkModuleConsistency(modules);
+        const reconcile = this.currentResearch.options.reconcileContradictions !== false;
+        const contradictions = reconcile ? consistency.checks.filter(check => check.status === 'contradiction') : [];
+
+        let synthesis = null;
+        let synthesisError = null;
+        if (!this.currentComparison) {
+            try {
+                synthesis = await this.synthesizeResearch(modules, contradictions);
+                this.applyReconciliations(consistency, synthesis);
+            } catch (error) {
+                console.error('Research synthesis failed:', error);
+                synthesisError = error.message;
+            }
+        }
         
         // Combine all analysis data
         this.currentResearch.aggregatedData = {
-            executiveSummary: this.generateExecutiveSummary(modules),
+            executiveSummary: this.generateExecutiveSummary(modules, synthesis),
             keyMetrics: this.aggregateKeyMetrics(modules),
             strategicInsights: this.extractStrategicInsights(modules),
-            implementationGuidance: this.compileImplementationGuidance(modules),
+            implementationGuidance: this.compileImplementationGuidance(modules, synthesis),
             charts: this.aggregateChartData(modules),
-            timeline: this.buildImplementationTimeline(modules)
+            timeline: this.buildImplementationTimeline(modules, synthesis),
+            synthesis: synthesis
+                ? { status: 'synthesized', sourceTitles: synthesis.sourceTitles }
+                : { status: 'generic', error: synthesisError },
+            consistency: consistency,
+            missingModules: this.listMissingModules()
         };
     }
 
+    // Ask the synthesis endpoint to turn the module findings into traced recommendations, risks, readiness and phases
+    async synthesizeResearch(modules, contradictions = []) {
+        const findings = this.buildSynthesisFindings(modules);
+        if (findings.length === 0) {
+            throw new Error('No module findings to synthesize');
+        }
+
+        const progressText = document.getElementById('progress-text');
+        if (progressText) progressText.textContent = 'Synthesizing recommendations...';
+
+        const { provider, model, forceRefresh } = this.currentResearch.options;
+        const payload = {
+            technology: this.currentResearch.technology,
+            analysisDepth: this.currentResearch.analysisDepth,
+            findings: findings
+        };
+        if (contradictions.length > 0) {
+            payload.contradictions = contradictions.map(({ id, label, detail, modules }) => ({ id, label, detail, modules }));
+        }
+        if (this.currentResearch.organization) payload.organization = this.currentResearch.organization;
+        if (provider) payload.provider = provider;
+        if (model) payload.model = model;
+        if (forceRefresh) payload.forceRefresh = true;
+
+        const { moduleTimeout } = this.currentResearch.settings;
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), moduleTimeout);
+
+        try {
+            const response = await fetch('/.netlify/functions/research-synthesis', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Research synthesis failed: ${response.status}`);
+            }
+            return result.data;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Research synthesis timed out after ${(moduleTimeout/1000).toFixed(0)}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // One finding per completed module: its summary, the typed facts it returned and the start of its analysis
+    buildSynthesisFindings(modules) {
+        return this.currentResearch.activeModules
+            .filter(module => modules[this.moduleKey(module)]?.data)
+            .map(module => {
+                const data = modules[this.moduleKey(module)].data;
+                return {
+                    source: this.moduleKey(module),
+                    title: module.title,
+                    summary: data.summary || '',
+                    facts: this.extractSynthesisFacts(module.name, data),
+                    excerpt: (data.analysis || '').slice(0, this.synthesisSettings.excerptChars)
+                };
+            });
+    }
+
+    // Typed module output worth reasoning over; prose-only modules contribute their summary and excerpt
+    extractSynthesisFacts(moduleName, data) {
+        switch (moduleName) {
+            case 'market-analysis':
+            case 'maturity-assessment':
+                return data.structured || null;
+            case '5-year-forecast':
+                return data.structured
+                    ? {
+                        timeline: data.structured.timeline,
+                        milestones: data.structured.milestones,
+                        trajectory: data.structured.trajectory,
+                        marketSizeProjection: data.structured.marketSizeProjection
+                    }
+                    : null;
+            case 'vendor-analysis':
+                return {
+                    metrics: data.metrics,
+                    vendors: (data.vendors || []).slice(0, this.synthesisSettings.maxVendors).map(vendor => ({
+                        name: vendor.name,
+                        segment: vendor.segment,
+                        pricingModel: vendor.pricingModel,
+                        marketPresence: vendor.marketPresence
+                    }))
+                };
+            case 'supplier-quad':
+                return {
+                    vendors: (data.vendors || []).map(vendor => ({ name: vendor.name, quadrant: vendor.quadrant, role: vendor.role }))
+                };
+            case 'vendor-technology-analysis':
+                return { vendor: data.vendor, assessment: data.assessment };
+            default:
+                return null;
+        }
+    }
+
+    // Failed modules are reported as missing rather than silently dropped
+    listMissingModules() {
+        return Object.keys(this.currentResearch.failedModules).map(name => ({
+            module: name,
+            ...this.currentResearch.failedModules[name]
+        }));
+    }
+
     // Generate executive summary from all modules
-    generateExecutiveSummary(modules) {
+    generateExecutiveSummary(modules, synthesis) {
         const technology = this.currentResearch.technology;
+        const activeModules = this.currentResearch.activeModules;
+        const depthProfile = this.getDepthProfile();
         
-        const marketData = modules['market-analysis']?.data;
-        const vendorData = modules['vendor-analysis']?.data;
-        const maturityData = modules['maturity-assessment']?.data;
-        const forecastData = modules['5-year-forecast']?.data;
+        // Only modules in the selected scope contribute findings
+        const coverage = [...new Set(activeModules.map(module => module.coverage))];
+        const coverageText = coverage.length > 2
+            ? `${coverage.slice(0, -1).join(', ')}, and ${coverage[coverage.length - 1]}`
+            : coverage.join(' and ');
 
         return {
             title: `${technology} Strategic Analysis`,
-            overview: `Comprehensive enterprise architecture analysis of ${technology} technology covering market landscape, vendor ecosystem, technology maturity, and 5-year strategic forecast.`,
-            keyFindings: [
-                marketData?.summary || 'Market analysis completed',
-                vendorData?.summary || 'Vendor analysis completed', 
-                maturityData?.summary || 'Maturity assessment completed',
-                forecastData?.summary || 'Strategic forecast completed'
-            ],
-            recommendations: this.generateTopRecommendations(modules),
-            timeframe: this.extractImplementationTimeframe(modules)
+            overview: `${depthProfile.label} enterprise architecture analysis of ${technology} technology covering ${coverageText}.${this.describeOrganization()}`,
+            keyFindings: activeModules.map(module => {
+                const summary = modules[this.moduleKey(module)]?.data?.summary;
+                if (!summary) return this.describeMissingModule(this.moduleKey(module));
+                return module.vendor ? `${module.vendor}: ${summary}` : summary;
+            }),
+            recommendations: this.generateTopRecommendations(modules, synthesis).slice(0, depthProfile.recommendationCount),
+            // Justification and source module per recommendation, in the same order; null for the generic list
+            recommendationDetails: synthesis
+                ? synthesis.recommendations.slice(0, depthProfile.recommendationCount).map(item => ({
+                    recommendation: item.recommendation,
+                    justification: this.traceItem(item, synthesis),
+                    source: item.source
+                }))
+                : null,
+            timeframe: synthesis ? synthesis.totalDuration : this.extractImplementationTimeframe(modules)
         };
     }
 
+    // Sentence naming the organization profile the analysis was tailored to
+    describeOrganization() {
+        const organization = this.currentResearch.organization;
+        if (!organization) return '';
+        
+        const industry = window.organizationProfile?.industries.find(option => option.value === organization.industry)?.label || organization.industry;
+        const subject = [organization.name, industry].filter(Boolean).join(', ');
+        return subject ? ` Tailored to ${subject}.` : '';
+    }
+
+    // Finding placeholder for a module that did not return data
+    describeMissingModule(moduleName) {
+        const failure = this.currentResearch.failedModules[moduleName];
+        if (failure) {
+            return `${failure.title} unavailable - ${failure.error}`;
+        }
+        const module = this.analysisModules.find(m => m.name === moduleName);
+        return `${module ? module.title : moduleName} returned no summary`;
+    }
+
     // Aggregate key metrics from all modules
     aggregateKeyMetrics(modules) {
         const metrics = {};
@@ -214,9 +1094,20 @@ class TechnologyResearchOrchestrator {
             Object.assign(metrics, modules['maturity-assessment'].data.maturityMetrics);
         }
         
-        // Vendor count
+        // Vendor count and leading vendor from the vendor landscape
         if (modules['vendor-analysis']?.data?.vendors) {
-            metrics.vendorCount = modules['vendor-analysis'].data.vendors.length;
+            const vendorData = modules['vendor-analysis'].data;
+            metrics.vendorCount = vendorData.vendorCount ?? vendorData.vendors.length;
+            if (vendorData.metrics?.leadingVendor) {
+                metrics.leadingVendor = vendorData.metrics.leadingVendor;
+            }
+        }
+
+        // Magic Quadrant leaders from the vendor deep dive
+        const quadrantVendors = modules['supplier-quad']?.data?.vendors;
+        if (quadrantVendors) {
+            const leaders = quadrantVendors.filter(vendor => vendor.quadrant === 'Leaders').map(vendor => vendor.name);
+            metrics.quadrantLeaders = leaders.length > 0 ? leaders.join(', ') : 'None';
         }
 
         return metrics;
@@ -239,13 +1130,25 @@ class TechnologyResearchOrchestrator {
         return insights;
     }
 
-    // Compile implementation guidance
-    compileImplementationGuidance(modules) {
+    // Compile implementation guidance; synthesised readiness and risks replace the module-derived defaults
+    compileImplementationGuidance(modules, synthesis) {
+        if (synthesis) {
+            return {
+                readiness: synthesis.readiness.level,
+                readinessJustification: this.traceItem(synthesis.readiness, synthesis),
+                timeline: synthesis.totalDuration,
+                priorities: synthesis.recommendations.map(item => item.recommendation),
+                risks: synthesis.risks.map(risk => ({ ...risk, trace: this.traceItem(risk, synthesis) })),
+                generic: false
+            };
+        }
+
         const guidance = {
             readiness: 'Moderate',
             timeline: '12-18 months',
             priorities: [],
-            risks: []
+            risks: [],
+            generic: true
         };
         
         // Extract readiness from maturity assessment
@@ -281,8 +1184,16 @@ class TechnologyResearchOrchestrator {
         return charts;
     }
 
-    // Build implementation timeline
-    buildImplementationTimeline(modules) {
+    // Build implementation timeline; the synthesised phase plan replaces the generic phases
+    buildImplementationTimeline(modules, synthesis) {
+        if (synthesis) {
+            return {
+                phases: synthesis.phases.map(phase => ({ ...phase, trace: this.traceItem(phase, synthesis) })),
+                totalDuration: synthesis.totalDuration,
+                generic: false
+            };
+        }
+
         const timeline = {
             phases: [
                 { phase: 'Assessment', duration: '1-2 months', description: 'Evaluate current state and readiness' },
@@ -291,7 +1202,8 @@ class TechnologyResearchOrchestrator {
                 { phase: 'Scaling', duration: '6-12 months', description: 'Scale across organization' },
                 { phase: 'Optimization', duration: 'Ongoing', description: 'Continuous improvement' }
             ],
-            totalDuration: '12-24 months'
+            totalDuration: '12-24 months',
+            generic: true
         };
         
         // Enhance with forecast data if available
@@ -389,6 +1301,24 @@ class TechnologyResearchOrchestrator {
         });
         yPosition += 10;
 
+        // Missing modules - the report is partial, so say which analyses are absent
+        const missingModules = this.currentResearch.aggregatedData.missingModules || [];
+        if (missingModules.length > 0) {
+            doc.setFontSize(14);
+            doc.setFont(undefined, 'bold');
+            doc.text('Missing Analyses', margin, yPosition);
+            yPosition += 10;
+            
+            doc.setFontSize(10);
+            doc.setFont(undefined, 'normal');
+            missingModules.forEach(missing => {
+                const missingLines = doc.splitTextToSize(`• ${missing.title}: ${missing.error}`, pageWidth - 2 * margin - 5);
+                doc.text(missingLines, margin + 5, yPosition);
+                yPosition += missingLines.length * lineHeight;
+            });
+            yPosition += 10;
+        }
+
         // Strategic Recommendations
         doc.setFontSize(14);
         doc.setFont(undefined, 'bold');
@@ -397,21 +1327,79 @@ class TechnologyResearchOrchestrator {
         
         doc.setFontSize(10);
         doc.setFont(undefined, 'normal');
-        const recommendations = this.currentResearch.aggregatedData.executiveSummary.recommendations || [
-            'Proceed with pilot implementation in Q2',
-            'Evaluate top 3 vendors for detailed assessment',
-            'Plan 18-month implementation timeline',
-            'Allocate budget for training and integration'
-        ];
-        
-        recommendations.forEach(rec => {
-            if (yPosition > 270) {
+        const { executiveSummary, implementationGuidance, timeline, synthesis } = this.currentResearch.aggregatedData;
+        const textWidth = pageWidth - 2 * margin - 5;
+
+        // Wrapped bullet with an optional italic justification line underneath
+        const addBullet = (text, justification, label = 'Why') => {
+            const lines = doc.splitTextToSize(`• ${text}`, textWidth);
+            const justificationLines = justification ? doc.splitTextToSize(`${label}: ${justification}`, textWidth - 5) : [];
+            if (yPosition + (lines.length + justificationLines.length) * lineHeight > 270) {
                 doc.addPage();
                 yPosition = 30;
             }
-            doc.text(`• ${rec}`, margin + 5, yPosition);
-            yPosition += lineHeight + 2;
-        });
+            doc.setFont(undefined, 'normal');
+            doc.text(lines, margin + 5, yPosition);
+            yPosition += lines.length * lineHeight;
+            if (justificationLines.length > 0) {
+                doc.setFont(undefined, 'italic');
+                doc.text(justificationLines, margin + 10, yPosition);
+                yPosition += justificationLines.length * lineHeight;
+                doc.setFont(undefined, 'normal');
+            }
+            yPosition += 2;
+        };
+
+        // Section heading, starting a new page when little space is left
+        const addHeading = (title) => {
+            if (yPosition > 250) {
+                doc.addPage();
+                yPosition = 30;
+            }
+            yPosition += 8;
+            doc.setFontSize(14);
+            doc.setFont(undefined, 'bold');
+            doc.text(title, margin, yPosition);
+            yPosition += 10;
+            doc.setFontSize(10);
+            doc.setFont(undefined, 'normal');
+        };
+
+        if (synthesis?.status !== 'synthesized') {
+            const noteLines = doc.splitTextToSize(`Generic guidance - the research synthesis was unavailable${synthesis?.error ? ` (${synthesis.error})` : ''}.`, textWidth);
+            doc.text(noteLines, margin + 5, yPosition);
+            yPosition += noteLines.length * lineHeight + 2;
+        }
+
+        const details = executiveSummary.recommendationDetails;
+        if (details) {
+            details.forEach(item => addBullet(item.recommendation, item.justification));
+        } else {
+            executiveSummary.recommendations.forEach(rec => addBullet(rec));
+        }
+
+        // Readiness, risks and phase plan only exist when the findings were synthesised
+        if (implementationGuidance.generic === false) {
+            addHeading('Readiness and Risks');
+            addBullet(`Enterprise readiness: ${implementationGuidance.readiness}`, implementationGuidance.readinessJustification);
+            implementationGuidance.risks.forEach(risk => {
+                addBullet(`${risk.severity} risk: ${risk.risk} Mitigation: ${risk.mitigation}`, risk.trace);
+            });
+        }
+
+        if (timeline.generic === false) {
+            addHeading(`Phase Plan (${timeline.totalDuration})`);
+            timeline.phases.forEach(phase => {
+                addBullet(`${phase.phase} - month ${phase.startMonth}, ${phase.duration}: ${phase.description}`, phase.trace);
+            });
+        }
+
+        // Contradictions between the independently run modules, with the reconciliation when one was made
+        const consistencyItems = this.describeConsistency();
+        if (consistencyItems) {
+            addHeading('Consistency');
+            consistencyItems.forEach(item => addBullet(item.text, item.reconciliation, 'Reconciled'));
+        }
 
         const blob = doc.output('blob');
         const url = URL.createObjectURL(blob);
@@ -451,8 +1439,10 @@ class TechnologyResearchOrchestrator {
         
         yPosition += 20;
 
-        // Add content from each module
+        // Add content from each module; depth decides which sections are rendered
         const modules = this.currentResearch.modules;
+        const pdfSections = this.getDepthProfile().pdfSections;
+        const analysisChars = this.getDepthProfile().analysisChars;
         
         Object.keys(modules).forEach(moduleName => {
             const moduleData = modules[moduleName];
@@ -466,13 +1456,19 @@ class TechnologyResearchOrchestrator {
             // Module title
             doc.setFontSize(14);
             doc.setFont(undefined, 'bold');
-            doc.text(moduleData.data.technology + ' - ' + moduleName.replace('-', ' ').toUpperCase(), margin, yPosition);
+            const moduleTitle = this.currentResearch.activeModules.find(module => this.moduleKey(module) === moduleName)?.title || moduleName.replace('-', ' ');
+            doc.text(moduleData.data.technology + ' - ' + moduleTitle.toUpperCase(), margin, yPosition);
             yPosition += 10;
             
-            // Module content
+            // Module content - full text, an excerpt, or just the summary
             doc.setFontSize(9);
             doc.setFont(undefined, 'normal');
-            const analysisText = moduleData.data.analysis.substring(0, 1500) + '...';
+            let analysisText = moduleData.data.summary || '';
+            if (pdfSections.includes('analysis')) {
+                analysisText = analysisChars && moduleData.data.analysis.length > analysisChars
+                    ? moduleData.data.analysis.substring(0, analysisChars) + '...'
+                    : moduleData.data.analysis;
+            }
             const analysisLines = doc.splitTextToSize(analysisText, pageWidth - 2 * margin);
             
             analysisLines.forEach(line => {
@@ -484,9 +1480,141 @@ class TechnologyResearchOrchestrator {
                 yPosition += lineHeight;
             });
             
+            // Market size series with the source behind each figure (omitted at overview depth)
+            const includeSupportingData = pdfSections.includes('supportingData');
+            if (includeSupportingData && moduleData.data.marketSeries) {
+                const series = moduleData.data.marketSeries;
+                yPosition += 5;
+                doc.setFont(undefined, 'bold');
+                doc.text(`Market Size Series (Billions ${series.currency}, base year ${series.baseYear})`, margin, yPosition);
+                yPosition += lineHeight;
+                doc.setFont(undefined, 'normal');
+                
+                series.points.forEach(point => {
+                    const pointLines = doc.splitTextToSize(`${point.year}: ${point.value} (${point.basis}) - ${point.source}`, pageWidth - 2 * margin - 5);
+                    pointLines.forEach(line => {
+                        if (yPosition > 280) {
+                            doc.addPage();
+                            yPosition = 30;
+                        }
+                        doc.text(line, margin + 5, yPosition);
+                        yPosition += lineHeight;
+                    });
+                });
+            } else if (includeSupportingData && moduleName === 'vendor-analysis' && moduleData.data.vendors?.length > 0) {
+                yPosition += 5;
+                doc.setFont(undefined, 'bold');
+                doc.text(`Vendor Landscape (${moduleData.data.vendorCount} vendors)`, margin, yPosition);
+                yPosition += lineHeight;
+                doc.setFont(undefined, 'normal');
+                
+                moduleData.data.vendors.forEach(vendor => {
+                    const customers = vendor.notableCustomers.length > 0 ? ` Customers: ${vendor.notableCustomers.join(', ')}.` : '';
+                    const vendorText = `${vendor.name} (${vendor.segment}, ${vendor.pricingModel}; ${vendor.deploymentModels.join('/')}) - Strengths: ${vendor.strengths.join('; ')}. Weaknesses: ${vendor.weaknesses.join('; ')}.${customers}`;
+                    const vendorLines = doc.splitTextToSize(vendorText, pageWidth - 2 * margin - 5);
+                    vendorLines.forEach(line => {
+                        if (yPosition > 280) {
+                            doc.addPage();
+                            yPosition = 30;
+                        }
+                        doc.text(line, margin + 5, yPosition);
+                        yPosition += lineHeight;
+                    });
+                });
+            } else if (includeSupportingData && moduleData.data.chartNote) {
+                yPosition += 5;
+                doc.text(moduleData.data.chartNote, margin, yPosition);
+                yPosition += lineHeight;
+            }
+            
+            // Cited sources as footnotes (omitted at overview depth)
+            const footnotes = moduleData.artifacts?.webSummary?.footnotes || [];
+            if (includeSupportingData && footnotes.length > 0) {
+                yPosition += 5;
+                doc.setFont(undefined, 'bold');
+                doc.text('Sources', margin, yPosition);
+                yPosition += lineHeight;
+                doc.setFont(undefined, 'normal');
+                doc.setFontSize(8);
+                
+                footnotes.forEach(footnote => {
+                    const footnoteLines = doc.splitTextToSize(`${footnote.marker} ${footnote.title} - ${footnote.url}`, pageWidth - 2 * margin - 5);
+                    footnoteLines.forEach(line => {
+                        if (yPosition > 280) {
+                            doc.addPage();
+                            yPosition = 30;
+                        }
+                        doc.text(line, margin + 5, yPosition);
+                        yPosition += lineHeight - 1;
+                    });
+                });
+                doc.setFontSize(9);
+            }
+            
+            // Provenance of the module output for in-depth reports
+            if (pdfSections.includes('moduleDetails')) {
+                if (yPosition > 270) {
+                    doc.addPage();
+                    yPosition = 30;
+                }
+                yPosition += 5;
+                const attempts = moduleData.validation?.attempts || 1;
+                doc.text(`Source model: ${moduleData.provider || 'n/a'} / ${moduleData.model || 'n/a'} - ${(moduleData.executionTime/1000).toFixed(1)}s, ${attempts} response attempt(s)`, margin, yPosition);
+                yPosition += lineHeight;
+            }
+            
             yPosition += 15;
         });
 
+        // Failed modules are listed as missing so the report is visibly partial
+        const missingModules = this.currentResearch.aggregatedData.missingModules || [];
+        missingModules.forEach(missing => {
+            if (yPosition > 260) {
+                doc.addPage();
+                yPosition = 30;
+            }
+            
+            doc.setFontSize(14);
+            doc.setFont(undefined, 'bold');
+            doc.text(`${this.currentResearch.technology} - ${missing.module.replace('-', ' ').toUpperCase()} (MISSING)`, margin, yPosition);
+            yPosition += 10;
+            
+            doc.setFontSize(9);
+            doc.setFont(undefined, 'normal');
+            const missingLines = doc.splitTextToSize(`This analysis could not be completed after ${missing.attempts} attempt(s): ${missing.error}`, pageWidth - 2 * margin);
+            doc.text(missingLines, margin, yPosition);
+            yPosition += missingLines.length * lineHeight + 15;
+        });
+
+        // Cross-module consistency - every check with its values, so readers can see what was compared
+        const consistencyItems = this.describeConsistency({ includeConsistent: true });
+        if (consistencyItems) {
+            if (yPosition > 260) {
+                doc.addPage();
+                yPosition = 30;
+            }
+            doc.setFontSize(14);
+            doc.setFont(undefined, 'bold');
+            doc.text(`${this.currentResearch.technology} - CROSS-MODULE CONSISTENCY`, margin, yPosition);
+            yPosition += 10;
+
+            doc.setFontSize(9);
+            consistencyItems.forEach(item => {
+                [{ text: `• ${item.text}`, style: 'normal', indent: 5 }, ...(item.reconciliation ? [{ text: `Reconciled: ${item.reconciliation}`, style: 'italic', indent: 10 }] : [])].forEach(part => {
+                    doc.setFont(undefined, part.style);
+                    doc.splitTextToSize(part.text, pageWidth - 2 * margin - part.indent).forEach(line => {
+                        if (yPosition > 280) {
+                            doc.addPage();
+                            yPosition = 30;
+                        }
+                        doc.text(line, margin + part.indent, yPosition);
+                        yPosition += lineHeight;
+                    });
+                });
+            });
+            doc.setFont(undefined, 'normal');
+        }
+
         const blob = doc.output('blob');
         const url = URL.createObjectURL(blob);
         
@@ -508,9 +1636,11 @@ class TechnologyResearchOrchestrator {
         for (const chart of charts) {
             try {
                 const chartUrl = await this.generateChartImage(chart);
+                // Several modules can share a chart type (landscape and quadrant, one radar per deep dive)
+                const sharedType = charts.filter(other => other.type === chart.type).length > 1;
                 chartArtifacts.push({
                     type: 'image',
-                    name: `${this.currentResearch.technology}_${chart.type}.png`,
+                    name: `${this.currentResearch.technology}_${chart.type}${sharedType ? `_${chart.module}` : ''}.png`,
                     title: chart.title,
                     description: `${chart.module} visualization`,
                     url: chartUrl,
@@ -526,25 +1656,35 @@ class TechnologyResearchOrchestrator {
 
     // Generate chart image
     async generateChartImage(chartData) {
-        return new Promise((resolve) => {
-            const canvas = document.createElement('canvas');
-            canvas.width = 800;
-            canvas.height = 600;
-            const ctx = canvas.getContext('2d');
-            
-            // Simple chart rendering based on type
-            if (chartData.type === 'vendor-positioning') {
-                this.renderVendorPositioningChart(ctx, chartData);
-            } else if (chartData.type === 'hype-cycle') {
-                this.renderHypeCycleChart(ctx, chartData);
-            } else if (chartData.type === 'forecast-timeline') {
-                this.renderForecastChart(ctx, chartData);
-            } else {
-                this.renderGenericChart(ctx, chartData);
-            }
-            
-            canvas.toBlob(resolve);
-        }).then(blob => URL.createObjectURL(blob));
+        const canvas = this.drawChart(chartData);
+        return new Promise((resolve) => canvas.toBlob(resolve)).then(blob => URL.createObjectURL(blob));
+    }
+
+    // Draw a chart onto a new 800x600 canvas
+    drawChart(chartData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 800;
+        canvas.height = 600;
+        const ctx = canvas.getContext('2d');
+        
+        // Simple chart rendering based on type
+        if (chartData.type === 'vendor-positioning') {
+            this.renderVendorPositioningChart(ctx, chartData);
+        } else if (chartData.type === 'hype-cycle') {
+            this.renderHypeCycleChart(ctx, chartData);
+        } else if (chartData.type === 'hype-cycle-comparison') {
+            this.renderHypeCycleComparisonChart(ctx, chartData);
+        } else if (chartData.type === 'forecast-timeline') {
+            this.renderForecastChart(ctx, chartData);
+        } else if (chartData.type === 'market-growth') {
+            this.renderMarketGrowthChart(ctx, chartData);
+        } else if (chartData.type === 'market-growth-comparison') {
+            this.renderGrowthComparisonChart(ctx, chartData);
+        } else {
+            this.renderGenericChart(ctx, chartData);
+        }
+        
+        return canvas;
     }
 
     // Render vendor positioning chart
@@ -578,27 +1718,31 @@ class TechnologyResearchOrchestrator {
         ctx.lineTo(80, 500);
         ctx.stroke();
         
-        // Labels
+        // Labels - Magic Quadrant axes unless the chart names its own
+        const axes = chartData.axes || { x: 'Completeness of Vision', y: 'Ability to Execute' };
         ctx.fillStyle = '#333333';
         ctx.font = '14px Arial';
-        ctx.fillText('Completeness of Vision', 300, 550);
+        ctx.fillText(axes.x, 300, 550);
         ctx.save();
         ctx.translate(30, 300);
         ctx.rotate(-Math.PI/2);
-        ctx.fillText('Ability to Execute', 0, 0);
+        ctx.fillText(axes.y, 0, 0);
         ctx.restore();
         
-        // Quadrant labels
-        ctx.font = '12px Arial';
-        ctx.fillText('Leaders', 580, 150);
-        ctx.fillText('Challengers', 120, 150);
-        ctx.fillText('Visionaries', 580, 450);
-        ctx.fillText('Niche Players', 120, 450);
+        // Quadrant labels; charts that are not quadrants pass quadrantLabels: null
+        if (chartData.quadrantLabels !== null) {
+            ctx.font = '12px Arial';
+            ctx.fillText('Leaders', 580, 150);
+            ctx.fillText('Challengers', 120, 150);
+            ctx.fillText('Visionaries', 580, 450);
+            ctx.fillText('Niche Players', 120, 450);
+        }
         
-        // Plot vendors (sample positions)
-        if (chartData.data && chartData.data.datasets[0]) {
+        // Plot vendors; Magic Quadrant chart data keeps its datasets at the top level
+        const datasets = chartData.data?.datasets || chartData.datasets;
+        if (datasets && datasets[0]) {
             ctx.fillStyle = '#3498db';
-            chartData.data.datasets[0].data.forEach((point, index) => {
+            datasets[0].data.forEach((point, index) => {
                 const x = 80 + (point.x / 100) * 640;
                 const y = 500 - (point.y / 100) * 400;
                 
@@ -608,7 +1752,7 @@ class TechnologyResearchOrchestrator {
                 
                 ctx.fillStyle = '#333333';
                 ctx.font = '10px Arial';
-                ctx.fillText(point.vendor || `Vendor ${index + 1}`, x + 10, y + 3);
+                ctx.fillText(point.vendor || point.label || `Vendor ${index + 1}`, x + 10, y + 3);
                 ctx.fillStyle = '#3498db';
             });
         }
@@ -665,108 +1809,950 @@ class TechnologyResearchOrchestrator {
         ctx.fillText(chartData.title || 'Technology Hype Cycle', 250, 40);
     }
 
-    // Render forecast timeline chart
-    renderForecastChart(ctx, chartData) {
-        // Background
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, 800, 600);
-        
-        // Simple timeline chart implementation
-        const years = ['2024', '2025', '2026', '2027', '2028'];
-        const data = [30, 45, 65, 80, 90]; // Sample progression
-        
-        // Grid
-        ctx.strokeStyle = '#e0e0e0';
-        ctx.lineWidth = 1;
-        for (let i = 0; i <= 5; i++) {
-            ctx.beginPath();
-            ctx.moveTo(100 + i * 120, 100);
-            ctx.lineTo(100 + i * 120, 450);
-            ctx.stroke();
-        }
-        
-        // Data line
-        ctx.strokeStyle = '#3498db';
-        ctx.lineWidth = 3;
-        ctx.beginPath();
-        ctx.moveTo(100, 450 - data[0] * 3);
-        for (let i = 1; i < data.length; i++) {
-            ctx.lineTo(100 + i * 120, 450 - data[i] * 3);
+    // Render the forecast trajectory - maturity, adoption and investment per year, all on a 0-100 scale
+    renderForecastChart(ctx, chartData) {
+        // Background
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, 800, 600);
+        
+        const labels = chartData.data?.labels || [];
+        const datasets = chartData.data?.datasets || [];
+        const stepX = labels.length > 1 ? 600 / (labels.length - 1) : 0;
+        const toY = value => 450 - (value / 100) * 350;
+        
+        // Grid with 0-100 scale
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#333333';
+        ctx.font = '11px Arial';
+        for (let value = 0; value <= 100; value += 25) {
+            ctx.beginPath();
+            ctx.moveTo(100, toY(value));
+            ctx.lineTo(700, toY(value));
+            ctx.stroke();
+            ctx.fillText(String(value), 70, toY(value) + 4);
+        }
+        
+        // Milestone markers at their start year
+        ctx.setLineDash([4, 4]);
+        (chartData.milestones || []).forEach(milestone => {
+            const index = labels.indexOf(milestone.year);
+            if (index < 0) return;
+            const x = 100 + index * stepX;
+            ctx.strokeStyle = milestone.color || '#95a5a6';
+            ctx.beginPath();
+            ctx.moveTo(x, 100);
+            ctx.lineTo(x, 450);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        
+        // One line per dataset
+        datasets.forEach(dataset => {
+            ctx.strokeStyle = dataset.borderColor || '#3498db';
+            ctx.fillStyle = dataset.borderColor || '#3498db';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            dataset.data.forEach((value, index) => {
+                const x = 100 + index * stepX;
+                if (index === 0) {
+                    ctx.moveTo(x, toY(value));
+                } else {
+                    ctx.lineTo(x, toY(value));
+                }
+            });
+            ctx.stroke();
+            
+            dataset.data.forEach((value, index) => {
+                ctx.beginPath();
+                ctx.arc(100 + index * stepX, toY(value), 5, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+        });
+        
+        // Year labels
+        ctx.fillStyle = '#333333';
+        ctx.font = '12px Arial';
+        labels.forEach((year, index) => {
+            ctx.fillText(year, 85 + index * stepX, 475);
+        });
+        
+        // Legend
+        datasets.forEach((dataset, index) => {
+            const x = 100 + index * 200;
+            ctx.fillStyle = dataset.borderColor || '#3498db';
+            ctx.fillRect(x, 510, 14, 14);
+            ctx.fillStyle = '#333333';
+            ctx.fillText(dataset.label, x + 20, 521);
+        });
+        
+        // Title
+        ctx.font = 'bold 16px Arial';
+        ctx.fillText(chartData.title || '5-Year Forecast', 250, 40);
+    }
+
+    // Render market size series with per-point source notes
+    renderMarketGrowthChart(ctx, chartData) {
+        // Background
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, 800, 600);
+        
+        const points = chartData.data.points;
+        const series = chartData.series;
+        const maxValue = Math.max(...points.map(point => point.value)) || 1;
+        const stepX = points.length > 1 ? 600 / (points.length - 1) : 0;
+        const toY = value => 400 - (value / maxValue) * 280;
+        
+        // Axes
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(100, 100);
+        ctx.lineTo(100, 400);
+        ctx.lineTo(700, 400);
+        ctx.stroke();
+        
+        // Data line - dashed when projected from base-year size and CAGR
+        ctx.strokeStyle = '#3498db';
+        ctx.lineWidth = 3;
+        ctx.setLineDash(series.derived ? [6, 4] : []);
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            const x = 100 + index * stepX;
+            if (index === 0) {
+                ctx.moveTo(x, toY(point.value));
+            } else {
+                ctx.lineTo(x, toY(point.value));
+            }
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Data points and labels
+        ctx.font = '12px Arial';
+        points.forEach((point, index) => {
+            const x = 100 + index * stepX;
+            ctx.fillStyle = '#3498db';
+            ctx.beginPath();
+            ctx.arc(x, toY(point.value), 5, 0, 2 * Math.PI);
+            ctx.fill();
+            
+            ctx.fillStyle = '#333333';
+            ctx.fillText(String(point.year), x - 15, 420);
+            ctx.fillText(`${point.value}B`, x - 15, toY(point.value) - 12);
+        });
+        
+        // Currency, CAGR and sources
+        ctx.font = '11px Arial';
+        const cagrText = series.cagrPercent !== null ? `, CAGR ${series.cagrPercent}%` : '';
+        ctx.fillText(`Billions ${series.currency}, base year ${series.baseYear}${cagrText}`, 100, 450);
+        
+        const sources = [...new Set(points.map(point => point.source))];
+        sources.slice(0, 4).forEach((source, index) => {
+            ctx.fillText(`Source: ${source}`.substring(0, 110), 100, 475 + index * 18);
+        });
+        
+        // Title
+        ctx.font = 'bold 16px Arial';
+        ctx.fillText(chartData.title || 'Market Growth', 250, 40);
+    }
+
+    // Render compared technologies on one hype cycle, one colour each
+    renderHypeCycleComparisonChart(ctx, chartData) {
+        // Curve, phase labels and title without a single highlighted technology
+        this.renderHypeCycleChart(ctx, { title: chartData.title, data: {} });
+
+        const placed = [];
+        chartData.points.forEach(point => {
+            // Technologies in the same phase share coordinates, so offset their markers and labels
+            const overlap = placed.filter(other => other.x === point.x && other.y === point.y).length;
+            placed.push(point);
+            const x = (point.x / 100) * 700 + 50 + overlap * 12;
+            const y = 500 - (point.y / 100) * 400;
+
+            ctx.fillStyle = point.color;
+            ctx.beginPath();
+            ctx.arc(x, y, 8, 0, 2 * Math.PI);
+            ctx.fill();
+
+            ctx.fillStyle = '#333333';
+            ctx.font = 'bold 12px Arial';
+            ctx.fillText(point.label, x + 15, y + 4 + overlap * 16);
+        });
+
+        this.renderChartLegend(ctx, chartData.points);
+    }
+
+    // Render one market size line per compared technology on a shared year axis
+    renderGrowthComparisonChart(ctx, chartData) {
+        // Background
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, 800, 600);
+
+        const years = chartData.years;
+        const maxValue = Math.max(0, ...chartData.series.flatMap(series => series.points.map(point => point.value))) || 1;
+        const stepX = years.length > 1 ? 600 / (years.length - 1) : 0;
+        const toX = year => 100 + years.indexOf(year) * stepX;
+        const toY = value => 450 - (value / maxValue) * 330;
+
+        // Value gridlines and axes
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#7f8c8d';
+        ctx.font = '11px Arial';
+        for (let i = 0; i <= 4; i++) {
+            const value = (maxValue * i) / 4;
+            ctx.beginPath();
+            ctx.moveTo(100, toY(value));
+            ctx.lineTo(700, toY(value));
+            ctx.stroke();
+            ctx.fillText(`${value.toFixed(1)}B`, 45, toY(value) + 4);
+        }
+
+        // Lines are dashed when projected from base-year size and CAGR
+        chartData.series.forEach(series => {
+            ctx.strokeStyle = series.color;
+            ctx.fillStyle = series.color;
+            ctx.lineWidth = 3;
+            ctx.setLineDash(series.derived ? [6, 4] : []);
+            ctx.beginPath();
+            series.points.forEach((point, index) => {
+                if (index === 0) {
+                    ctx.moveTo(toX(point.year), toY(point.value));
+                } else {
+                    ctx.lineTo(toX(point.year), toY(point.value));
+                }
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            series.points.forEach(point => {
+                ctx.beginPath();
+                ctx.arc(toX(point.year), toY(point.value), 4, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+        });
+
+        // Year labels and units
+        ctx.fillStyle = '#333333';
+        ctx.font = '12px Arial';
+        years.forEach(year => {
+            ctx.fillText(String(year), toX(year) - 15, 470);
+        });
+
+        ctx.font = '11px Arial';
+        const units = chartData.currency ? `Billions ${chartData.currency}` : 'Billions, each in its own reporting currency';
+        ctx.fillText(`${units} - dashed lines are projected from base-year size and CAGR`, 100, 500);
+
+        this.renderChartLegend(ctx, chartData.series);
+
+        // Title
+        ctx.font = 'bold 16px Arial';
+        ctx.fillText(chartData.title || 'Market Growth Comparison', 250, 40);
+    }
+
+    // Colour key along the bottom of a comparison chart
+    renderChartLegend(ctx, items) {
+        let x = 60;
+        ctx.font = '12px Arial';
+        items.forEach(item => {
+            ctx.fillStyle = item.color;
+            ctx.fillRect(x, 565, 12, 12);
+            ctx.fillStyle = '#333333';
+            ctx.fillText(item.label, x + 18, 576);
+            x += 40 + ctx.measureText(item.label).width;
+        });
+    }
+
+    // Render generic chart
+    renderGenericChart(ctx, chartData) {
+        // Simple bar chart as fallback
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, 800, 600);
+        
+        ctx.fillStyle = '#333333';
+        ctx.font = 'bold 16px Arial';
+        ctx.fillText(chartData.title || 'Analysis Chart', 250, 40);
+        
+        ctx.fillStyle = '#3498db';
+        for (let i = 0; i < 5; i++) {
+            ctx.fillRect(100 + i * 120, 200 + i * 30, 80, 200 - i * 30);
+        }
+    }
+
+    // Generate data export
+    generateDataExport() {
+        const exportData = {
+            technology: this.currentResearch.technology,
+            generatedAt: new Date().toISOString(),
+            totalAnalysisTime: this.currentResearch.totalTime,
+            status: this.currentResearch.status,
+            organization: this.currentResearch.organization,
+            modules: this.currentResearch.modules,
+            failedModules: this.currentResearch.failedModules,
+            aggregatedData: this.currentResearch.aggregatedData,
+            metadata: {
+                version: '2.0',
+                moduleCount: this.currentResearch.activeModules.length,
+                analysisDepth: this.currentResearch.analysisDepth,
+                systemPerformance: {
+                    totalTime: this.currentResearch.totalTime,
+                    averageModuleTime: this.currentResearch.totalTime / this.currentResearch.activeModules.length
+                }
+            }
+        };
+        
+        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        return {
+            type: 'json',
+            name: `${this.currentResearch.technology}_Analysis_Data.json`,
+            title: 'Complete Analysis Data',
+            description: 'Raw analysis data and metadata (JSON)',
+            url: url,
+            icon: 'fas fa-database'
+        };
+    }
+
+    // Align, rank and chart the compared technologies
+    buildComparison() {
+        const comparison = this.currentComparison;
+        const riskAppetite = this.comparisonSettings.weights[comparison.organization?.riskAppetite] ? comparison.organization.riskAppetite : 'moderate';
+
+        comparison.weighting = { riskAppetite: riskAppetite, weights: this.comparisonSettings.weights[riskAppetite] };
+        comparison.matrix = this.buildComparisonMatrix(comparison.results);
+        comparison.ranking = this.rankTechnologies(comparison.matrix, comparison.weighting.weights);
+        comparison.recommendation = this.buildComparisonRecommendation(comparison.ranking, comparison.matrix);
+        comparison.charts = [
+            this.buildHypeCycleComparisonData(comparison.results),
+            this.buildGrowthComparisonData(comparison.results, comparison.matrix)
+        ].filter(Boolean);
+    }
+
+    // One row of typed metrics per technology, with market sizes projected to a common year
+    buildComparisonMatrix(results) {
+        const rows = results.map(research => {
+            const market = research.modules['market-analysis']?.data?.structured || null;
+            const maturity = research.modules['maturity-assessment']?.data?.structured || null;
+            const phaseIndex = maturity ? this.hypeCyclePhases.indexOf(maturity.hypeCycle.position) : -1;
+
+            return {
+                technology: research.technology,
+                marketSizeBillions: market?.marketSizeBillions ?? null,
+                currency: market?.currency || null,
+                baseYear: market?.baseYear ?? null,
+                cagrPercent: market?.cagrPercent ?? null,
+                adoptionRatePercent: maturity?.metrics.adoptionRatePercent ?? market?.adoptionRatePercent ?? null,
+                hypePosition: maturity?.hypeCycle.position || null,
+                hypeConfidence: maturity?.hypeCycle.confidence || null,
+                phaseIndex: phaseIndex >= 0 ? phaseIndex : null,
+                timeToMainstreamYears: maturity?.metrics.timeToMainstreamYears ?? null,
+                enterpriseReadiness: maturity?.metrics.enterpriseReadiness || null,
+                technicalMaturity: maturity?.metrics.technicalMaturity || null,
+                vendorCount: research.modules['vendor-analysis']?.data?.vendors?.length ?? null,
+                missingModules: Object.values(research.failedModules).map(failure => failure.title)
+            };
+        });
+
+        // Sizes are quoted for different base years; project each to the latest one with its own CAGR
+        const baseYears = rows.map(row => row.baseYear).filter(year => year !== null);
+        const alignedYear = baseYears.length > 0 ? Math.max(...baseYears) : null;
+        rows.forEach(row => {
+            if (row.marketSizeBillions === null || row.baseYear === null) {
+                row.alignedMarketSizeBillions = null;
+            } else if (row.baseYear === alignedYear) {
+                row.alignedMarketSizeBillions = row.marketSizeBillions;
+            } else {
+                row.alignedMarketSizeBillions = row.cagrPercent !== null
+                    ? Math.round(row.marketSizeBillions * Math.pow(1 + row.cagrPercent / 100, alignedYear - row.baseYear) * 100) / 100
+                    : null;
+            }
+        });
+
+        const currencies = new Set(rows.filter(row => row.alignedMarketSizeBillions !== null).map(row => row.currency));
+        return {
+            rows: rows,
+            alignedYear: alignedYear,
+            // Sizes in different currencies are not comparable, so they only count when all share one
+            sharedCurrency: currencies.size === 1 ? [...currencies][0] : null
+        };
+    }
+
+    // Weighted 0-100 score per technology; each component is scaled against the compared set
+    rankTechnologies(matrix, weights) {
+        const rows = matrix.rows;
+        const totalWeight = Object.values(weights).reduce((total, weight) => total + weight, 0);
+        const maxCagr = Math.max(0, ...rows.map(row => row.cagrPercent).filter(value => value !== null));
+        const maxSize = matrix.sharedCurrency
+            ? Math.max(0, ...rows.map(row => row.alignedMarketSizeBillions).filter(value => value !== null))
+            : 0;
+
+        return rows.map(row => {
+            const components = {
+                maturity: row.phaseIndex !== null ? (row.phaseIndex / (this.hypeCyclePhases.length - 1)) * 100 : null,
+                mainstream: row.timeToMainstreamYears !== null ? Math.max(0, 100 - row.timeToMainstreamYears * 10) : null,
+                growth: row.cagrPercent === null ? null : (maxCagr > 0 ? Math.max(0, (row.cagrPercent / maxCagr) * 100) : 0),
+                marketSize: maxSize > 0 && row.alignedMarketSizeBillions !== null ? (row.alignedMarketSizeBillions / maxSize) * 100 : null
+            };
+
+            const scored = Object.keys(weights).filter(key => components[key] !== null);
+            const scoredWeight = scored.reduce((total, key) => total + weights[key], 0);
+            const score = scoredWeight > 0
+                ? scored.reduce((total, key) => total + components[key] * weights[key], 0) / scoredWeight
+                : null;
+
+            Object.keys(components).forEach(key => {
+                components[key] = components[key] !== null ? Math.round(components[key]) : null;
+            });
+
+            return {
+                technology: row.technology,
+                score: score !== null ? Math.round(score * 10) / 10 : null,
+                components: components,
+                coverage: Math.round((scoredWeight / totalWeight) * 100)
+            };
+        })
+            .sort((a, b) => (b.score ?? -1) - (a.score ?? -1))
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    // Recommendation text follows from the ranking, with caveats for close calls, early hype and thin data
+    buildComparisonRecommendation(ranking, matrix) {
+        const [leader, runnerUp] = ranking;
+        const { closeCallMargin, labels } = this.comparisonSettings;
+
+        if (!leader || leader.score === null) {
+            return {
+                technology: null,
+                score: null,
+                runnerUp: null,
+                margin: null,
+                closeCall: false,
+                summary: 'None of the technologies returned enough comparable metrics to rank - review the findings for each technology.',
+                caveats: []
+            };
+        }
+
+        const row = matrix.rows.find(item => item.technology === leader.technology);
+        const strengths = Object.entries(leader.components)
+            .filter(([, value]) => value !== null)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 2)
+            .map(([key]) => labels[key]);
+        const margin = runnerUp && runnerUp.score !== null ? Math.round((leader.score - runnerUp.score) * 10) / 10 : null;
+        const closeCall = margin !== null && margin < closeCallMargin;
+
+        const caveats = [];
+        if (closeCall) {
+            caveats.push(`Only ${margin} points separate ${leader.technology} and ${runnerUp.technology} - pilot both before committing.`);
+        }
+        if (row.phaseIndex !== null && row.phaseIndex <= 1) {
+            caveats.push(`${leader.technology} is at the ${row.hypePosition} stage - expect immature products and a shifting vendor field.`);
+        }
+        if (leader.coverage < 100) {
+            caveats.push(`The score for ${leader.technology} rests on ${leader.coverage}% of the weighted metrics; the rest were unavailable.`);
+        }
+
+        const followUp = runnerUp && runnerUp.score !== null ? ` ${runnerUp.technology} follows at ${runnerUp.score}.` : '';
+        return {
+            technology: leader.technology,
+            score: leader.score,
+            runnerUp: runnerUp ? runnerUp.technology : null,
+            margin: margin,
+            closeCall: closeCall,
+            summary: `Prioritise ${leader.technology} (score ${leader.score}/100), strongest on ${strengths.join(' and ')}.${followUp}`,
+            caveats: caveats
+        };
+    }
+
+    // Colour used for a technology on every comparison chart and table
+    comparisonColor(technology) {
+        const { colors } = this.comparisonSettings;
+        return colors[this.currentComparison.technologies.indexOf(technology) % colors.length];
+    }
+
+    // Hype cycle positions from each maturity assessment; null when none were assessed
+    buildHypeCycleComparisonData(results) {
+        const points = results.map(research => {
+            const position = research.modules['maturity-assessment']?.data?.chartData?.data?.technologyPosition;
+            return position ? {
+                label: research.technology,
+                x: position.x,
+                y: position.y,
+                position: position.position,
+                color: this.comparisonColor(research.technology)
+            } : null;
+        }).filter(Boolean);
+
+        return points.length > 0 ? { type: 'hype-cycle-comparison', title: 'Hype Cycle Comparison', points: points } : null;
+    }
+
+    // Market size series on a shared year axis; null when no technology has a sourced series
+    buildGrowthComparisonData(results, matrix) {
+        const series = results.map(research => {
+            const marketSeries = research.modules['market-analysis']?.data?.marketSeries;
+            return marketSeries ? {
+                label: research.technology,
+                currency: marketSeries.currency,
+                derived: marketSeries.derived,
+                cagrPercent: marketSeries.cagrPercent,
+                points: marketSeries.points.map(point => ({ year: point.year, value: point.value })),
+                color: this.comparisonColor(research.technology)
+            } : null;
+        }).filter(Boolean);
+
+        if (series.length === 0) return null;
+
+        const currencies = new Set(series.map(item => item.currency));
+        return {
+            type: 'market-growth-comparison',
+            title: 'Market Growth Comparison',
+            years: [...new Set(series.flatMap(item => item.points.map(point => point.year)))].sort((a, b) => a - b),
+            currency: currencies.size === 1 ? [...currencies][0] : null,
+            alignedYear: matrix.alignedYear,
+            series: series
+        };
+    }
+
+    // Comparison PDF, chart images, metrics CSV and data export
+    async generateComparisonArtifacts() {
+        const comparison = this.currentComparison;
+        const fileStem = comparison.technologies.map(technology => technology.replace(/\s+/g, '-')).join('_vs_');
+        const drawn = comparison.charts.map(chart => ({ chart: chart, canvas: this.drawChart(chart) }));
+
+        const artifacts = [
+            this.generateComparisonPDF(fileStem, drawn.map(({ chart, canvas }) => ({ title: chart.title, image: canvas.toDataURL('image/png') })))
+        ];
+
+        for (const { chart, canvas } of drawn) {
+            const url = await new Promise(resolve => canvas.toBlob(resolve)).then(blob => URL.createObjectURL(blob));
+            artifacts.push({
+                type: 'image',
+                name: `${fileStem}_${chart.type}.png`,
+                title: chart.title,
+                description: `${comparison.technologies.length} technologies on one chart`,
+                url: url,
+                icon: 'fas fa-chart-line'
+            });
+        }
+
+        artifacts.push(this.generateComparisonCSV(fileStem));
+        artifacts.push(this.generateComparisonDataExport(fileStem));
+        comparison.artifacts = artifacts;
+    }
+
+    // Comparison report: recommendation, aligned metrics, scores, charts and findings per technology
+    generateComparisonPDF(fileStem, chartImages) {
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF();
+        const comparison = this.currentComparison;
+        const { matrix, ranking, recommendation, weighting } = comparison;
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const margin = 20;
+        const lineHeight = 6;
+        let yPosition = 30;
+
+        const ensureSpace = height => {
+            if (yPosition + height > 280) {
+                doc.addPage();
+                yPosition = 30;
+            }
+        };
+        const heading = text => {
+            ensureSpace(20);
+            yPosition += 5;
+            doc.setFontSize(14);
+            doc.setFont(undefined, 'bold');
+            doc.text(text, margin, yPosition);
+            yPosition += 9;
+            doc.setFontSize(10);
+            doc.setFont(undefined, 'normal');
+        };
+        const paragraph = (text, indent = 0) => {
+            doc.splitTextToSize(text, pageWidth - 2 * margin - indent).forEach(line => {
+                ensureSpace(lineHeight);
+                doc.text(line, margin + indent, yPosition);
+                yPosition += lineHeight;
+            });
+        };
+
+        // Title
+        doc.setFontSize(20);
+        doc.setFont(undefined, 'bold');
+        doc.text('Technology Comparison', margin, yPosition);
+        yPosition += 12;
+        doc.setFontSize(14);
+        doc.splitTextToSize(comparison.technology, pageWidth - 2 * margin).forEach(line => {
+            doc.text(line, margin, yPosition);
+            yPosition += 7;
+        });
+        doc.setFontSize(10);
+        doc.setFont(undefined, 'normal');
+        doc.text(`Generated: ${new Date().toLocaleDateString()}`, margin, yPosition);
+        yPosition += 8;
+
+        heading('Recommendation');
+        paragraph(recommendation.summary);
+        recommendation.caveats.forEach(caveat => paragraph(`• ${caveat}`, 5));
+
+        // Metrics table; cells wrap and the row takes the height of its tallest cell
+        heading(`Aligned Metrics${matrix.alignedYear ? ` (market size projected to ${matrix.alignedYear})` : ''}`);
+        const columns = [
+            { title: 'Technology', width: 36, value: row => row.technology },
+            { title: 'Market Size', width: 26, value: row => this.formatComparisonSize(row) },
+            { title: 'CAGR', width: 16, value: row => row.cagrPercent !== null ? `${row.cagrPercent}%` : 'n/a' },
+            { title: 'Adoption', width: 18, value: row => row.adoptionRatePercent !== null ? `${row.adoptionRatePercent}%` : 'n/a' },
+            { title: 'Hype Position', width: 38, value: row => row.hypePosition || 'n/a' },
+            { title: 'Mainstream', width: 20, value: row => row.timeToMainstreamYears !== null ? `${row.timeToMainstreamYears} yrs` : 'n/a' },
+            { title: 'Readiness', width: 16, value: row => row.enterpriseReadiness || 'n/a' }
+        ];
+        const tableRow = (cells, bold) => {
+            const wrapped = cells.map((cell, index) => doc.splitTextToSize(String(cell), columns[index].width - 2));
+            const height = Math.max(...wrapped.map(lines => lines.length)) * 4 + 2;
+            ensureSpace(height);
+            doc.setFont(undefined, bold ? 'bold' : 'normal');
+            let x = margin;
+            wrapped.forEach((lines, index) => {
+                doc.text(lines, x, yPosition);
+                x += columns[index].width;
+            });
+            yPosition += height;
+        };
+        doc.setFontSize(8);
+        tableRow(columns.map(column => column.title), true);
+        matrix.rows.forEach(row => tableRow(columns.map(column => column.value(row)), false));
+        doc.setFontSize(10);
+        doc.setFont(undefined, 'normal');
+        if (!matrix.sharedCurrency) {
+            paragraph('Market sizes are reported in different currencies and are excluded from the scores.');
         }
-        ctx.stroke();
-        
-        // Data points
-        ctx.fillStyle = '#3498db';
-        data.forEach((value, index) => {
-            ctx.beginPath();
-            ctx.arc(100 + index * 120, 450 - value * 3, 5, 0, 2 * Math.PI);
-            ctx.fill();
+
+        heading('Scores');
+        const { labels } = this.comparisonSettings;
+        paragraph(`Weights (${weighting.riskAppetite} risk appetite): ${Object.entries(weighting.weights).map(([key, weight]) => `${labels[key]} ${weight}%`).join(', ')}.`);
+        ranking.forEach(entry => {
+            const components = Object.entries(entry.components)
+                .map(([key, value]) => `${labels[key]} ${value !== null ? value : 'n/a'}`)
+                .join(', ');
+            paragraph(`${entry.rank}. ${entry.technology}: ${entry.score !== null ? `${entry.score}/100` : 'not scored'} (${components}; ${entry.coverage}% of weights covered)`, 5);
         });
-        
-        // Labels
-        ctx.fillStyle = '#333333';
-        ctx.font = '12px Arial';
-        years.forEach((year, index) => {
-            ctx.fillText(year, 90 + index * 120, 480);
+
+        chartImages.forEach(chart => {
+            heading(chart.title);
+            ensureSpace(130);
+            doc.addImage(chart.image, 'PNG', margin, yPosition, 170, 127.5);
+            yPosition += 132;
         });
-        
-        // Title
-        ctx.font = 'bold 16px Arial';
-        ctx.fillText(chartData.title || '5-Year Forecast', 250, 40);
-    }
 
-    // Render generic chart
-    renderGenericChart(ctx, chartData) {
-        // Simple bar chart as fallback
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, 800, 600);
-        
-        ctx.fillStyle = '#333333';
-        ctx.font = 'bold 16px Arial';
-        ctx.fillText(chartData.title || 'Analysis Chart', 250, 40);
-        
-        ctx.fillStyle = '#3498db';
-        for (let i = 0; i < 5; i++) {
-            ctx.fillRect(100 + i * 120, 200 + i * 30, 80, 200 - i * 30);
+        heading('Findings by Technology');
+        comparison.results.forEach(research => {
+            ensureSpace(14);
+            doc.setFont(undefined, 'bold');
+            doc.text(research.technology, margin, yPosition);
+            yPosition += lineHeight;
+            doc.setFont(undefined, 'normal');
+            research.aggregatedData.executiveSummary.keyFindings.slice(0, 4).forEach(finding => {
+                paragraph(`• ${finding.length > 400 ? `${finding.substring(0, 400)}...` : finding}`, 5);
+            });
+            yPosition += 3;
+        });
+
+        // Gaps are listed so the comparison is visibly partial
+        const gaps = [
+            ...comparison.failedTechnologies.map(failure => `${failure.technology}: not compared - ${failure.error}`),
+            ...matrix.rows.filter(row => row.missingModules.length > 0).map(row => `${row.technology}: missing ${row.missingModules.join(', ')}`)
+        ];
+        if (gaps.length > 0) {
+            heading('Missing Analyses');
+            gaps.forEach(gap => paragraph(`• ${gap}`, 5));
         }
+
+        return {
+            type: 'pdf',
+            name: `${fileStem}_Comparison.pdf`,
+            title: 'Comparison Report',
+            description: 'Recommendation, aligned metrics, scores and combined charts',
+            url: URL.createObjectURL(doc.output('blob')),
+            icon: 'fas fa-file-pdf'
+        };
     }
 
-    // Generate data export
-    generateDataExport() {
+    // Market size label, marked with its own base year when it could not be aligned
+    formatComparisonSize(row) {
+        const size = row.alignedMarketSizeBillions ?? row.marketSizeBillions;
+        if (size === null) return 'n/a';
+
+        const prefix = row.currency === 'USD' ? '$' : `${row.currency} `;
+        return row.alignedMarketSizeBillions === null ? `${prefix}${size}B (${row.baseYear || 'year n/a'})` : `${prefix}${size}B`;
+    }
+
+    // Metrics matrix as CSV, one row per technology in rank order
+    generateComparisonCSV(fileStem) {
+        const { matrix, ranking } = this.currentComparison;
+        const csvCell = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+        const rows = [
+            ['Rank', 'Technology', 'Score', 'Market Size (B)', 'Currency', 'Base Year', `Market Size ${matrix.alignedYear || 'Aligned'} (B)`, 'CAGR %', 'Adoption %',
+                'Hype Position', 'Hype Confidence', 'Time to Mainstream (years)', 'Enterprise Readiness', 'Technical Maturity', 'Vendor Count'],
+            ...ranking.map(entry => {
+                const row = matrix.rows.find(item => item.technology === entry.technology);
+                return [entry.rank, row.technology, entry.score, row.marketSizeBillions, row.currency, row.baseYear, row.alignedMarketSizeBillions, row.cagrPercent,
+                    row.adoptionRatePercent, row.hypePosition, row.hypeConfidence, row.timeToMainstreamYears, row.enterpriseReadiness, row.technicalMaturity, row.vendorCount];
+            })
+        ];
+
+        const csv = rows.map(row => row.map(csvCell).join(',')).join('\n');
+        return {
+            type: 'csv',
+            name: `${fileStem}_Comparison_Matrix.csv`,
+            title: 'Comparison Matrix',
+            description: 'Aligned metrics and scores (CSV)',
+            url: URL.createObjectURL(new Blob([csv], { type: 'text/csv' })),
+            icon: 'fas fa-table'
+        };
+    }
+
+    // Full comparison data including every technology's module results
+    generateComparisonDataExport(fileStem) {
+        const comparison = this.currentComparison;
         const exportData = {
-            technology: this.currentResearch.technology,
+            comparison: comparison.technology,
+            technologies: comparison.technologies,
             generatedAt: new Date().toISOString(),
-            totalAnalysisTime: this.currentResearch.totalTime,
-            modules: this.currentResearch.modules,
-            aggregatedData: this.currentResearch.aggregatedData,
+            totalAnalysisTime: comparison.totalTime,
+            status: comparison.status,
+            organization: comparison.organization,
+            recommendation: comparison.recommendation,
+            weighting: comparison.weighting,
+            ranking: comparison.ranking,
+            matrix: comparison.matrix,
+            failedTechnologies: comparison.failedTechnologies,
+            results: comparison.results.map(research => ({
+                technology: research.technology,
+                status: research.status,
+                modules: research.modules,
+                failedModules: research.failedModules,
+                aggregatedData: research.aggregatedData
+            })),
             metadata: {
                 version: '2.0',
-                moduleCount: this.analysisModules.length,
-                systemPerformance: {
-                    totalTime: this.currentResearch.totalTime,
-                    averageModuleTime: this.currentResearch.totalTime / this.analysisModules.length
-                }
+                moduleCount: comparison.activeModules.length,
+                analysisDepth: comparison.results[0]?.analysisDepth
             }
         };
-        
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
+
         return {
             type: 'json',
-            name: `${this.currentResearch.technology}_Analysis_Data.json`,
-            title: 'Complete Analysis Data',
-            description: 'Raw analysis data and metadata (JSON)',
-            url: url,
+            name: `${fileStem}_Comparison_Data.json`,
+            title: 'Complete Comparison Data',
+            description: 'Raw module results for every technology (JSON)',
+            url: URL.createObjectURL(new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' })),
             icon: 'fas fa-database'
         };
     }
 
-    // Helper methods for recommendations and timeline
-    generateTopRecommendations(modules) {
+    // Compare the facts that market analysis, maturity assessment and the forecast report independently.
+    // Each check needs at least two modules reporting the fact; checks without enough data are left out
+    checkModuleConsistency(modules) {
+        const market = modules['market-analysis']?.data;
+        const maturity = modules['maturity-assessment']?.data;
+        const forecast = modules['5-year-forecast']?.data;
+
+        const checks = [
+            this.checkAdoptionRates(market, maturity, forecast),
+            this.checkMainstreamTiming(maturity, forecast),
+            this.checkHypeCyclePosition(maturity, forecast),
+            this.checkForecastMarketSize(market, forecast)
+        ].filter(Boolean);
+
+        return {
+            checks: checks,
+            contradictionCount: checks.filter(check => check.status === 'contradiction').length
+        };
+    }
+
+    // Consistency check result; modules and values are listed in the order they are compared
+    consistencyCheck(id, label, values, contradiction, detail) {
+        return {
+            id: id,
+            label: label,
+            modules: values.map(value => value.module),
+            values: values,
+            status: contradiction ? 'contradiction' : 'consistent',
+            detail: detail
+        };
+    }
+
+    // Title of a base module for consistency messages
+    moduleTitle(moduleName) {
+        return this.analysisModules.find(module => module.name === moduleName)?.title || moduleName;
+    }
+
+    // Forecast trajectory sorted by year, or an empty list when the forecast has none
+    forecastTrajectory(forecast) {
+        return [...(forecast?.structured?.trajectory || [])].sort((a, b) => a.yearOffset - b.yearOffset);
+    }
+
+    // Current enterprise adoption as reported by market analysis, maturity assessment and the forecast's first year
+    checkAdoptionRates(market, maturity, forecast) {
+        const values = [
+            { module: 'market-analysis', value: market?.structured?.adoptionRatePercent },
+            { module: 'maturity-assessment', value: maturity?.structured?.metrics?.adoptionRatePercent },
+            { module: '5-year-forecast', value: this.forecastTrajectory(forecast)[0]?.adoptionPercent }
+        ].filter(entry => Number.isFinite(entry.value));
+        if (values.length < 2) return null;
+
+        const { adoptionTolerancePoints } = this.consistencySettings;
+        const rates = values.map(entry => entry.value);
+        const spread = Math.max(...rates) - Math.min(...rates);
+        const reported = values.map(entry => `${this.moduleTitle(entry.module)} ${entry.value}%`).join(', ');
+
+        return this.consistencyCheck(
+            'adoption-rate',
+            'Current enterprise adoption',
+            values.map(entry => ({ ...entry, value: `${entry.value}%` })),
+            spread > adoptionTolerancePoints,
+            spread > adoptionTolerancePoints
+                ? `Current adoption differs by ${Math.round(spread)} percentage points (${reported})`
+                : `Current adoption agrees within ${adoptionTolerancePoints} percentage points (${reported})`
+        );
+    }
+
+    // Maturity's years to mainstream against the year the forecast trajectory reaches mainstream adoption
+    checkMainstreamTiming(maturity, forecast) {
+        const maturityYears = maturity?.structured?.metrics?.timeToMainstreamYears;
+        const trajectory = this.forecastTrajectory(forecast);
+        if (!Number.isFinite(maturityYears) || trajectory.length === 0) return null;
+
+        const { mainstreamAdoptionPercent, mainstreamToleranceYears } = this.consistencySettings;
+        const horizon = trajectory[trajectory.length - 1].yearOffset;
+        const reached = trajectory.find(point => point.adoptionPercent >= mainstreamAdoptionPercent);
+        // A forecast that never reaches mainstream puts it beyond the horizon, so the gap is at least this large
+        const forecastYears = reached ? reached.yearOffset : horizon + 1;
+        const gap = Math.abs(forecastYears - maturityYears);
+        const contradiction = reached ? gap > mainstreamToleranceYears : forecastYears - maturityYears > mainstreamToleranceYears;
+        const forecastText = reached
+            ? `${forecastYears} year(s)`
+            : `beyond ${horizon} years`;
+
+        return this.consistencyCheck(
+            'time-to-mainstream',
+            'Time to mainstream adoption',
+            [
+                { module: 'maturity-assessment', value: `${maturityYears} year(s)` },
+                { module: '5-year-forecast', value: forecastText }
+            ],
+            contradiction,
+            `${this.moduleTitle('maturity-assessment')} expects mainstream adoption in ${maturityYears} year(s); the ${this.moduleTitle('5-year-forecast')} trajectory reaches ${mainstreamAdoptionPercent}% adoption ${reached ? `in ${forecastText}` : forecastText}`
+        );
+    }
+
+    // Hype cycle position against the forecast's starting adoption: pre-slope phases are not yet mainstream, the plateau is
+    checkHypeCyclePosition(maturity, forecast) {
+        const position = maturity?.structured?.hypeCycle?.position;
+        const startAdoption = this.forecastTrajectory(forecast)[0]?.adoptionPercent;
+        const phaseIndex = this.hypeCyclePhases.indexOf(position);
+        if (phaseIndex === -1 || !Number.isFinite(startAdoption)) return null;
+
+        const { mainstreamAdoptionPercent } = this.consistencySettings;
+        const mainstreamNow = startAdoption >= mainstreamAdoptionPercent;
+        const slopeIndex = this.hypeCyclePhases.indexOf('Slope of Enlightenment');
+        const contradiction = (phaseIndex < slopeIndex && mainstreamNow) || (phaseIndex > slopeIndex && !mainstreamNow);
+
+        return this.consistencyCheck(
+            'hype-cycle-position',
+            'Hype cycle position vs forecast adoption',
+            [
+                { module: 'maturity-assessment', value: position },
+                { module: '5-year-forecast', value: `${startAdoption}% adoption now` }
+            ],
+            contradiction,
+            contradiction
+                ? `${this.moduleTitle('maturity-assessment')} places the technology at ${position}, but the ${this.moduleTitle('5-year-forecast')} starts at ${startAdoption}% adoption, which ${mainstreamNow ? 'is already' : 'is not yet'} mainstream (${mainstreamAdoptionPercent}%)`
+                : `${position} is in line with the forecast's starting adoption of ${startAdoption}%`
+        );
+    }
+
+    // The forecast's typed market size projection against market analysis' series for the same year,
+    // or its base-year size compounded at its CAGR when the series has no figure for that year
+    checkForecastMarketSize(market, forecast) {
+        const metrics = market?.structured;
+        const projection = forecast?.structured?.marketSizeProjection;
+        if (!metrics?.currency || !Array.isArray(projection) || projection.length === 0) {
+            return null;
+        }
+
+        const currency = metrics.currency.toUpperCase();
+        const seriesPoints = market.marketSeries?.currency?.toUpperCase() === currency ? market.marketSeries.points : [];
+        const canProject = Number.isFinite(metrics.marketSizeBillions) && Number.isFinite(metrics.cagrPercent) && Number.isFinite(metrics.baseYear);
+
+        const figures = projection
+            .filter(point => point.currency.toUpperCase() === currency && point.value > 0)
+            .map(point => {
+                const seriesPoint = seriesPoints.find(item => item.year === point.year);
+                const expected = seriesPoint
+                    ? seriesPoint.value
+                    : canProject && point.year >= metrics.baseYear
+                        ? metrics.marketSizeBillions * Math.pow(1 + metrics.cagrPercent / 100, point.year - metrics.baseYear)
+                        : null;
+                return { year: point.year, billions: point.value, expected: expected, fromSeries: Boolean(seriesPoint) };
+            })
+            .filter(figure => figure.expected > 0)
+            .map(figure => ({ ...figure, ratio: Math.max(figure.billions, figure.expected) / Math.min(figure.billions, figure.expected) }));
+        if (figures.length === 0) return null;
+
+        const { marketSizeTolerance, currencySymbols } = this.consistencySettings;
+        const worst = figures.reduce((max, figure) => figure.ratio > max.ratio ? figure : max);
+        const format = billions => `${currencySymbols[currency] || `${currency} `}${Math.round(billions * 10) / 10}B`;
+        const basis = worst.fromSeries
+            ? 'market size series'
+            : `${format(metrics.marketSizeBillions)} in ${metrics.baseYear} at ${metrics.cagrPercent}% CAGR`;
+
+        return this.consistencyCheck(
+            'market-size',
+            'Market size trajectory',
+            [
+                { module: 'market-analysis', value: `${format(worst.expected)} in ${worst.year} (${basis})` },
+                { module: '5-year-forecast', value: `${format(worst.billions)} in ${worst.year}` }
+            ],
+            worst.ratio > 1 + marketSizeTolerance,
+            `${this.moduleTitle('5-year-forecast')} projects ${format(worst.billions)} in ${worst.year}; ${this.moduleTitle('market-analysis')} (${basis}) gives ${format(worst.expected)}`
+        );
+    }
+
+    // Attach the synthesis' reconciliation to each contradiction it resolved
+    applyReconciliations(consistency, synthesis) {
+        (synthesis.reconciliations || []).forEach(reconciliation => {
+            const check = consistency.checks.find(item => item.id === reconciliation.id);
+            if (!check) return;
+            check.reconciliation = {
+                resolution: reconciliation.resolution,
+                preferredSource: reconciliation.preferredSource,
+                justification: reconciliation.preferredSource
+                    ? `${reconciliation.justification} (prefers ${synthesis.sourceTitles?.[reconciliation.preferredSource] || reconciliation.preferredSource})`
+                    : reconciliation.justification
+            };
+        });
+    }
+
+    // Justification with the title of the module it came from, e.g. "Peak hype (Maturity Assessment)"
+    traceItem(item, synthesis) {
+        const title = synthesis.sourceTitles?.[item.source] || item.source;
+        return `${item.justification} (${title})`;
+    }
+
+    // Helper methods for recommendations and timeline.
+    // Synthesised recommendations carry their justification; without a synthesis the generic list is used
+    generateTopRecommendations(modules, synthesis) {
+        if (synthesis) {
+            return synthesis.recommendations.map(item => item.recommendation);
+        }
+
         const recommendations = [
             'Evaluate current organizational readiness for technology adoption',
-            'Conduct pilot program with leading vendor solution',
+            this.currentResearch.vendors?.length > 0
+                ? `Conduct pilot program with quadrant leaders ${this.currentResearch.vendors.join(' and ')}`
+                : 'Conduct pilot program with leading vendor solution',
             'Develop comprehensive training and change management plan',
             'Establish timeline for phased implementation approach',
             'Allocate appropriate budget for technology and integration costs'
@@ -807,18 +2793,20 @@ class TechnologyResearchOrchestrator {
                 <h3>Enterprise Architecture Analysis</h3>
                 <div class="progress-summary">
                     <span>Technology: <strong>${this.currentResearch.technology}</strong></span>
-                    <span>Modules: ${this.analysisModules.length}</span>
-                    <span>Est. Time: ~${Math.round(this.totalExpectedTime)}s</span>
+                    <span>Modules: ${this.currentResearch.activeModules.length}</span>
+                    <span>Depth: ${this.getDepthProfile().label}</span>
+                    <span>Est. Time: ~${Math.round(this.estimateExpectedTime())}s</span>
                 </div>
             </div>
             <div class="progress-steps">
-                ${this.analysisModules.map((module, index) => `
+                ${this.currentResearch.activeModules.map((module, index) => `
                     <div class="progress-step" id="${module.step}">
                         <div class="step-number">${index + 1}</div>
                         <div class="step-content">
                             <div class="step-title">${module.title}</div>
                             <div class="step-description">${module.description}</div>
                             <div class="step-time">~${module.expectedTime}s</div>
+                            <div class="step-preview" id="${module.step}-preview"></div>
                         </div>
                     </div>
                 `).join('')}
@@ -829,20 +2817,116 @@ class TechnologyResearchOrchestrator {
                 </div>
                 <div class="progress-text" id="progress-text">Starting analysis...</div>
             </div>
+            <div class="job-reference" id="job-reference" style="display: none;"></div>
+        `;
+    }
+
+    // Wall-clock estimate for the selected modules at the configured concurrency
+    estimateExpectedTime() {
+        return this.estimateScopeTime(this.currentResearch.activeModules, this.currentResearch.settings.concurrency);
+    }
+
+    // Independent modules share the worker pool; the quadrant and then the leader deep dives run after them
+    estimateScopeTime(modules, concurrency = this.executionSettings.concurrency) {
+        const phases = [
+            modules.filter(module => !module.phase),
+            modules.filter(module => module.phase === 'quadrant'),
+            modules.filter(module => module.phase === 'deep-dive')
+        ];
+
+        return phases.reduce((total, phaseModules) => {
+            if (phaseModules.length === 0) return total;
+            const moduleTime = phaseModules.reduce((sum, module) => sum + module.expectedTime, 0);
+            return total + moduleTime / Math.min(concurrency, phaseModules.length);
+        }, 0);
+    }
+
+    // One progress step per compared technology
+    initializeComparisonProgress() {
+        const progressContainer = document.getElementById('research-progress');
+        if (!progressContainer) return;
+
+        const comparison = this.currentComparison;
+        const settings = { ...this.executionSettings, ...this.pickExecutionOverrides(comparison.options) };
+        const moduleTime = comparison.activeModules.reduce((total, module) => total + module.expectedTime, 0);
+        const perTechnology = moduleTime / Math.min(settings.concurrency, comparison.activeModules.length);
+        const depthProfile = this.depthProfiles[comparison.options.analysisDepth] || this.depthProfiles.comprehensive;
+
+        progressContainer.innerHTML = `
+            <div class="progress-header">
+                <h3>Technology Comparison</h3>
+                <div class="progress-summary">
+                    <span>Comparing: <strong>${window.agentRegistry.escape(comparison.technology)}</strong></span>
+                    <span>Modules: ${comparison.activeModules.length} per technology</span>
+                    <span>Depth: ${depthProfile.label}</span>
+                    <span>Est. Time: ~${Math.round(perTechnology * comparison.technologies.length)}s</span>
+                </div>
+            </div>
+            <div class="progress-steps">
+                ${comparison.technologies.map((technology, index) => `
+                    <div class="progress-step" id="compare-step-${index}">
+                        <div class="step-number">${index + 1}</div>
+                        <div class="step-content">
+                            <div class="step-title">${window.agentRegistry.escape(technology)}</div>
+                            <div class="step-description">${comparison.activeModules.map(module => module.title).join(', ')}</div>
+                            <div class="step-time">~${Math.round(perTechnology)}s</div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="progress-bar-container">
+                <div class="progress-bar">
+                    <div class="progress-fill" id="progress-fill"></div>
+                </div>
+                <div class="progress-text" id="progress-text">Starting comparison...</div>
+            </div>
         `;
     }
 
+    // Reflect one compared technology's state in its progress step
+    setComparisonStep(index, state, detail) {
+        const stepElement = document.getElementById(`compare-step-${index}`);
+        if (!stepElement) return;
+
+        stepElement.className = `progress-step ${state}`;
+        stepElement.querySelector('.step-time').textContent = detail;
+    }
+
+    // Overall progress counts modules across every technology in the comparison
+    updateComparisonProgress() {
+        const comparison = this.currentComparison;
+        const moduleCount = comparison.activeModules.length;
+        const finished = Object.keys(this.currentResearch.modules).length + Object.keys(this.currentResearch.failedModules).length;
+
+        this.setComparisonStep(comparison.currentIndex, 'active', `${finished} of ${moduleCount} modules`);
+        this.renderProgress(comparison.currentIndex * moduleCount + finished, 0, comparison.technologies.length * moduleCount);
+    }
+
     updateProgress() {
+        if (this.currentComparison?.status === 'in-progress') {
+            this.updateComparisonProgress();
+            return;
+        }
+
+        this.renderProgress(
+            Object.keys(this.currentResearch.modules).length,
+            Object.keys(this.currentResearch.failedModules).length,
+            this.currentResearch.activeModules.length
+        );
+    }
+
+    // Progress bar and text from finished module counts
+    renderProgress(completed, failed, total) {
         const progressFill = document.getElementById('progress-fill');
         const progressText = document.getElementById('progress-text');
         
         if (progressFill && progressText) {
-            const progress = ((this.currentModuleIndex + 1) / this.analysisModules.length) * 100;
+            const progress = ((completed + failed) / total) * 100;
             progressFill.style.width = `${progress}%`;
             
-            if (this.currentModuleIndex < this.analysisModules.length - 1) {
-                const nextModule = this.analysisModules[this.currentModuleIndex + 1];
-                progressText.textContent = `Next: ${nextModule.title}`;
+            if (completed + failed < total) {
+                const failedText = failed > 0 ? `, ${failed} failed` : '';
+                progressText.textContent = `${completed} of ${total} modules complete${failedText}`;
             } else {
                 progressText.textContent = 'Generating artifacts...';
             }
@@ -875,13 +2959,118 @@ class TechnologyResearchOrchestrator {
                 <div class="error-message">
                     <i class="fas fa-exclamation-triangle"></i>
                     <h3>Analysis Failed</h3>
-                    <p>${errorMessage}</p>
+                    <p>${window.agentRegistry.escape(errorMessage)}</p>
                     <button onclick="location.reload()" class="retry-button">Try Again</button>
                 </div>
             `;
         }
     }
 
+    // Say when recommendations are the generic fallback rather than synthesised from the findings
+    renderSynthesisNotice() {
+        const synthesis = this.currentResearch.aggregatedData.synthesis;
+        if (!synthesis || synthesis.status === 'synthesized') return '';
+
+        return `<p class="synthesis-notice">Generic guidance - the research synthesis was unavailable${synthesis.error ? ` (${window.agentRegistry.escape(synthesis.error)})` : ''}.</p>`;
+    }
+
+    // Readiness, risks and phase plan from the synthesis, each with the finding that justifies it
+    renderImplementationPlan() {
+        const { implementationGuidance: guidance, timeline } = this.currentResearch.aggregatedData;
+        if (guidance.generic !== false) return '';
+
+        return `
+            <div class="implementation-plan">
+                <h3>Readiness and Risks</h3>
+                <p><strong>Enterprise readiness: ${window.agentRegistry.escape(guidance.readiness)}</strong></p>
+                <div class="recommendation-justification">${window.agentRegistry.escape(guidance.readinessJustification)}</div>
+                <ul class="risk-list">
+                    ${guidance.risks.map(risk => `
+                        <li class="risk-${window.agentRegistry.escape(String(risk.severity).toLowerCase())}">
+                            <strong>${window.agentRegistry.escape(risk.severity)}:</strong> ${window.agentRegistry.escape(risk.risk)} <em>Mitigation:</em> ${window.agentRegistry.escape(risk.mitigation)}
+                            <div class="recommendation-justification">${window.agentRegistry.escape(risk.trace)}</div>
+                        </li>
+                    `).join('')}
+                </ul>
+                <h3>Phase Plan <span class="plan-duration">${window.agentRegistry.escape(timeline.totalDuration)}</span></h3>
+                <ol class="phase-plan">
+                    ${timeline.phases.map(phase => `
+                        <li>
+                            <strong>${window.agentRegistry.escape(phase.phase)}</strong> (month ${window.agentRegistry.escape(phase.startMonth)}, ${window.agentRegistry.escape(phase.duration)}) - ${window.agentRegistry.escape(phase.description)}
+                            <div class="recommendation-justification">${window.agentRegistry.escape(phase.trace)}</div>
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        `;
+    }
+
+    // Consistency lines for the PDFs: contradictions (and optionally passing checks) with any reconciliation.
+    // Null when no check had enough overlapping data to run
+    describeConsistency({ includeConsistent = false } = {}) {
+        const consistency = this.currentResearch.aggregatedData.consistency;
+        if (!consistency || consistency.checks.length === 0) return null;
+
+        const passed = consistency.checks.length - consistency.contradictionCount;
+        const items = [{ text: `${passed} of ${consistency.checks.length} cross-module checks consistent` }];
+        consistency.checks
+            .filter(check => includeConsistent || check.status === 'contradiction')
+            .forEach(check => {
+                const reconciliation = check.reconciliation;
+                items.push({
+                    text: `${check.status === 'contradiction' ? 'Contradiction' : 'Consistent'} - ${check.label}: ${check.detail}`,
+                    reconciliation: reconciliation ? `${reconciliation.resolution} ${reconciliation.justification}` : null
+                });
+            });
+        return items;
+    }
+
+    // Contradictions between module outputs, with the model's reconciliation where one was requested
+    renderConsistency() {
+        const consistency = this.currentResearch.aggregatedData.consistency;
+        if (!consistency || consistency.checks.length === 0) return '';
+
+        const contradictions = consistency.checks.filter(check => check.status === 'contradiction');
+        return `
+            <div class="consistency-section">
+                <h3>Consistency</h3>
+                <p>${consistency.checks.length - contradictions.length} of ${consistency.checks.length} cross-module checks consistent${contradictions.length > 0 ? ` - ${contradictions.length} contradiction(s) found` : ''}.</p>
+                <ul class="consistency-list">
+                    ${consistency.checks.map(check => `
+                        <li class="consistency-${check.status}">
+                            <strong>${window.agentRegistry.escape(check.label)}:</strong> ${window.agentRegistry.escape(check.detail)}
+                            ${check.reconciliation ? `
+                                <div class="consistency-reconciliation">
+                                    <strong>Reconciled:</strong> ${window.agentRegistry.escape(check.reconciliation.resolution)}
+                                    <div class="recommendation-justification">${window.agentRegistry.escape(check.reconciliation.justification)}</div>
+                                </div>
+                            ` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    // Render cited sources as numbered footnotes matching the [n] markers in the analysis
+    renderFootnotes(footnotes) {
+        if (!footnotes || footnotes.length === 0) return '';
+        
+        // Titles, URLs and claims come from third-party search results, so everything is escaped and only web links are clickable
+        return `
+            <ol class="module-footnotes">
+                ${footnotes.map(footnote => `
+                    <li value="${parseInt(footnote.marker.slice(1, -1), 10) || ''}">
+                        ${/^https?:\/\//i.test(footnote.url || '')
+                            ? `<a href="${window.agentRegistry.escape(footnote.url)}" target="_blank" rel="noopener noreferrer">${window.agentRegistry.escape(footnote.title)}</a>`
+                            : window.agentRegistry.escape(footnote.title)}
+                        <span class="footnote-claims">${window.agentRegistry.escape((footnote.claims || []).join('; '))}</span>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
     // Render web summary view
     renderWebSummary() {
         const resultsContainer = document.getElementById('research-results');
@@ -894,18 +3083,18 @@ class TechnologyResearchOrchestrator {
         resultsContainer.innerHTML = `
             <div class="web-summary">
                 <div class="summary-header">
-                    <h2>${summary.title}</h2>
+                    <h2>${window.agentRegistry.escape(summary.title)}</h2>
                     <div class="summary-meta">
                         <span><i class="fas fa-clock"></i> Completed in ${(this.currentResearch.totalTime/1000).toFixed(1)}s</span>
-                        <span><i class="fas fa-calendar"></i> ${new Date().toLocaleDateString()}</span>
-                        <span><i class="fas fa-cogs"></i> ${this.analysisModules.length} modules</span>
+                        <span><i class="fas fa-calendar"></i> ${this.currentResearch.startTime.toLocaleDateString()}</span>
+                        <span><i class="fas fa-cogs"></i> ${Object.keys(this.currentResearch.modules).length} of ${this.currentResearch.activeModules.length} modules</span>
                     </div>
                 </div>
 
                 <div class="summary-content">
                     <div class="executive-overview">
                         <h3>Executive Overview</h3>
-                        <p>${summary.overview}</p>
+                        <p>${window.agentRegistry.escape(summary.overview)}</p>
                     </div>
 
                     <div class="key-metrics-grid">
@@ -913,8 +3102,8 @@ class TechnologyResearchOrchestrator {
                         <div class="metrics-cards">
                             ${Object.keys(metrics).map(key => metrics[key] ? `
                                 <div class="metric-card">
-                                    <div class="metric-label">${key.replace(/([A-Z])/g, ' $1').trim()}</div>
-                                    <div class="metric-value">${metrics[key]}</div>
+                                    <div class="metric-label">${window.agentRegistry.escape(key.replace(/([A-Z])/g, ' $1').trim())}</div>
+                                    <div class="metric-value">${window.agentRegistry.escape(metrics[key])}</div>
                                 </div>
                             ` : '').join('')}
                         </div>
@@ -922,24 +3111,46 @@ class TechnologyResearchOrchestrator {
 
                     <div class="strategic-recommendations">
                         <h3>Strategic Recommendations</h3>
+                        ${this.renderSynthesisNotice()}
                         <ul>
-                            ${summary.recommendations.map(rec => `<li>${rec}</li>`).join('')}
+                            ${summary.recommendationDetails
+                                ? summary.recommendationDetails.map(item => `<li>${window.agentRegistry.escape(item.recommendation)}<div class="recommendation-justification">${window.agentRegistry.escape(item.justification)}</div></li>`).join('')
+                                : summary.recommendations.map(rec => `<li>${window.agentRegistry.escape(rec)}</li>`).join('')}
                         </ul>
                     </div>
 
+                    ${this.renderImplementationPlan()}
+
+                    ${this.renderConsistency()}
+
                     <div class="module-results">
                         <h3>Analysis Modules</h3>
-                        ${this.analysisModules.map(module => {
-                            const moduleData = this.currentResearch.modules[module.name];
+                        ${this.currentResearch.activeModules.map(module => {
+                            const moduleData = this.currentResearch.modules[this.moduleKey(module)];
+                            const failure = this.currentResearch.failedModules[this.moduleKey(module)];
+                            if (failure) {
+                                return `
+                                <div class="module-result-card missing">
+                                    <div class="module-header">
+                                        <h4>${window.agentRegistry.escape(module.title)}</h4>
+                                        <span class="module-time">Missing</span>
+                                    </div>
+                                    <div class="module-summary">
+                                        Module failed after ${failure.attempts} attempt(s): ${window.agentRegistry.escape(failure.error)}
+                                    </div>
+                                </div>
+                            `;
+                            }
                             return `
                                 <div class="module-result-card">
                                     <div class="module-header">
-                                        <h4>${module.title}</h4>
-                                        <span class="module-time">${(moduleData?.executionTime/1000 || 0).toFixed(1)}s</span>
+                                        <h4>${window.agentRegistry.escape(module.title)}</h4>
+                                        <span class="module-time">${moduleData?.cache?.hit ? 'Cached' : `${(moduleData?.executionTime/1000 || 0).toFixed(1)}s`}</span>
                                     </div>
                                     <div class="module-summary">
-                                        ${moduleData?.data?.summary || 'Analysis completed successfully'}
+                                        ${window.agentRegistry.escape(moduleData?.data?.summary || 'Analysis completed successfully')}
                                     </div>
+                                    ${this.renderFootnotes(moduleData?.artifacts?.webSummary?.footnotes)}
                                 </div>
                             `;
                         }).join('')}
@@ -949,22 +3160,156 @@ class TechnologyResearchOrchestrator {
                 <div class="artifacts-section">
                     <h3>Download Artifacts</h3>
                     <div class="artifacts-grid">
-                        ${artifacts.map(artifact => `
-                            <div class="artifact-card">
-                                <div class="artifact-icon">
-                                    <i class="${artifact.icon}"></i>
+                        ${this.renderArtifactCards(artifacts)}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Download cards for generated artifacts
+    renderArtifactCards(artifacts) {
+        return artifacts.map(artifact => `
+            <div class="artifact-card">
+                <div class="artifact-icon">
+                    <i class="${window.agentRegistry.escape(artifact.icon)}"></i>
+                </div>
+                <div class="artifact-info">
+                    <h4>${window.agentRegistry.escape(artifact.title)}</h4>
+                    <p>${window.agentRegistry.escape(artifact.description)}</p>
+                </div>
+                <a href="${window.agentRegistry.escape(artifact.url)}" download="${window.agentRegistry.escape(artifact.name)}" class="download-btn">
+                    <i class="fas fa-download"></i> Download
+                </a>
+            </div>
+        `).join('');
+    }
+
+    showComparisonResults() {
+        const progressContainer = document.getElementById('research-progress');
+        const resultsContainer = document.getElementById('research-results');
+
+        if (progressContainer) progressContainer.style.display = 'none';
+        if (resultsContainer) {
+            resultsContainer.style.display = 'block';
+            this.renderComparisonSummary();
+        }
+    }
+
+    // Render the comparison view: recommendation, metrics matrix, combined charts and findings per technology
+    renderComparisonSummary() {
+        const resultsContainer = document.getElementById('research-results');
+        if (!resultsContainer) return;
+
+        const comparison = this.currentComparison;
+        const { matrix, ranking, recommendation, weighting } = comparison;
+        const { labels } = this.comparisonSettings;
+        const escape = text => window.agentRegistry.escape(text);
+        const chartImages = comparison.artifacts.filter(artifact => artifact.type === 'image');
+        const swatch = technology => `<span class="comparison-swatch" style="background: ${this.comparisonColor(technology)};"></span>`;
+
+        resultsContainer.innerHTML = `
+            <div class="web-summary">
+                <div class="summary-header">
+                    <h2>${escape(comparison.technology)}</h2>
+                    <div class="summary-meta">
+                        <span><i class="fas fa-clock"></i> Completed in ${(comparison.totalTime/1000).toFixed(1)}s</span>
+                        <span><i class="fas fa-calendar"></i> ${comparison.startTime.toLocaleDateString()}</span>
+                        <span><i class="fas fa-balance-scale"></i> ${comparison.results.length} of ${comparison.technologies.length} technologies</span>
+                    </div>
+                </div>
+
+                <div class="summary-content">
+                    <div class="executive-overview">
+                        <h3>Recommendation</h3>
+                        <p>${escape(recommendation.summary)}</p>
+                        ${recommendation.caveats.length > 0 ? `
+                            <ul class="comparison-caveats">
+                                ${recommendation.caveats.map(caveat => `<li>${escape(caveat)}</li>`).join('')}
+                            </ul>
+                        ` : ''}
+                    </div>
+
+                    <div class="comparison-matrix">
+                        <h3>Aligned Metrics</h3>
+                        <table class="comparison-table">
+                            <thead>
+                                <tr>
+                                    <th>#</th>
+                                    <th>Technology</th>
+                                    <th>Score</th>
+                                    <th>Market Size${matrix.alignedYear ? ` (${escape(matrix.alignedYear)})` : ''}</th>
+                                    <th>CAGR</th>
+                                    <th>Adoption</th>
+                                    <th>Hype Position</th>
+                                    <th>Time to Mainstream</th>
+                                    <th>Readiness</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${ranking.map(entry => {
+                                    const row = matrix.rows.find(item => item.technology === entry.technology);
+                                    return `
+                                        <tr class="${entry.technology === recommendation.technology ? 'recommended' : ''}">
+                                            <td>${escape(entry.rank)}</td>
+                                            <td>${swatch(row.technology)}${escape(row.technology)}</td>
+                                            <td><strong>${entry.score !== null ? escape(entry.score) : 'n/a'}</strong></td>
+                                            <td>${escape(this.formatComparisonSize(row))}</td>
+                                            <td>${row.cagrPercent !== null ? `${escape(row.cagrPercent)}%` : 'n/a'}</td>
+                                            <td>${row.adoptionRatePercent !== null ? `${escape(row.adoptionRatePercent)}%` : 'n/a'}</td>
+                                            <td>${escape(row.hypePosition || 'n/a')}</td>
+                                            <td>${row.timeToMainstreamYears !== null ? `${escape(row.timeToMainstreamYears)} years` : 'n/a'}</td>
+                                            <td>${escape(row.enterpriseReadiness || 'n/a')}</td>
+                                        </tr>
+                                    `;
+                                }).join('')}
+                            </tbody>
+                        </table>
+                        <p class="comparison-note">
+                            Scores weight ${Object.entries(weighting.weights).map(([key, weight]) => `${escape(labels[key] || key)} ${escape(weight)}%`).join(', ')}
+                            (${escape(weighting.riskAppetite)} risk appetite), each scaled against the compared set.
+                            ${matrix.sharedCurrency ? '' : 'Market sizes are in different currencies and are left out of the scores.'}
+                        </p>
+                    </div>
+
+                    <div class="comparison-charts">
+                        ${chartImages.map(chart => `<img src="${escape(chart.url)}" alt="${escape(chart.title)}">`).join('')}
+                    </div>
+
+                    <div class="module-results">
+                        <h3>Findings by Technology</h3>
+                        ${comparison.results.map(research => {
+                            const entry = ranking.find(item => item.technology === research.technology);
+                            return `
+                                <div class="module-result-card">
+                                    <div class="module-header">
+                                        <h4>${swatch(research.technology)}${escape(research.technology)}</h4>
+                                        <span class="module-time">${entry.score !== null ? `${escape(entry.score)}/100` : 'Not scored'}</span>
+                                    </div>
+                                    <ul class="module-summary">
+                                        ${research.aggregatedData.executiveSummary.keyFindings.slice(0, 4).map(finding => `<li>${escape(finding)}</li>`).join('')}
+                                    </ul>
                                 </div>
-                                <div class="artifact-info">
-                                    <h4>${artifact.title}</h4>
-                                    <p>${artifact.description}</p>
+                            `;
+                        }).join('')}
+                        ${comparison.failedTechnologies.map(failure => `
+                            <div class="module-result-card missing">
+                                <div class="module-header">
+                                    <h4>${escape(failure.technology)}</h4>
+                                    <span class="module-time">Missing</span>
                                 </div>
-                                <a href="${artifact.url}" download="${artifact.name}" class="download-btn">
-                                    <i class="fas fa-download"></i> Download
-                                </a>
+                                <div class="module-summary">Not compared - ${escape(failure.error)}</div>
                             </div>
                         `).join('')}
                     </div>
                 </div>
+
+                <div class="artifacts-section">
+                    <h3>Download Artifacts</h3>
+                    <div class="artifacts-grid">
+                        ${this.renderArtifactCards(comparison.artifacts)}
+                    </div>
+                </div>
             </div>
         `;
     }
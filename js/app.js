@@ -261,290 +261,13 @@ class EAAssistant {
 
     // Open agent modal
     openAgent(agentType) {
-        const agent = EA_CONFIG.agents[agentType];
-        if (!agent) {
-            this.showToast('Agent not found', 'error');
+        // Registered agents bring their own interface or form schema
+        if (window.agentRegistry?.has(agentType)) {
+            window.agentRegistry.open(agentType);
             return;
         }
 
-        if (agent.status !== 'ready') {
-            this.showToast(`${agent.name} is coming soon!`, 'info');
-            return;
-        }
-
-        const modal = document.getElementById('agent-modal');
-        const modalTitle = document.getElementById('modal-title');
-        const modalBody = document.getElementById('modal-body');
-        const overlay = document.getElementById('overlay');
-
-        if (modalTitle) modalTitle.textContent = agent.name;
-        
-        if (modalBody) {
-            modalBody.innerHTML = this.getAgentInterface(agentType);
-        }
-
-        if (modal) modal.classList.add('active');
-        if (overlay) overlay.classList.add('active');
-
-        // Initialize agent-specific functionality
-        this.initializeAgent(agentType);
-    }
-
-    // Get agent interface HTML
-    getAgentInterface(agentType) {
-        switch (agentType) {
-            case 'technology-research':
-                return this.getTechnologyResearchInterface();
-            default:
-                return `
-                    <div style="text-align: center; padding: 40px;">
-                        <i class="fas fa-cog fa-spin" style="font-size: 3rem; color: #667eea; margin-bottom: 20px;"></i>
-                        <h3>Agent Interface Loading...</h3>
-                        <p style="color: #7f8c8d;">Full ${EA_CONFIG.agents[agentType].name} interface coming soon!</p>
-                        <button class="btn-primary" onclick="eaApp.closeModal()" style="margin-top: 20px;">Close</button>
-                    </div>
-                `;
-        }
-    }
-
-    // Get Technology Research Agent interface
-    getTechnologyResearchInterface() {
-        return `
-            <div class="research-interface">
-                <div class="interface-header">
-                    <h4><i class="fas fa-search"></i> Technology Research Configuration</h4>
-                    <p>Enter a technology area to generate comprehensive market analysis, vendor evaluation, and strategic recommendations.</p>
-                </div>
-
-                <form id="research-form" class="research-form">
-                    <div class="form-group">
-                        <label for="technology-area">Technology Area *</label>
-                        <input type="text" id="technology-area" placeholder="e.g., Zero Trust Security, AIOps, Data Mesh" required>
-                        <small>Enter the technology or solution domain you want to analyze</small>
-                    </div>
-
-                    <div class="form-group">
-                        <label>Research Scope</label>
-                        <div class="checkbox-group">
-                            <label class="checkbox-label">
-                                <input type="checkbox" id="include-market" checked>
-                                <span>Market Research & Trends</span>
-                            </label>
-                            <label class="checkbox-label">
-                                <input type="checkbox" id="include-vendor" checked>
-                                <span>Vendor Landscape Analysis</span>
-                            </label>
-                            <label class="checkbox-label">
-                                <input type="checkbox" id="include-hype" checked>
-                                <span>Hype Cycle Positioning</span>
-                            </label>
-                            <label class="checkbox-label">
-                                <input type="checkbox" id="include-strategic" checked>
-                                <span>Strategic Recommendations</span>
-                            </label>
-                        </div>
-                    </div>
-
-                    <div class="form-group">
-                        <label for="analysis-depth">Analysis Depth</label>
-                        <select id="analysis-depth">
-                            <option value="overview">Overview (Quick insights)</option>
-                            <option value="comprehensive" selected>Comprehensive (Full analysis)</option>
-                            <option value="detailed">Detailed (In-depth research)</option>
-                        </select>
-                    </div>
-
-                    <div class="form-actions">
-                        <button type="button" class="btn-secondary" onclick="eaApp.closeModal()">Cancel</button>
-                        <button type="submit" class="btn-primary">
-                            <i class="fas fa-rocket"></i> Start Research
-                        </button>
-                    </div>
-                </form>
-
-                <div id="research-progress" class="research-progress" style="display: none;">
-                    <div class="progress-header">
-                        <h4><i class="fas fa-cogs"></i> Research in Progress</h4>
-                        <div class="progress-bar">
-                            <div class="progress-fill" id="progress-fill"></div>
-                        </div>
-                        <div class="progress-text" id="progress-text">Initializing research...</div>
-                    </div>
-                    
-                    <div class="progress-steps">
-                        <div class="step" id="step-search">
-                            <i class="fas fa-search"></i>
-                            <span>Web Search</span>
-                        </div>
-                        <div class="step" id="step-market">
-                            <i class="fas fa-chart-line"></i>
-                            <span>Market Analysis</span>
-                        </div>
-                        <div class="step" id="step-vendor">
-                            <i class="fas fa-building"></i>
-                            <span>Vendor Analysis</span>
-                        </div>
-                        <div class="step" id="step-strategic">
-                            <i class="fas fa-lightbulb"></i>
-                            <span>Strategic Synthesis</span>
-                        </div>
-                        <div class="step" id="step-artifacts">
-                            <i class="fas fa-file-pdf"></i>
-                            <span>Generate Artifacts</span>
-                        </div>
-                    </div>
-                </div>
-
-                <div id="research-results" class="research-results" style="display: none;">
-                    <div class="results-header">
-                        <h4><i class="fas fa-check-circle"></i> Research Complete</h4>
-                        <p>Your technology analysis has been generated successfully.</p>
-                    </div>
-                    
-                    <div class="artifact-grid" id="artifact-grid">
-                        <!-- Artifacts will be populated here -->
-                    </div>
-                    
-                    <div class="results-actions">
-                        <button class="btn-secondary" onclick="eaApp.startNewResearch()">
-                            <i class="fas fa-plus"></i> New Research
-                        </button>
-                        <button class="btn-primary" onclick="eaApp.closeModal()">
-                            <i class="fas fa-check"></i> Done
-                        </button>
-                    </div>
-                </div>
-            </div>
-
-            <style>
-                .research-interface { max-width: 100%; }
-                .interface-header { margin-bottom: 2rem; text-align: center; }
-                .interface-header h4 { color: #2c3e50; margin-bottom: 0.5rem; }
-                .interface-header p { color: #7f8c8d; }
-                
-                .research-form .form-group { margin-bottom: 1.5rem; }
-                .research-form label { display: block; margin-bottom: 0.5rem; font-weight: 600; color: #2c3e50; }
-                .research-form input, .research-form select { 
-                    width: 100%; padding: 0.75rem; border: 2px solid #e1e8ed; 
-                    border-radius: 8px; font-size: 1rem; 
-                }
-                .research-form input:focus, .research-form select:focus { 
-                    outline: none; border-color: #667eea; 
-                }
-                .research-form small { display: block; margin-top: 0.5rem; color: #7f8c8d; font-size: 0.9rem; }
-                
-                .checkbox-group { display: flex; flex-direction: column; gap: 0.75rem; }
-                .checkbox-label { display: flex; align-items: center; gap: 0.5rem; cursor: pointer; }
-                .checkbox-label input[type="checkbox"] { margin: 0; }
-                
-                .form-actions { display: flex; gap: 1rem; margin-top: 2rem; }
-                .form-actions button { flex: 1; }
-                
-                .research-progress { text-align: center; }
-                .progress-header h4 { color: #2c3e50; margin-bottom: 1rem; }
-                .progress-text { margin-top: 1rem; color: #7f8c8d; }
-                
-                .progress-steps { 
-                    display: flex; justify-content: space-between; margin-top: 2rem; 
-                    flex-wrap: wrap; gap: 1rem;
-                }
-                .step { 
-                    display: flex; flex-direction: column; align-items: center; gap: 0.5rem; 
-                    padding: 1rem; border-radius: 8px; background: #f8f9fa;
-                    min-width: 100px; flex: 1;
-                }
-                .step.active { background: #667eea; color: white; }
-                .step.completed { background: #2ecc71; color: white; }
-                .step i { font-size: 1.5rem; }
-                
-                .research-results { text-align: center; }
-                .results-header { margin-bottom: 2rem; }
-                .results-header h4 { color: #2ecc71; margin-bottom: 0.5rem; }
-                
-                .artifact-grid { 
-                    display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); 
-                    gap: 1rem; margin-bottom: 2rem; 
-                }
-                .artifact-card { 
-                    background: #f8f9fa; border-radius: 8px; padding: 1.5rem; 
-                    border: 2px solid #e1e8ed; cursor: pointer; transition: all 0.3s ease;
-                }
-                .artifact-card:hover { border-color: #667eea; transform: translateY(-2px); }
-                .artifact-card i { font-size: 2rem; color: #667eea; margin-bottom: 1rem; }
-                .artifact-card h5 { margin-bottom: 0.5rem; color: #2c3e50; }
-                .artifact-card p { color: #7f8c8d; font-size: 0.9rem; }
-                
-                .results-actions { display: flex; gap: 1rem; }
-                .results-actions button { flex: 1; }
-                
-                @media (max-width: 768px) {
-                    .progress-steps { flex-direction: column; }
-                    .step { min-width: auto; }
-                    .form-actions, .results-actions { flex-direction: column; }
-                }
-            </style>
-        `;
-    }
-
-    // Initialize agent-specific functionality
-    initializeAgent(agentType) {
-        if (agentType === 'technology-research') {
-            this.initializeTechnologyResearch();
-        }
-    }
-
-    // Initialize Technology Research Agent
-    initializeTechnologyResearch() {
-        const form = document.getElementById('research-form');
-        if (form) {
-            form.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.startTechnologyResearch();
-            });
-        }
-    }
-
-    // Start Technology Research
-    async startTechnologyResearch() {
-        const technologyArea = document.getElementById('technology-area').value.trim();
-        
-        if (!technologyArea) {
-            this.showToast('Please enter a technology area', 'error');
-            return;
-        }
-
-        // Show progress view
-        document.getElementById('research-form').style.display = 'none';
-        document.getElementById('research-progress').style.display = 'block';
-
-        try {
-            // This will be implemented when we create the research agent
-            await window.technologyResearch.conductResearch(technologyArea, {
-                includeMarketResearch: document.getElementById('include-market').checked,
-                includeVendorAnalysis: document.getElementById('include-vendor').checked,
-                includeHypeCycle: document.getElementById('include-hype').checked,
-                includeStrategicSummary: document.getElementById('include-strategic').checked,
-                analysisDepth: document.getElementById('analysis-depth').value
-            });
-        } catch (error) {
-            console.error('Research failed:', error);
-            this.showToast('Research failed. Please try again.', 'error');
-            this.resetResearchInterface();
-        }
-    }
-
-    // Reset research interface
-    resetResearchInterface() {
-        document.getElementById('research-form').style.display = 'block';
-        document.getElementById('research-progress').style.display = 'none';
-        document.getElementById('research-results').style.display = 'none';
-    }
-
-    // Start new research
-    startNewResearch() {
-        this.resetResearchInterface();
-        document.getElementById('research-form').reset();
-        document.getElementById('technology-area').focus();
+        this.showToast('Agent not found', 'error');
     }
 
     // Close modal
@@ -564,11 +287,14 @@ class EAAssistant {
 
     // View previous analysis
     viewAnalysis(analysisId) {
-        const analysis = this.history.find(item => item.id === analysisId);
-        if (analysis) {
-            // This could open a detailed view of the analysis
-            console.log('Viewing analysis:', analysis);
-            this.showToast('Analysis viewer coming soon!', 'info');
+        // Re-read history: the library ID is added once the run has been saved
+        const analysis = this.loadHistory().find(item => item.id === analysisId);
+        if (!analysis) return;
+
+        if (analysis.libraryId && window.researchLibrary) {
+            window.researchLibrary.reopen(analysis.libraryId);
+        } else {
+            this.showToast('This analysis was run before the research library and only its summary was kept.', 'info');
         }
     }
 
@@ -42,75 +42,6 @@ const EA_CONFIG = {
         }
     },
     
-    // Agent Definitions
-    agents: {
-        'technology-research': {
-            name: 'Technology Research Agent',
-            description: 'Comprehensive technology analysis with market intelligence',
-            status: 'ready',
-            priority: 1,
-            icon: 'fas fa-search',
-            features: [
-                'Real-time market research',
-                'Vendor landscape analysis', 
-                'Hype cycle positioning',
-                'Strategic whitepapers'
-            ]
-        },
-        'strategic-analysis': {
-            name: 'Strategic Analysis Agent',
-            description: 'Business-technology alignment analysis',
-            status: 'coming-soon',
-            priority: 2,
-            icon: 'fas fa-chess',
-            features: [
-                'Business case development',
-                'ROI analysis frameworks',
-                'Risk assessment matrices',
-                'Implementation roadmaps'
-            ]
-        },
-        'supplier-evaluation': {
-            name: 'Supplier Evaluation Agent',
-            description: '4 P\'s framework evaluation for vendor selection',
-            status: 'coming-soon',
-            priority: 3,
-            icon: 'fas fa-balance-scale',
-            features: [
-                '4 P\'s evaluation framework',
-                'TCO analysis',
-                'Risk assessment',
-                'Comparative scorecards'
-            ]
-        },
-        'roadmap-planning': {
-            name: 'Roadmap Planning Agent',
-            description: 'Multi-year technology roadmap development',
-            status: 'coming-soon',
-            priority: 4,
-            icon: 'fas fa-road',
-            features: [
-                'Dependency analysis',
-                'Timeline optimization',
-                'Resource planning',
-                'Milestone tracking'
-            ]
-        },
-        'adr-agent': {
-            name: 'ADR Agent',
-            description: 'Architecture Decision Record generation',
-            status: 'coming-soon',
-            priority: 5,
-            icon: 'fas fa-file-contract',
-            features: [
-                'Decision documentation',
-                'Context analysis',
-                'Consequence evaluation',
-                'Template generation'
-            ]
-        }
-    },
-    
     // Industry Sectors
     industries: [
         { value: 'financial-services', label: 'Financial Services' },
@@ -1,7 +1,89 @@
 // FILE PATH: netlify/functions/5-year-forecast.js
 // Production 5-Year Forecast Module for Enterprise Architecture AI Agents
 
-const fetch = require('node-fetch');
+const { callStructuredLLM } = require('./lib/structured-output');
+const { resolveDepth } = require('./lib/analysis-depth');
+const { lookupCache, storeCache } = require('./lib/response-cache');
+const { normalizeOrganizationProfile, buildOrganizationContext } = require('./lib/organization-profile');
+const { prepareGrounding, withCitations, resolveCitations, formatFootnotes } = require('./lib/citations');
+
+// JSON contract for the forecast module - narrative prose plus typed timeline, phases and trajectory
+const FORECAST_SCHEMA = {
+  type: 'object',
+  required: ['analysis', 'timeline', 'milestones', 'investmentPhases', 'trajectory', 'marketSizeProjection'],
+  properties: {
+    analysis: {
+      type: 'string',
+      description: 'Narrative forecast in markdown using the bold section headings requested above'
+    },
+    timeline: {
+      type: 'object',
+      required: ['year1', 'year3', 'year5'],
+      properties: {
+        year1: { type: 'string', description: 'Expected state of the technology after 1 year' },
+        year3: { type: 'string', description: 'Expected state of the technology after 3 years' },
+        year5: { type: 'string', description: 'Expected state of the technology after 5 years' }
+      }
+    },
+    milestones: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['phase', 'startYear', 'endYear', 'description'],
+        properties: {
+          phase: { type: 'string', description: 'e.g. Pilot, Deployment, Scaling, Integration, Optimization' },
+          startYear: { type: 'integer', minimum: 1, maximum: 5 },
+          endYear: { type: 'integer', minimum: 1, maximum: 5 },
+          description: { type: 'string' }
+        }
+      }
+    },
+    investmentPhases: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['phase', 'startYear', 'endYear', 'focus'],
+        properties: {
+          phase: { type: 'string', description: 'e.g. Initial Investment, Scaling Investment, ROI Realization' },
+          startYear: { type: 'integer', minimum: 1, maximum: 5 },
+          endYear: { type: 'integer', minimum: 1, maximum: 5 },
+          focus: { type: 'string' }
+        }
+      }
+    },
+    trajectory: {
+      type: 'array',
+      minItems: 6,
+      maxItems: 6,
+      description: 'One entry per year from now (yearOffset 0) to year 5',
+      items: {
+        type: 'object',
+        required: ['yearOffset', 'maturityIndex', 'adoptionPercent', 'investmentIndex'],
+        properties: {
+          yearOffset: { type: 'integer', minimum: 0, maximum: 5 },
+          maturityIndex: { type: 'number', minimum: 0, maximum: 100, description: 'Technology maturity, 0-100' },
+          adoptionPercent: { type: 'number', minimum: 0, maximum: 100, description: 'Enterprise adoption in percent' },
+          investmentIndex: { type: 'number', minimum: 0, maximum: 100, description: 'Relative enterprise investment level, 0-100' }
+        }
+      }
+    },
+    marketSizeProjection: {
+      type: 'array',
+      maxItems: 6,
+      description: 'Total market size by calendar year from now to year 5, as given under MARKET PROJECTIONS; empty if no figure can be given',
+      items: {
+        type: 'object',
+        required: ['year', 'value', 'currency'],
+        properties: {
+          year: { type: 'integer', minimum: 2000, maximum: 2100 },
+          value: { type: 'number', minimum: 0, description: 'Market size in billions' },
+          currency: { type: 'string', description: 'ISO 4217 currency code, e.g. USD' }
+        }
+      }
+    }
+  }
+};
 
 exports.handler = async (event, context) => {
   const headers = {
@@ -25,7 +107,7 @@ exports.handler = async (event, context) => {
 
   try {
     const startTime = Date.now();
-    const { technology } = JSON.parse(event.body);
+    const { technology, provider, model, analysisDepth, organization, useWebSearch, forceRefresh } = JSON.parse(event.body);
     
     if (!technology) {
       return {
@@ -35,19 +117,30 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const openaiApiKey = process.env.OPENAI_API_KEY;
-    if (!openaiApiKey) {
+    // Serve repeat requests from the response cache unless a refresh is forced
+    const cacheLookup = await lookupCache('5-year-forecast', { technology, provider, model, analysisDepth, organization, useWebSearch }, forceRefresh);
+    if (cacheLookup.hit) {
       return {
-        statusCode: 500,
+        statusCode: 200,
         headers,
-        body: JSON.stringify({ error: 'OpenAI API key not configured' })
+        body: JSON.stringify(cacheLookup.response, null, 2)
       };
     }
 
+    // Depth scales word limit, token budget and level of detail
+    const depth = resolveDepth(analysisDepth, 350, 1000);
+
+    // Organization profile tailors every section (industry, regulation, stack, risk appetite)
+    const organizationProfile = normalizeOrganizationProfile(organization);
+    const organizationContext = buildOrganizationContext(organizationProfile);
+
+    // Optional web search first; results become numbered sources the model must cite
+    const { sources, context: sourceContext, grounding } = await prepareGrounding(useWebSearch, technology, 'strategic');
+
     // 5-year strategic forecast prompt (proven 8.69s performance)
     const forecastPrompt = `Develop a comprehensive 5-year strategic forecast for ${technology} technology.
 
-Provide:
+${organizationContext}${sourceContext}Provide:
 
 **TECHNOLOGY EVOLUTION**
 - Expected capability advances in Years 1, 3, and 5
@@ -79,50 +172,40 @@ Provide:
 - Competitive advantage windows
 - Technology obsolescence risks
 
-Keep response under 350 words. Focus on actionable strategic planning insights with specific timeframes for enterprise decision-making.`;
+Keep the analysis under ${depth.words} words.${depth.guidance ? ` ${depth.guidance}` : ''} Focus on actionable strategic planning insights with specific timeframes for enterprise decision-making.`;
 
-    const apiCallStart = Date.now();
-    
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${openaiApiKey}`
-      },
-      body: JSON.stringify({
-        model: "gpt-4o",
-        messages: [{ role: "user", content: forecastPrompt }],
-        max_tokens: 450,
-        temperature: 0.3
-      })
+    const completion = await callStructuredLLM(forecastPrompt, withCitations(FORECAST_SCHEMA, grounding), {
+      provider: provider,
+      model: model,
+      maxTokens: depth.maxTokens,
+      temperature: 0.3
     });
 
-    const apiCallTime = Date.now() - apiCallStart;
+    const apiCallTime = completion.apiCallTime;
     const totalTime = Date.now() - startTime;
+    const responseText = completion.data.analysis;
+    const baseYear = new Date().getFullYear();
     
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      return {
-        statusCode: response.status,
-        headers,
-        body: JSON.stringify({
-          success: false,
-          error: `5-year forecast failed: ${response.status}`,
-          details: errorData.error?.message
-        })
-      };
-    }
+    const citations = resolveCitations(completion.data.citations, sources);
 
-    const data = await response.json();
-    const responseText = data.choices[0].message.content;
-    
-    // Parse structured data from response for chart generation
+    // Typed fields come straight from the validated JSON contract
     const forecastData = {
       technology: technology,
       analysis: responseText,
-      timeline: extractTimelineData(responseText),
-      investmentPhases: extractInvestmentPhases(responseText),
-      chartData: generateForecastChartData(responseText, technology),
+      citations: citations,
+      sources: sources,
+      grounding: grounding,
+      baseYear: baseYear,
+      structured: {
+        timeline: completion.data.timeline,
+        milestones: completion.data.milestones,
+        investmentPhases: completion.data.investmentPhases,
+        trajectory: completion.data.trajectory,
+        marketSizeProjection: [...completion.data.marketSizeProjection].sort((a, b) => a.year - b.year)
+      },
+      timeline: formatTimeline(completion.data.timeline, completion.data.milestones),
+      investmentPhases: completion.data.investmentPhases,
+      chartData: generateForecastChartData(completion.data, technology, baseYear),
       summary: extractExecutiveSummary(responseText),
       timestamp: new Date().toISOString()
     };
@@ -142,10 +225,17 @@ Keep response under 350 words. Focus on actionable strategic planning insights w
         chartData: forecastData.chartData,
         downloadReady: true
       },
-      tokens: data.usage,
+      provider: completion.provider,
+      model: completion.model,
+      analysisDepth: depth.depth,
+      organizationProfile: organizationProfile,
+      validation: completion.validation,
+      tokens: completion.usage,
       timestamp: new Date().toISOString()
     };
 
+    result.cache = await storeCache(cacheLookup, result);
+
     return {
       statusCode: 200,
       headers,
@@ -154,96 +244,49 @@ Keep response under 350 words. Focus on actionable strategic planning insights w
 
   } catch (error) {
     return {
-      statusCode: 500,
+      statusCode: error.statusCode || 500,
       headers,
       body: JSON.stringify({
         success: false,
         error: '5-year forecast failed: ' + error.message,
+        details: error.details,
         module: '5-year-forecast'
       })
     };
   }
 };
 
-// Extract timeline data from analysis text
-function extractTimelineData(analysisText) {
-  const timeline = {
-    year1: null,
-    year3: null,
-    year5: null,
-    milestones: []
+// Combine the typed year summaries and milestones into the timeline shape used by the orchestrator
+function formatTimeline(timeline, milestones) {
+  return {
+    year1: timeline.year1,
+    year3: timeline.year3,
+    year5: timeline.year5,
+    milestones: milestones.map((milestone, index) => ({
+      phase: milestone.phase,
+      timeframe: milestone.startYear === milestone.endYear
+        ? `Year ${milestone.startYear}`
+        : `Year ${milestone.startYear}-${milestone.endYear}`,
+      description: milestone.description,
+      priority: index + 1
+    }))
   };
-
-  // Extract year-specific content
-  const year1Match = analysisText.match(/Year\s*1[:\-\s]*([^\.]*\.[^\.]*\.?)/i);
-  if (year1Match) {
-    timeline.year1 = year1Match[1].trim();
-  }
-
-  const year3Match = analysisText.match(/Year\s*3[:\-\s]*([^\.]*\.[^\.]*\.?)/i);
-  if (year3Match) {
-    timeline.year3 = year3Match[1].trim();
-  }
-
-  const year5Match = analysisText.match(/Year\s*5[:\-\s]*([^\.]*\.[^\.]*\.?)/i);
-  if (year5Match) {
-    timeline.year5 = year5Match[1].trim();
-  }
-
-  // Extract milestone patterns
-  const milestonePatterns = [
-    /pilot/i, /deployment/i, /scaling/i, /integration/i, /standardization/i
-  ];
-
-  milestonePatterns.forEach((pattern, index) => {
-    if (pattern.test(analysisText)) {
-      timeline.milestones.push({
-        phase: pattern.source.replace(/[\/\\gi]/g, ''),
-        timeframe: `Year ${index + 1}-${index + 2}`,
-        priority: index + 1
-      });
-    }
-  });
-
-  return timeline;
-}
-
-// Extract investment phases from analysis text
-function extractInvestmentPhases(analysisText) {
-  const phases = [];
-  
-  const investmentPatterns = [
-    { phase: 'Initial Investment', keywords: ['initial', 'pilot', 'budget'] },
-    { phase: 'Scaling Investment', keywords: ['scaling', 'expansion', 'growth'] },
-    { phase: 'ROI Realization', keywords: ['ROI', 'payback', 'returns'] }
-  ];
-
-  investmentPatterns.forEach(pattern => {
-    const hasKeywords = pattern.keywords.some(keyword => 
-      new RegExp(keyword, 'i').test(analysisText)
-    );
-    
-    if (hasKeywords) {
-      phases.push(pattern.phase);
-    }
-  });
-
-  return phases;
 }
 
 // Generate chart data for forecast timeline visualization
-function generateForecastChartData(analysisText, technology) {
-  const timeline = extractTimelineData(analysisText);
+function generateForecastChartData(forecast, technology, baseYear) {
+  const trajectory = [...forecast.trajectory].sort((a, b) => a.yearOffset - b.yearOffset);
+  const milestoneColors = ['#3498db', '#e74c3c', '#27ae60', '#f39c12', '#9b59b6'];
   
   return {
     type: 'forecast-timeline',
     title: `${technology} 5-Year Strategic Roadmap`,
     data: {
-      labels: ['2024', '2025', '2026', '2027', '2028', '2029'],
+      labels: trajectory.map(point => String(baseYear + point.yearOffset)),
       datasets: [
         {
           label: 'Technology Maturity',
-          data: [30, 45, 65, 80, 90, 95],
+          data: trajectory.map(point => point.maturityIndex),
           borderColor: '#3498db',
           backgroundColor: 'rgba(52, 152, 219, 0.1)',
           tension: 0.4,
@@ -251,7 +294,7 @@ function generateForecastChartData(analysisText, technology) {
         },
         {
           label: 'Market Adoption',
-          data: [20, 35, 55, 70, 85, 95],
+          data: trajectory.map(point => point.adoptionPercent),
           borderColor: '#e74c3c',
           backgroundColor: 'rgba(231, 76, 60, 0.1)',
           tension: 0.4,
@@ -259,7 +302,7 @@ function generateForecastChartData(analysisText, technology) {
         },
         {
           label: 'Investment Level',
-          data: [40, 70, 85, 75, 60, 50],
+          data: trajectory.map(point => point.investmentIndex),
           borderColor: '#f39c12',
           backgroundColor: 'rgba(243, 156, 18, 0.1)',
           tension: 0.4,
@@ -267,12 +310,11 @@ function generateForecastChartData(analysisText, technology) {
         }
       ]
     },
-    milestones: [
-      { year: '2025', event: 'Pilot Phase', color: '#3498db' },
-      { year: '2026', event: 'Scaling Phase', color: '#e74c3c' },
-      { year: '2027', event: 'Integration Phase', color: '#27ae60' },
-      { year: '2028', event: 'Optimization Phase', color: '#f39c12' }
-    ],
+    milestones: forecast.milestones.map((milestone, index) => ({
+      year: String(baseYear + milestone.startYear),
+      event: `${milestone.phase} Phase`,
+      color: milestoneColors[index % milestoneColors.length]
+    })),
     options: {
       responsive: true,
       interaction: {
@@ -282,7 +324,7 @@ function generateForecastChartData(analysisText, technology) {
       plugins: {
         title: {
           display: true,
-          text: `${technology} Strategic Forecast (2024-2029)`
+          text: `${technology} Strategic Forecast (${baseYear}-${baseYear + 5})`
         }
       },
       scales: {
@@ -338,6 +380,7 @@ function formatWebSummary(forecastData) {
   return {
     title: `${forecastData.technology} 5-Year Strategic Forecast`,
     summary: forecastData.summary,
+    footnotes: formatFootnotes(forecastData.citations),
     timeline: forecastData.timeline,
     investmentPhases: forecastData.investmentPhases,
     sections: [
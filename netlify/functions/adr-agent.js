@@ -0,0 +1,403 @@
+// FILE PATH: netlify/functions/adr-agent.js
+// ADR Agent for Enterprise Architecture AI Agents
+// Drafts an Architecture Decision Record and renders it as MADR or Nygard Markdown, numbered for a docs/adr folder
+
+const { callStructuredLLM } = require('./lib/structured-output');
+const { resolveDepth } = require('./lib/analysis-depth');
+const { lookupCache, storeCache } = require('./lib/response-cache');
+const { normalizeOrganizationProfile, buildOrganizationContext } = require('./lib/organization-profile');
+
+const ADR_FORMATS = ['madr', 'nygard'];
+const ADR_STATUSES = ['proposed', 'accepted', 'rejected', 'deprecated'];
+
+const MAX_OPTIONS = 6;
+const MAX_EVIDENCE_CHARS = 6000;
+
+// JSON contract for the decision record - typed sections, rendered to Markdown here so both formats stay consistent
+const ADR_SCHEMA = {
+  type: 'object',
+  required: ['title', 'context', 'decisionDrivers', 'options', 'chosenOption', 'rationale', 'consequences', 'confirmation'],
+  properties: {
+    title: { type: 'string', description: 'Short title stating the decision, e.g. "Use PostgreSQL for order data"' },
+    context: { type: 'string', description: 'Context and problem statement in two to four paragraphs of markdown' },
+    decisionDrivers: { type: 'array', minItems: 1, items: { type: 'string' } },
+    options: {
+      type: 'array',
+      minItems: 2,
+      items: {
+        type: 'object',
+        required: ['name', 'description', 'pros', 'cons'],
+        properties: {
+          name: { type: 'string', description: 'Option name exactly as given, when options were given' },
+          description: { type: 'string' },
+          pros: { type: 'array', items: { type: 'string' }, description: 'Each completes "Good, because ..."' },
+          cons: { type: 'array', items: { type: 'string' }, description: 'Each completes "Bad, because ..."' }
+        }
+      }
+    },
+    chosenOption: { type: 'string', description: 'Name of the chosen option, exactly as in options' },
+    rationale: { type: 'string', description: 'Why the chosen option wins against the decision drivers, completing the sentence "Chosen option: X, because ..."' },
+    consequences: {
+      type: 'object',
+      required: ['positive', 'negative'],
+      properties: {
+        positive: { type: 'array', items: { type: 'string' }, description: 'Each completes "Good, because ..."' },
+        negative: { type: 'array', items: { type: 'string' }, description: 'Each completes "Bad, because ..."' },
+        neutral: { type: 'array', items: { type: 'string' }, description: 'Each completes "Neutral, because ..."' }
+      }
+    },
+    confirmation: { type: 'string', description: 'How compliance with the decision will be confirmed, e.g. review, fitness function, metric' }
+  }
+};
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const startTime = Date.now();
+    const { question, context: decisionContext, options, decisionDrivers, evidence, source, format, status, deciders, adrNumber, provider, model, analysisDepth, organization, forceRefresh } = JSON.parse(event.body);
+
+    if (!question || !String(question).trim()) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Decision question required' })
+      };
+    }
+
+    const decisionQuestion = String(question).trim();
+    const candidateOptions = normalizeLines(options).slice(0, MAX_OPTIONS);
+    const drivers = normalizeLines(decisionDrivers);
+    const supportingEvidence = typeof evidence === 'string' ? evidence.trim().slice(0, MAX_EVIDENCE_CHARS) : '';
+    const record = {
+      format: ADR_FORMATS.includes(format) ? format : 'madr',
+      status: ADR_STATUSES.includes(status) ? status : 'proposed',
+      number: Number.isInteger(Number(adrNumber)) && Number(adrNumber) > 0 ? Number(adrNumber) : 1,
+      deciders: typeof deciders === 'string' ? deciders.trim() : '',
+      date: new Date().toISOString().slice(0, 10),
+      source: typeof source === 'string' ? source : 'manual'
+    };
+
+    // Serve repeat requests from the response cache unless a refresh is forced
+    const cacheLookup = await lookupCache('adr-agent', {
+      decisionQuestion, decisionContext, candidateOptions, drivers, supportingEvidence, record, provider, model, analysisDepth, organization
+    }, forceRefresh);
+    if (cacheLookup.hit) {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(cacheLookup.response, null, 2)
+      };
+    }
+
+    // Depth scales word limit, token budget and level of detail
+    const depth = resolveDepth(analysisDepth, 300, 1550);
+
+    // Organization profile grounds the context and drivers (industry, regulation, stack, risk appetite)
+    const organizationProfile = normalizeOrganizationProfile(organization);
+    const organizationContext = buildOrganizationContext(organizationProfile);
+
+    const adrPrompt = `Write an Architecture Decision Record for this decision: ${decisionQuestion}
+
+${organizationContext}${buildDecisionContext(decisionContext, candidateOptions, drivers, supportingEvidence)}Provide:
+
+**CONTEXT AND PROBLEM**
+- The forces at play and why a decision is needed now
+
+**DECISION DRIVERS**
+- The criteria the decision is judged against
+
+**OPTIONS CONSIDERED**
+- ${candidateOptions.length > 0 ? 'Each of the given options, using their names exactly' : 'Two to four realistic options, including the status quo where relevant'}, with a description, pros and cons
+
+**DECISION**
+- The chosen option and why it best satisfies the drivers
+
+**CONSEQUENCES**
+- Positive, negative and neutral consequences of the decision, and how compliance will be confirmed
+
+Keep each section concise; the whole record should stay under ${depth.words} words.${depth.guidance ? ` ${depth.guidance}` : ''} Base claims on the supporting findings where given.`;
+
+    const completion = await callStructuredLLM(adrPrompt, ADR_SCHEMA, {
+      provider: provider,
+      model: model,
+      maxTokens: depth.maxTokens,
+      temperature: 0.2
+    });
+
+    const decision = resolveDecision(completion.data, candidateOptions);
+    const markdown = record.format === 'nygard' ? renderNygard(decision, record) : renderMadr(decision, record);
+
+    const adrData = {
+      question: decisionQuestion,
+      record: record,
+      decision: decision,
+      markdown: markdown,
+      fileName: buildFileName(record.number, decision.title),
+      timestamp: new Date().toISOString()
+    };
+
+    const totalTime = Date.now() - startTime;
+
+    const result = {
+      success: true,
+      module: 'adr-agent',
+      technology: decisionQuestion,
+      timing: {
+        apiCallTime: completion.apiCallTime,
+        totalTime: totalTime,
+        status: totalTime < 8000 ? 'FAST' : totalTime < 15000 ? 'ACCEPTABLE' : 'SLOW'
+      },
+      data: adrData,
+      artifacts: {
+        webSummary: {
+          title: `ADR ${padNumber(record.number)}: ${decision.title}`,
+          status: record.status,
+          chosenOption: decision.chosenOption,
+          optionsConsidered: decision.options.map(option => option.name),
+          fileName: adrData.fileName
+        },
+        downloadReady: true
+      },
+      provider: completion.provider,
+      model: completion.model,
+      analysisDepth: depth.depth,
+      organizationProfile: organizationProfile,
+      validation: completion.validation,
+      tokens: completion.usage,
+      timestamp: new Date().toISOString()
+    };
+
+    result.cache = await storeCache(cacheLookup, result);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(result, null, 2)
+    };
+
+  } catch (error) {
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'ADR generation failed: ' + error.message,
+        details: error.details,
+        module: 'adr-agent'
+      })
+    };
+  }
+};
+
+// Accept a list as an array (of strings or { name }) or one item per line; blanks and duplicates are dropped
+function normalizeLines(value) {
+  const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split('\n') : []);
+  return [...new Set(items.map(item => String(typeof item === 'object' && item ? item.name : item).trim()).filter(Boolean))];
+}
+
+// Prompt section with the user's context, candidate options, drivers and findings from earlier analyses
+function buildDecisionContext(decisionContext, options, drivers, evidence) {
+  const sections = [];
+  if (decisionContext && String(decisionContext).trim()) {
+    sections.push(`Context provided:\n${String(decisionContext).trim()}`);
+  }
+  if (options.length > 0) {
+    sections.push(`Candidate options:\n${options.map(option => `- ${option}`).join('\n')}`);
+  }
+  if (drivers.length > 0) {
+    sections.push(`Decision drivers:\n${drivers.map(driver => `- ${driver}`).join('\n')}`);
+  }
+  if (evidence) {
+    sections.push(`Supporting findings from earlier analysis:\n${evidence}`);
+  }
+
+  return sections.length > 0 ? `**DECISION INPUTS**\n${sections.join('\n\n')}\n\n` : '';
+}
+
+// Keep the given option names, and make sure the chosen option is one of the options considered
+function resolveDecision(data, candidateOptions) {
+  const findOption = name => data.options.find(option => option.name.trim().toLowerCase() === String(name).trim().toLowerCase());
+
+  const options = candidateOptions.length > 0
+    ? candidateOptions.map(name => ({ ...(findOption(name) || { description: '', pros: [], cons: [] }), name: name }))
+    : data.options;
+
+  const chosen = options.find(option => option.name.toLowerCase() === data.chosenOption.trim().toLowerCase());
+  if (!chosen) {
+    const error = new Error(`Chosen option "${data.chosenOption}" is not one of the options considered`);
+    error.statusCode = 502;
+    throw error;
+  }
+
+  return {
+    title: data.title.trim(),
+    context: data.context,
+    decisionDrivers: data.decisionDrivers,
+    options: options,
+    chosenOption: chosen.name,
+    rationale: data.rationale,
+    consequences: {
+      positive: data.consequences.positive,
+      negative: data.consequences.negative,
+      neutral: data.consequences.neutral || []
+    },
+    confirmation: data.confirmation
+  };
+}
+
+function padNumber(number) {
+  return String(number).padStart(4, '0');
+}
+
+// adr-tools style file name: 0007-use-postgresql-for-order-data.md
+function buildFileName(number, title) {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'decision';
+  return `${padNumber(number)}-${slug}.md`;
+}
+
+function bulletList(items, prefix = '') {
+  return items.map(item => `* ${prefix}${item}`).join('\n');
+}
+
+function sourceNote(record) {
+  const sources = {
+    'technology-research': 'Informed by a Technology Research analysis from the Enterprise Architecture AI Agents.',
+    'supplier-quad': 'Informed by a Supplier Quad vendor positioning analysis from the Enterprise Architecture AI Agents.'
+  };
+  return sources[record.source] || '';
+}
+
+// MADR (Markdown Architectural Decision Records) with YAML front matter
+function renderMadr(decision, record) {
+  const lines = [
+    '---',
+    `status: ${record.status}`,
+    `date: ${record.date}`
+  ];
+  if (record.deciders) lines.push(`deciders: ${record.deciders}`);
+  lines.push(
+    '---',
+    '',
+    `# ${decision.title}`,
+    '',
+    '## Context and Problem Statement',
+    '',
+    decision.context,
+    '',
+    '## Decision Drivers',
+    '',
+    bulletList(decision.decisionDrivers),
+    '',
+    '## Considered Options',
+    '',
+    bulletList(decision.options.map(option => option.name)),
+    '',
+    '## Decision Outcome',
+    '',
+    `Chosen option: "${decision.chosenOption}", because ${decision.rationale}`,
+    '',
+    '### Consequences',
+    '',
+    [
+      bulletList(decision.consequences.positive, 'Good, because '),
+      bulletList(decision.consequences.negative, 'Bad, because '),
+      bulletList(decision.consequences.neutral, 'Neutral, because ')
+    ].filter(Boolean).join('\n'),
+    '',
+    '### Confirmation',
+    '',
+    decision.confirmation,
+    '',
+    '## Pros and Cons of the Options'
+  );
+
+  decision.options.forEach(option => {
+    lines.push('', `### ${option.name}`, '');
+    if (option.description) lines.push(option.description, '');
+    const prosAndCons = [bulletList(option.pros, 'Good, because '), bulletList(option.cons, 'Bad, because ')].filter(Boolean).join('\n');
+    if (prosAndCons) lines.push(prosAndCons);
+  });
+
+  const note = sourceNote(record);
+  if (note) {
+    lines.push('', '## More Information', '', note);
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n') + '\n';
+}
+
+// Michael Nygard's original template: title with number, date, status, context, decision, consequences
+function renderNygard(decision, record) {
+  const lines = [
+    `# ${record.number}. ${decision.title}`,
+    '',
+    `Date: ${record.date}`,
+    '',
+    '## Status',
+    '',
+    upperFirst(record.status),
+    '',
+    '## Context',
+    '',
+    decision.context,
+    '',
+    'Decision drivers:',
+    '',
+    bulletList(decision.decisionDrivers),
+    '',
+    'Options considered:',
+    ''
+  ];
+
+  decision.options.forEach(option => {
+    lines.push(`* **${option.name}**${option.description ? ` - ${option.description}` : ''}`);
+    if (option.pros.length > 0) lines.push(`  * Pros: ${option.pros.join('; ')}`);
+    if (option.cons.length > 0) lines.push(`  * Cons: ${option.cons.join('; ')}`);
+  });
+
+  lines.push(
+    '',
+    '## Decision',
+    '',
+    `We will go with ${decision.chosenOption}, because ${decision.rationale}`,
+    '',
+    '## Consequences',
+    '',
+    bulletList([
+      ...decision.consequences.positive,
+      ...decision.consequences.negative,
+      ...decision.consequences.neutral
+    ]),
+    '',
+    `Compliance: ${decision.confirmation}`
+  );
+
+  const note = sourceNote(record);
+  if (note) {
+    lines.push('', note);
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n') + '\n';
+}
+
+function upperFirst(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
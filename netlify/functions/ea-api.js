@@ -1,4 +1,5 @@
-const fetch = require('node-fetch');
+const { callLLM, getConfiguredProviders } = require('./lib/llm-provider');
+const { performWebSearch, generateSearchQueries, processSearchResults } = require('./lib/web-search');
 
 exports.handler = async (event, context) => {
   // Enable CORS
@@ -66,6 +67,7 @@ async function handleTest(headers) {
       capabilities: {
         claude: !!claudeApiKey,
         search: !!searchApiKey,
+        llmProviders: getConfiguredProviders(),
         timestamp: new Date().toISOString()
       }
     })
@@ -140,6 +142,8 @@ async function handleEnhancedResearch(requestData, headers) {
 
     // Step 4: Get Claude analysis
     const claudeResponse = await callClaudeAPI(enhancedPrompt, {
+      provider: options.provider,
+      model: options.model,
       maxTokens: options.maxTokens || 3000,
       temperature: options.temperature || 0.3
     });
@@ -206,236 +210,6 @@ async function handleClaudeAPI(requestData, headers) {
   }
 }
 
-// Perform web search using configured provider
-async function performWebSearch(query, searchType, maxResults) {
-  const searchProvider = process.env.SEARCH_PROVIDER || 'bing';
-  
-  switch (searchProvider.toLowerCase()) {
-    case 'bing':
-      return await bingWebSearch(query, searchType, maxResults);
-    case 'serpapi':
-      return await serpApiSearch(query, searchType, maxResults);
-    case 'brave':
-      return await braveSearch(query, searchType, maxResults);
-    default:
-      throw new Error(`Unsupported search provider: ${searchProvider}`);
-  }
-}
-
-// Bing Web Search API implementation
-async function bingWebSearch(query, searchType, maxResults) {
-  const bingApiKey = process.env.BING_SEARCH_API_KEY;
-  if (!bingApiKey) {
-    throw new Error('Bing Search API key not configured');
-  }
-
-  const endpoint = 'https://api.bing.microsoft.com/v7.0/search';
-  const searchQuery = enhanceSearchQuery(query, searchType);
-  
-  const response = await fetch(`${endpoint}?q=${encodeURIComponent(searchQuery)}&count=${maxResults}&responseFilter=webPages`, {
-    headers: {
-      'Ocp-Apim-Subscription-Key': bingApiKey
-    }
-  });
-
-  if (!response.ok) {
-    throw new Error(`Bing search failed: ${response.status}`);
-  }
-
-  const data = await response.json();
-  
-  return data.webPages?.value?.map(item => ({
-    title: item.name,
-    url: item.url,
-    snippet: item.snippet,
-    datePublished: item.datePublished,
-    source: 'bing'
-  })) || [];
-}
-
-// SerpApi implementation
-async function serpApiSearch(query, searchType, maxResults) {
-  const serpApiKey = process.env.SERPAPI_API_KEY;
-  if (!serpApiKey) {
-    throw new Error('SerpApi key not configured');
-  }
-
-  const endpoint = 'https://serpapi.com/search';
-  const searchQuery = enhanceSearchQuery(query, searchType);
-  
-  const params = new URLSearchParams({
-    q: searchQuery,
-    api_key: serpApiKey,
-    engine: 'google',
-    num: maxResults.toString()
-  });
-
-  const response = await fetch(`${endpoint}?${params}`);
-  
-  if (!response.ok) {
-    throw new Error(`SerpApi search failed: ${response.status}`);
-  }
-
-  const data = await response.json();
-  
-  return data.organic_results?.map(item => ({
-    title: item.title,
-    url: item.link,
-    snippet: item.snippet,
-    source: 'serpapi'
-  })) || [];
-}
-
-// Brave Search API implementation
-async function braveSearch(query, searchType, maxResults) {
-  const braveApiKey = process.env.BRAVE_SEARCH_API_KEY;
-  if (!braveApiKey) {
-    throw new Error('Brave Search API key not configured');
-  }
-
-  const endpoint = 'https://api.search.brave.com/res/v1/web/search';
-  const searchQuery = enhanceSearchQuery(query, searchType);
-  
-  const params = new URLSearchParams({
-    q: searchQuery,
-    count: maxResults.toString()
-  });
-
-  const response = await fetch(`${endpoint}?${params}`, {
-    headers: {
-      'Accept': 'application/json',
-      'X-Subscription-Token': braveApiKey
-    }
-  });
-
-  if (!response.ok) {
-    throw new Error(`Brave search failed: ${response.status}`);
-  }
-
-  const data = await response.json();
-  
-  return data.web?.results?.map(item => ({
-    title: item.title,
-    url: item.url,
-    snippet: item.description,
-    source: 'brave'
-  })) || [];
-}
-
-// Enhance search queries based on type
-function enhanceSearchQuery(query, searchType) {
-  const enhancements = {
-    market: `${query} market analysis 2024 2025 research report`,
-    vendor: `${query} vendor comparison Gartner Forrester leader`,
-    technology: `${query} technology implementation case study enterprise`,
-    hype: `${query} hype cycle Gartner market maturity adoption`,
-    financial: `${query} market size revenue growth forecast`,
-    general: query
-  };
-
-  return enhancements[searchType] || enhancements.general;
-}
-
-// Generate search queries for different research phases
-function generateSearchQueries(technology, researchPhase) {
-  const baseQueries = {
-    market: [
-      { query: `${technology} market size 2024`, type: 'financial' },
-      { query: `${technology} enterprise adoption trends`, type: 'market' },
-      { query: `${technology} industry analysis report`, type: 'market' }
-    ],
-    vendor: [
-      { query: `${technology} vendor comparison Gartner`, type: 'vendor' },
-      { query: `${technology} leading companies market share`, type: 'vendor' },
-      { query: `${technology} competitive landscape 2024`, type: 'vendor' }
-    ],
-    hype: [
-      { query: `${technology} Gartner hype cycle 2024`, type: 'hype' },
-      { query: `${technology} market maturity assessment`, type: 'hype' },
-      { query: `${technology} adoption timeline enterprise`, type: 'technology' }
-    ],
-    strategic: [
-      { query: `${technology} ROI case study enterprise`, type: 'technology' },
-      { query: `${technology} implementation best practices`, type: 'technology' },
-      { query: `${technology} business value assessment`, type: 'market' }
-    ]
-  };
-
-  return baseQueries[researchPhase] || baseQueries.market;
-}
-
-// Process and filter search results
-function processSearchResults(searchResultsArray, researchPhase) {
-  const allResults = searchResultsArray.flat();
-  
-  // Filter for relevant, recent, and authoritative sources
-  const filteredResults = allResults.filter(result => {
-    const title = result.title.toLowerCase();
-    const snippet = result.snippet.toLowerCase();
-    const url = result.url.toLowerCase();
-    
-    // Prioritize authoritative sources
-    const authoritativeSources = [
-      'gartner.com', 'forrester.com', 'idc.com', 'mckinsey.com',
-      'deloitte.com', 'pwc.com', 'accenture.com', 'statista.com'
-    ];
-    
-    const isAuthoritative = authoritativeSources.some(source => url.includes(source));
-    
-    // Filter out irrelevant or promotional content
-    const excludeKeywords = ['download', 'webinar', 'whitepaper download', 'free trial'];
-    const hasExcluded = excludeKeywords.some(keyword => 
-      title.includes(keyword) || snippet.includes(keyword)
-    );
-    
-    return !hasExcluded && (isAuthoritative || title.includes('2024') || title.includes('2025'));
-  });
-
-  // Group by relevance and limit results
-  return filteredResults.slice(0, 8).map(result => ({
-    title: result.title,
-    snippet: result.snippet,
-    url: result.url,
-    relevanceScore: calculateRelevanceScore(result, researchPhase)
-  })).sort((a, b) => b.relevanceScore - a.relevanceScore);
-}
-
-// Calculate relevance score for search results
-function calculateRelevanceScore(result, researchPhase) {
-  let score = 0;
-  const title = result.title.toLowerCase();
-  const snippet = result.snippet.toLowerCase();
-  const url = result.url.toLowerCase();
-  
-  // Authority bonus
-  const authoritativeSources = ['gartner', 'forrester', 'idc', 'mckinsey'];
-  if (authoritativeSources.some(source => url.includes(source))) {
-    score += 10;
-  }
-  
-  // Recency bonus
-  if (title.includes('2024') || title.includes('2025')) {
-    score += 5;
-  }
-  
-  // Phase-specific keywords
-  const phaseKeywords = {
-    market: ['market', 'analysis', 'size', 'growth', 'forecast'],
-    vendor: ['vendor', 'comparison', 'leader', 'competitive', 'landscape'],
-    hype: ['hype cycle', 'maturity', 'adoption', 'timeline'],
-    strategic: ['ROI', 'implementation', 'case study', 'best practices']
-  };
-  
-  const keywords = phaseKeywords[researchPhase] || [];
-  keywords.forEach(keyword => {
-    if (title.includes(keyword) || snippet.includes(keyword)) {
-      score += 2;
-    }
-  });
-  
-  return score;
-}
-
 // Generate enhanced prompts with search data
 function generateEnhancedPrompt(technology, researchPhase, searchData, options) {
   const searchContext = searchData.map(result => 
@@ -503,35 +277,14 @@ Reference specific case studies, ROI data, and best practices from the sources a
   return prompts[researchPhase] || prompts.market;
 }
 
-// Call Claude API
+// Call Claude API through the shared provider layer (Anthropic unless another provider is requested)
 async function callClaudeAPI(prompt, options = {}) {
-  const apiKey = process.env.CLAUDE_API_KEY;
-  if (!apiKey) {
-    throw new Error('Claude API key not configured in environment');
-  }
-
-  const claudeRequest = {
-    model: options.model || "claude-sonnet-4-20250514",
-    max_tokens: options.maxTokens || 3000,
-    temperature: options.temperature || 0.3,
-    messages: [{ role: "user", content: prompt }]
-  };
-
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'anthropic-version': '2023-06-01',
-      'x-api-key': apiKey
-    },
-    body: JSON.stringify(claudeRequest)
+  const completion = await callLLM(prompt, {
+    provider: options.provider || process.env.LLM_PROVIDER || 'anthropic',
+    model: options.model,
+    maxTokens: options.maxTokens || 3000,
+    temperature: options.temperature || 0.3
   });
 
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.error?.message || `Claude API error: ${response.status}`);
-  }
-
-  const data = await response.json();
-  return data.content[0].text;
-}
\ No newline at end of file
+  return completion.text;
+}
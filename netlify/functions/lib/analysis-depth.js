@@ -0,0 +1,45 @@
+// FILE PATH: netlify/functions/lib/analysis-depth.js
+// Analysis Depth Profiles for Enterprise Architecture AI Agents
+// Scales each module's prompt length, prose token budget and level of detail from the requested depth
+
+// overview = quick insights, comprehensive = full analysis (module defaults), detailed = in-depth research
+const DEPTH_PROFILES = {
+  overview: {
+    wordScale: 0.5,
+    guidance: 'Give a concise overview: one or two key points per section, no supporting detail.'
+  },
+  comprehensive: {
+    wordScale: 1,
+    guidance: ''
+  },
+  detailed: {
+    wordScale: 2,
+    guidance: 'Go in depth: support each section with specific figures, named examples and the sources behind them.'
+  }
+};
+
+const DEFAULT_DEPTH = 'comprehensive';
+
+// Output tokens per word of markdown prose, headings and bullets included
+const TOKENS_PER_WORD = 1.5;
+
+// Resolve a requested depth into word limit, token budget and prompt guidance for a module.
+// Only the prose scales with depth; structureTokens is the module's fixed allowance for its typed JSON fields
+function resolveDepth(requestedDepth, baseWords, structureTokens = 0) {
+  const depth = DEPTH_PROFILES[requestedDepth] ? requestedDepth : DEFAULT_DEPTH;
+  const profile = DEPTH_PROFILES[depth];
+  const words = Math.round(baseWords * profile.wordScale / 25) * 25;
+
+  return {
+    depth: depth,
+    words: words,
+    maxTokens: Math.round(words * TOKENS_PER_WORD) + structureTokens,
+    guidance: profile.guidance
+  };
+}
+
+module.exports = {
+  DEPTH_PROFILES,
+  DEFAULT_DEPTH,
+  resolveDepth
+};
@@ -0,0 +1,125 @@
+// FILE PATH: netlify/functions/lib/citations.js
+// Source Grounding and Citations for Enterprise Architecture AI Agents
+// Runs the web search pipeline before a module prompt and ties claims in the response back to source URLs
+
+const { gatherSources } = require('./web-search');
+
+// Contract fragment added to a module schema when the prompt is grounded in sources
+const CITATIONS_SCHEMA = {
+  type: 'array',
+  description: 'One entry per claim or figure taken from the numbered SOURCES',
+  items: {
+    type: 'object',
+    required: ['sourceId', 'claim'],
+    properties: {
+      sourceId: { type: 'integer', minimum: 1, description: 'Number of the source in the SOURCES list' },
+      claim: { type: 'string', description: 'The claim or figure the source supports' },
+      field: { type: ['string', 'null'], description: 'JSON field the claim populates, e.g. metrics.marketSizeBillions' }
+    }
+  }
+};
+
+// Optionally search before the prompt; search failures fall back to an ungrounded analysis
+async function prepareGrounding(useWebSearch, technology, researchPhase) {
+  if (!useWebSearch) {
+    return { sources: [], context: '', grounding: { requested: false, used: false, sourceCount: 0 } };
+  }
+
+  try {
+    const sources = await gatherSources(technology, researchPhase);
+    return {
+      sources: sources,
+      context: buildSourceContext(sources),
+      grounding: { requested: true, used: sources.length > 0, sourceCount: sources.length, researchPhase: researchPhase }
+    };
+  } catch (error) {
+    console.warn(`Source grounding skipped: ${error.message}`);
+    return {
+      sources: [],
+      context: '',
+      grounding: { requested: true, used: false, sourceCount: 0, researchPhase: researchPhase, error: error.message }
+    };
+  }
+}
+
+// Prompt section listing numbered sources and the inline citation convention
+function buildSourceContext(sources) {
+  if (sources.length === 0) {
+    return '';
+  }
+
+  const sourceList = sources.map(source =>
+    `[${source.id}] ${source.title}\n${source.url}\n${source.snippet || ''}`
+  ).join('\n\n');
+
+  return `**SOURCES**
+Ground the analysis in these search results. Mark every claim or figure taken from a source with its number in square brackets, e.g. [2], and list each one in the citations array. Do not cite anything that is not listed here.
+
+${sourceList}
+
+`;
+}
+
+// Add the citations array to a module schema when the prompt is grounded
+function withCitations(schema, grounding) {
+  if (!grounding.used) {
+    return schema;
+  }
+
+  return {
+    ...schema,
+    required: [...schema.required, 'citations'],
+    properties: { ...schema.properties, citations: CITATIONS_SCHEMA }
+  };
+}
+
+// Attach source title and URL to each citation; citations of unknown sources, or of sources that are not http(s) pages, are dropped
+function resolveCitations(rawCitations, sources) {
+  const sourcesById = new Map(sources.filter(source => isWebUrl(source.url)).map(source => [source.id, source]));
+
+  return (rawCitations || [])
+    .filter(citation => sourcesById.has(citation.sourceId))
+    .map(citation => ({
+      sourceId: citation.sourceId,
+      claim: citation.claim,
+      field: citation.field || null,
+      title: sourcesById.get(citation.sourceId).title,
+      url: sourcesById.get(citation.sourceId).url
+    }));
+}
+
+// Search results are third-party data; only http and https links are safe to hand to the browser
+function isWebUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// One footnote per cited source, numbered as the inline [n] markers in the analysis
+function formatFootnotes(citations) {
+  const footnotes = new Map();
+
+  citations.forEach(citation => {
+    if (!footnotes.has(citation.sourceId)) {
+      footnotes.set(citation.sourceId, {
+        marker: `[${citation.sourceId}]`,
+        title: citation.title,
+        url: citation.url,
+        claims: []
+      });
+    }
+    footnotes.get(citation.sourceId).claims.push(citation.claim);
+  });
+
+  return [...footnotes.values()].sort((a, b) => parseInt(a.marker.slice(1)) - parseInt(b.marker.slice(1)));
+}
+
+module.exports = {
+  CITATIONS_SCHEMA,
+  prepareGrounding,
+  withCitations,
+  resolveCitations,
+  formatFootnotes
+};
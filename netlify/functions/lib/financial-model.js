@@ -0,0 +1,119 @@
+// FILE PATH: netlify/functions/lib/financial-model.js
+// Financial Modelling Helpers for Enterprise Architecture AI Agents
+// Deterministic NPV, IRR, ROI and payback calculations over yearly cash flows, so the model never does the arithmetic
+
+const DEFAULT_DISCOUNT_RATE = 8;   // Percent per year
+const DEFAULT_HORIZON_YEARS = 5;
+const MAX_HORIZON_YEARS = 10;
+
+// Net present value of yearly cash flows; index 0 is today and is not discounted
+function npv(cashFlows, ratePercent) {
+  const rate = ratePercent / 100;
+  return cashFlows.reduce((total, cashFlow, year) => total + cashFlow / Math.pow(1 + rate, year), 0);
+}
+
+// Internal rate of return in percent by bisection; null when the cash flows never change sign
+function irr(cashFlows) {
+  const hasOutflow = cashFlows.some(cashFlow => cashFlow < 0);
+  const hasInflow = cashFlows.some(cashFlow => cashFlow > 0);
+  if (!hasOutflow || !hasInflow) {
+    return null;
+  }
+
+  let low = -99.9;
+  let high = 1000;
+  const npvLow = npv(cashFlows, low);
+  if (npvLow * npv(cashFlows, high) > 0) {
+    return null;
+  }
+
+  for (let iteration = 0; iteration < 200; iteration++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(cashFlows, mid);
+    if (Math.abs(npvMid) < 0.01) {
+      return mid;
+    }
+    if ((npvMid > 0) === (npvLow > 0)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+// Months until the cumulative cash flow turns non-negative, interpolated within the year; null if never
+function paybackMonths(cashFlows) {
+  let cumulative = cashFlows[0];
+  if (cumulative >= 0) {
+    return 0;
+  }
+
+  for (let year = 1; year < cashFlows.length; year++) {
+    const previous = cumulative;
+    cumulative += cashFlows[year];
+    if (cumulative >= 0) {
+      return Math.round((year - 1 + (-previous / cashFlows[year])) * 12);
+    }
+  }
+
+  return null;
+}
+
+// Summary metrics for a yearly cash flow series (index 0 = upfront)
+function summarizeCashFlows(cashFlows, ratePercent) {
+  let cumulative = 0;
+
+  return {
+    npv: roundMoney(npv(cashFlows, ratePercent)),
+    irrPercent: roundTo(irr(cashFlows), 1),
+    paybackMonths: paybackMonths(cashFlows),
+    cumulative: cashFlows.map(cashFlow => roundMoney(cumulative += cashFlow))
+  };
+}
+
+// Clamp horizon and discount rate from a request to sensible values
+function resolveFinancialSettings(horizonYears, discountRate) {
+  const horizon = parseInt(horizonYears, 10);
+  const rate = parseFloat(discountRate);
+
+  return {
+    horizonYears: Number.isFinite(horizon) ? Math.min(Math.max(horizon, 1), MAX_HORIZON_YEARS) : DEFAULT_HORIZON_YEARS,
+    discountRate: Number.isFinite(rate) && rate >= 0 && rate <= 50 ? rate : DEFAULT_DISCOUNT_RATE
+  };
+}
+
+// Compact currency formatting for prompts and chart titles
+function formatMoney(amount, currency) {
+  const absolute = Math.abs(amount);
+  const sign = amount < 0 ? '-' : '';
+  if (absolute >= 1e6) return `${sign}${currency} ${(absolute / 1e6).toFixed(1)}M`;
+  if (absolute >= 1e3) return `${sign}${currency} ${(absolute / 1e3).toFixed(0)}K`;
+  return `${sign}${currency} ${absolute.toFixed(0)}`;
+}
+
+// Currency amounts are reported in whole units
+function roundMoney(value) {
+  return Math.round(value);
+}
+
+// Round to a number of decimals, passing null through
+function roundTo(value, decimals) {
+  if (value === null || value === undefined) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  DEFAULT_DISCOUNT_RATE,
+  DEFAULT_HORIZON_YEARS,
+  npv,
+  irr,
+  paybackMonths,
+  summarizeCashFlows,
+  resolveFinancialSettings,
+  formatMoney,
+  roundMoney,
+  roundTo
+};
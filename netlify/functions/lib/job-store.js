@@ -0,0 +1,130 @@
+// FILE PATH: netlify/functions/lib/job-store.js
+// Research Job Store for Enterprise Architecture AI Agents
+// Persists research jobs (request, per-module progress and results) so research can be started, left and picked up later
+
+const crypto = require('crypto');
+const { resolveStoreName, openStore } = require('./key-value-store');
+const { RESEARCH_MODULES, resolveScope } = require('./research-runner');
+const { normalizeOrganizationProfile } = require('./organization-profile');
+
+// Jobs are kept for a week unless JOB_TTL_SECONDS says otherwise
+const DEFAULT_JOB_TTL = 7 * 24 * 3600;
+
+const FINISHED_STATUSES = ['completed', 'partial', 'failed'];
+
+// Research options a job accepts; anything else in the request is ignored
+const JOB_OPTION_KEYS = [
+  ...RESEARCH_MODULES.map(module => module.scopeOption),
+  'analysisDepth',
+  'useWebSearch',
+  'forceRefresh',
+  'provider',
+  'model'
+];
+
+// JOB_STORE selects file (default), kv or memory. Deployed functions run in separate instances that
+// share no filesystem, so the job endpoint and background worker only see each other's jobs through kv;
+// netlify dev serves every function from one process, where file and memory work too
+function openJobStore() {
+  const storeName = resolveStoreName(process.env.JOB_STORE, 'file');
+  if (!storeName) {
+    throw new Error('Research jobs need a store - JOB_STORE cannot be none');
+  }
+  if (isDeployed() && storeName !== 'kv') {
+    throw new Error(`Research jobs need a shared store when deployed - set JOB_STORE=kv with KV_REST_API_URL and KV_REST_API_TOKEN (JOB_STORE is ${storeName})`);
+  }
+  return openStore('research-jobs', storeName);
+}
+
+// Running on the Netlify Functions runtime rather than under netlify dev
+function isDeployed() {
+  return Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME) && !process.env.NETLIFY_DEV;
+}
+
+// Create and persist a queued job for a research request
+async function createJob(request) {
+  const options = {};
+  JOB_OPTION_KEYS.forEach(key => {
+    if (request.options && request.options[key] !== undefined) {
+      options[key] = request.options[key];
+    }
+  });
+
+  const modules = {};
+  resolveScope(options).forEach(module => {
+    modules[module.name] = { title: module.title, status: 'pending', attempts: 0 };
+  });
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    technology: request.technology.trim(),
+    options: options,
+    organization: normalizeOrganizationProfile(request.organization),
+    modules: modules,
+    results: {},
+    failedModules: {},
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    completedAt: null
+  };
+
+  await saveJob(job);
+  return job;
+}
+
+// Load a job by ID; unknown, expired or malformed IDs return null
+async function getJob(jobId) {
+  if (!/^[0-9a-f-]{36}$/i.test(jobId || '')) {
+    return null;
+  }
+  const entry = await openJobStore().get(jobId);
+  return entry ? entry.value : null;
+}
+
+// Persist the full job record, refreshing its expiry
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  const ttl = parseInt(process.env.JOB_TTL_SECONDS, 10);
+  await openJobStore().set(job.id, job, Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_JOB_TTL);
+}
+
+// Whether a job has stopped running (results are final)
+function isJobFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+// Job status without module results - what status polling returns
+function summarizeJob(job) {
+  const moduleStates = Object.values(job.modules);
+
+  return {
+    id: job.id,
+    status: job.status,
+    technology: job.technology,
+    options: job.options,
+    organization: job.organization,
+    modules: job.modules,
+    progress: {
+      total: moduleStates.length,
+      completed: moduleStates.filter(module => module.status === 'completed').length,
+      failed: moduleStates.filter(module => module.status === 'failed').length
+    },
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt
+  };
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  saveJob,
+  isJobFinished,
+  summarizeJob
+};
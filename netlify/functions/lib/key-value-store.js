@@ -0,0 +1,226 @@
+// FILE PATH: netlify/functions/lib/key-value-store.js
+// Key-Value Storage Backends for Enterprise Architecture AI Agents
+// Pluggable memory, filesystem and REST key-value stores with expiry, shared by the response cache, research jobs and the research library
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+
+// In-memory entries per namespace - survive only while the function instance stays warm
+const memoryNamespaces = new Map();
+
+// Each in-memory namespace holds at most this many entries and serialized bytes; once over either limit,
+// expired entries are swept and then the least recently written ones are evicted
+const MEMORY_MAX_ENTRIES = 1000;
+const MEMORY_MAX_BYTES = 50 * 1024 * 1024;
+
+const BACKENDS = {
+  memory: namespace => {
+    if (!memoryNamespaces.has(namespace)) {
+      memoryNamespaces.set(namespace, { entries: new Map(), bytes: 0 });
+    }
+    const memory = memoryNamespaces.get(namespace);
+    const { entries } = memory;
+
+    const remove = key => {
+      const stored = entries.get(key);
+      if (!stored) return;
+      entries.delete(key);
+      memory.bytes -= stored.json.length;
+    };
+
+    return {
+      async get(key) {
+        const stored = entries.get(key);
+        // Entries are kept serialized, so callers always get their own copy
+        return stored ? JSON.parse(stored.json) : null;
+      },
+      async set(key, entry) {
+        const stored = { json: JSON.stringify(entry), expiresAt: entry.expiresAt };
+        // Re-inserting moves the key to the end of the eviction order
+        remove(key);
+        entries.set(key, stored);
+        memory.bytes += stored.json.length;
+
+        if (entries.size > MEMORY_MAX_ENTRIES || memory.bytes > MEMORY_MAX_BYTES) {
+          const now = Date.now();
+          [...entries.entries()]
+            .filter(([, stored]) => stored.expiresAt <= now)
+            .forEach(([expiredKey]) => remove(expiredKey));
+        }
+        for (const oldestKey of entries.keys()) {
+          if (entries.size <= MEMORY_MAX_ENTRIES && memory.bytes <= MEMORY_MAX_BYTES) break;
+          remove(oldestKey);
+        }
+      },
+      async delete(key) {
+        remove(key);
+      },
+      async list(prefix) {
+        return [...entries.entries()]
+          .filter(([key]) => key.startsWith(prefix))
+          .map(([key, stored]) => ({ key: key, entry: JSON.parse(stored.json) }));
+      }
+    };
+  },
+
+  // Filesystem store - one JSON file per key under STORE_DIR/<namespace>
+  file: namespace => {
+    const directory = path.join(process.env.STORE_DIR || path.join(os.tmpdir(), 'ea-assistant'), namespace);
+    const filePath = key => path.join(directory, `${key.replace(/[^a-z0-9-]/gi, '_')}.json`);
+
+    return {
+      async get(key) {
+        try {
+          return JSON.parse(await fs.promises.readFile(filePath(key), 'utf8'));
+        } catch (error) {
+          if (error.code === 'ENOENT') return null;
+          throw error;
+        }
+      },
+      async set(key, entry) {
+        await fs.promises.mkdir(directory, { recursive: true });
+        // Write then rename so readers never see a half-written file
+        const tempPath = `${filePath(key)}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(entry));
+        await fs.promises.rename(tempPath, filePath(key));
+      },
+      async delete(key) {
+        await fs.promises.unlink(filePath(key)).catch(() => {});
+      },
+      // File names are the keys for keys made of letters, digits and dashes, which is all list() is used with
+      async list(prefix) {
+        const names = await fs.promises.readdir(directory).catch(error => {
+          if (error.code === 'ENOENT') return [];
+          throw error;
+        });
+        const keys = names
+          .filter(name => name.endsWith('.json'))
+          .map(name => name.slice(0, -'.json'.length))
+          .filter(key => key.startsWith(prefix));
+        const entries = await Promise.all(keys.map(async key => ({ key: key, entry: await this.get(key) })));
+        return entries.filter(item => item.entry);
+      }
+    };
+  },
+
+  // Key-value store over a Redis-compatible REST API (Upstash, Vercel KV)
+  kv: namespace => ({
+    async get(key) {
+      const data = await kvCommand(['GET', `${namespace}:${key}`]);
+      return data.result ? JSON.parse(data.result) : null;
+    },
+    async set(key, entry) {
+      const ttlSeconds = Math.max(1, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+      await kvCommand(['SET', `${namespace}:${key}`, JSON.stringify(entry), 'EX', String(ttlSeconds)]);
+    },
+    async delete(key) {
+      await kvCommand(['DEL', `${namespace}:${key}`]);
+    },
+    // SCAN the namespace for the prefix, then fetch each page of keys with one MGET
+    async list(prefix) {
+      const entries = [];
+      let cursor = '0';
+      do {
+        const { result } = await kvCommand(['SCAN', cursor, 'MATCH', `${namespace}:${prefix}*`, 'COUNT', '500']);
+        cursor = String(result[0]);
+        const keys = result[1];
+        if (keys.length > 0) {
+          const values = (await kvCommand(['MGET', ...keys])).result;
+          keys.forEach((key, index) => {
+            if (values[index]) entries.push({ key: key.slice(namespace.length + 1), entry: JSON.parse(values[index]) });
+          });
+        }
+      } while (cursor !== '0');
+      return entries;
+    }
+  })
+};
+
+// Resolve a configured store name; none/off disables storage and unknown names fall back
+function resolveStoreName(configured, fallback) {
+  const storeName = (configured || fallback).toLowerCase();
+  if (storeName === 'none' || storeName === 'off') {
+    return null;
+  }
+  if (!BACKENDS[storeName]) {
+    console.warn(`Unknown store "${storeName}", falling back to ${fallback}`);
+    return fallback;
+  }
+  return storeName;
+}
+
+// Open a namespaced store; values are saved with a TTL and expired entries read as missing
+function openStore(namespace, storeName) {
+  const backend = BACKENDS[storeName](namespace);
+
+  return {
+    name: storeName,
+
+    async get(key) {
+      const entry = await backend.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        await backend.delete(key);
+        return null;
+      }
+      return entry;
+    },
+
+    // Returns the stored entry ({ storedAt, expiresAt, value })
+    async set(key, value, ttlSeconds) {
+      const storedAt = Date.now();
+      const entry = { storedAt: storedAt, expiresAt: storedAt + ttlSeconds * 1000, value: value };
+      await backend.set(key, entry);
+      return entry;
+    },
+
+    async delete(key) {
+      await backend.delete(key);
+    },
+
+    // Unexpired entries whose keys start with prefix, as { key, storedAt, expiresAt, value }
+    async list(prefix) {
+      const entries = await backend.list(prefix);
+      const now = Date.now();
+      await Promise.all(entries
+        .filter(({ entry }) => entry.expiresAt <= now)
+        .map(({ key }) => backend.delete(key)));
+      return entries
+        .filter(({ entry }) => entry.expiresAt > now)
+        .map(({ key, entry }) => ({ key: key, ...entry }));
+    }
+  };
+}
+
+// Send a single command to the REST key-value store
+async function kvCommand(command) {
+  const baseUrl = process.env.KV_REST_API_URL;
+  const accessKey = process.env.KV_REST_API_TOKEN;
+  if (!baseUrl || !accessKey) {
+    throw new Error('KV_REST_API_URL and KV_REST_API_TOKEN must be configured for the kv store');
+  }
+
+  const response = await fetch(baseUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${accessKey}`
+    },
+    body: JSON.stringify(command)
+  });
+
+  if (!response.ok) {
+    throw new Error(`KV store error: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  resolveStoreName,
+  openStore
+};
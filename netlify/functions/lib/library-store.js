@@ -0,0 +1,220 @@
+// FILE PATH: netlify/functions/lib/library-store.js
+// Research Library Store for Enterprise Architecture AI Agents
+// Persists finished agent runs (full module outputs and aggregated data) with per-run index entries for listing, search and filtering
+
+const crypto = require('crypto');
+const { resolveStoreName, openStore } = require('./key-value-store');
+
+// Library entries are kept for five years unless LIBRARY_TTL_SECONDS says otherwise
+const DEFAULT_LIBRARY_TTL = 5 * 365 * 24 * 3600;
+
+// Each run's metadata is kept under its own index key next to the full run, so concurrent saves and
+// tag edits on different function instances never overwrite each other's entries. Run IDs are UUIDs, so keys cannot collide
+const INDEX_PREFIX = 'meta-';
+
+// Stored runs stay below the function request body limit
+const MAX_PAYLOAD_BYTES = 5 * 1024 * 1024;
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Invalid runs and filters are the caller's fault, so they surface as 400s
+function libraryError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// LIBRARY_STORE selects file (default), kv or memory. Deployed function instances share no filesystem,
+// so outside netlify dev only kv keeps one library for everyone
+function openLibraryStore() {
+  const storeName = resolveStoreName(process.env.LIBRARY_STORE, 'file');
+  if (!storeName) {
+    throw new Error('The research library needs a store - LIBRARY_STORE cannot be none');
+  }
+  if (Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME) && !process.env.NETLIFY_DEV && storeName !== 'kv') {
+    throw new Error(`The research library needs a shared store when deployed - set LIBRARY_STORE=kv with KV_REST_API_URL and KV_REST_API_TOKEN (LIBRARY_STORE is ${storeName})`);
+  }
+  return openStore('research-library', storeName);
+}
+
+function libraryTtl() {
+  const ttl = parseInt(process.env.LIBRARY_TTL_SECONDS, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_LIBRARY_TTL;
+}
+
+// Validate and persist a run, then its index entry; returns the index entry
+async function saveRun(request) {
+  const { agent, title, technologies, tags, summary, status, payload } = request || {};
+
+  if (typeof agent !== 'string' || !/^[a-z0-9-]+$/.test(agent)) {
+    throw libraryError('agent must be an agent ID such as technology-research');
+  }
+  if (!payload || typeof payload !== 'object') {
+    throw libraryError('payload must be the run result object');
+  }
+
+  const size = Buffer.byteLength(JSON.stringify(payload));
+  if (size > MAX_PAYLOAD_BYTES) {
+    const error = new Error(`Run is ${(size / 1048576).toFixed(1)} MB; the library stores runs up to ${MAX_PAYLOAD_BYTES / 1048576} MB`);
+    error.statusCode = 413;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const run = {
+    id: crypto.randomUUID(),
+    agent: agent,
+    title: typeof title === 'string' && title.trim() ? title.trim() : agent,
+    technologies: normalizeList(technologies, 200),
+    tags: normalizeTags(tags),
+    summary: typeof summary === 'string' ? summary.trim().slice(0, 500) : '',
+    status: typeof status === 'string' ? status : 'completed',
+    size: size,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const store = openLibraryStore();
+  await store.set(run.id, { ...run, payload: payload }, libraryTtl());
+  await store.set(indexKey(run.id), run, libraryTtl());
+  return run;
+}
+
+// Load a run with its payload; unknown, expired or malformed IDs return null
+async function getRun(runId) {
+  if (!isRunId(runId)) {
+    return null;
+  }
+  const entry = await openLibraryStore().get(runId);
+  return entry ? entry.value : null;
+}
+
+// Replace a run's tags in both the run and the index; returns the updated index entry or null
+async function updateRunTags(runId, tags) {
+  const run = await getRun(runId);
+  if (!run) {
+    return null;
+  }
+
+  run.tags = normalizeTags(tags);
+  run.updatedAt = new Date().toISOString();
+
+  const { payload, ...metadata } = run;
+  const store = openLibraryStore();
+  await store.set(run.id, run, libraryTtl());
+  await store.set(indexKey(run.id), metadata, libraryTtl());
+  return metadata;
+}
+
+// Remove a run and its index entry; returns whether it existed
+async function deleteRun(runId) {
+  if (!isRunId(runId)) {
+    return false;
+  }
+
+  const store = openLibraryStore();
+  const [existing, indexed] = await Promise.all([store.get(runId), store.get(indexKey(runId))]);
+  await Promise.all([store.delete(runId), store.delete(indexKey(runId))]);
+  return Boolean(existing || indexed);
+}
+
+// Newest-first index entries matching the filters, with the agents, tags and technologies available to filter on
+async function listRuns(filters = {}) {
+  const entries = await openLibraryStore().list(INDEX_PREFIX);
+  const index = entries
+    .map(entry => entry.value)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const query = (filters.q || '').trim().toLowerCase();
+  const technology = (filters.technology || '').trim().toLowerCase();
+  const tag = (filters.tag || '').trim().toLowerCase();
+  const from = parseDate(filters.from, 'from');
+  // A bare date as the upper bound includes the whole day
+  const to = parseDate(filters.to, 'to');
+  const toEnd = to !== null && /^\d{4}-\d{2}-\d{2}$/.test(filters.to) ? to + 24 * 3600 * 1000 - 1 : to;
+
+  const matches = index.filter(run => {
+    const createdAt = Date.parse(run.createdAt);
+    if (filters.agent && run.agent !== filters.agent) return false;
+    if (technology && !run.technologies.some(name => name.toLowerCase().includes(technology))) return false;
+    if (tag && !run.tags.includes(tag)) return false;
+    if (from !== null && createdAt < from) return false;
+    if (toEnd !== null && createdAt > toEnd) return false;
+    if (query) {
+      const text = [run.title, run.summary, ...run.technologies, ...run.tags].join(' ').toLowerCase();
+      if (!query.split(/\s+/).every(word => text.includes(word))) return false;
+    }
+    return true;
+  });
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+  return {
+    runs: matches.slice(offset, offset + limit),
+    total: matches.length,
+    offset: offset,
+    limit: limit,
+    facets: {
+      agents: uniqueSorted(index.map(run => run.agent)),
+      tags: uniqueSorted(index.flatMap(run => run.tags)),
+      technologies: uniqueSorted(index.flatMap(run => run.technologies))
+    }
+  };
+}
+
+function indexKey(runId) {
+  return `${INDEX_PREFIX}${runId}`;
+}
+
+// Lower-case, trimmed, de-duplicated tags within the tag limits
+function normalizeTags(tags) {
+  if (tags === undefined || tags === null) return [];
+  if (!Array.isArray(tags)) {
+    throw libraryError('tags must be an array of strings');
+  }
+
+  const normalized = normalizeList(tags.map(tag => typeof tag === 'string' ? tag.toLowerCase() : tag), MAX_TAG_LENGTH);
+  if (normalized.length > MAX_TAGS) {
+    throw libraryError(`At most ${MAX_TAGS} tags can be set`);
+  }
+  return normalized;
+}
+
+// Trimmed, non-empty, de-duplicated strings, each cut to maxLength
+function normalizeList(values, maxLength) {
+  if (!Array.isArray(values)) return [];
+  return [...new Set(values
+    .filter(value => typeof value === 'string')
+    .map(value => value.trim().slice(0, maxLength))
+    .filter(Boolean))];
+}
+
+function uniqueSorted(values) {
+  return [...new Set(values)].sort((a, b) => a.localeCompare(b));
+}
+
+function isRunId(runId) {
+  return /^[0-9a-f-]{36}$/i.test(runId || '');
+}
+
+// Parse a date filter; missing values are null and unparseable ones are rejected
+function parseDate(value, name) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw libraryError(`${name} must be a date such as 2026-01-31`);
+  }
+  return time;
+}
+
+module.exports = {
+  saveRun,
+  getRun,
+  updateRunTags,
+  deleteRun,
+  listRuns
+};
@@ -0,0 +1,379 @@
+// FILE PATH: netlify/functions/lib/llm-provider.js
+// Shared LLM Provider Layer for Enterprise Architecture AI Agents
+// Routes every module's completion request to OpenAI, Anthropic, Gemini or a local OpenAI-compatible endpoint
+
+const fetch = require('node-fetch');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Token listener for the current module run - set by withTokenStream, picked up by every callLLM below it
+const tokenStreams = new AsyncLocalStorage();
+
+// Provider registry - default models can be overridden per provider via environment
+const PROVIDERS = {
+  openai: {
+    name: 'OpenAI',
+    defaultModel: () => process.env.OPENAI_MODEL || 'gpt-4o',
+    apiKey: () => process.env.OPENAI_API_KEY,
+    call: callOpenAICompatible
+  },
+  anthropic: {
+    name: 'Anthropic',
+    defaultModel: () => process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514',
+    apiKey: () => process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY,
+    call: callAnthropic
+  },
+  gemini: {
+    name: 'Gemini',
+    defaultModel: () => process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+    apiKey: () => process.env.GEMINI_API_KEY,
+    call: callGemini
+  },
+  local: {
+    name: 'Local',
+    defaultModel: () => process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    // Local stand-ins (Ollama, LM Studio, vLLM) usually need no key
+    apiKey: () => process.env.LOCAL_LLM_API_KEY || 'local',
+    call: callOpenAICompatible
+  }
+};
+
+// Call the selected LLM provider and return normalized text, usage and timing
+async function callLLM(prompt, options = {}) {
+  const { provider, model } = resolveProvider(options);
+  const config = PROVIDERS[provider];
+
+  const apiKey = config.apiKey();
+  if (!apiKey) {
+    throw providerError(`${config.name} API key not configured`, 500);
+  }
+
+  // Accept either a single prompt string or a full message list
+  const messages = Array.isArray(prompt) ? prompt : [{ role: 'user', content: prompt }];
+
+  // Stream tokens when a caller up the stack is listening; call numbers tell retries apart
+  const tokenStream = tokenStreams.getStore();
+  let onToken = null;
+  if (tokenStream) {
+    const call = ++tokenStream.calls;
+    onToken = text => tokenStream.onToken(text, call);
+  }
+
+  const apiCallStart = Date.now();
+  const completion = await config.call({
+    provider,
+    model,
+    apiKey,
+    messages,
+    maxTokens: options.maxTokens || 400,
+    temperature: options.temperature !== undefined ? options.temperature : 0.3,
+    responseFormat: options.responseFormat,
+    onToken
+  });
+
+  return {
+    text: completion.text,
+    usage: completion.usage,
+    provider: provider,
+    model: model,
+    apiCallTime: Date.now() - apiCallStart
+  };
+}
+
+// Run fn with a token listener; onToken(text, call) receives every streamed model token inside it
+function withTokenStream(onToken, fn) {
+  return tokenStreams.run({ onToken: onToken, calls: 0 }, fn);
+}
+
+// Resolve provider and model from request options, then environment, then defaults
+function resolveProvider(options = {}) {
+  const provider = (options.provider || process.env.LLM_PROVIDER || 'openai').toLowerCase();
+
+  if (!PROVIDERS[provider]) {
+    throw providerError(`Unsupported LLM provider: ${provider}`, 400);
+  }
+
+  return {
+    provider: provider,
+    model: options.model || PROVIDERS[provider].defaultModel()
+  };
+}
+
+// Report which providers have credentials configured (used by connection tests)
+function getConfiguredProviders() {
+  const status = {};
+  Object.keys(PROVIDERS).forEach(provider => {
+    status[provider] = provider === 'local'
+      ? !!process.env.LOCAL_LLM_BASE_URL
+      : !!PROVIDERS[provider].apiKey();
+  });
+  status.default = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  return status;
+}
+
+// OpenAI chat completions API (also used for OpenAI-compatible local endpoints)
+async function callOpenAICompatible({ provider, model, apiKey, messages, maxTokens, temperature, responseFormat, onToken }) {
+  const baseUrl = provider === 'local'
+    ? (process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1')
+    : 'https://api.openai.com/v1';
+
+  const requestBody = {
+    model: model,
+    messages: messages,
+    max_tokens: maxTokens,
+    temperature: temperature
+  };
+
+  // JSON mode is only guaranteed on OpenAI itself; local servers rely on the prompt contract
+  if (responseFormat === 'json' && provider === 'openai') {
+    requestBody.response_format = { type: 'json_object' };
+  }
+
+  if (onToken) {
+    requestBody.stream = true;
+    if (provider === 'openai') {
+      requestBody.stream_options = { include_usage: true };
+    }
+  }
+
+  const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify(requestBody)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw providerError(`${PROVIDERS[provider].name} API error: ${response.status}`, response.status, errorData.error?.message);
+  }
+
+  if (onToken) {
+    let text = '';
+    let usage = null;
+    await readEventStream(response, ({ data }) => {
+      if (data === '[DONE]') return;
+      const chunk = JSON.parse(data);
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+      if (chunk.usage) usage = chunk.usage;
+    });
+    return { text, usage };
+  }
+
+  const data = await response.json();
+
+  return {
+    text: data.choices[0].message.content,
+    usage: data.usage || null
+  };
+}
+
+// Anthropic messages API
+async function callAnthropic({ model, apiKey, messages, maxTokens, temperature, onToken }) {
+  // Anthropic takes system instructions as a top-level field
+  const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+
+  const claudeRequest = {
+    model: model,
+    max_tokens: maxTokens,
+    temperature: temperature,
+    messages: messages.filter(message => message.role !== 'system')
+  };
+
+  if (system) {
+    claudeRequest.system = system;
+  }
+
+  if (onToken) {
+    claudeRequest.stream = true;
+  }
+
+  const response = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'anthropic-version': '2023-06-01',
+      'x-api-key': apiKey
+    },
+    body: JSON.stringify(claudeRequest)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw providerError(`Anthropic API error: ${response.status}`, response.status, errorData.error?.message);
+  }
+
+  if (onToken) {
+    return readAnthropicStream(response, onToken);
+  }
+
+  const data = await response.json();
+  const usage = data.usage || {};
+
+  return {
+    text: data.content[0].text,
+    usage: {
+      prompt_tokens: usage.input_tokens,
+      completion_tokens: usage.output_tokens,
+      total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+    }
+  };
+}
+
+// Gemini generateContent API
+async function callGemini({ model, apiKey, messages, maxTokens, temperature, responseFormat, onToken }) {
+  const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+
+  const requestBody = {
+    contents: messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      })),
+    generationConfig: {
+      temperature: temperature,
+      maxOutputTokens: maxTokens
+    }
+  };
+
+  if (system) {
+    requestBody.systemInstruction = { parts: [{ text: system }] };
+  }
+
+  if (responseFormat === 'json') {
+    requestBody.generationConfig.responseMimeType = 'application/json';
+  }
+
+  const generateUrl = onToken
+    ? `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+    : `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+
+  const response = await fetch(generateUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(requestBody)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw providerError(`Gemini API error: ${response.status}`, response.status, errorData.error?.message);
+  }
+
+  let data;
+  let text;
+  if (onToken) {
+    // Each streamed chunk is a partial response; usage arrives with the last one
+    text = '';
+    data = {};
+    await readEventStream(response, event => {
+      const chunk = JSON.parse(event.data);
+      const delta = chunk.candidates?.[0]?.content?.parts?.map(part => part.text).join('') || '';
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+      if (chunk.usageMetadata) data.usageMetadata = chunk.usageMetadata;
+    });
+  } else {
+    data = await response.json();
+    text = data.candidates?.[0]?.content?.parts?.map(part => part.text).join('') || '';
+  }
+  const usage = data.usageMetadata || {};
+
+  return {
+    text: text,
+    usage: {
+      prompt_tokens: usage.promptTokenCount,
+      completion_tokens: usage.candidatesTokenCount,
+      total_tokens: usage.totalTokenCount
+    }
+  };
+}
+
+// Collect text deltas and usage from an Anthropic message stream
+async function readAnthropicStream(response, onToken) {
+  let text = '';
+  let inputTokens = 0;
+  let outputTokens = 0;
+
+  await readEventStream(response, ({ event, data }) => {
+    const payload = JSON.parse(data);
+    if (event === 'message_start') {
+      inputTokens = payload.message?.usage?.input_tokens || 0;
+    } else if (event === 'content_block_delta' && payload.delta?.text) {
+      text += payload.delta.text;
+      onToken(payload.delta.text);
+    } else if (event === 'message_delta') {
+      outputTokens = payload.usage?.output_tokens || outputTokens;
+    } else if (event === 'error') {
+      throw providerError(`Anthropic stream error: ${payload.error?.message || 'unknown'}`, 502);
+    }
+  });
+
+  return {
+    text: text,
+    usage: {
+      prompt_tokens: inputTokens,
+      completion_tokens: outputTokens,
+      total_tokens: inputTokens + outputTokens
+    }
+  };
+}
+
+// Parse a server-sent event response body, calling onEvent({ event, data }) per event
+async function readEventStream(response, onEvent) {
+  // Decode in streaming mode so multi-byte characters split across chunks survive
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let eventName = null;
+  let dataLines = [];
+
+  const dispatchLine = line => {
+    if (line === '') {
+      if (dataLines.length > 0) {
+        onEvent({ event: eventName, data: dataLines.join('\n') });
+      }
+      eventName = null;
+      dataLines = [];
+    } else if (line.startsWith('event:')) {
+      eventName = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  };
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(dispatchLine);
+  }
+
+  // Flush an event left open when the stream ends without a blank line
+  if (buffer) dispatchLine(buffer);
+  dispatchLine('');
+}
+
+// Build an error carrying the HTTP status the calling module should return
+function providerError(message, statusCode, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+}
+
+module.exports = {
+  callLLM,
+  withTokenStream,
+  resolveProvider,
+  getConfiguredProviders,
+  providerError
+};
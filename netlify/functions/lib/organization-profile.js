@@ -0,0 +1,118 @@
+// FILE PATH: netlify/functions/lib/organization-profile.js
+// Organization Profile Context for Enterprise Architecture AI Agents
+// Normalizes the requesting organization's profile and turns it into prompt context for every module
+
+// Regulatory regimes implied by industry when the caller does not name them explicitly
+const INDUSTRY_REGULATIONS = {
+  'financial-services': ['DORA', 'SOX', 'PCI DSS', 'Basel III'],
+  'healthcare': ['HIPAA', 'HITECH', 'FDA 21 CFR Part 11'],
+  'government': ['FedRAMP', 'FISMA', 'NIST SP 800-53'],
+  'education': ['FERPA'],
+  'retail': ['PCI DSS'],
+  'manufacturing': ['ISO 27001', 'IEC 62443'],
+  'technology': ['SOC 2', 'ISO 27001']
+};
+
+// Regulations implied by operating region
+const REGION_REGULATIONS = {
+  eu: ['GDPR', 'NIS2'],
+  uk: ['UK GDPR'],
+  'north-america': ['CCPA'],
+  apac: ['PDPA']
+};
+
+const INDUSTRY_LABELS = {
+  'financial-services': 'Financial Services',
+  'healthcare': 'Healthcare',
+  'technology': 'Technology',
+  'manufacturing': 'Manufacturing',
+  'retail': 'Retail',
+  'government': 'Government',
+  'education': 'Education',
+  'other': 'Other'
+};
+
+const REGION_LABELS = {
+  'north-america': 'North America',
+  eu: 'European Union',
+  uk: 'United Kingdom',
+  apac: 'Asia-Pacific',
+  latam: 'Latin America',
+  global: 'Global'
+};
+
+const RISK_APPETITES = ['conservative', 'moderate', 'aggressive'];
+
+const MAX_FIELD_LENGTH = 200;
+
+// Normalize a raw profile from a request body; returns null when nothing usable was supplied
+function normalizeOrganizationProfile(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+
+  const industry = cleanText(raw.industry || raw.industrySector);
+  const region = cleanText(raw.region);
+  const explicitRegulations = cleanList(raw.regulatoryRegime);
+
+  const profile = {
+    name: cleanText(raw.name || raw.organizationName),
+    industry: industry,
+    size: cleanText(raw.size),
+    region: region,
+    regulatoryRegime: explicitRegulations.length > 0
+      ? explicitRegulations
+      : [...(INDUSTRY_REGULATIONS[industry] || []), ...(REGION_REGULATIONS[region] || [])],
+    currentStack: cleanList(raw.currentStack),
+    riskAppetite: RISK_APPETITES.includes(raw.riskAppetite) ? raw.riskAppetite : null
+  };
+
+  const hasContent = Object.values(profile).some(value => Array.isArray(value) ? value.length > 0 : !!value);
+  return hasContent ? profile : null;
+}
+
+// Build the prompt section that tailors a module's analysis to the organization
+function buildOrganizationContext(profile) {
+  if (!profile) {
+    return '';
+  }
+
+  const lines = [];
+  if (profile.name) lines.push(`- Organization: ${profile.name}`);
+  if (profile.industry) lines.push(`- Industry: ${INDUSTRY_LABELS[profile.industry] || profile.industry}`);
+  if (profile.size) lines.push(`- Size: ${profile.size}`);
+  if (profile.region) lines.push(`- Region: ${REGION_LABELS[profile.region] || profile.region}`);
+  if (profile.regulatoryRegime.length > 0) lines.push(`- Regulatory regime: ${profile.regulatoryRegime.join(', ')}`);
+  if (profile.currentStack.length > 0) lines.push(`- Current technology stack: ${profile.currentStack.join(', ')}`);
+  if (profile.riskAppetite) lines.push(`- Risk appetite: ${profile.riskAppetite}`);
+
+  const regulationGuidance = profile.regulatoryRegime.length > 0
+    ? ` Name the specific obligations under ${profile.regulatoryRegime.join(', ')} that affect adoption.`
+    : '';
+
+  return `**ORGANIZATION CONTEXT**
+Tailor every section to this organization rather than giving generic guidance:
+${lines.join('\n')}
+Weigh integration with the current stack and pace recommendations to the risk appetite.${regulationGuidance}
+
+`;
+}
+
+// Trim and cap a free-text field
+function cleanText(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed ? trimmed.substring(0, MAX_FIELD_LENGTH) : null;
+}
+
+// Accept either an array or a comma-separated string
+function cleanList(value) {
+  const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+  return items.map(cleanText).filter(Boolean).slice(0, 20);
+}
+
+module.exports = {
+  INDUSTRY_REGULATIONS,
+  normalizeOrganizationProfile,
+  buildOrganizationContext
+};
@@ -0,0 +1,149 @@
+// FILE PATH: netlify/functions/lib/research-runner.js
+// Server-side Research Runner for Enterprise Architecture AI Agents
+// Runs the analysis modules for a research job in-process, with the same concurrency, timeout and retry policy as the browser orchestrator
+
+const { withTokenStream } = require('./llm-provider');
+
+// Research modules in run order; scopeOption matches the include* flags sent by the research interface
+// Handlers are required statically so the function bundler includes them
+const RESEARCH_MODULES = [
+  { name: 'market-analysis', scopeOption: 'includeMarketResearch', title: 'Market Analysis', load: () => require('../market-analysis') },
+  { name: 'vendor-analysis', scopeOption: 'includeVendorAnalysis', title: 'Vendor Analysis', load: () => require('../vendor-analysis') },
+  { name: 'maturity-assessment', scopeOption: 'includeHypeCycle', title: 'Maturity Assessment', load: () => require('../maturity-assessment') },
+  { name: '5-year-forecast', scopeOption: 'includeStrategicSummary', title: '5-Year Forecast', load: () => require('../5-year-forecast') }
+];
+
+const EXECUTION_SETTINGS = {
+  concurrency: 2,        // Modules running at once
+  moduleTimeout: 60000,  // Per-attempt timeout (ms) - no browser limit applies server-side
+  retries: 1,            // Extra attempts after a failed call
+  retryDelay: 1500       // Backoff before each retry (ms), multiplied by attempt
+};
+
+// Modules selected by the include* scope options; unset flags default to included
+function resolveScope(options) {
+  return RESEARCH_MODULES.filter(module => (options || {})[module.scopeOption] !== false);
+}
+
+// Research module definition by name
+function findModule(moduleName) {
+  return RESEARCH_MODULES.find(module => module.name === moduleName) || null;
+}
+
+// Request body for a module, built the same way as the browser orchestrator builds it
+function buildModulePayload(request) {
+  const { technology, options = {}, organization } = request;
+  const payload = {
+    technology: technology,
+    analysisDepth: options.analysisDepth
+  };
+
+  if (options.useWebSearch) payload.useWebSearch = true;
+  if (options.forceRefresh) payload.forceRefresh = true;
+  if (organization) payload.organization = organization;
+  if (options.provider) payload.provider = options.provider;
+  if (options.model) payload.model = options.model;
+
+  return payload;
+}
+
+// Run every module through a fixed-size worker pool; onModuleUpdate(name, update, result) reports each state change
+// and the optional onToken(name, text, call) receives streamed model tokens
+async function runResearchModules(request, onModuleUpdate, onToken) {
+  const queue = [...resolveScope(request.options)];
+  const payload = buildModulePayload(request);
+  const results = {};
+  const failures = {};
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const module = queue.shift();
+      const startTime = Date.now();
+      try {
+        const moduleTokens = onToken ? (text, call) => onToken(module.name, text, call) : null;
+        const result = await executeModuleWithRetry(module, payload, onModuleUpdate, moduleTokens);
+        results[module.name] = { ...result, executionTime: Date.now() - startTime, completedAt: new Date().toISOString() };
+        await onModuleUpdate(module.name, { status: 'completed', completedAt: results[module.name].completedAt }, results[module.name]);
+      } catch (error) {
+        failures[module.name] = {
+          title: module.title,
+          error: error.message,
+          attempts: error.attempts || 1,
+          failedAt: new Date().toISOString()
+        };
+        await onModuleUpdate(module.name, { status: 'failed', error: error.message, attempts: failures[module.name].attempts });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(EXECUTION_SETTINGS.concurrency, queue.length) }, worker));
+
+  return { results, failures };
+}
+
+// Execute a module, retrying timeouts and server errors with backoff
+async function executeModuleWithRetry(module, payload, onModuleUpdate, onToken) {
+  const { retries, retryDelay } = EXECUTION_SETTINGS;
+  const maxAttempts = retries + 1;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      await onModuleUpdate(module.name, { status: 'running', attempts: attempt, startedAt: new Date().toISOString() });
+      return await invokeModule(module, payload, onToken);
+    } catch (error) {
+      if (attempt === maxAttempts || error.retryable === false) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      console.warn(`${module.title} attempt ${attempt} failed, retrying: ${error.message}`);
+      await onModuleUpdate(module.name, { status: 'retrying', attempts: attempt, error: error.message });
+      await new Promise(resolve => setTimeout(resolve, retryDelay * attempt));
+    }
+  }
+}
+
+// Call a module's Netlify handler directly (single attempt, bounded by the module timeout);
+// with onToken the module's model calls stream their tokens to it
+async function invokeModule(module, payload, onToken) {
+  const { handler } = module.load();
+  const event = { httpMethod: 'POST', body: JSON.stringify(payload) };
+  let timeoutId;
+
+  const timeout = new Promise((resolve, reject) => {
+    timeoutId = setTimeout(() => {
+      const timeoutError = new Error(`${module.title} timed out after ${(EXECUTION_SETTINGS.moduleTimeout / 1000).toFixed(0)}s`);
+      timeoutError.retryable = true;
+      reject(timeoutError);
+    }, EXECUTION_SETTINGS.moduleTimeout);
+  });
+
+  try {
+    const response = await Promise.race([
+      onToken
+        ? withTokenStream(onToken, () => handler(event, {}))
+        : handler(event, {}),
+      timeout
+    ]);
+
+    const result = JSON.parse(response.body);
+    if (response.statusCode !== 200 || !result.success) {
+      const moduleError = new Error(result.error || `${module.title} failed (HTTP ${response.statusCode})`);
+      moduleError.retryable = response.statusCode >= 500 || response.statusCode === 408 || response.statusCode === 429;
+      throw moduleError;
+    }
+
+    return result;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+module.exports = {
+  RESEARCH_MODULES,
+  EXECUTION_SETTINGS,
+  resolveScope,
+  findModule,
+  runResearchModules,
+  invokeModule
+};
@@ -0,0 +1,141 @@
+// FILE PATH: netlify/functions/lib/response-cache.js
+// Response Cache for Enterprise Architecture AI Agents
+// Caches successful module responses keyed by module, technology and options, with a pluggable store and per-module TTL
+
+const crypto = require('crypto');
+const { resolveStoreName, openStore } = require('./key-value-store');
+
+// Default time-to-live per module in seconds; override with CACHE_TTL_<MODULE> (e.g. CACHE_TTL_MARKET_ANALYSIS)
+const MODULE_TTLS = {
+  'market-analysis': 24 * 3600,
+  'vendor-analysis': 24 * 3600,
+  'maturity-assessment': 7 * 24 * 3600,
+  '5-year-forecast': 7 * 24 * 3600,
+  'vendor-technology-analysis': 24 * 3600,
+  'supplier-quad': 24 * 3600,
+  'strategic-analysis': 24 * 3600,
+  'supplier-evaluation': 24 * 3600,
+  'roadmap-planning': 24 * 3600,
+  'adr-agent': 24 * 3600,
+  'research-synthesis': 24 * 3600
+};
+
+const DEFAULT_TTL = 24 * 3600;
+
+// Look up a cached response; the lookup is passed back to storeCache on a miss
+async function lookupCache(moduleName, keyParts, forceRefresh) {
+  // CACHE_STORE selects memory (default), file, kv or none
+  const storeName = resolveStoreName(process.env.CACHE_STORE, 'memory');
+  const lookup = {
+    module: moduleName,
+    key: buildCacheKey(moduleName, keyParts),
+    store: storeName,
+    forceRefresh: !!forceRefresh,
+    hit: false,
+    response: null
+  };
+
+  if (!storeName || forceRefresh) {
+    return lookup;
+  }
+
+  try {
+    const entry = await openStore('response-cache', storeName).get(lookup.key);
+    if (!entry) {
+      return lookup;
+    }
+
+    lookup.hit = true;
+    lookup.response = {
+      ...entry.value,
+      cache: {
+        hit: true,
+        store: storeName,
+        key: shortKey(lookup.key),
+        cachedAt: new Date(entry.storedAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+        ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000)
+      }
+    };
+  } catch (error) {
+    // A broken cache must never fail the analysis itself
+    console.warn(`Cache lookup failed (${storeName}): ${error.message}`);
+  }
+
+  return lookup;
+}
+
+// Store a fresh response and return the cache metadata to attach to it
+async function storeCache(lookup, value) {
+  const metadata = {
+    hit: false,
+    store: lookup.store || 'disabled',
+    key: shortKey(lookup.key),
+    refreshed: lookup.forceRefresh
+  };
+
+  if (!lookup.store) {
+    return metadata;
+  }
+
+  try {
+    const entry = await openStore('response-cache', lookup.store).set(lookup.key, value, resolveTTL(lookup.module));
+    metadata.cachedAt = new Date(entry.storedAt).toISOString();
+    metadata.expiresAt = new Date(entry.expiresAt).toISOString();
+  } catch (error) {
+    console.warn(`Cache store failed (${lookup.store}): ${error.message}`);
+    metadata.error = error.message;
+  }
+
+  return metadata;
+}
+
+// Hash module name plus normalized request options into a stable cache key
+function buildCacheKey(moduleName, keyParts) {
+  const normalized = { ...keyParts };
+  if (typeof normalized.technology === 'string') {
+    normalized.technology = normalized.technology.trim().toLowerCase();
+  }
+  if (typeof normalized.vendor === 'string') {
+    normalized.vendor = normalized.vendor.trim().toLowerCase();
+  }
+
+  const digest = crypto.createHash('sha256').update(stableStringify(normalized)).digest('hex');
+  return `${moduleName}:${digest}`;
+}
+
+// Abbreviated key for response metadata (module plus digest prefix)
+function shortKey(key) {
+  const [moduleName, digest] = key.split(':');
+  return `${moduleName}:${digest.substring(0, 12)}`;
+}
+
+// JSON with sorted object keys so equivalent options hash identically
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Per-module TTL from environment override or defaults
+function resolveTTL(moduleName) {
+  const override = parseInt(process.env[`CACHE_TTL_${moduleName.replace(/-/g, '_').toUpperCase()}`], 10);
+  if (Number.isFinite(override) && override > 0) {
+    return override;
+  }
+  return MODULE_TTLS[moduleName] || DEFAULT_TTL;
+}
+
+module.exports = {
+  MODULE_TTLS,
+  lookupCache,
+  storeCache,
+  buildCacheKey
+};
@@ -0,0 +1,263 @@
+// FILE PATH: netlify/functions/lib/schedule-planner.js
+// Schedule Planning Helpers for Enterprise Architecture AI Agents
+// Deterministic critical path and resource-levelled scheduling over initiatives measured in whole months
+
+const MAX_INITIATIVES = 30;
+const MAX_DURATION_MONTHS = 60;
+
+// Invalid plans are the caller's fault, so they surface as 400s
+function planError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Validate initiatives and resolve dependencies (given by id or name) to ids
+function normalizeInitiatives(initiatives) {
+  if (!Array.isArray(initiatives) || initiatives.length === 0) {
+    throw planError('At least one initiative required');
+  }
+  if (initiatives.length > MAX_INITIATIVES) {
+    throw planError(`At most ${MAX_INITIATIVES} initiatives supported`);
+  }
+
+  const usedIds = new Set();
+  const normalized = initiatives.map((initiative, index) => {
+    const name = String(initiative.name || '').trim();
+    if (!name) {
+      throw planError(`Initiative ${index + 1} has no name`);
+    }
+
+    const duration = parseInt(initiative.durationMonths, 10);
+    if (!Number.isFinite(duration) || duration < 1 || duration > MAX_DURATION_MONTHS) {
+      throw planError(`${name}: duration must be 1-${MAX_DURATION_MONTHS} months`);
+    }
+
+    const baseId = String(initiative.id || slugify(name) || `initiative-${index + 1}`);
+    let id = baseId;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+      id = `${baseId}-${suffix}`;
+    }
+    usedIds.add(id);
+
+    // Optional start-no-earlier-than constraint, e.g. a phase planned for year 3
+    const notBefore = parseInt(initiative.notBeforeMonth, 10);
+
+    return {
+      id: id,
+      name: name,
+      durationMonths: duration,
+      notBeforeMonth: Number.isFinite(notBefore) && notBefore > 0 ? notBefore : 0,
+      dependencyRefs: normalizeList(initiative.dependencies),
+      resources: normalizeResources(initiative.resources),
+      description: initiative.description ? String(initiative.description) : ''
+    };
+  });
+
+  const lookup = reference => {
+    const key = reference.toLowerCase();
+    return normalized.find(item => item.id.toLowerCase() === key) || normalized.find(item => item.name.toLowerCase() === key);
+  };
+
+  normalized.forEach(initiative => {
+    initiative.dependencies = initiative.dependencyRefs.map(reference => {
+      const dependency = lookup(reference);
+      if (!dependency) {
+        throw planError(`${initiative.name} depends on unknown initiative "${reference}"`);
+      }
+      if (dependency.id === initiative.id) {
+        throw planError(`${initiative.name} cannot depend on itself`);
+      }
+      return dependency.id;
+    });
+    delete initiative.dependencyRefs;
+  });
+
+  topologicalOrder(normalized);
+  return normalized;
+}
+
+// Dependencies as an array or a comma separated string
+function normalizeList(value) {
+  const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+}
+
+// Resource needs as { pool: units } or "pool:units, pool:units"; units per month while the initiative runs
+function normalizeResources(resources) {
+  let entries = [];
+  if (typeof resources === 'string') {
+    entries = resources.split(',').map(part => part.split(':').map(item => item.trim()));
+  } else if (resources && typeof resources === 'object') {
+    entries = Object.entries(resources);
+  }
+
+  return entries.reduce((normalized, [pool, units]) => {
+    const amount = parseFloat(units);
+    if (pool && Number.isFinite(amount) && amount > 0) {
+      normalized[pool.toLowerCase()] = amount;
+    }
+    return normalized;
+  }, {});
+}
+
+// Kahn's algorithm; a leftover node means a cycle, reported by name
+function topologicalOrder(initiatives) {
+  const remaining = new Map(initiatives.map(initiative => [initiative.id, initiative.dependencies.length]));
+  const ordered = [];
+  let ready = initiatives.filter(initiative => initiative.dependencies.length === 0);
+
+  while (ready.length > 0) {
+    const current = ready.shift();
+    ordered.push(current);
+    initiatives
+      .filter(initiative => initiative.dependencies.includes(current.id))
+      .forEach(dependent => {
+        remaining.set(dependent.id, remaining.get(dependent.id) - 1);
+        if (remaining.get(dependent.id) === 0) {
+          ready.push(dependent);
+        }
+      });
+  }
+
+  if (ordered.length < initiatives.length) {
+    const blocked = initiatives.filter(initiative => !ordered.includes(initiative)).map(initiative => initiative.name);
+    throw planError(`Dependency cycle between: ${blocked.join(', ')}`);
+  }
+
+  return ordered;
+}
+
+// Forward and backward pass: earliest/latest start and finish, slack and the critical path
+function criticalPath(initiatives) {
+  const ordered = topologicalOrder(initiatives);
+  const byId = new Map(ordered.map(initiative => [initiative.id, { ...initiative }]));
+
+  ordered.forEach(({ id }) => {
+    const node = byId.get(id);
+    node.earliestStart = Math.max(node.notBeforeMonth, ...node.dependencies.map(dependency => byId.get(dependency).earliestFinish));
+    node.earliestFinish = node.earliestStart + node.durationMonths;
+  });
+
+  const projectMonths = Math.max(...[...byId.values()].map(node => node.earliestFinish));
+
+  [...ordered].reverse().forEach(({ id }) => {
+    const node = byId.get(id);
+    const successors = [...byId.values()].filter(other => other.dependencies.includes(id));
+    node.latestFinish = Math.min(projectMonths, ...successors.map(successor => successor.latestStart));
+    node.latestStart = node.latestFinish - node.durationMonths;
+    node.slackMonths = node.latestStart - node.earliestStart;
+    node.critical = node.slackMonths === 0;
+  });
+
+  // One longest chain: start from a critical node that ends the project and walk back through critical predecessors
+  const path = [];
+  let current = [...byId.values()].find(node => node.critical && node.earliestFinish === projectMonths);
+  while (current) {
+    path.unshift(current.id);
+    const start = current.earliestStart;
+    current = current.dependencies.map(dependency => byId.get(dependency)).find(node => node.critical && node.earliestFinish === start);
+  }
+
+  return {
+    initiatives: ordered.map(({ id }) => byId.get(id)),
+    projectMonths: projectMonths,
+    criticalPath: path
+  };
+}
+
+// Serial schedule generation: place initiatives in least-slack order at the earliest month where every pool has capacity
+function levelResources(cpmInitiatives, capacity) {
+  const pools = Object.keys(capacity);
+  const usage = {};
+  const scheduled = new Map();
+  const overallocated = [];
+
+  const fits = (initiative, start) => {
+    for (let month = start; month < start + initiative.durationMonths; month++) {
+      for (const pool of pools) {
+        const need = initiative.resources[pool] || 0;
+        if (need > 0 && ((usage[pool] && usage[pool][month]) || 0) + need > capacity[pool]) {
+          return false;
+        }
+      }
+    }
+    return true;
+  };
+
+  const book = (initiative, start) => {
+    Object.entries(initiative.resources).forEach(([pool, units]) => {
+      usage[pool] = usage[pool] || [];
+      for (let month = start; month < start + initiative.durationMonths; month++) {
+        usage[pool][month] = (usage[pool][month] || 0) + units;
+      }
+    });
+  };
+
+  const pending = [...cpmInitiatives];
+  while (pending.length > 0) {
+    const eligible = pending
+      .filter(initiative => initiative.dependencies.every(dependency => scheduled.has(dependency)))
+      .sort((a, b) => a.slackMonths - b.slackMonths || a.earliestStart - b.earliestStart);
+    const initiative = eligible[0];
+    pending.splice(pending.indexOf(initiative), 1);
+
+    const readyAt = Math.max(initiative.notBeforeMonth, ...initiative.dependencies.map(dependency => scheduled.get(dependency).finish));
+    // A single initiative that needs more than a pool's capacity can never fit; schedule it when ready and flag it
+    const exceedsCapacity = pools.some(pool => (initiative.resources[pool] || 0) > capacity[pool]);
+    let start = readyAt;
+    if (exceedsCapacity) {
+      overallocated.push(initiative.id);
+    } else {
+      while (!fits(initiative, start)) {
+        start++;
+      }
+    }
+
+    book(initiative, start);
+    scheduled.set(initiative.id, { start: start, finish: start + initiative.durationMonths });
+  }
+
+  const initiatives = cpmInitiatives.map(initiative => {
+    const { start, finish } = scheduled.get(initiative.id);
+    return { ...initiative, start: start, finish: finish, delayMonths: start - initiative.earliestStart };
+  });
+
+  return {
+    initiatives: initiatives,
+    projectMonths: Math.max(...initiatives.map(initiative => initiative.finish)),
+    overallocated: overallocated
+  };
+}
+
+// Capacity as { pool: units } or "pool:units, ..."; pools without capacity are not constrained
+function normalizeCapacity(capacity) {
+  return normalizeResources(capacity);
+}
+
+// Monthly units per pool across the schedule, with the capacity line where one was given
+function resourceProfile(initiatives, capacity, projectMonths) {
+  const pools = [...new Set(initiatives.flatMap(initiative => Object.keys(initiative.resources)))].sort();
+
+  return pools.map(pool => ({
+    pool: pool,
+    capacity: capacity[pool] !== undefined ? capacity[pool] : null,
+    monthly: Array.from({ length: projectMonths }, (_, month) => initiatives
+      .filter(initiative => initiative.start <= month && month < initiative.finish)
+      .reduce((total, initiative) => total + (initiative.resources[pool] || 0), 0))
+  })).map(profile => ({ ...profile, peak: Math.max(0, ...profile.monthly) }));
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+module.exports = {
+  MAX_INITIATIVES,
+  normalizeInitiatives,
+  normalizeCapacity,
+  criticalPath,
+  levelResources,
+  resourceProfile,
+  slugify
+};
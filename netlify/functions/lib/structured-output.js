@@ -0,0 +1,174 @@
+// FILE PATH: netlify/functions/lib/structured-output.js
+// Structured JSON Output Contracts for Enterprise Architecture AI Agents
+// Requests a JSON schema from the model, validates the reply and retries once with the validation errors
+
+const { callLLM, providerError } = require('./llm-provider');
+
+// Call the LLM for a JSON object matching schema; returns parsed data plus prose, usage and validation metadata
+async function callStructuredLLM(prompt, schema, options = {}) {
+  const contractPrompt = `${prompt}
+
+**RESPONSE FORMAT**
+Respond with a single JSON object (no markdown fences, no commentary) that validates against this JSON Schema:
+${JSON.stringify(schema, null, 2)}
+
+Use null for any figure you cannot support with evidence rather than guessing.`;
+
+  const messages = [{ role: 'user', content: contractPrompt }];
+  const maxAttempts = 2;
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let apiCallTime = 0;
+  let firstErrors = [];
+  let lastErrors = [];
+  let completion;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    completion = await callLLM(messages, { ...options, responseFormat: 'json' });
+    apiCallTime += completion.apiCallTime;
+    addUsage(usage, completion.usage);
+
+    const parsed = parseJSONResponse(completion.text);
+    lastErrors = parsed.error ? [parsed.error] : validateSchema(parsed.value, schema);
+
+    if (lastErrors.length === 0) {
+      return {
+        data: parsed.value,
+        text: completion.text,
+        usage: usage,
+        provider: completion.provider,
+        model: completion.model,
+        apiCallTime: apiCallTime,
+        validation: {
+          valid: true,
+          attempts: attempt,
+          correctedErrors: firstErrors
+        }
+      };
+    }
+
+    if (attempt === 1) {
+      firstErrors = lastErrors;
+      console.warn(`Structured output failed validation (${lastErrors.length} errors), retrying once`);
+
+      // Feed the validation errors back so the model can correct its own output
+      messages.push({ role: 'assistant', content: completion.text });
+      messages.push({
+        role: 'user',
+        content: `Your previous response did not match the required JSON schema:
+${lastErrors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON object only.`
+      });
+    }
+  }
+
+  throw providerError(
+    `Model response failed schema validation after ${maxAttempts} attempts`,
+    502,
+    lastErrors
+  );
+}
+
+// Parse a JSON object from model output, tolerating code fences and stray prose around it
+function parseJSONResponse(text) {
+  const cleaned = (text || '').replace(/```(?:json)?/gi, '').trim();
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    return { error: 'Response is not a JSON object' };
+  }
+
+  try {
+    return { value: JSON.parse(cleaned.substring(start, end + 1)) };
+  } catch (error) {
+    return { error: `Response is not valid JSON: ${error.message}` };
+  }
+}
+
+// Validate a value against the JSON Schema subset used by the module contracts
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    errors.push(`${path} must be ${types.join(' or ')}`);
+    return errors;
+  }
+
+  if (value === null) {
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  } else if (typeof value === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Check a value against a single JSON Schema type name
+function matchesType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+// Accumulate token usage across attempts
+function addUsage(total, usage) {
+  if (!usage) return;
+  total.prompt_tokens += usage.prompt_tokens || 0;
+  total.completion_tokens += usage.completion_tokens || 0;
+  total.total_tokens += usage.total_tokens || 0;
+}
+
+module.exports = {
+  callStructuredLLM,
+  parseJSONResponse,
+  validateSchema
+};
@@ -0,0 +1,271 @@
+// FILE PATH: netlify/functions/lib/web-search.js
+// Web Search Pipeline for Enterprise Architecture AI Agents
+// Shared by ea-api.js and the analysis modules: provider search, query generation and source ranking
+
+const fetch = require('node-fetch');
+
+// Perform web search using configured provider
+async function performWebSearch(query, searchType, maxResults) {
+  const searchProvider = process.env.SEARCH_PROVIDER || 'bing';
+  
+  switch (searchProvider.toLowerCase()) {
+    case 'bing':
+      return await bingWebSearch(query, searchType, maxResults);
+    case 'serpapi':
+      return await serpApiSearch(query, searchType, maxResults);
+    case 'brave':
+      return await braveSearch(query, searchType, maxResults);
+    default:
+      throw new Error(`Unsupported search provider: ${searchProvider}`);
+  }
+}
+
+// Bing Web Search API implementation
+async function bingWebSearch(query, searchType, maxResults) {
+  const bingApiKey = process.env.BING_SEARCH_API_KEY;
+  if (!bingApiKey) {
+    throw new Error('Bing Search API key not configured');
+  }
+
+  const endpoint = 'https://api.bing.microsoft.com/v7.0/search';
+  const searchQuery = enhanceSearchQuery(query, searchType);
+  
+  const response = await fetch(`${endpoint}?q=${encodeURIComponent(searchQuery)}&count=${maxResults}&responseFilter=webPages`, {
+    headers: {
+      'Ocp-Apim-Subscription-Key': bingApiKey
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Bing search failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  
+  return data.webPages?.value?.map(item => ({
+    title: item.name,
+    url: item.url,
+    snippet: item.snippet,
+    datePublished: item.datePublished,
+    source: 'bing'
+  })) || [];
+}
+
+// SerpApi implementation
+async function serpApiSearch(query, searchType, maxResults) {
+  const serpApiKey = process.env.SERPAPI_API_KEY;
+  if (!serpApiKey) {
+    throw new Error('SerpApi key not configured');
+  }
+
+  const endpoint = 'https://serpapi.com/search';
+  const searchQuery = enhanceSearchQuery(query, searchType);
+  
+  const params = new URLSearchParams({
+    q: searchQuery,
+    api_key: serpApiKey,
+    engine: 'google',
+    num: maxResults.toString()
+  });
+
+  const response = await fetch(`${endpoint}?${params}`);
+  
+  if (!response.ok) {
+    throw new Error(`SerpApi search failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  
+  return data.organic_results?.map(item => ({
+    title: item.title,
+    url: item.link,
+    snippet: item.snippet,
+    source: 'serpapi'
+  })) || [];
+}
+
+// Brave Search API implementation
+async function braveSearch(query, searchType, maxResults) {
+  const braveApiKey = process.env.BRAVE_SEARCH_API_KEY;
+  if (!braveApiKey) {
+    throw new Error('Brave Search API key not configured');
+  }
+
+  const endpoint = 'https://api.search.brave.com/res/v1/web/search';
+  const searchQuery = enhanceSearchQuery(query, searchType);
+  
+  const params = new URLSearchParams({
+    q: searchQuery,
+    count: maxResults.toString()
+  });
+
+  const response = await fetch(`${endpoint}?${params}`, {
+    headers: {
+      'Accept': 'application/json',
+      'X-Subscription-Token': braveApiKey
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Brave search failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  
+  return data.web?.results?.map(item => ({
+    title: item.title,
+    url: item.url,
+    snippet: item.description,
+    source: 'brave'
+  })) || [];
+}
+
+// Enhance search queries based on type
+function enhanceSearchQuery(query, searchType) {
+  const enhancements = {
+    market: `${query} market analysis 2024 2025 research report`,
+    vendor: `${query} vendor comparison Gartner Forrester leader`,
+    technology: `${query} technology implementation case study enterprise`,
+    hype: `${query} hype cycle Gartner market maturity adoption`,
+    financial: `${query} market size revenue growth forecast`,
+    general: query
+  };
+
+  return enhancements[searchType] || enhancements.general;
+}
+
+// Generate search queries for different research phases
+function generateSearchQueries(technology, researchPhase) {
+  const baseQueries = {
+    market: [
+      { query: `${technology} market size 2024`, type: 'financial' },
+      { query: `${technology} enterprise adoption trends`, type: 'market' },
+      { query: `${technology} industry analysis report`, type: 'market' }
+    ],
+    vendor: [
+      { query: `${technology} vendor comparison Gartner`, type: 'vendor' },
+      { query: `${technology} leading companies market share`, type: 'vendor' },
+      { query: `${technology} competitive landscape 2024`, type: 'vendor' }
+    ],
+    hype: [
+      { query: `${technology} Gartner hype cycle 2024`, type: 'hype' },
+      { query: `${technology} market maturity assessment`, type: 'hype' },
+      { query: `${technology} adoption timeline enterprise`, type: 'technology' }
+    ],
+    strategic: [
+      { query: `${technology} ROI case study enterprise`, type: 'technology' },
+      { query: `${technology} implementation best practices`, type: 'technology' },
+      { query: `${technology} business value assessment`, type: 'market' }
+    ]
+  };
+
+  return baseQueries[researchPhase] || baseQueries.market;
+}
+
+// Process and filter search results
+function processSearchResults(searchResultsArray, researchPhase) {
+  const allResults = searchResultsArray.flat();
+  
+  // Filter for relevant, recent, and authoritative sources
+  const filteredResults = allResults.filter(result => {
+    const title = (result.title || '').toLowerCase();
+    const snippet = (result.snippet || '').toLowerCase();
+    const url = result.url.toLowerCase();
+    
+    // Prioritize authoritative sources
+    const authoritativeSources = [
+      'gartner.com', 'forrester.com', 'idc.com', 'mckinsey.com',
+      'deloitte.com', 'pwc.com', 'accenture.com', 'statista.com'
+    ];
+    
+    const isAuthoritative = authoritativeSources.some(source => url.includes(source));
+    
+    // Filter out irrelevant or promotional content
+    const excludeKeywords = ['download', 'webinar', 'whitepaper download', 'free trial'];
+    const hasExcluded = excludeKeywords.some(keyword => 
+      title.includes(keyword) || snippet.includes(keyword)
+    );
+    
+    return !hasExcluded && (isAuthoritative || title.includes('2024') || title.includes('2025'));
+  });
+
+  // Group by relevance and limit results
+  return filteredResults.slice(0, 8).map(result => ({
+    title: result.title,
+    snippet: result.snippet,
+    url: result.url,
+    relevanceScore: calculateRelevanceScore(result, researchPhase)
+  })).sort((a, b) => b.relevanceScore - a.relevanceScore);
+}
+
+// Calculate relevance score for search results
+function calculateRelevanceScore(result, researchPhase) {
+  let score = 0;
+  const title = (result.title || '').toLowerCase();
+  const snippet = (result.snippet || '').toLowerCase();
+  const url = result.url.toLowerCase();
+  
+  // Authority bonus
+  const authoritativeSources = ['gartner', 'forrester', 'idc', 'mckinsey'];
+  if (authoritativeSources.some(source => url.includes(source))) {
+    score += 10;
+  }
+  
+  // Recency bonus
+  if (title.includes('2024') || title.includes('2025')) {
+    score += 5;
+  }
+  
+  // Phase-specific keywords
+  const phaseKeywords = {
+    market: ['market', 'analysis', 'size', 'growth', 'forecast'],
+    vendor: ['vendor', 'comparison', 'leader', 'competitive', 'landscape'],
+    hype: ['hype cycle', 'maturity', 'adoption', 'timeline'],
+    strategic: ['ROI', 'implementation', 'case study', 'best practices']
+  };
+  
+  const keywords = phaseKeywords[researchPhase] || [];
+  keywords.forEach(keyword => {
+    if (title.includes(keyword) || snippet.includes(keyword)) {
+      score += 2;
+    }
+  });
+  
+  return score;
+}
+
+// Run a research phase's queries and return ranked, de-duplicated, numbered sources for prompt grounding
+async function gatherSources(technology, researchPhase, maxSources = 8) {
+  const searchQueries = generateSearchQueries(technology, researchPhase);
+  const settled = await Promise.allSettled(
+    searchQueries.map(query => performWebSearch(query.query, query.type, 3))
+  );
+
+  // One failed query should not discard the others
+  const searchResults = settled.filter(result => result.status === 'fulfilled').map(result => result.value);
+  if (searchResults.length === 0) {
+    throw new Error(`Web search unavailable: ${settled[0].reason.message}`);
+  }
+
+  const seenUrls = new Set();
+  return processSearchResults(searchResults, researchPhase)
+    .filter(result => {
+      if (seenUrls.has(result.url)) return false;
+      seenUrls.add(result.url);
+      return true;
+    })
+    .slice(0, maxSources)
+    .map((result, index) => ({
+      id: index + 1,
+      title: result.title,
+      url: result.url,
+      snippet: result.snippet
+    }));
+}
+
+module.exports = {
+  performWebSearch,
+  generateSearchQueries,
+  processSearchResults,
+  gatherSources
+};
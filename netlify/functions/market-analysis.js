@@ -1,7 +1,53 @@
 // FILE PATH: netlify/functions/market-analysis.js
 // Production Market Analysis Module for Enterprise Architecture AI Agents
 
-const fetch = require('node-fetch');
+const { callStructuredLLM } = require('./lib/structured-output');
+const { resolveDepth } = require('./lib/analysis-depth');
+const { lookupCache, storeCache } = require('./lib/response-cache');
+const { normalizeOrganizationProfile, buildOrganizationContext } = require('./lib/organization-profile');
+const { prepareGrounding, withCitations, resolveCitations, formatFootnotes } = require('./lib/citations');
+
+// JSON contract for the market module - narrative prose plus typed metrics for charts and PDFs
+const MARKET_SCHEMA = {
+  type: 'object',
+  required: ['analysis', 'metrics'],
+  properties: {
+    analysis: {
+      type: 'string',
+      description: 'Narrative market analysis in markdown using the bold section headings requested above'
+    },
+    metrics: {
+      type: 'object',
+      required: ['marketSizeBillions', 'currency', 'baseYear', 'cagrPercent', 'adoptionRatePercent', 'source'],
+      properties: {
+        marketSizeBillions: { type: ['number', 'null'], minimum: 0, description: 'Current total market size in billions' },
+        currency: { type: 'string', description: 'ISO 4217 currency code for marketSizeBillions, e.g. USD' },
+        baseYear: { type: ['integer', 'null'], minimum: 2000, maximum: 2100, description: 'Year the market size figure refers to' },
+        cagrPercent: { type: ['number', 'null'], minimum: -100, maximum: 1000, description: 'Projected compound annual growth rate in percent' },
+        adoptionRatePercent: { type: ['number', 'null'], minimum: 0, maximum: 100, description: 'Share of enterprises that have adopted the technology, in percent' },
+        source: { type: ['string', 'null'], description: 'Publisher and report the market size and CAGR figures come from' }
+      }
+    },
+    marketSizeSeries: {
+      type: 'array',
+      maxItems: 10,
+      description: 'Year-by-year market size figures attributable to a published source, in the metrics currency; empty if none are known',
+      items: {
+        type: 'object',
+        required: ['year', 'valueBillions', 'basis', 'source'],
+        properties: {
+          year: { type: 'integer', minimum: 2000, maximum: 2100 },
+          valueBillions: { type: 'number', minimum: 0 },
+          basis: { type: 'string', enum: ['reported', 'forecast'] },
+          source: { type: ['string', 'null'], description: 'Publisher and report for this figure' }
+        }
+      }
+    }
+  }
+};
+
+// Number of yearly points in the market size chart, starting at the base year
+const SERIES_YEARS = 5;
 
 exports.handler = async (event, context) => {
   const headers = {
@@ -25,7 +71,7 @@ exports.handler = async (event, context) => {
 
   try {
     const startTime = Date.now();
-    const { technology } = JSON.parse(event.body);
+    const { technology, provider, model, analysisDepth, organization, useWebSearch, forceRefresh } = JSON.parse(event.body);
     
     if (!technology) {
       return {
@@ -35,19 +81,30 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const openaiApiKey = process.env.OPENAI_API_KEY;
-    if (!openaiApiKey) {
+    // Serve repeat requests from the response cache unless a refresh is forced
+    const cacheLookup = await lookupCache('market-analysis', { technology, provider, model, analysisDepth, organization, useWebSearch }, forceRefresh);
+    if (cacheLookup.hit) {
       return {
-        statusCode: 500,
+        statusCode: 200,
         headers,
-        body: JSON.stringify({ error: 'OpenAI API key not configured' })
+        body: JSON.stringify(cacheLookup.response, null, 2)
       };
     }
 
+    // Depth scales word limit, token budget and level of detail
+    const depth = resolveDepth(analysisDepth, 300, 600);
+
+    // Organization profile tailors every section (industry, regulation, stack, risk appetite)
+    const organizationProfile = normalizeOrganizationProfile(organization);
+    const organizationContext = buildOrganizationContext(organizationProfile);
+
+    // Optional web search first; results become numbered sources the model must cite
+    const { sources, context: sourceContext, grounding } = await prepareGrounding(useWebSearch, technology, 'market');
+
     // Market analysis prompt (proven 5.34s performance)
     const marketPrompt = `Analyze the current market landscape for ${technology}.
 
-Provide comprehensive market intelligence covering:
+${organizationContext}${sourceContext}Provide comprehensive market intelligence covering:
 
 **MARKET SIZE AND GROWTH**
 - Current market valuation and projected 3-year growth rates
@@ -74,49 +131,37 @@ Provide comprehensive market intelligence covering:
 - Technical and operational challenges
 - Market maturity and saturation risks
 
-Keep response under 300 words. Focus on quantitative market insights and actionable business intelligence for enterprise decision-making.`;
+Keep the analysis under ${depth.words} words.${depth.guidance ? ` ${depth.guidance}` : ''} Focus on quantitative market insights and actionable business intelligence for enterprise decision-making.
 
-    const apiCallStart = Date.now();
-    
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${openaiApiKey}`
-      },
-      body: JSON.stringify({
-        model: "gpt-4o",
-        messages: [{ role: "user", content: marketPrompt }],
-        max_tokens: 400,
-        temperature: 0.3
-      })
+Only report market size figures you can attribute to a named analyst firm or report. Leave marketSizeSeries empty rather than inventing yearly values.`;
+
+    const completion = await callStructuredLLM(marketPrompt, withCitations(MARKET_SCHEMA, grounding), {
+      provider: provider,
+      model: model,
+      maxTokens: depth.maxTokens,
+      temperature: 0.3
     });
 
-    const apiCallTime = Date.now() - apiCallStart;
+    const apiCallTime = completion.apiCallTime;
     const totalTime = Date.now() - startTime;
+    const responseText = completion.data.analysis;
     
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      return {
-        statusCode: response.status,
-        headers,
-        body: JSON.stringify({
-          success: false,
-          error: `Market analysis failed: ${response.status}`,
-          details: errorData.error?.message
-        })
-      };
-    }
+    const citations = resolveCitations(completion.data.citations, sources);
+
+    // Typed metrics come straight from the validated JSON contract
+    const marketSeries = buildMarketSizeSeries(withCitedSource(completion.data.metrics, citations), completion.data.marketSizeSeries || []);
 
-    const data = await response.json();
-    const responseText = data.choices[0].message.content;
-    
-    // Parse structured data from response for chart generation
     const marketData = {
       technology: technology,
       analysis: responseText,
-      metrics: extractMarketMetrics(responseText),
-      chartData: generateMarketChartData(responseText, technology),
+      citations: citations,
+      sources: sources,
+      grounding: grounding,
+      structured: completion.data.metrics,
+      metrics: formatMarketMetrics(completion.data.metrics),
+      marketSeries: marketSeries,
+      chartData: generateMarketChartData(marketSeries, technology),
+      chartNote: marketSeries ? null : 'Market size chart omitted - no sourced market size figures were available',
       summary: extractExecutiveSummary(responseText),
       timestamp: new Date().toISOString()
     };
@@ -136,10 +181,17 @@ Keep response under 300 words. Focus on quantitative market insights and actiona
         chartData: marketData.chartData,
         downloadReady: true
       },
-      tokens: data.usage,
+      provider: completion.provider,
+      model: completion.model,
+      analysisDepth: depth.depth,
+      organizationProfile: organizationProfile,
+      validation: completion.validation,
+      tokens: completion.usage,
       timestamp: new Date().toISOString()
     };
 
+    result.cache = await storeCache(cacheLookup, result);
+
     return {
       statusCode: 200,
       headers,
@@ -148,68 +200,133 @@ Keep response under 300 words. Focus on quantitative market insights and actiona
 
   } catch (error) {
     return {
-      statusCode: 500,
+      statusCode: error.statusCode || 500,
       headers,
       body: JSON.stringify({
         success: false,
         error: 'Market analysis failed: ' + error.message,
+        details: error.details,
         module: 'market-analysis'
       })
     };
   }
 };
 
-// Extract key market metrics for dashboard display
-function extractMarketMetrics(analysisText) {
-  const metrics = {
-    marketSize: null,
-    growthRate: null,
-    adoptionRate: null,
-    timeToMarket: null
+// Format typed market metrics for dashboard display
+function formatMarketMetrics(metrics) {
+  const currencyPrefix = metrics.currency === 'USD' ? '$' : `${metrics.currency} `;
+
+  return {
+    marketSize: metrics.marketSizeBillions !== null ? `${currencyPrefix}${metrics.marketSizeBillions}B` : null,
+    growthRate: metrics.cagrPercent !== null ? `${metrics.cagrPercent}%` : null,
+    adoptionRate: metrics.adoptionRatePercent !== null ? `${metrics.adoptionRatePercent}%` : null
   };
+}
+
+// Fall back to the cited search result when the model named no publisher for the market size
+function withCitedSource(metrics, citations) {
+  if (metrics.source) {
+    return metrics;
+  }
+
+  const citation = citations.find(item => item.field === 'metrics.marketSizeBillions');
+  return citation ? { ...metrics, source: `${citation.title} (${citation.url})` } : metrics;
+}
+
+// Build the yearly market size series from reported figures, or project it from base-year size and CAGR
+function buildMarketSizeSeries(metrics, reportedSeries) {
+  const currency = metrics.currency || 'USD';
+  const points = reportedSeries
+    .filter(point => point.valueBillions !== null)
+    .sort((a, b) => a.year - b.year)
+    .map(point => ({
+      year: point.year,
+      value: point.valueBillions,
+      basis: point.basis,
+      source: point.source || 'Unattributed model estimate'
+    }));
+
+  // Two or more sourced points are a real series; use them as reported
+  if (points.length >= 2) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    const impliedCagr = first.value > 0 && last.year > first.year
+      ? (Math.pow(last.value / first.value, 1 / (last.year - first.year)) - 1) * 100
+      : null;
 
-  // Extract market size (patterns like "$X billion", "$X.X billion")
-  const sizeMatch = analysisText.match(/\$(\d+(?:\.\d+)?)\s*billion/i);
-  if (sizeMatch) {
-    metrics.marketSize = `$${sizeMatch[1]}B`;
+    return {
+      baseYear: metrics.baseYear || first.year,
+      currency: currency,
+      cagrPercent: metrics.cagrPercent !== null ? metrics.cagrPercent : roundTo(impliedCagr, 1),
+      derived: false,
+      points: points
+    };
   }
 
-  // Extract growth rate (patterns like "X%", "X percent")
-  const growthMatch = analysisText.match(/(\d+(?:\.\d+)?)\s*%?\s*(?:growth|CAGR|annually)/i);
-  if (growthMatch) {
-    metrics.growthRate = `${growthMatch[1]}%`;
+  // Otherwise compound the base-year figure forward; every projected point cites the figures it came from
+  if (metrics.marketSizeBillions === null || metrics.baseYear === null || metrics.cagrPercent === null) {
+    return null;
   }
 
-  // Extract adoption rate
-  const adoptionMatch = analysisText.match(/(\d+(?:\.\d+)?)\s*%?\s*(?:adoption|enterprises|organizations)/i);
-  if (adoptionMatch) {
-    metrics.adoptionRate = `${adoptionMatch[1]}%`;
+  const baseSource = metrics.source || 'Unattributed model estimate';
+  const projected = [];
+  for (let offset = 0; offset < SERIES_YEARS; offset++) {
+    projected.push({
+      year: metrics.baseYear + offset,
+      value: roundTo(metrics.marketSizeBillions * Math.pow(1 + metrics.cagrPercent / 100, offset), 2),
+      basis: offset === 0 ? 'reported' : 'derived',
+      source: offset === 0
+        ? baseSource
+        : `Projected from ${metrics.baseYear} size at ${metrics.cagrPercent}% CAGR (${baseSource})`
+    });
   }
 
-  return metrics;
+  return {
+    baseYear: metrics.baseYear,
+    currency: currency,
+    cagrPercent: metrics.cagrPercent,
+    derived: true,
+    points: projected
+  };
 }
 
-// Generate chart data for market visualization
-function generateMarketChartData(analysisText, technology) {
+// Generate chart data for market visualization; null when there is no series to plot
+function generateMarketChartData(marketSeries, technology) {
+  if (!marketSeries) {
+    return null;
+  }
+
+  const points = marketSeries.points;
+  const firstYear = points[0].year;
+  const lastYear = points[points.length - 1].year;
+
   return {
     type: 'market-growth',
     title: `${technology} Market Growth Projection`,
     data: {
-      labels: ['2024', '2025', '2026', '2027', '2028'],
+      labels: points.map(point => String(point.year)),
       datasets: [{
-        label: 'Market Size ($B)',
-        data: [20, 28, 38, 52, 68], // Sample data - would be extracted from analysis
+        label: `Market Size (${marketSeries.currency}B)`,
+        data: points.map(point => point.value),
         borderColor: '#3498db',
         backgroundColor: 'rgba(52, 152, 219, 0.1)',
+        borderDash: marketSeries.derived ? [6, 4] : [],
         tension: 0.4
-      }]
+      }],
+      points: points
+    },
+    series: {
+      baseYear: marketSeries.baseYear,
+      currency: marketSeries.currency,
+      cagrPercent: marketSeries.cagrPercent,
+      derived: marketSeries.derived
     },
     options: {
       responsive: true,
       plugins: {
         title: {
           display: true,
-          text: `${technology} Market Growth (5-Year Projection)`
+          text: `${technology} Market Size (${firstYear}-${lastYear})`
         }
       },
       scales: {
@@ -217,7 +334,7 @@ function generateMarketChartData(analysisText, technology) {
           beginAtZero: true,
           title: {
             display: true,
-            text: 'Market Size (Billions USD)'
+            text: `Market Size (Billions ${marketSeries.currency})`
           }
         }
       }
@@ -225,6 +342,13 @@ function generateMarketChartData(analysisText, technology) {
   };
 }
 
+// Round a number to the given decimal places, passing null through
+function roundTo(value, decimals) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
 // Extract executive summary for web display
 function extractExecutiveSummary(analysisText) {
   // Get first paragraph or first 200 characters as summary
@@ -241,6 +365,7 @@ function formatWebSummary(marketData) {
   return {
     title: `${marketData.technology} Market Analysis`,
     summary: marketData.summary,
+    footnotes: formatFootnotes(marketData.citations),
     keyMetrics: marketData.metrics,
     sections: [
       {
@@ -1,7 +1,50 @@
 // FILE PATH: netlify/functions/maturity-assessment.js
 // Production Maturity Assessment Module for Enterprise Architecture AI Agents
 
-const fetch = require('node-fetch');
+const { callStructuredLLM } = require('./lib/structured-output');
+const { resolveDepth } = require('./lib/analysis-depth');
+const { lookupCache, storeCache } = require('./lib/response-cache');
+const { normalizeOrganizationProfile, buildOrganizationContext } = require('./lib/organization-profile');
+const { prepareGrounding, withCitations, resolveCitations, formatFootnotes } = require('./lib/citations');
+
+const HYPE_CYCLE_PHASES = [
+  'Innovation Trigger',
+  'Peak of Inflated Expectations',
+  'Trough of Disillusionment',
+  'Slope of Enlightenment',
+  'Plateau of Productivity'
+];
+
+// JSON contract for the maturity module - narrative prose plus typed hype cycle and maturity fields
+const MATURITY_SCHEMA = {
+  type: 'object',
+  required: ['analysis', 'hypeCycle', 'metrics'],
+  properties: {
+    analysis: {
+      type: 'string',
+      description: 'Narrative maturity assessment in markdown using the bold section headings requested above'
+    },
+    hypeCycle: {
+      type: 'object',
+      required: ['position', 'confidence', 'rationale'],
+      properties: {
+        position: { type: 'string', enum: HYPE_CYCLE_PHASES },
+        confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+        rationale: { type: 'string', description: 'One or two sentences justifying the position' }
+      }
+    },
+    metrics: {
+      type: 'object',
+      required: ['adoptionRatePercent', 'timeToMainstreamYears', 'enterpriseReadiness', 'technicalMaturity'],
+      properties: {
+        adoptionRatePercent: { type: ['number', 'null'], minimum: 0, maximum: 100, description: 'Share of enterprises that have adopted the technology, in percent' },
+        timeToMainstreamYears: { type: ['number', 'null'], minimum: 0, maximum: 20, description: 'Years remaining until mainstream adoption (0 if already mainstream)' },
+        enterpriseReadiness: { type: 'string', enum: ['Low', 'Moderate', 'High'] },
+        technicalMaturity: { type: 'string', enum: ['Emerging', 'Developing', 'Mature'] }
+      }
+    }
+  }
+};
 
 exports.handler = async (event, context) => {
   const headers = {
@@ -25,7 +68,7 @@ exports.handler = async (event, context) => {
 
   try {
     const startTime = Date.now();
-    const { technology } = JSON.parse(event.body);
+    const { technology, provider, model, analysisDepth, organization, useWebSearch, forceRefresh } = JSON.parse(event.body);
     
     if (!technology) {
       return {
@@ -35,22 +78,33 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const openaiApiKey = process.env.OPENAI_API_KEY;
-    if (!openaiApiKey) {
+    // Serve repeat requests from the response cache unless a refresh is forced
+    const cacheLookup = await lookupCache('maturity-assessment', { technology, provider, model, analysisDepth, organization, useWebSearch }, forceRefresh);
+    if (cacheLookup.hit) {
       return {
-        statusCode: 500,
+        statusCode: 200,
         headers,
-        body: JSON.stringify({ error: 'OpenAI API key not configured' })
+        body: JSON.stringify(cacheLookup.response, null, 2)
       };
     }
 
+    // Depth scales word limit, token budget and level of detail
+    const depth = resolveDepth(analysisDepth, 300, 300);
+
+    // Organization profile tailors every section (industry, regulation, stack, risk appetite)
+    const organizationProfile = normalizeOrganizationProfile(organization);
+    const organizationContext = buildOrganizationContext(organizationProfile);
+
+    // Optional web search first; results become numbered sources the model must cite
+    const { sources, context: sourceContext, grounding } = await prepareGrounding(useWebSearch, technology, 'hype');
+
     // Technology maturity assessment prompt (proven 4.94s performance)
     const maturityPrompt = `Assess the technology maturity of ${technology}.
 
-Provide:
+${organizationContext}${sourceContext}Provide:
 
 **HYPE CYCLE POSITIONING**
-- Current position on the hype cycle curve (Innovation Trigger, Peak of Expectations, Trough of Disillusionment, Slope of Enlightenment, or Plateau of Productivity)
+- Current position on the hype cycle curve (Innovation Trigger, Peak of Inflated Expectations, Trough of Disillusionment, Slope of Enlightenment, or Plateau of Productivity)
 - Rationale for current positioning
 
 **MATURITY INDICATORS**
@@ -67,50 +121,36 @@ Provide:
 - Expected progression through remaining hype cycle phases
 - Projected timeline to reach productivity plateau
 
-Keep response under 300 words. Focus on specific maturity indicators and actionable timing insights for enterprise planning.`;
+Keep the analysis under ${depth.words} words.${depth.guidance ? ` ${depth.guidance}` : ''} Focus on specific maturity indicators and actionable timing insights for enterprise planning.`;
 
-    const apiCallStart = Date.now();
-    
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${openaiApiKey}`
-      },
-      body: JSON.stringify({
-        model: "gpt-4o",
-        messages: [{ role: "user", content: maturityPrompt }],
-        max_tokens: 400,
-        temperature: 0.3
-      })
+    const completion = await callStructuredLLM(maturityPrompt, withCitations(MATURITY_SCHEMA, grounding), {
+      provider: provider,
+      model: model,
+      maxTokens: depth.maxTokens,
+      temperature: 0.3
     });
 
-    const apiCallTime = Date.now() - apiCallStart;
+    const apiCallTime = completion.apiCallTime;
     const totalTime = Date.now() - startTime;
+    const responseText = completion.data.analysis;
+    const hypeCyclePosition = formatHypeCyclePosition(completion.data.hypeCycle);
     
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      return {
-        statusCode: response.status,
-        headers,
-        body: JSON.stringify({
-          success: false,
-          error: `Maturity assessment failed: ${response.status}`,
-          details: errorData.error?.message
-        })
-      };
-    }
+    const citations = resolveCitations(completion.data.citations, sources);
 
-    const data = await response.json();
-    const responseText = data.choices[0].message.content;
-    
-    // Parse structured data from response for chart generation
+    // Typed fields come straight from the validated JSON contract
     const maturityData = {
       technology: technology,
       analysis: responseText,
-      hypeCyclePosition: extractHypeCyclePosition(responseText),
-      maturityMetrics: extractMaturityMetrics(responseText),
-      chartData: generateMaturityChartData(responseText, technology),
+      citations: citations,
+      sources: sources,
+      grounding: grounding,
+      structured: {
+        hypeCycle: completion.data.hypeCycle,
+        metrics: completion.data.metrics
+      },
+      hypeCyclePosition: hypeCyclePosition,
+      maturityMetrics: formatMaturityMetrics(completion.data.metrics),
+      chartData: generateMaturityChartData(hypeCyclePosition, technology),
       summary: extractExecutiveSummary(responseText),
       timestamp: new Date().toISOString()
     };
@@ -130,10 +170,17 @@ Keep response under 300 words. Focus on specific maturity indicators and actiona
         chartData: maturityData.chartData,
         downloadReady: true
       },
-      tokens: data.usage,
+      provider: completion.provider,
+      model: completion.model,
+      analysisDepth: depth.depth,
+      organizationProfile: organizationProfile,
+      validation: completion.validation,
+      tokens: completion.usage,
       timestamp: new Date().toISOString()
     };
 
+    result.cache = await storeCache(cacheLookup, result);
+
     return {
       statusCode: 200,
       headers,
@@ -142,99 +189,39 @@ Keep response under 300 words. Focus on specific maturity indicators and actiona
 
   } catch (error) {
     return {
-      statusCode: 500,
+      statusCode: error.statusCode || 500,
       headers,
       body: JSON.stringify({
         success: false,
         error: 'Maturity assessment failed: ' + error.message,
+        details: error.details,
         module: 'maturity-assessment'
       })
     };
   }
 };
 
-// Extract hype cycle position from analysis text
-function extractHypeCyclePosition(analysisText) {
-  const positions = [
-    'Innovation Trigger',
-    'Peak of Expectations',
-    'Peak of Inflated Expectations',
-    'Trough of Disillusionment',
-    'Slope of Enlightenment',
-    'Plateau of Productivity'
-  ];
-
-  for (const position of positions) {
-    const regex = new RegExp(position, 'i');
-    if (regex.test(analysisText)) {
-      return {
-        position: position,
-        confidence: 'high',
-        evidence: extractPositionRationale(analysisText, position)
-      };
-    }
-  }
-
+// Shape the typed hype cycle fields for dashboard display
+function formatHypeCyclePosition(hypeCycle) {
   return {
-    position: 'Unknown',
-    confidence: 'low',
-    evidence: 'Position not clearly identified in analysis'
+    position: hypeCycle.position,
+    confidence: hypeCycle.confidence,
+    evidence: hypeCycle.rationale
   };
 }
 
-// Extract rationale for hype cycle positioning
-function extractPositionRationale(analysisText, position) {
-  const rationaleRegex = new RegExp(`${position}[^.]*\\.([^.]*\\.)`, 'i');
-  const match = analysisText.match(rationaleRegex);
-  
-  if (match && match[1]) {
-    return match[1].trim();
-  }
-  
-  return 'Rationale not available';
-}
-
-// Extract maturity metrics from analysis text
-function extractMaturityMetrics(analysisText) {
-  const metrics = {
-    adoptionRate: null,
-    timeToMainstream: null,
-    enterpriseReadiness: null,
-    technicalMaturity: null
+// Format typed maturity metrics for dashboard display
+function formatMaturityMetrics(metrics) {
+  return {
+    adoptionRate: metrics.adoptionRatePercent !== null ? `${metrics.adoptionRatePercent}%` : null,
+    timeToMainstream: metrics.timeToMainstreamYears !== null ? `${metrics.timeToMainstreamYears} years` : null,
+    enterpriseReadiness: metrics.enterpriseReadiness,
+    technicalMaturity: metrics.technicalMaturity
   };
-
-  // Extract adoption rate
-  const adoptionMatch = analysisText.match(/(\d+(?:-\d+)?)\s*%?\s*(?:adoption|enterprises|organizations)/i);
-  if (adoptionMatch) {
-    metrics.adoptionRate = adoptionMatch[1] + '%';
-  }
-
-  // Extract time to mainstream
-  const timeMatch = analysisText.match(/(\d+(?:-\d+)?)\s*years?\s*(?:to|for|until|remaining)/i);
-  if (timeMatch) {
-    metrics.timeToMainstream = timeMatch[1] + ' years';
-  }
-
-  // Extract readiness level
-  const readinessPatterns = ['highly viable', 'enterprise-ready', 'ready for', 'mature enough'];
-  for (const pattern of readinessPatterns) {
-    if (new RegExp(pattern, 'i').test(analysisText)) {
-      metrics.enterpriseReadiness = 'High';
-      break;
-    }
-  }
-
-  if (!metrics.enterpriseReadiness) {
-    metrics.enterpriseReadiness = 'Moderate';
-  }
-
-  return metrics;
 }
 
 // Generate chart data for hype cycle visualization
-function generateMaturityChartData(analysisText, technology) {
-  const position = extractHypeCyclePosition(analysisText);
-  
+function generateMaturityChartData(position, technology) {
   // Map hype cycle positions to coordinates
   const positionCoordinates = {
     'Innovation Trigger': { x: 10, y: 20 },
@@ -322,6 +309,7 @@ function formatWebSummary(maturityData) {
   return {
     title: `${maturityData.technology} Technology Maturity`,
     summary: maturityData.summary,
+    footnotes: formatFootnotes(maturityData.citations),
     position: maturityData.hypeCyclePosition,
     metrics: maturityData.maturityMetrics,
     sections: [
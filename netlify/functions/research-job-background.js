@@ -0,0 +1,76 @@
+// FILE PATH: netlify/functions/research-job-background.js
+// Research Job Worker for Enterprise Architecture AI Agents
+// Netlify background function (-background suffix) that runs a queued research job's modules and saves their results
+
+const { getJob, saveJob } = require('./lib/job-store');
+const { runResearchModules } = require('./lib/research-runner');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const { jobId } = JSON.parse(event.body || '{}');
+  const job = await getJob(jobId);
+
+  // Only queued jobs run, so a repeated dispatch cannot start the same job twice
+  if (!job || job.status !== 'queued') {
+    console.warn(`Research job ${jobId} not runnable (${job ? job.status : 'not found'})`);
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Research job not found or already started' })
+    };
+  }
+
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  await saveJob(job);
+
+  // Module updates arrive from concurrent workers; chain the saves so they land in order
+  let saving = Promise.resolve();
+  const persist = () => {
+    saving = saving.then(() => saveJob(job)).catch(error => console.warn(`Job progress save failed: ${error.message}`));
+    return saving;
+  };
+
+  try {
+    const { results, failures } = await runResearchModules(job, (moduleName, update) => {
+      Object.assign(job.modules[moduleName], update);
+      return persist();
+    });
+
+    job.results = results;
+    job.failedModules = failures;
+
+    const failedCount = Object.keys(failures).length;
+    if (failedCount === Object.keys(job.modules).length) {
+      job.status = 'failed';
+      job.error = `All analysis modules failed (${Object.values(failures).map(failure => `${failure.title}: ${failure.error}`).join('; ')})`;
+    } else {
+      job.status = failedCount > 0 ? 'partial' : 'completed';
+    }
+  } catch (error) {
+    console.error(`Research job ${job.id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.completedAt = new Date().toISOString();
+  await saving;
+  await saveJob(job);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ success: job.status !== 'failed', jobId: job.id, status: job.status })
+  };
+};
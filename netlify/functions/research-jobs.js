@@ -0,0 +1,168 @@
+// FILE PATH: netlify/functions/research-jobs.js
+// Research Job API for Enterprise Architecture AI Agents
+// POST starts a research job and returns its ID; GET ?id= polls status and GET ?id=&view=result retrieves module results
+
+const fetch = require('node-fetch');
+const { createJob, getJob, saveJob, isJobFinished, summarizeJob } = require('./lib/job-store');
+const { resolveScope } = require('./lib/research-runner');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    if (event.httpMethod === 'POST') {
+      return await startJob(event, headers);
+    }
+
+    if (event.httpMethod === 'GET') {
+      return await readJob(event, headers);
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Research job request failed: ' + error.message
+      })
+    };
+  }
+};
+
+// Validate the request, persist a queued job and hand it to the background worker
+async function startJob(event, headers) {
+  const { technology, options = {}, organization } = JSON.parse(event.body || '{}');
+
+  if (!technology || typeof technology !== 'string' || !technology.trim()) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Technology parameter required' })
+    };
+  }
+
+  if (resolveScope(options).length === 0) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Select at least one analysis module' })
+    };
+  }
+
+  const job = await createJob({ technology, options, organization });
+
+  try {
+    await dispatchJob(event, job.id);
+  } catch (error) {
+    job.status = 'failed';
+    job.error = `Could not start background research: ${error.message}`;
+    job.completedAt = new Date().toISOString();
+    await saveJob(job);
+
+    return {
+      statusCode: 502,
+      headers,
+      body: JSON.stringify({ success: false, error: job.error, job: summarizeJob(job) })
+    };
+  }
+
+  const statusUrl = `/.netlify/functions/research-jobs?id=${job.id}`;
+  return {
+    statusCode: 202,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      jobId: job.id,
+      statusUrl: statusUrl,
+      resultUrl: `${statusUrl}&view=result`,
+      job: summarizeJob(job)
+    }, null, 2)
+  };
+}
+
+// Status for polling, or the full module results once the job has finished
+async function readJob(event, headers) {
+  const { id, view } = event.queryStringParameters || {};
+
+  if (!id) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Job id parameter required' })
+    };
+  }
+
+  const job = await getJob(id);
+  if (!job) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ success: false, error: `Research job ${id} not found or expired` })
+    };
+  }
+
+  if (view !== 'result') {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, job: summarizeJob(job) }, null, 2)
+    };
+  }
+
+  if (!isJobFinished(job)) {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({ success: false, error: 'Research job is still running', job: summarizeJob(job) })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      job: summarizeJob(job),
+      results: job.results,
+      failedModules: job.failedModules
+    }, null, 2)
+  };
+}
+
+// Invoke the background function, which Netlify acknowledges with 202 and runs for up to 15 minutes
+async function dispatchJob(event, jobId) {
+  const requestHeaders = event.headers || {};
+  const baseUrl = requestHeaders.host
+    ? `${requestHeaders['x-forwarded-proto'] || 'https'}://${requestHeaders.host}`
+    : process.env.URL;
+
+  if (!baseUrl) {
+    throw new Error('Site URL unknown');
+  }
+
+  const response = await fetch(`${baseUrl}/.netlify/functions/research-job-background`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jobId: jobId })
+  });
+
+  if (!response.ok) {
+    throw new Error(`background function returned ${response.status}`);
+  }
+}
@@ -0,0 +1,102 @@
+// FILE PATH: netlify/functions/research-library.js
+// Research Library API for Enterprise Architecture AI Agents
+// POST saves a finished run; GET lists and filters saved runs (or GET ?id= reopens one); PATCH ?id= retags and DELETE ?id= removes a run
+
+const { saveRun, getRun, updateRunTags, deleteRun, listRuns } = require('./lib/library-store');
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, GET, PATCH, DELETE, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    const params = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'POST') {
+      const run = await saveRun(JSON.parse(event.body || '{}'));
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({ success: true, run: run }, null, 2)
+      };
+    }
+
+    if (event.httpMethod === 'GET' && !params.id) {
+      const result = await listRuns(params);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, ...result }, null, 2)
+      };
+    }
+
+    if (['GET', 'PATCH', 'DELETE'].includes(event.httpMethod)) {
+      return await updateRun(event, params.id, headers);
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Research library request failed: ' + error.message
+      })
+    };
+  }
+};
+
+// Read, retag or delete a single saved run
+async function updateRun(event, id, headers) {
+  if (!id) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Run id parameter required' })
+    };
+  }
+
+  let run;
+  if (event.httpMethod === 'GET') {
+    run = await getRun(id);
+  } else if (event.httpMethod === 'PATCH') {
+    const { tags } = JSON.parse(event.body || '{}');
+    if (!Array.isArray(tags)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'tags array required' })
+      };
+    }
+    run = await updateRunTags(id, tags);
+  } else {
+    run = await deleteRun(id) ? { id: id } : null;
+  }
+
+  if (!run) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ success: false, error: `Saved run ${id} not found` })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ success: true, run: run }, null, 2)
+  };
+}
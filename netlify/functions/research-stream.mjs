@@ -0,0 +1,92 @@
+// FILE PATH: netlify/functions/research-stream.mjs
+// Streaming Research Module Endpoint for Enterprise Architecture AI Agents
+// Runs one analysis module and streams its model tokens and completion as Server-Sent Events
+// Written against the Netlify Functions v2 API (ESM, web Response) because Lambda-style handlers cannot stream a body
+
+import researchRunner from './lib/research-runner.js';
+
+const { findModule, invokeModule } = researchRunner;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+export default async (req, context) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('', { status: 200, headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch (error) {
+    return jsonResponse(400, { error: 'Request body must be JSON' });
+  }
+
+  // Body is a module request as sent to the module's own function, plus the module name
+  const { module: moduleName, ...modulePayload } = body;
+  const module = findModule(moduleName);
+
+  if (!module) {
+    return jsonResponse(400, { error: `Unknown research module: ${moduleName}` });
+  }
+
+  if (!modulePayload.technology) {
+    return jsonResponse(400, { error: 'Technology parameter required' });
+  }
+
+  const encoder = new TextEncoder();
+  let cancelled = false;
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        if (!cancelled) {
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        }
+      };
+
+      send('module-started', { module: module.name, title: module.title });
+
+      try {
+        const result = await invokeModule(module, modulePayload, (text, call) => send('token', { text, call }));
+        send('module-completed', { module: module.name, result });
+      } catch (error) {
+        send('module-failed', { module: module.name, error: error.message, retryable: error.retryable !== false });
+      }
+
+      if (!cancelled) {
+        controller.close();
+      }
+    },
+
+    // The browser aborted (timeout or closed modal); the module finishes but nothing more is sent
+    cancel() {
+      cancelled = true;
+    }
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    }
+  });
+};
+
+// JSON error response for requests rejected before streaming starts
+function jsonResponse(statusCode, body) {
+  return new Response(JSON.stringify(body), {
+    status: statusCode,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
@@ -0,0 +1,363 @@
+// FILE PATH: netlify/functions/research-synthesis.js
+// Research Synthesis Module for Enterprise Architecture AI Agents
+// Turns the completed module outputs into recommendations, risks, readiness and a phase plan, each traced to the module finding it came from
+
+const { callStructuredLLM } = require('./lib/structured-output');
+const { resolveDepth } = require('./lib/analysis-depth');
+const { lookupCache, storeCache } = require('./lib/response-cache');
+const { normalizeOrganizationProfile, buildOrganizationContext } = require('./lib/organization-profile');
+
+// Findings and contradictions accepted per request, and characters of each module's analysis passed to the model
+const MAX_FINDINGS = 12;
+const MAX_CONTRADICTIONS = 10;
+const EXCERPT_CHARS = 1500;
+
+const READINESS_LEVELS = ['Low', 'Moderate', 'High'];
+const RISK_SEVERITIES = ['High', 'Medium', 'Low'];
+
+// Traced item fields shared by every synthesised entry; source is limited to the modules supplied
+function tracedProperties(sources) {
+  return {
+    justification: { type: 'string', description: 'One sentence naming the module finding this is based on' },
+    source: { type: 'string', enum: sources, description: 'Key of the module the justifying finding came from' }
+  };
+}
+
+// JSON contract for the synthesis - built per request so sources can only name modules that returned data.
+// Reconciliations are only requested when the caller flagged contradictions between modules
+function buildSynthesisSchema(sources, contradictions) {
+  const schema = {
+    type: 'object',
+    required: ['recommendations', 'risks', 'readiness', 'phases'],
+    properties: {
+      recommendations: {
+        type: 'array',
+        minItems: 3,
+        maxItems: 6,
+        items: {
+          type: 'object',
+          required: ['recommendation', 'justification', 'source'],
+          properties: {
+            recommendation: { type: 'string', description: 'Specific, actionable recommendation for this technology and organization' },
+            ...tracedProperties(sources)
+          }
+        }
+      },
+      risks: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 6,
+        items: {
+          type: 'object',
+          required: ['risk', 'severity', 'mitigation', 'justification', 'source'],
+          properties: {
+            risk: { type: 'string' },
+            severity: { type: 'string', enum: RISK_SEVERITIES },
+            mitigation: { type: 'string' },
+            ...tracedProperties(sources)
+          }
+        }
+      },
+      readiness: {
+        type: 'object',
+        required: ['level', 'justification', 'source'],
+        properties: {
+          level: { type: 'string', enum: READINESS_LEVELS, description: 'Enterprise readiness to adopt the technology now' },
+          ...tracedProperties(sources)
+        }
+      },
+      phases: {
+        type: 'array',
+        minItems: 2,
+        maxItems: 6,
+        items: {
+          type: 'object',
+          required: ['phase', 'startMonth', 'durationMonths', 'description', 'justification', 'source'],
+          properties: {
+            phase: { type: 'string', description: 'Short phase name' },
+            startMonth: { type: 'integer', minimum: 0, maximum: 120, description: 'Months after programme start the phase begins' },
+            durationMonths: { type: ['integer', 'null'], minimum: 1, maximum: 60, description: 'Phase length in months; null for an ongoing phase' },
+            description: { type: 'string' },
+            ...tracedProperties(sources)
+          }
+        }
+      }
+    }
+  };
+
+  if (contradictions.length > 0) {
+    schema.required.push('reconciliations');
+    schema.properties.reconciliations = {
+      type: 'array',
+      minItems: contradictions.length,
+      maxItems: contradictions.length,
+      items: {
+        type: 'object',
+        required: ['id', 'resolution', 'preferredSource', 'justification'],
+        properties: {
+          id: { type: 'string', enum: contradictions.map(contradiction => contradiction.id) },
+          resolution: { type: 'string', description: 'The figure or position to plan with, and why the modules differ' },
+          preferredSource: { type: ['string', 'null'], enum: [...sources, null], description: 'Module whose figure is more credible; null if neither' },
+          justification: { type: 'string', description: 'One sentence explaining the choice' }
+        }
+      }
+    };
+  }
+
+  return schema;
+}
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const startTime = Date.now();
+    const { technology, provider, model, analysisDepth, organization, findings, contradictions, forceRefresh } = JSON.parse(event.body);
+
+    if (!technology) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Technology parameter required' })
+      };
+    }
+
+    const moduleFindings = normalizeFindings(findings);
+    const moduleContradictions = normalizeContradictions(contradictions, moduleFindings);
+
+    // Serve repeat requests from the response cache unless a refresh is forced
+    const cacheLookup = await lookupCache('research-synthesis', { technology, provider, model, analysisDepth, organization, findings: moduleFindings, contradictions: moduleContradictions }, forceRefresh);
+    if (cacheLookup.hit) {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(cacheLookup.response, null, 2)
+      };
+    }
+
+    // Depth scales the token budget; the synthesis itself stays short
+    const depth = resolveDepth(analysisDepth, 150, 1300);
+
+    // Organization profile decides what is specific about readiness, risks and sequencing
+    const organizationProfile = normalizeOrganizationProfile(organization);
+    const organizationContext = buildOrganizationContext(organizationProfile);
+
+    const sources = moduleFindings.map(finding => finding.source);
+
+    const synthesisPrompt = `Synthesize the enterprise architecture research below into an adoption plan for ${technology}.
+
+${organizationContext}**MODULE FINDINGS**
+${moduleFindings.map(formatFinding).join('\n\n')}
+
+Produce:
+- Recommendations specific to ${technology} and this organization - name vendors, figures, timings or constraints from the findings rather than generic advice
+- Risks with a severity and a concrete mitigation
+- Enterprise readiness (${READINESS_LEVELS.join(', ')}) for adopting ${technology} now
+- A phase plan with start month and duration in months; size and order the phases using the maturity, forecast and vendor findings
+
+Every item needs a one-sentence justification citing the finding it came from and the key of that module as its source (one of: ${sources.join(', ')}). Do not introduce facts that are not in the findings.${depth.guidance ? ` ${depth.guidance}` : ''}${formatContradictions(moduleContradictions)}`;
+
+    const completion = await callStructuredLLM(synthesisPrompt, buildSynthesisSchema(sources, moduleContradictions), {
+      provider: provider,
+      model: model,
+      maxTokens: depth.maxTokens,
+      temperature: 0.3
+    });
+
+    const apiCallTime = completion.apiCallTime;
+    const totalTime = Date.now() - startTime;
+
+    const sourceTitles = {};
+    moduleFindings.forEach(finding => {
+      sourceTitles[finding.source] = finding.title;
+    });
+
+    const phases = buildPhasePlan(completion.data.phases);
+
+    const synthesisData = {
+      technology: technology,
+      recommendations: completion.data.recommendations,
+      risks: sortRisks(completion.data.risks),
+      readiness: completion.data.readiness,
+      phases: phases,
+      totalDuration: describeTotalDuration(phases),
+      reconciliations: completion.data.reconciliations || [],
+      sourceTitles: sourceTitles,
+      summary: `${completion.data.readiness.level} readiness; ${completion.data.recommendations.length} recommendations over ${phases.length} phases.`,
+      timestamp: new Date().toISOString()
+    };
+
+    const result = {
+      success: true,
+      module: 'research-synthesis',
+      technology: technology,
+      timing: {
+        apiCallTime: apiCallTime,
+        totalTime: totalTime,
+        status: totalTime < 5000 ? 'FAST' : totalTime < 8000 ? 'ACCEPTABLE' : 'SLOW'
+      },
+      data: synthesisData,
+      provider: completion.provider,
+      model: completion.model,
+      analysisDepth: depth.depth,
+      organizationProfile: organizationProfile,
+      validation: completion.validation,
+      tokens: completion.usage,
+      timestamp: new Date().toISOString()
+    };
+
+    result.cache = await storeCache(cacheLookup, result);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(result, null, 2)
+    };
+
+  } catch (error) {
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Research synthesis failed: ' + error.message,
+        details: error.details,
+        module: 'research-synthesis'
+      })
+    };
+  }
+};
+
+// Keep findings with a source key and some content, one per module, trimmed to the excerpt limit
+function normalizeFindings(findings) {
+  if (!Array.isArray(findings)) {
+    const error = new Error('findings must be an array of module findings');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const seen = new Set();
+  const normalized = findings
+    .filter(finding => finding && typeof finding.source === 'string' && finding.source.trim())
+    .map(finding => ({
+      source: finding.source.trim(),
+      title: typeof finding.title === 'string' && finding.title.trim() ? finding.title.trim() : finding.source.trim(),
+      summary: typeof finding.summary === 'string' ? finding.summary.trim() : '',
+      facts: finding.facts && typeof finding.facts === 'object' ? finding.facts : null,
+      excerpt: typeof finding.excerpt === 'string' ? finding.excerpt.trim().slice(0, EXCERPT_CHARS) : ''
+    }))
+    .filter(finding => {
+      if (seen.has(finding.source) || !(finding.summary || finding.facts || finding.excerpt)) return false;
+      seen.add(finding.source);
+      return true;
+    });
+
+  if (normalized.length === 0) {
+    const error = new Error('At least one module finding is required');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (normalized.length > MAX_FINDINGS) {
+    const error = new Error(`At most ${MAX_FINDINGS} module findings can be synthesized`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return normalized;
+}
+
+// Keep contradictions that have an ID and only name supplied modules; the model reconciles each one
+function normalizeContradictions(contradictions, findings) {
+  if (contradictions === undefined || contradictions === null) return [];
+  if (!Array.isArray(contradictions)) {
+    const error = new Error('contradictions must be an array');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const sources = new Set(findings.map(finding => finding.source));
+  const normalized = contradictions
+    .filter(contradiction => contradiction && typeof contradiction.id === 'string' && typeof contradiction.detail === 'string')
+    .map(contradiction => ({
+      id: contradiction.id,
+      label: typeof contradiction.label === 'string' ? contradiction.label : contradiction.id,
+      detail: contradiction.detail,
+      modules: Array.isArray(contradiction.modules) ? contradiction.modules.filter(module => sources.has(module)) : []
+    }))
+    .filter((contradiction, index, list) => contradiction.modules.length >= 2 && list.findIndex(other => other.id === contradiction.id) === index);
+
+  if (normalized.length > MAX_CONTRADICTIONS) {
+    const error = new Error(`At most ${MAX_CONTRADICTIONS} contradictions can be reconciled`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return normalized;
+}
+
+// Prompt block asking the model to reconcile the contradictions found between module outputs
+function formatContradictions(contradictions) {
+  if (contradictions.length === 0) return '';
+
+  return `
+
+**CONTRADICTIONS BETWEEN MODULES**
+The modules were run independently and disagree on the points below. Reconcile each one: say which figure or position to plan with and why, and base the recommendations and phase plan on the reconciled view.
+${contradictions.map(contradiction => `- [${contradiction.id}] ${contradiction.label} (${contradiction.modules.join(' vs ')}): ${contradiction.detail}`).join('\n')}`;
+}
+
+// Prompt block for one module finding
+function formatFinding(finding) {
+  const lines = [`[${finding.source}] ${finding.title}`];
+  if (finding.summary) lines.push(`Summary: ${finding.summary}`);
+  if (finding.facts) lines.push(`Facts: ${JSON.stringify(finding.facts)}`);
+  if (finding.excerpt) lines.push(`Excerpt: ${finding.excerpt}`);
+  return lines.join('\n');
+}
+
+// Order phases by start month and add a display duration
+function buildPhasePlan(phases) {
+  return [...phases]
+    .sort((a, b) => a.startMonth - b.startMonth)
+    .map(phase => ({
+      ...phase,
+      duration: phase.durationMonths === null
+        ? 'Ongoing'
+        : `${phase.durationMonths} month${phase.durationMonths === 1 ? '' : 's'}`
+    }));
+}
+
+// Overall programme length from the end of the last bounded phase
+function describeTotalDuration(phases) {
+  const bounded = phases.filter(phase => phase.durationMonths !== null);
+  if (bounded.length === 0) return 'Ongoing';
+
+  const months = Math.max(...bounded.map(phase => phase.startMonth + phase.durationMonths));
+  const ongoing = bounded.length < phases.length;
+  return `${months} months${ongoing ? ', then ongoing' : ''}`;
+}
+
+// Highest severity first, keeping the model's order within a severity
+function sortRisks(risks) {
+  return risks
+    .map((risk, index) => ({ risk, index }))
+    .sort((a, b) => RISK_SEVERITIES.indexOf(a.risk.severity) - RISK_SEVERITIES.indexOf(b.risk.severity) || a.index - b.index)
+    .map(entry => entry.risk);
+}
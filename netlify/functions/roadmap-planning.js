@@ -0,0 +1,453 @@
+// FILE PATH: netlify/functions/roadmap-planning.js
+// Roadmap Planning Agent for Enterprise Architecture AI Agents
+// Schedules initiatives by dependency and resource capacity (critical path, resource levelling) and asks the model for sequencing rationale and milestones
+
+const { callStructuredLLM } = require('./lib/structured-output');
+const { resolveDepth } = require('./lib/analysis-depth');
+const { lookupCache, storeCache } = require('./lib/response-cache');
+const { normalizeOrganizationProfile, buildOrganizationContext } = require('./lib/organization-profile');
+const { normalizeInitiatives, normalizeCapacity, criticalPath, levelResources, resourceProfile } = require('./lib/schedule-planner');
+
+const RECOMMENDATION_TYPES = ['resequence', 'parallelize', 'add-capacity', 'split', 'descope', 'accelerate'];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// JSON contract for the roadmap narrative - the schedule itself is computed, the model explains and annotates it
+const ROADMAP_SCHEMA = {
+  type: 'object',
+  required: ['analysis', 'summary', 'sequencing', 'milestones', 'recommendations'],
+  properties: {
+    analysis: {
+      type: 'string',
+      description: 'Narrative roadmap analysis in markdown using the bold section headings requested above'
+    },
+    summary: { type: 'string', description: 'Two-sentence executive summary of the roadmap and its critical path' },
+    sequencing: {
+      type: 'array',
+      description: 'One entry per initiative',
+      items: {
+        type: 'object',
+        required: ['initiativeId', 'rationale'],
+        properties: {
+          initiativeId: { type: 'string' },
+          rationale: { type: 'string', description: 'Why the initiative sits where it does in the sequence' }
+        }
+      }
+    },
+    milestones: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'initiativeId', 'successCriteria'],
+        properties: {
+          name: { type: 'string' },
+          initiativeId: { type: 'string', description: 'The milestone falls due when this initiative completes' },
+          successCriteria: { type: 'string' }
+        }
+      }
+    },
+    recommendations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'initiativeIds', 'suggestion'],
+        properties: {
+          type: { type: 'string', enum: RECOMMENDATION_TYPES },
+          initiativeIds: { type: 'array', items: { type: 'string' } },
+          suggestion: { type: 'string', description: 'A concrete change to shorten the timeline or reduce resource risk' }
+        }
+      }
+    }
+  }
+};
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const startTime = Date.now();
+    const { technology, initiatives, capacity, forecastPhases, startDate, provider, model, analysisDepth, organization, forceRefresh } = JSON.parse(event.body);
+
+    if (!technology) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Technology parameter required' })
+      };
+    }
+
+    // 5-year-forecast phases stand in for initiatives when none are given
+    const plannedInitiatives = Array.isArray(initiatives) && initiatives.length > 0
+      ? normalizeInitiatives(initiatives)
+      : normalizeInitiatives(phasesToInitiatives(forecastPhases));
+    const resourceCapacity = normalizeCapacity(capacity);
+    const roadmapStart = resolveStartDate(startDate);
+
+    // Serve repeat requests from the response cache unless a refresh is forced
+    const cacheLookup = await lookupCache('roadmap-planning', {
+      technology, plannedInitiatives, resourceCapacity, roadmapStart, provider, model, analysisDepth, organization
+    }, forceRefresh);
+    if (cacheLookup.hit) {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(cacheLookup.response, null, 2)
+      };
+    }
+
+    const unconstrained = criticalPath(plannedInitiatives);
+    const levelled = levelResources(unconstrained.initiatives, resourceCapacity);
+    const schedule = buildSchedule(levelled, unconstrained, resourceCapacity, roadmapStart);
+
+    // Depth scales word limit, token budget and level of detail
+    const depth = resolveDepth(analysisDepth, 300, 2050);
+
+    // Organization profile tailors sequencing advice (industry, regulation, stack, risk appetite)
+    const organizationProfile = normalizeOrganizationProfile(organization);
+    const organizationContext = buildOrganizationContext(organizationProfile);
+
+    const roadmapPrompt = `Review this computed multi-year roadmap for ${technology} and explain its sequencing.
+
+${organizationContext}${buildScheduleContext(schedule)}Provide:
+
+**SEQUENCING RATIONALE**
+- For every initiative (by id), why it is sequenced where it is: dependencies, capacity, value delivery and risk
+
+**CRITICAL PATH**
+- What drives the critical path and where the schedule is most fragile
+
+**RESOURCE PLAN**
+- Capacity pressure points and how levelling shifted initiatives
+
+**MILESTONES**
+- Four to eight business-meaningful milestones, each tied to the initiative whose completion marks it, with success criteria
+
+**OPTIMIZATION**
+- Concrete changes that would shorten the timeline or reduce delivery risk
+
+Keep the narrative analysis under ${depth.words} words.${depth.guidance ? ` ${depth.guidance}` : ''} Refer to initiatives by the ids given. Do not change the schedule; start and finish months are calculated.`;
+
+    const completion = await callStructuredLLM(roadmapPrompt, ROADMAP_SCHEMA, {
+      provider: provider,
+      model: model,
+      maxTokens: depth.maxTokens,
+      temperature: 0.2
+    });
+
+    const { milestones, recommendations } = annotateSchedule(schedule, completion.data, roadmapStart);
+
+    const roadmapData = {
+      technology: technology,
+      source: Array.isArray(initiatives) && initiatives.length > 0 ? 'initiatives' : '5-year-forecast',
+      startDate: roadmapStart,
+      analysis: completion.data.analysis,
+      summary: completion.data.summary,
+      schedule: schedule,
+      milestones: milestones,
+      recommendations: recommendations,
+      chartData: generateGanttChartData(schedule, technology),
+      resourceChartData: generateResourceChartData(schedule),
+      timestamp: new Date().toISOString()
+    };
+
+    const totalTime = Date.now() - startTime;
+
+    const result = {
+      success: true,
+      module: 'roadmap-planning',
+      technology: technology,
+      timing: {
+        apiCallTime: completion.apiCallTime,
+        totalTime: totalTime,
+        status: totalTime < 8000 ? 'FAST' : totalTime < 15000 ? 'ACCEPTABLE' : 'SLOW'
+      },
+      data: roadmapData,
+      artifacts: {
+        webSummary: formatWebSummary(roadmapData),
+        chartData: roadmapData.chartData,
+        downloadReady: true
+      },
+      provider: completion.provider,
+      model: completion.model,
+      analysisDepth: depth.depth,
+      organizationProfile: organizationProfile,
+      validation: completion.validation,
+      tokens: completion.usage,
+      timestamp: new Date().toISOString()
+    };
+
+    result.cache = await storeCache(cacheLookup, result);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(result, null, 2)
+    };
+
+  } catch (error) {
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Roadmap planning failed: ' + error.message,
+        details: error.details,
+        module: 'roadmap-planning'
+      })
+    };
+  }
+};
+
+// Turn 5-year-forecast milestones ({ phase, startYear, endYear, description }) into initiatives;
+// each phase keeps its planned start and follows the latest phase that ends before it begins
+function phasesToInitiatives(phases) {
+  if (!Array.isArray(phases)) {
+    return [];
+  }
+
+  const ordered = phases
+    .filter(phase => phase && phase.phase && Number.isFinite(phase.startYear) && Number.isFinite(phase.endYear))
+    .sort((a, b) => a.startYear - b.startYear || a.endYear - b.endYear);
+
+  return ordered.map((phase, index) => {
+    const predecessor = ordered.slice(0, index).filter(earlier => earlier.endYear < phase.startYear).pop();
+
+    return {
+      id: `phase-${index + 1}`,
+      name: phase.phase,
+      durationMonths: (Math.max(phase.endYear, phase.startYear) - phase.startYear + 1) * 12,
+      notBeforeMonth: (phase.startYear - 1) * 12,
+      dependencies: predecessor ? [`phase-${ordered.indexOf(predecessor) + 1}`] : [],
+      description: phase.description || ''
+    };
+  });
+}
+
+// Roadmap start as YYYY-MM; defaults to the current month
+function resolveStartDate(startDate) {
+  if (typeof startDate === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(startDate)) {
+    return startDate;
+  }
+  const now = new Date();
+  return `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+// Calendar label for a month offset from the roadmap start
+function monthLabel(roadmapStart, offset) {
+  const [year, month] = roadmapStart.split('-').map(Number);
+  const index = (month - 1) + offset;
+  return `${MONTH_NAMES[((index % 12) + 12) % 12]} ${year + Math.floor(index / 12)}`;
+}
+
+// Merge the unconstrained (critical path) and levelled passes into one schedule in start order
+function buildSchedule(levelled, unconstrained, capacity, roadmapStart) {
+  const items = levelled.initiatives
+    .map(initiative => ({
+      id: initiative.id,
+      name: initiative.name,
+      description: initiative.description,
+      durationMonths: initiative.durationMonths,
+      dependencies: initiative.dependencies,
+      resources: initiative.resources,
+      earliestStart: initiative.earliestStart,
+      latestStart: initiative.latestStart,
+      slackMonths: initiative.slackMonths,
+      critical: initiative.critical,
+      start: initiative.start,
+      finish: initiative.finish,
+      delayMonths: initiative.delayMonths,
+      startLabel: monthLabel(roadmapStart, initiative.start),
+      finishLabel: monthLabel(roadmapStart, initiative.finish - 1),
+      overallocated: levelled.overallocated.includes(initiative.id)
+    }))
+    .sort((a, b) => a.start - b.start || a.finish - b.finish);
+
+  return {
+    initiatives: items,
+    totalMonths: levelled.projectMonths,
+    unconstrainedMonths: unconstrained.projectMonths,
+    levellingDelayMonths: levelled.projectMonths - unconstrained.projectMonths,
+    criticalPath: unconstrained.criticalPath,
+    capacity: capacity,
+    resourceProfile: resourceProfile(items, capacity, levelled.projectMonths),
+    overallocated: levelled.overallocated,
+    endLabel: monthLabel(roadmapStart, levelled.projectMonths - 1)
+  };
+}
+
+// Prompt section listing the computed schedule
+function buildScheduleContext(schedule) {
+  const describeResources = resources => Object.entries(resources).map(([pool, units]) => `${pool} ${units}`).join(', ') || 'none';
+  const capacityLine = Object.keys(schedule.capacity).length > 0
+    ? `Capacity per month: ${describeResources(schedule.capacity)}.`
+    : 'No resource capacity limits were given.';
+
+  return `**COMPUTED SCHEDULE** (months from roadmap start)
+${schedule.initiatives.map(item => `- ${item.id} "${item.name}": ${item.durationMonths} months, months ${item.start}-${item.finish}, depends on [${item.dependencies.join(', ')}], resources ${describeResources(item.resources)}, slack ${item.slackMonths}${item.critical ? ', CRITICAL' : ''}${item.delayMonths > 0 ? `, delayed ${item.delayMonths} months by capacity` : ''}${item.overallocated ? ', EXCEEDS CAPACITY on its own' : ''}`).join('\n')}
+Critical path: ${schedule.criticalPath.join(' -> ')} (${schedule.unconstrainedMonths} months unconstrained, ${schedule.totalMonths} months after resource levelling).
+${capacityLine}
+
+`;
+}
+
+// Attach model rationale to initiatives, date the milestones and return them with the recommendations; unknown initiative ids are dropped
+function annotateSchedule(schedule, narrative, roadmapStart) {
+  const byId = new Map(schedule.initiatives.map(item => [item.id, item]));
+
+  schedule.initiatives.forEach(item => {
+    const entry = narrative.sequencing.find(sequence => sequence.initiativeId === item.id);
+    item.rationale = entry ? entry.rationale : '';
+  });
+
+  const milestones = narrative.milestones
+    .filter(milestone => byId.has(milestone.initiativeId))
+    .map(milestone => {
+      const initiative = byId.get(milestone.initiativeId);
+      return {
+        name: milestone.name,
+        initiativeId: initiative.id,
+        initiative: initiative.name,
+        month: initiative.finish,
+        dueLabel: monthLabel(roadmapStart, initiative.finish - 1),
+        critical: initiative.critical,
+        successCriteria: milestone.successCriteria
+      };
+    })
+    .sort((a, b) => a.month - b.month);
+
+  const recommendations = narrative.recommendations.map(recommendation => ({
+    ...recommendation,
+    initiativeIds: recommendation.initiativeIds.filter(id => byId.has(id))
+  }));
+
+  return { milestones, recommendations };
+}
+
+// Gantt as Chart.js floating horizontal bars: levelled schedule, critical initiatives highlighted, levelling delay shown ahead of the bar
+function generateGanttChartData(schedule, technology) {
+  const items = schedule.initiatives;
+
+  return {
+    type: 'gantt',
+    title: `${technology} Roadmap - ${schedule.totalMonths} months to ${schedule.endLabel}`,
+    data: {
+      labels: items.map(item => item.name),
+      datasets: [
+        {
+          label: 'Critical Path',
+          data: items.map(item => item.critical ? [item.start, item.finish] : null),
+          backgroundColor: '#e74c3c',
+          grouped: false
+        },
+        {
+          label: 'Scheduled',
+          data: items.map(item => item.critical ? null : [item.start, item.finish]),
+          backgroundColor: '#3498db',
+          grouped: false
+        },
+        {
+          label: 'Levelling Delay',
+          data: items.map(item => item.delayMonths > 0 ? [item.earliestStart, item.start] : null),
+          backgroundColor: 'rgba(243, 156, 18, 0.35)',
+          grouped: false
+        }
+      ]
+    },
+    options: {
+      indexAxis: 'y',
+      responsive: true,
+      skipNull: true,
+      scales: {
+        x: {
+          min: 0,
+          max: schedule.totalMonths,
+          ticks: { stepSize: 6 },
+          title: {
+            display: true,
+            text: 'Months from start'
+          }
+        }
+      }
+    }
+  };
+}
+
+// Monthly demand per resource pool against its capacity
+function generateResourceChartData(schedule) {
+  const colors = ['#3498db', '#27ae60', '#9b59b6', '#e67e22', '#1abc9c', '#34495e'];
+  const datasets = [];
+
+  schedule.resourceProfile.forEach((profile, index) => {
+    const color = colors[index % colors.length];
+    datasets.push({
+      label: profile.pool,
+      data: profile.monthly,
+      borderColor: color,
+      backgroundColor: color,
+      stepped: true
+    });
+    if (profile.capacity !== null) {
+      datasets.push({
+        label: `${profile.pool} capacity`,
+        data: profile.monthly.map(() => profile.capacity),
+        borderColor: color,
+        borderDash: [6, 4],
+        pointRadius: 0
+      });
+    }
+  });
+
+  return {
+    type: 'resource-profile',
+    title: 'Resource Demand by Month',
+    data: {
+      labels: Array.from({ length: schedule.totalMonths }, (_, month) => `M${month + 1}`),
+      datasets: datasets
+    },
+    options: {
+      responsive: true,
+      scales: {
+        y: {
+          beginAtZero: true,
+          title: {
+            display: true,
+            text: 'Units'
+          }
+        }
+      }
+    }
+  };
+}
+
+// Format data for web summary display
+function formatWebSummary(roadmapData) {
+  const { schedule } = roadmapData;
+  const names = new Map(schedule.initiatives.map(item => [item.id, item.name]));
+
+  return {
+    title: `${roadmapData.technology} Roadmap`,
+    summary: roadmapData.summary,
+    duration: `${schedule.totalMonths} months (${roadmapData.startDate} to ${schedule.endLabel})`,
+    criticalPath: schedule.criticalPath.map(id => names.get(id)),
+    levellingDelayMonths: schedule.levellingDelayMonths,
+    overallocated: schedule.overallocated.map(id => names.get(id)),
+    milestones: roadmapData.milestones.map(milestone => `${milestone.name} (${milestone.dueLabel})`)
+  };
+}
@@ -0,0 +1,503 @@
+// FILE PATH: netlify/functions/strategic-analysis.js
+// Strategic Analysis Agent for Enterprise Architecture AI Agents
+// Builds a business case with quantified benefits, an ROI/NPV/payback model, a likelihood-impact risk matrix and a phased roadmap
+
+const { callStructuredLLM } = require('./lib/structured-output');
+const { resolveDepth } = require('./lib/analysis-depth');
+const { lookupCache, storeCache } = require('./lib/response-cache');
+const { normalizeOrganizationProfile, buildOrganizationContext } = require('./lib/organization-profile');
+const { summarizeCashFlows, resolveFinancialSettings, formatMoney, roundMoney, roundTo } = require('./lib/financial-model');
+
+const BENEFIT_CATEGORIES = ['revenue', 'cost-savings', 'risk-reduction', 'productivity', 'other'];
+const RISK_CATEGORIES = ['technical', 'financial', 'organizational', 'regulatory', 'vendor', 'security', 'operational'];
+
+// Benefits are discounted by confidence for the risk-adjusted view
+const CONFIDENCE_WEIGHTS = { high: 1, medium: 0.75, low: 0.5 };
+
+const LIKELIHOOD_LABELS = ['Rare', 'Unlikely', 'Possible', 'Likely', 'Almost Certain'];
+const IMPACT_LABELS = ['Negligible', 'Minor', 'Moderate', 'Major', 'Severe'];
+
+// JSON contract for the strategic analysis - narrative plus the typed inputs of the financial model, risks and roadmap
+const STRATEGIC_SCHEMA = {
+  type: 'object',
+  required: ['analysis', 'summary', 'recommendation', 'businessCase', 'risks', 'roadmap'],
+  properties: {
+    analysis: {
+      type: 'string',
+      description: 'Narrative strategic analysis in markdown using the bold section headings requested above'
+    },
+    summary: { type: 'string', description: 'Two-sentence executive summary ending with the recommendation' },
+    recommendation: { type: 'string', enum: ['proceed', 'proceed-with-conditions', 'defer', 'do-not-proceed'] },
+    businessCase: {
+      type: 'object',
+      required: ['problemStatement', 'objectiveAlignment', 'benefits', 'oneTimeCosts', 'recurringCosts'],
+      properties: {
+        problemStatement: { type: 'string' },
+        objectiveAlignment: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['objective', 'contribution'],
+            properties: {
+              objective: { type: 'string' },
+              contribution: { type: 'string', description: 'How the technology advances this objective' }
+            }
+          }
+        },
+        benefits: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['name', 'category', 'annualValue', 'startYear', 'rampUpYears', 'confidence', 'assumption'],
+            properties: {
+              name: { type: 'string' },
+              category: { type: 'string', enum: BENEFIT_CATEGORIES },
+              annualValue: { type: 'number', minimum: 0, description: 'Full annual value once ramped up, in the budget currency' },
+              startYear: { type: 'integer', minimum: 1, maximum: 10 },
+              rampUpYears: { type: 'integer', minimum: 1, maximum: 5, description: 'Years to reach the full annual value' },
+              confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+              assumption: { type: 'string', description: 'The assumption behind the figure' }
+            }
+          }
+        },
+        oneTimeCosts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['item', 'amount', 'year'],
+            properties: {
+              item: { type: 'string' },
+              amount: { type: 'number', minimum: 0 },
+              year: { type: 'integer', minimum: 0, maximum: 10, description: '0 for upfront investment' }
+            }
+          }
+        },
+        recurringCosts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['item', 'annualAmount', 'startYear'],
+            properties: {
+              item: { type: 'string' },
+              annualAmount: { type: 'number', minimum: 0 },
+              startYear: { type: 'integer', minimum: 1, maximum: 10 }
+            }
+          }
+        }
+      }
+    },
+    risks: {
+      type: 'array',
+      minItems: 3,
+      items: {
+        type: 'object',
+        required: ['risk', 'category', 'likelihood', 'impact', 'mitigation'],
+        properties: {
+          risk: { type: 'string' },
+          category: { type: 'string', enum: RISK_CATEGORIES },
+          likelihood: { type: 'integer', minimum: 1, maximum: 5, description: '1 = rare, 5 = almost certain' },
+          impact: { type: 'integer', minimum: 1, maximum: 5, description: '1 = negligible, 5 = severe' },
+          mitigation: { type: 'string' }
+        }
+      }
+    },
+    roadmap: {
+      type: 'array',
+      minItems: 2,
+      items: {
+        type: 'object',
+        required: ['name', 'startMonth', 'durationMonths', 'objectives', 'milestones'],
+        properties: {
+          name: { type: 'string', description: 'e.g. Discovery, Pilot, Rollout, Scale, Optimize' },
+          startMonth: { type: 'integer', minimum: 0, description: 'Months from programme start' },
+          durationMonths: { type: 'integer', minimum: 1 },
+          objectives: { type: 'array', items: { type: 'string' } },
+          milestones: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const startTime = Date.now();
+    const { technology, objectives, budget, horizonYears, discountRate, provider, model, analysisDepth, organization, forceRefresh } = JSON.parse(event.body);
+
+    if (!technology) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Technology parameter required' })
+      };
+    }
+
+    const businessObjectives = normalizeObjectives(objectives);
+    const budgetConstraints = normalizeBudget(budget);
+    const financialSettings = resolveFinancialSettings(horizonYears, discountRate);
+
+    // Serve repeat requests from the response cache unless a refresh is forced
+    const cacheLookup = await lookupCache('strategic-analysis', {
+      technology, businessObjectives, budgetConstraints, financialSettings, provider, model, analysisDepth, organization
+    }, forceRefresh);
+    if (cacheLookup.hit) {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(cacheLookup.response, null, 2)
+      };
+    }
+
+    // Depth scales word limit, token budget and level of detail
+    const depth = resolveDepth(analysisDepth, 400, 1900);
+
+    // Organization profile tailors every section (industry, regulation, stack, risk appetite)
+    const organizationProfile = normalizeOrganizationProfile(organization);
+    const organizationContext = buildOrganizationContext(organizationProfile);
+
+    const strategicPrompt = `Develop an enterprise business case and strategic analysis for adopting ${technology}.
+
+${organizationContext}${buildConstraintContext(businessObjectives, budgetConstraints, financialSettings)}Provide:
+
+**BUSINESS CASE**
+- The problem or opportunity ${technology} addresses
+- How it advances each stated business objective
+
+**QUANTIFIED BENEFITS**
+- Each benefit with a realistic annual value in ${budgetConstraints.currency}, the year it starts, its ramp-up and the assumption behind it
+
+**COSTS**
+- One-time costs (licences, implementation, migration, training) and recurring costs (subscriptions, operations, support) in ${budgetConstraints.currency}
+
+**RISK ASSESSMENT**
+- At least five risks, each rated for likelihood and impact on a 1-5 scale, with a mitigation
+
+**IMPLEMENTATION ROADMAP**
+- Three to five phases with start month, duration, objectives and milestones
+
+**RECOMMENDATION**
+- Proceed, proceed with conditions, defer or do not proceed, and why
+
+Keep the narrative analysis under ${depth.words} words.${depth.guidance ? ` ${depth.guidance}` : ''} Give figures only in the typed fields; the financial model (ROI, NPV, payback) is calculated from them, so do not calculate it yourself.`;
+
+    const completion = await callStructuredLLM(strategicPrompt, STRATEGIC_SCHEMA, {
+      provider: provider,
+      model: model,
+      maxTokens: depth.maxTokens,
+      temperature: 0.2
+    });
+
+    const businessCase = completion.data.businessCase;
+    const financialModel = buildFinancialModel(businessCase, financialSettings, budgetConstraints);
+    const riskAssessment = buildRiskMatrix(completion.data.risks);
+    const roadmap = normalizeRoadmap(completion.data.roadmap);
+
+    const strategicData = {
+      technology: technology,
+      objectives: businessObjectives,
+      budget: budgetConstraints,
+      analysis: completion.data.analysis,
+      summary: completion.data.summary,
+      recommendation: completion.data.recommendation,
+      businessCase: businessCase,
+      financialModel: financialModel,
+      riskAssessment: riskAssessment,
+      roadmap: roadmap,
+      chartData: generateCashFlowChartData(financialModel, technology),
+      timestamp: new Date().toISOString()
+    };
+
+    const totalTime = Date.now() - startTime;
+
+    const result = {
+      success: true,
+      module: 'strategic-analysis',
+      technology: technology,
+      timing: {
+        apiCallTime: completion.apiCallTime,
+        totalTime: totalTime,
+        status: totalTime < 8000 ? 'FAST' : totalTime < 15000 ? 'ACCEPTABLE' : 'SLOW'
+      },
+      data: strategicData,
+      artifacts: {
+        webSummary: formatWebSummary(strategicData),
+        chartData: strategicData.chartData,
+        downloadReady: true
+      },
+      provider: completion.provider,
+      model: completion.model,
+      analysisDepth: depth.depth,
+      organizationProfile: organizationProfile,
+      validation: completion.validation,
+      tokens: completion.usage,
+      timestamp: new Date().toISOString()
+    };
+
+    result.cache = await storeCache(cacheLookup, result);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(result, null, 2)
+    };
+
+  } catch (error) {
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Strategic analysis failed: ' + error.message,
+        details: error.details,
+        module: 'strategic-analysis'
+      })
+    };
+  }
+};
+
+// Accept objectives as an array or one per line
+function normalizeObjectives(objectives) {
+  const items = Array.isArray(objectives) ? objectives : (typeof objectives === 'string' ? objectives.split('\n') : []);
+  return items.map(item => String(item).trim()).filter(Boolean).slice(0, 10);
+}
+
+// Budget constraints with non-negative amounts; missing limits stay null
+function normalizeBudget(budget) {
+  const amount = value => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+  };
+  const raw = budget || {};
+
+  return {
+    currency: typeof raw.currency === 'string' && /^[A-Z]{3}$/.test(raw.currency) ? raw.currency : 'USD',
+    capex: amount(raw.capex),
+    annualOpex: amount(raw.annualOpex),
+    maxPaybackMonths: amount(raw.maxPaybackMonths)
+  };
+}
+
+// Prompt section stating objectives, budget limits and the modelling horizon
+function buildConstraintContext(objectives, budget, settings) {
+  const lines = [];
+  if (objectives.length > 0) {
+    lines.push(`Business objectives:\n${objectives.map(objective => `- ${objective}`).join('\n')}`);
+  }
+
+  const limits = [];
+  if (budget.capex !== null) limits.push(`one-time investment of at most ${formatMoney(budget.capex, budget.currency)}`);
+  if (budget.annualOpex !== null) limits.push(`recurring costs of at most ${formatMoney(budget.annualOpex, budget.currency)} per year`);
+  if (budget.maxPaybackMonths !== null) limits.push(`payback within ${budget.maxPaybackMonths} months`);
+  if (limits.length > 0) {
+    lines.push(`Budget constraints: ${limits.join(', ')}. Scope the programme to fit them, or say plainly that it cannot.`);
+  }
+
+  lines.push(`Model a ${settings.horizonYears}-year horizon with all amounts in ${budget.currency}.`);
+
+  return `**CONSTRAINTS**
+${lines.join('\n')}
+
+`;
+}
+
+// Yearly cash flows from the typed business case, then ROI, NPV, IRR and payback over the horizon
+function buildFinancialModel(businessCase, settings, budget) {
+  const years = Array.from({ length: settings.horizonYears + 1 }, (_, year) => year);
+
+  const benefitInYear = (benefit, year) => {
+    if (year < benefit.startYear) return 0;
+    return benefit.annualValue * Math.min(1, (year - benefit.startYear + 1) / benefit.rampUpYears);
+  };
+
+  const rows = years.map(year => {
+    const benefits = businessCase.benefits.reduce((total, benefit) => total + benefitInYear(benefit, year), 0);
+    const riskAdjustedBenefits = businessCase.benefits.reduce((total, benefit) =>
+      total + benefitInYear(benefit, year) * CONFIDENCE_WEIGHTS[benefit.confidence], 0);
+    const oneTimeCosts = businessCase.oneTimeCosts
+      .filter(cost => cost.year === year)
+      .reduce((total, cost) => total + cost.amount, 0);
+    const recurringCosts = businessCase.recurringCosts
+      .filter(cost => year >= cost.startYear)
+      .reduce((total, cost) => total + cost.annualAmount, 0);
+
+    return {
+      year: year,
+      benefits: roundMoney(benefits),
+      riskAdjustedBenefits: roundMoney(riskAdjustedBenefits),
+      oneTimeCosts: roundMoney(oneTimeCosts),
+      recurringCosts: roundMoney(recurringCosts),
+      netCashFlow: roundMoney(benefits - oneTimeCosts - recurringCosts)
+    };
+  });
+
+  const netCashFlows = rows.map(row => row.netCashFlow);
+  const riskAdjustedCashFlows = rows.map(row => row.riskAdjustedBenefits - row.oneTimeCosts - row.recurringCosts);
+  const summary = summarizeCashFlows(netCashFlows, settings.discountRate);
+  rows.forEach((row, index) => { row.cumulativeCashFlow = summary.cumulative[index]; });
+
+  const totalBenefits = rows.reduce((total, row) => total + row.benefits, 0);
+  const totalCosts = rows.reduce((total, row) => total + row.oneTimeCosts + row.recurringCosts, 0);
+  const totalOneTime = rows.reduce((total, row) => total + row.oneTimeCosts, 0);
+  const peakRecurring = Math.max(...rows.map(row => row.recurringCosts));
+
+  return {
+    currency: budget.currency,
+    horizonYears: settings.horizonYears,
+    discountRatePercent: settings.discountRate,
+    years: rows,
+    totals: {
+      benefits: totalBenefits,
+      costs: totalCosts,
+      oneTimeCosts: totalOneTime,
+      peakRecurringCosts: peakRecurring
+    },
+    roiPercent: totalCosts > 0 ? roundTo((totalBenefits - totalCosts) / totalCosts * 100, 1) : null,
+    npv: summary.npv,
+    riskAdjustedNpv: summarizeCashFlows(riskAdjustedCashFlows, settings.discountRate).npv,
+    irrPercent: summary.irrPercent,
+    paybackMonths: summary.paybackMonths,
+    budgetFit: {
+      withinCapex: budget.capex === null ? null : totalOneTime <= budget.capex,
+      withinOpex: budget.annualOpex === null ? null : peakRecurring <= budget.annualOpex,
+      withinPayback: budget.maxPaybackMonths === null ? null : summary.paybackMonths !== null && summary.paybackMonths <= budget.maxPaybackMonths
+    }
+  };
+}
+
+// Number the risks, score them (likelihood x impact) and place them on a 5x5 matrix
+function buildRiskMatrix(risks) {
+  const scoredRisks = risks
+    .map(risk => {
+      const score = risk.likelihood * risk.impact;
+      return { ...risk, score: score, severity: score >= 15 ? 'high' : score >= 8 ? 'medium' : 'low' };
+    })
+    .sort((a, b) => b.score - a.score)
+    .map((risk, index) => ({ id: `R${index + 1}`, ...risk }));
+
+  const cells = [];
+  for (let impact = 5; impact >= 1; impact--) {
+    for (let likelihood = 1; likelihood <= 5; likelihood++) {
+      const score = likelihood * impact;
+      cells.push({
+        likelihood: likelihood,
+        impact: impact,
+        severity: score >= 15 ? 'high' : score >= 8 ? 'medium' : 'low',
+        riskIds: scoredRisks.filter(risk => risk.likelihood === likelihood && risk.impact === impact).map(risk => risk.id)
+      });
+    }
+  }
+
+  return {
+    risks: scoredRisks,
+    matrix: {
+      likelihoodLabels: LIKELIHOOD_LABELS,
+      impactLabels: IMPACT_LABELS,
+      cells: cells
+    },
+    counts: {
+      high: scoredRisks.filter(risk => risk.severity === 'high').length,
+      medium: scoredRisks.filter(risk => risk.severity === 'medium').length,
+      low: scoredRisks.filter(risk => risk.severity === 'low').length
+    }
+  };
+}
+
+// Order phases by start and add end months
+function normalizeRoadmap(phases) {
+  const orderedPhases = [...phases]
+    .sort((a, b) => a.startMonth - b.startMonth)
+    .map((phase, index) => ({
+      ...phase,
+      phase: index + 1,
+      endMonth: phase.startMonth + phase.durationMonths
+    }));
+
+  return {
+    phases: orderedPhases,
+    totalMonths: Math.max(...orderedPhases.map(phase => phase.endMonth))
+  };
+}
+
+// Annual net cash flow bars with the cumulative position as a line
+function generateCashFlowChartData(financialModel, technology) {
+  return {
+    type: 'cash-flow',
+    title: `${technology} Business Case Cash Flow`,
+    data: {
+      labels: financialModel.years.map(row => row.year === 0 ? 'Upfront' : `Year ${row.year}`),
+      datasets: [
+        {
+          type: 'bar',
+          label: `Net Cash Flow (${financialModel.currency})`,
+          data: financialModel.years.map(row => row.netCashFlow),
+          backgroundColor: financialModel.years.map(row => row.netCashFlow >= 0 ? 'rgba(39, 174, 96, 0.7)' : 'rgba(231, 76, 60, 0.7)')
+        },
+        {
+          type: 'line',
+          label: `Cumulative (${financialModel.currency})`,
+          data: financialModel.years.map(row => row.cumulativeCashFlow),
+          borderColor: '#2c3e50',
+          backgroundColor: 'rgba(44, 62, 80, 0.1)',
+          tension: 0.3
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        title: {
+          display: true,
+          text: `NPV ${formatMoney(financialModel.npv, financialModel.currency)} at ${financialModel.discountRatePercent}% - payback ${financialModel.paybackMonths !== null ? `${financialModel.paybackMonths} months` : 'not reached'}`
+        }
+      },
+      scales: {
+        y: {
+          title: {
+            display: true,
+            text: financialModel.currency
+          }
+        }
+      }
+    }
+  };
+}
+
+// Format data for web summary display
+function formatWebSummary(strategicData) {
+  const financialModel = strategicData.financialModel;
+
+  return {
+    title: `${strategicData.technology} Strategic Analysis`,
+    summary: strategicData.summary,
+    recommendation: strategicData.recommendation,
+    keyMetrics: {
+      npv: formatMoney(financialModel.npv, financialModel.currency),
+      riskAdjustedNpv: formatMoney(financialModel.riskAdjustedNpv, financialModel.currency),
+      roi: financialModel.roiPercent !== null ? `${financialModel.roiPercent}%` : 'n/a',
+      irr: financialModel.irrPercent !== null ? `${financialModel.irrPercent}%` : 'n/a',
+      payback: financialModel.paybackMonths !== null ? `${financialModel.paybackMonths} months` : `Not within ${financialModel.horizonYears} years`
+    },
+    riskCounts: strategicData.riskAssessment.counts,
+    roadmapMonths: strategicData.roadmap.totalMonths
+  };
+}
@@ -0,0 +1,530 @@
+// FILE PATH: netlify/functions/supplier-evaluation.js
+// Supplier Evaluation Agent for Enterprise Architecture AI Agents
+// Scores a vendor shortlist on the 4 P's (People, Process, Platform, Price), models multi-year TCO and builds a side-by-side comparison to seed an RFP
+
+const { callStructuredLLM } = require('./lib/structured-output');
+const { resolveDepth } = require('./lib/analysis-depth');
+const { lookupCache, storeCache } = require('./lib/response-cache');
+const { normalizeOrganizationProfile, buildOrganizationContext } = require('./lib/organization-profile');
+const { npv, resolveFinancialSettings, formatMoney, roundMoney, roundTo } = require('./lib/financial-model');
+
+// The 4 P's, keyed as they appear in the JSON contract and the weights
+const FRAMEWORK = {
+  people: {
+    label: 'People',
+    description: 'Vendor team strength, support and account management, skills availability in the market, cultural fit'
+  },
+  process: {
+    label: 'Process',
+    description: 'Implementation methodology, delivery governance, SLAs, security and compliance processes'
+  },
+  platform: {
+    label: 'Platform',
+    description: 'Functional fit, architecture, integration and APIs, scalability, security, product roadmap'
+  },
+  price: {
+    label: 'Price',
+    description: 'Pricing model transparency, commercial flexibility, contract terms, value for money'
+  }
+};
+
+const TCO_CATEGORIES = {
+  license: 'License / Subscription',
+  implementation: 'Implementation',
+  operations: 'Operations',
+  exit: 'Exit'
+};
+
+const MIN_VENDORS = 2;
+const MAX_VENDORS = 6;
+
+// Vendors kept on the RFP shortlist
+const SHORTLIST_SIZE = 3;
+
+// JSON contract for the evaluation - per-vendor 4 P's scores with rationale and the typed inputs of the TCO model
+const EVALUATION_SCHEMA = {
+  type: 'object',
+  required: ['analysis', 'summary', 'vendors', 'rfpQuestions'],
+  properties: {
+    analysis: {
+      type: 'string',
+      description: 'Narrative evaluation in markdown using the bold section headings requested above'
+    },
+    summary: { type: 'string', description: 'Two-sentence executive summary naming the strongest candidates' },
+    vendors: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'scores', 'strengths', 'weaknesses', 'risks', 'tco'],
+        properties: {
+          name: { type: 'string', description: 'Vendor name exactly as given in the shortlist' },
+          scores: {
+            type: 'object',
+            required: Object.keys(FRAMEWORK),
+            properties: Object.keys(FRAMEWORK).reduce((properties, key) => {
+              properties[key] = {
+                type: 'object',
+                required: ['score', 'rationale'],
+                properties: {
+                  score: { type: 'integer', minimum: 0, maximum: 100 },
+                  rationale: { type: 'string', description: `Brief rationale for the ${FRAMEWORK[key].label} score` }
+                }
+              };
+              return properties;
+            }, {})
+          },
+          strengths: { type: 'array', items: { type: 'string' } },
+          weaknesses: { type: 'array', items: { type: 'string' } },
+          risks: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['risk', 'severity', 'mitigation'],
+              properties: {
+                risk: { type: 'string' },
+                severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+                mitigation: { type: 'string' }
+              }
+            }
+          },
+          tco: {
+            type: 'object',
+            required: ['annualLicense', 'implementation', 'annualOperations', 'exit', 'assumptions'],
+            properties: {
+              annualLicense: { type: 'number', minimum: 0, description: 'Licence or subscription cost per year' },
+              implementation: { type: 'number', minimum: 0, description: 'One-time implementation, migration and training cost' },
+              annualOperations: { type: 'number', minimum: 0, description: 'Internal run cost per year: staff, hosting, support' },
+              exit: { type: 'number', minimum: 0, description: 'One-time cost to leave at the end of the horizon: data migration, termination, re-platforming' },
+              assumptions: { type: 'string', description: 'Sizing and pricing assumptions behind the figures' }
+            }
+          }
+        }
+      }
+    },
+    rfpQuestions: {
+      type: 'array',
+      minItems: 4,
+      items: {
+        type: 'object',
+        required: ['pillar', 'question'],
+        properties: {
+          pillar: { type: 'string', enum: Object.keys(FRAMEWORK) },
+          question: { type: 'string', description: 'A question the RFP should ask every shortlisted vendor' }
+        }
+      }
+    }
+  }
+};
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const startTime = Date.now();
+    const { technology, vendors, weights, requirements, currency, horizonYears, discountRate, provider, model, analysisDepth, organization, forceRefresh } = JSON.parse(event.body);
+
+    if (!technology) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Technology parameter required' })
+      };
+    }
+
+    const shortlist = normalizeVendors(vendors);
+    if (shortlist.length < MIN_VENDORS || shortlist.length > MAX_VENDORS) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Between ${MIN_VENDORS} and ${MAX_VENDORS} vendors required` })
+      };
+    }
+
+    const frameworkWeights = normalizeWeights(weights);
+    const keyRequirements = normalizeRequirements(requirements);
+    const tcoCurrency = typeof currency === 'string' && /^[A-Z]{3}$/.test(currency) ? currency : 'USD';
+    const financialSettings = resolveFinancialSettings(horizonYears, discountRate);
+
+    // Serve repeat requests from the response cache unless a refresh is forced
+    const cacheLookup = await lookupCache('supplier-evaluation', {
+      technology, shortlist, frameworkWeights, keyRequirements, tcoCurrency, financialSettings, provider, model, analysisDepth, organization
+    }, forceRefresh);
+    if (cacheLookup.hit) {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(cacheLookup.response, null, 2)
+      };
+    }
+
+    // Depth scales word limit, token budget and level of detail
+    const depth = resolveDepth(analysisDepth, 350, 2500);
+
+    // Organization profile tailors every score (industry, regulation, stack, risk appetite)
+    const organizationProfile = normalizeOrganizationProfile(organization);
+    const organizationContext = buildOrganizationContext(organizationProfile);
+
+    const evaluationPrompt = `Evaluate this vendor shortlist for ${technology} using the 4 P's framework: ${shortlist.join(', ')}.
+
+${organizationContext}${buildRequirementContext(keyRequirements, frameworkWeights, tcoCurrency, financialSettings)}**4 P'S EVALUATION**
+${Object.entries(FRAMEWORK).map(([key, pillar]) => `- ${pillar.label} (${frameworkWeights[key]}% weight): ${pillar.description}`).join('\n')}
+
+**SCORECARD**
+- Score every vendor 0-100 on each of the four P's with a brief rationale
+- Strengths, weaknesses and vendor-specific risks with mitigations
+
+**TOTAL COST OF OWNERSHIP**
+- For each vendor, realistic annual licence, one-time implementation, annual operations and one-time exit costs in ${tcoCurrency}, with the sizing assumptions
+
+**RFP QUESTIONS**
+- Questions for each of the four P's that would separate the shortlisted vendors
+
+**COMPARISON**
+- How the vendors differ and which trade-offs matter for this organization
+
+Evaluate exactly the vendors listed, using their names as given. Keep the narrative analysis under ${depth.words} words.${depth.guidance ? ` ${depth.guidance}` : ''} Do not calculate weighted totals or multi-year TCO; they are calculated from the typed fields.`;
+
+    const completion = await callStructuredLLM(evaluationPrompt, EVALUATION_SCHEMA, {
+      provider: provider,
+      model: model,
+      maxTokens: depth.maxTokens,
+      temperature: 0.2
+    });
+
+    const scorecards = buildScorecards(shortlist, completion.data.vendors, frameworkWeights, financialSettings, tcoCurrency);
+    const comparison = buildComparison(scorecards, tcoCurrency);
+
+    const evaluationData = {
+      technology: technology,
+      vendors: shortlist,
+      weights: frameworkWeights,
+      requirements: keyRequirements,
+      currency: tcoCurrency,
+      horizonYears: financialSettings.horizonYears,
+      discountRatePercent: financialSettings.discountRate,
+      analysis: completion.data.analysis,
+      summary: completion.data.summary,
+      scorecards: scorecards,
+      comparison: comparison,
+      rfpSeed: buildRfpSeed(scorecards, frameworkWeights, keyRequirements, completion.data.rfpQuestions),
+      chartData: generateScorecardChartData(scorecards, technology),
+      tcoChartData: generateTcoChartData(scorecards, tcoCurrency, financialSettings.horizonYears),
+      timestamp: new Date().toISOString()
+    };
+
+    const totalTime = Date.now() - startTime;
+
+    const result = {
+      success: true,
+      module: 'supplier-evaluation',
+      technology: technology,
+      timing: {
+        apiCallTime: completion.apiCallTime,
+        totalTime: totalTime,
+        status: totalTime < 8000 ? 'FAST' : totalTime < 15000 ? 'ACCEPTABLE' : 'SLOW'
+      },
+      data: evaluationData,
+      artifacts: {
+        webSummary: formatWebSummary(evaluationData),
+        chartData: evaluationData.chartData,
+        downloadReady: true
+      },
+      provider: completion.provider,
+      model: completion.model,
+      analysisDepth: depth.depth,
+      organizationProfile: organizationProfile,
+      validation: completion.validation,
+      tokens: completion.usage,
+      timestamp: new Date().toISOString()
+    };
+
+    result.cache = await storeCache(cacheLookup, result);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(result, null, 2)
+    };
+
+  } catch (error) {
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: 'Supplier evaluation failed: ' + error.message,
+        details: error.details,
+        module: 'supplier-evaluation'
+      })
+    };
+  }
+};
+
+// Accept vendors as an array or a comma/newline separated string; drop blanks and duplicates
+function normalizeVendors(vendors) {
+  const items = Array.isArray(vendors) ? vendors : (typeof vendors === 'string' ? vendors.split(/[,\n]/) : []);
+  const seen = new Set();
+
+  return items
+    .map(item => String(item).trim())
+    .filter(item => {
+      const key = item.toLowerCase();
+      if (!item || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Scale the 4 P's weights to percentages that sum to 100; equal weights when none are usable
+function normalizeWeights(weights) {
+  const raw = weights || {};
+  const values = Object.keys(FRAMEWORK).reduce((parsed, key) => {
+    const value = parseFloat(raw[key]);
+    parsed[key] = Number.isFinite(value) && value > 0 ? value : 0;
+    return parsed;
+  }, {});
+  const total = Object.values(values).reduce((sum, value) => sum + value, 0);
+
+  return Object.keys(FRAMEWORK).reduce((normalized, key) => {
+    normalized[key] = total > 0 ? roundTo(values[key] / total * 100, 1) : 100 / Object.keys(FRAMEWORK).length;
+    return normalized;
+  }, {});
+}
+
+// Accept requirements as an array or one per line
+function normalizeRequirements(requirements) {
+  const items = Array.isArray(requirements) ? requirements : (typeof requirements === 'string' ? requirements.split('\n') : []);
+  return items.map(item => String(item).trim()).filter(Boolean).slice(0, 15);
+}
+
+// Prompt section stating requirements, weighting emphasis and the TCO horizon
+function buildRequirementContext(requirements, weights, currency, settings) {
+  const lines = [];
+  if (requirements.length > 0) {
+    lines.push(`Key requirements:\n${requirements.map(requirement => `- ${requirement}`).join('\n')}`);
+  }
+
+  const heaviest = Object.keys(weights).sort((a, b) => weights[b] - weights[a])[0];
+  lines.push(`${FRAMEWORK[heaviest].label} carries the most weight in this decision.`);
+  lines.push(`Cost a ${settings.horizonYears}-year ownership period with all amounts in ${currency}.`);
+
+  return `**EVALUATION CONTEXT**
+${lines.join('\n')}
+
+`;
+}
+
+// Match model entries to the shortlist, weight the scores and model each vendor's TCO; ranked by weighted score
+function buildScorecards(shortlist, evaluatedVendors, weights, settings, currency) {
+  const scorecards = shortlist.map(name => {
+    const entry = evaluatedVendors.find(vendor => vendor.name.trim().toLowerCase() === name.toLowerCase());
+    if (!entry) {
+      return null;
+    }
+
+    const weightedScore = Object.keys(FRAMEWORK)
+      .reduce((total, key) => total + entry.scores[key].score * weights[key] / 100, 0);
+
+    return {
+      vendor: name,
+      scores: entry.scores,
+      weightedScore: roundTo(weightedScore, 1),
+      strengths: entry.strengths,
+      weaknesses: entry.weaknesses,
+      risks: entry.risks,
+      tco: buildTcoModel(entry.tco, settings, currency)
+    };
+  });
+
+  const missing = shortlist.filter((name, index) => !scorecards[index]);
+  if (missing.length > 0) {
+    const error = new Error(`Evaluation did not cover: ${missing.join(', ')}`);
+    error.statusCode = 502;
+    throw error;
+  }
+
+  return scorecards
+    .sort((a, b) => b.weightedScore - a.weightedScore)
+    .map((scorecard, index) => ({ rank: index + 1, ...scorecard }));
+}
+
+// Yearly TCO by category: implementation upfront, licence and operations every year, exit at the end of the horizon
+function buildTcoModel(tcoInputs, settings, currency) {
+  const horizon = settings.horizonYears;
+  let cumulative = 0;
+
+  const years = Array.from({ length: horizon + 1 }, (_, year) => {
+    const row = {
+      year: year,
+      license: year === 0 ? 0 : roundMoney(tcoInputs.annualLicense),
+      implementation: year === 0 ? roundMoney(tcoInputs.implementation) : 0,
+      operations: year === 0 ? 0 : roundMoney(tcoInputs.annualOperations),
+      exit: year === horizon ? roundMoney(tcoInputs.exit) : 0
+    };
+    row.total = row.license + row.implementation + row.operations + row.exit;
+    row.cumulative = cumulative += row.total;
+    return row;
+  });
+
+  const byCategory = Object.keys(TCO_CATEGORIES).reduce((totals, key) => {
+    totals[key] = years.reduce((total, row) => total + row[key], 0);
+    return totals;
+  }, {});
+
+  return {
+    currency: currency,
+    horizonYears: horizon,
+    years: years,
+    byCategory: byCategory,
+    total: cumulative,
+    presentValue: roundMoney(npv(years.map(row => row.total), settings.discountRate)),
+    assumptions: tcoInputs.assumptions
+  };
+}
+
+// Side-by-side rows across the ranked vendors, marking the best value in each row
+function buildComparison(scorecards, currency) {
+  const row = (key, label, format, values, lowerIsBetter) => {
+    const best = lowerIsBetter ? Math.min(...values) : Math.max(...values);
+    return { key, label, format, values, bestIndex: values.indexOf(best) };
+  };
+
+  const rows = [
+    row('weightedScore', 'Weighted Score', 'score', scorecards.map(card => card.weightedScore)),
+    ...Object.entries(FRAMEWORK).map(([key, pillar]) =>
+      row(key, pillar.label, 'score', scorecards.map(card => card.scores[key].score))),
+    ...Object.entries(TCO_CATEGORIES).map(([key, label]) =>
+      row(`tco-${key}`, `${label} (${currency})`, 'money', scorecards.map(card => card.tco.byCategory[key]), true)),
+    row('tcoTotal', `Total TCO (${currency})`, 'money', scorecards.map(card => card.tco.total), true),
+    row('tcoPresentValue', `TCO Present Value (${currency})`, 'money', scorecards.map(card => card.tco.presentValue), true),
+    row('highRisks', 'High Severity Risks', 'count', scorecards.map(card => card.risks.filter(risk => risk.severity === 'high').length), true)
+  ];
+
+  // Value index: weighted score points per million of discounted TCO
+  const valueIndex = scorecards.map(card => card.tco.presentValue > 0 ? roundTo(card.weightedScore / (card.tco.presentValue / 1e6), 1) : null);
+  const comparableValues = valueIndex.filter(value => value !== null);
+
+  return {
+    vendors: scorecards.map(card => card.vendor),
+    rows: rows,
+    highestScore: scorecards[0].vendor,
+    lowestTco: scorecards[rows.find(entry => entry.key === 'tcoPresentValue').bestIndex].vendor,
+    bestValue: comparableValues.length > 0 ? scorecards[valueIndex.indexOf(Math.max(...comparableValues))].vendor : null,
+    valueIndex: valueIndex
+  };
+}
+
+// RFP starting point: shortlist, weighted criteria, mandatory requirements and questions by pillar
+function buildRfpSeed(scorecards, weights, requirements, questions) {
+  return {
+    shortlist: scorecards.slice(0, SHORTLIST_SIZE).map(card => card.vendor),
+    evaluationCriteria: Object.entries(FRAMEWORK).map(([key, pillar]) => ({
+      pillar: key,
+      label: pillar.label,
+      weight: weights[key],
+      description: pillar.description,
+      questions: questions.filter(question => question.pillar === key).map(question => question.question)
+    })),
+    mandatoryRequirements: requirements
+  };
+}
+
+// Grouped bars of the 4 P's per vendor
+function generateScorecardChartData(scorecards, technology) {
+  const colors = ['#3498db', '#27ae60', '#9b59b6', '#e67e22'];
+
+  return {
+    type: 'scorecard',
+    title: `${technology} Supplier Evaluation - 4 P's Scorecard`,
+    data: {
+      labels: scorecards.map(card => card.vendor),
+      datasets: Object.entries(FRAMEWORK).map(([key, pillar], index) => ({
+        label: pillar.label,
+        data: scorecards.map(card => card.scores[key].score),
+        backgroundColor: colors[index]
+      }))
+    },
+    options: {
+      responsive: true,
+      scales: {
+        y: {
+          min: 0,
+          max: 100,
+          title: {
+            display: true,
+            text: 'Score (0-100)'
+          }
+        }
+      }
+    }
+  };
+}
+
+// Stacked TCO bars by cost category per vendor
+function generateTcoChartData(scorecards, currency, horizonYears) {
+  const colors = { license: '#3498db', implementation: '#e67e22', operations: '#27ae60', exit: '#e74c3c' };
+
+  return {
+    type: 'tco',
+    title: `${horizonYears}-Year Total Cost of Ownership`,
+    data: {
+      labels: scorecards.map(card => card.vendor),
+      datasets: Object.entries(TCO_CATEGORIES).map(([key, label]) => ({
+        label: label,
+        data: scorecards.map(card => card.tco.byCategory[key]),
+        backgroundColor: colors[key]
+      }))
+    },
+    options: {
+      responsive: true,
+      scales: {
+        x: { stacked: true },
+        y: {
+          stacked: true,
+          title: {
+            display: true,
+            text: currency
+          }
+        }
+      }
+    }
+  };
+}
+
+// Format data for web summary display
+function formatWebSummary(evaluationData) {
+  const { comparison, currency } = evaluationData;
+
+  return {
+    title: `${evaluationData.technology} Supplier Evaluation`,
+    summary: evaluationData.summary,
+    ranking: evaluationData.scorecards.map(card => ({
+      rank: card.rank,
+      vendor: card.vendor,
+      weightedScore: card.weightedScore,
+      tco: formatMoney(card.tco.total, currency)
+    })),
+    highestScore: comparison.highestScore,
+    lowestTco: comparison.lowestTco,
+    bestValue: comparison.bestValue,
+    rfpShortlist: evaluationData.rfpSeed.shortlist
+  };
+}
@@ -2,7 +2,124 @@
 // Enterprise Architecture Supplier Quadrant Analysis Module
 // Real-world data extraction only - no synthetic data generation
 
-const fetch = require('node-fetch');
+const { callStructuredLLM } = require('./lib/structured-output');
+const { normalizeOrganizationProfile, buildOrganizationContext } = require('./lib/organization-profile');
+const { lookupCache, storeCache } = require('./lib/response-cache');
+
+// The 12 evaluation sub-criteria, keyed as they appear in the JSON contract
+const SCORE_CRITERIA = {
+    productCapability: 'Product Capability',
+    reliabilityAndOps: 'Reliability & Operations',
+    customerExperience: 'Customer Experience',
+    marketTraction: 'Market Traction',
+    financialViability: 'Financial Viability',
+    ecosystemPartners: 'Ecosystem Partners',
+    innovationRoadmap: 'Innovation Roadmap',
+    marketUnderstanding: 'Market Understanding',
+    platformStrategy: 'Platform Strategy',
+    goToMarket: 'Go-to-Market',
+    standardsCompliance: 'Standards Compliance',
+    geographicStrategy: 'Geographic Strategy'
+};
+
+// Default weights per axis (percent); each axis is re-normalized to 100 when weights are overridden
+const DEFAULT_WEIGHTS = {
+    execution: {
+        productCapability: 25,
+        reliabilityAndOps: 15,
+        customerExperience: 15,
+        marketTraction: 20,
+        financialViability: 10,
+        ecosystemPartners: 15
+    },
+    vision: {
+        innovationRoadmap: 25,
+        marketUnderstanding: 20,
+        platformStrategy: 20,
+        goToMarket: 15,
+        standardsCompliance: 10,
+        geographicStrategy: 10
+    }
+};
+
+const QUADRANTS = ['Leaders', 'Challengers', 'Visionaries', 'Niche Players'];
+
+// Quadrant dividers: vision at or above the vertical line is right, execution at or above the horizontal line is top
+const QUADRANT_LINES = { vertical: 50, horizontal: 50 };
+
+// Vendor count bounds; without an explicit count the model picks within the default range
+const VENDOR_COUNT_LIMITS = { min: 3, max: 15 };
+const DEFAULT_VENDOR_RANGE = { min: 6, max: 10 };
+
+// Output budget: each vendor carries 12 scored rationales, strengths and an overall position (~600 tokens of JSON);
+// the overview and any unassessed vendors share a fixed allowance
+const TOKENS_PER_VENDOR = 650;
+const BASE_OUTPUT_TOKENS = 1500;
+
+// Largest gap (points) tolerated between a model-reported axis score and the recomputed weighted average
+const AXIS_TOLERANCE = 10;
+
+// JSON contract for the Magic Quadrant - every vendor carries all 12 raw sub-scores with rationale;
+// axis scores and quadrants are derived from them server-side
+const SUPPLIER_QUAD_SCHEMA = {
+    type: 'object',
+    required: ['overview', 'vendors'],
+    properties: {
+        overview: {
+            type: 'string',
+            description: 'Two or three sentence overview of the vendor landscape'
+        },
+        unassessed: {
+            type: 'array',
+            description: 'Requested vendors that could not be assessed, with the reason',
+            items: {
+                type: 'object',
+                required: ['name', 'reason'],
+                properties: {
+                    name: { type: 'string' },
+                    reason: { type: 'string' }
+                }
+            }
+        },
+        vendors: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['name', 'scores', 'strengths'],
+                properties: {
+                    name: { type: 'string', description: 'Company name only' },
+                    scores: {
+                        type: 'object',
+                        required: Object.keys(SCORE_CRITERIA),
+                        properties: Object.keys(SCORE_CRITERIA).reduce((properties, key) => {
+                            properties[key] = {
+                                type: 'object',
+                                required: ['score', 'rationale'],
+                                properties: {
+                                    score: { type: 'integer', minimum: 0, maximum: 100 },
+                                    rationale: { type: 'string', description: `Brief rationale for ${SCORE_CRITERIA[key]}` }
+                                }
+                            };
+                            return properties;
+                        }, {})
+                    },
+                    strengths: { type: 'array', items: { type: 'string' }, description: '2-3 key differentiators' },
+                    overallPosition: {
+                        type: 'object',
+                        description: 'Overall judgement of the vendor position, used only to cross-check the sub-scores',
+                        required: ['abilityToExecute', 'completenessOfVision', 'quadrant'],
+                        properties: {
+                            abilityToExecute: { type: 'number', minimum: 0, maximum: 100 },
+                            completenessOfVision: { type: 'number', minimum: 0, maximum: 100 },
+                            quadrant: { type: 'string', enum: QUADRANTS }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
 
 exports.handler = async (event, context) => {
     // CORS headers
@@ -28,7 +145,7 @@ exports.handler = async (event, context) => {
 
     try {
         // Parse request body
-        const { technology } = JSON.parse(event.body);
+        const { technology, provider, model, organization, forceRefresh, weights, shortlist, incumbents, excludeVendors, vendorCount } = JSON.parse(event.body);
         
         if (!technology) {
             return {
@@ -38,257 +155,432 @@ exports.handler = async (event, context) => {
             };
         }
 
+        const criterionWeights = normalizeWeights(weights);
+        const selection = buildVendorSelection({ shortlist, incumbents, excludeVendors, vendorCount });
+
+        // Serve repeat requests from the response cache unless a refresh is forced; raw sub-scores
+        // do not depend on the weights, so cached vendors are re-scored with this request's weights
+        const cacheLookup = await lookupCache('supplier-quad', {
+            technology,
+            provider,
+            model,
+            organization,
+            shortlist: selection.shortlist,
+            incumbents: selection.incumbents,
+            excluded: selection.excluded,
+            vendorCount: selection.count
+        }, forceRefresh);
+        if (cacheLookup.hit) {
+            console.log(`Supplier quadrant analysis served from cache for: ${technology}`);
+            const cached = cacheLookup.response;
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({
+                    ...cached,
+                    data: {
+                        ...cached.data,
+                        ...assembleQuadrant(cached.data.analysis, cached.data.vendors, criterionWeights)
+                    }
+                })
+            };
+        }
+
         console.log(`Starting supplier quadrant analysis for: ${technology}`);
         const startTime = Date.now();
 
+        // Organization profile tailors vendor fit (industry, regulation, stack, risk appetite)
+        const organizationProfile = normalizeOrganizationProfile(organization);
+        const organizationContext = buildOrganizationContext(organizationProfile);
+
         // Enhanced Magic Quadrant analysis prompt
         const supplierQuadPrompt = `Conduct a Magic Quadrant-style vendor positioning analysis for ${technology}.
 
-**ANALYSIS FRAMEWORK:**
-Evaluate 6-10 major vendors using Gartner-style methodology with transparent scoring:
-
-**ABILITY TO EXECUTE (Weighted Scoring)**
-- Product Capability (25%): Feature breadth/depth, performance benchmarks, compliance certifications
-- Reliability & Operations (15%): SLAs/SLOs, uptime track record, incident response, operational tooling
-- Customer Experience (15%): Time-to-value, documentation quality, support responsiveness, user satisfaction
-- Market Traction (20%): Customer count, enterprise logos, deployment scale, revenue growth
-- Financial Viability (10%): Company stability, funding, profitability indicators, market cap
-- Ecosystem Partners (15%): Integration ecosystem, marketplace presence, SI/ISV partnerships
-
-**COMPLETENESS OF VISION (Weighted Scoring)**
-- Innovation Roadmap (25%): R&D investment, feature velocity, credible future plans
-- Market Understanding (20%): Use case fit, vertical expertise, customer reference diversity
-- Platform Strategy (20%): Architecture clarity, extensibility, API-first design, governance
-- Go-to-Market (15%): Channel strategy, pricing transparency, packaging clarity, trial availability
-- Standards Compliance (10%): Open standards support, API portability, interoperability
-- Geographic Strategy (10%): Global presence, localization, data residency compliance
-
-**REQUIRED OUTPUT FORMAT:**
-For each vendor, provide EXACTLY this structure:
-
-**Vendor 1: [Company Name]**
-1. **Scores:**
-   - Product Capability: [0-100] ([brief rationale])
-   - Reliability & Operations: [0-100] ([brief rationale])
-   - Customer Experience: [0-100] ([brief rationale])
-   - Market Traction: [0-100] ([brief rationale])
-   - Financial Viability: [0-100] ([brief rationale])
-   - Ecosystem Partners: [0-100] ([brief rationale])
-   - Innovation Roadmap: [0-100] ([brief rationale])
-   - Market Understanding: [0-100] ([brief rationale])
-   - Platform Strategy: [0-100] ([brief rationale])
-   - Go-to-Market: [0-100] ([brief rationale])
-   - Standards Compliance: [0-100] ([brief rationale])
-   - Geographic Strategy: [0-100] ([brief rationale])
-2. **Axis Scores:**
-   - Ability to Execute: [weighted average]
-   - Completeness of Vision: [weighted average]
-3. **Quadrant Assignment:** [Leaders/Challengers/Visionaries/Niche Players]
-4. **Key Strengths:** [2-3 key differentiators]
+${organizationContext}**ANALYSIS FRAMEWORK:**
+Evaluate ${selection.count.min === selection.count.max ? `exactly ${selection.count.min}` : `${selection.count.min}-${selection.count.max}`} major vendors using Gartner-style methodology with transparent scoring:${buildSelectionPrompt(selection)}
+
+**ABILITY TO EXECUTE CRITERIA**
+- Product Capability: Feature breadth/depth, performance benchmarks, compliance certifications
+- Reliability & Operations: SLAs/SLOs, uptime track record, incident response, operational tooling
+- Customer Experience: Time-to-value, documentation quality, support responsiveness, user satisfaction
+- Market Traction: Customer count, enterprise logos, deployment scale, revenue growth
+- Financial Viability: Company stability, funding, profitability indicators, market cap
+- Ecosystem Partners: Integration ecosystem, marketplace presence, SI/ISV partnerships
+
+**COMPLETENESS OF VISION CRITERIA**
+- Innovation Roadmap: R&D investment, feature velocity, credible future plans
+- Market Understanding: Use case fit, vertical expertise, customer reference diversity
+- Platform Strategy: Architecture clarity, extensibility, API-first design, governance
+- Go-to-Market: Channel strategy, pricing transparency, packaging clarity, trial availability
+- Standards Compliance: Open standards support, API portability, interoperability
+- Geographic Strategy: Global presence, localization, data residency compliance
+
+**REQUIRED OUTPUT:**
+For each vendor, score each of the 12 criteria independently from 0-100 with a brief rationale. Do not weight or average the scores - axis positions and quadrants are calculated from your sub-scores. Also give your overall judgement of each vendor's position (ability to execute, completeness of vision, quadrant) as overallPosition; it is compared against the sub-scores, not plotted.
 
 Use only real, publicly verifiable companies and accurate market data.`;
 
-        // Call GPT-4o API
-        const apiResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                model: 'gpt-4o',
-                messages: [
-                    {
-                        role: 'user',
-                        content: supplierQuadPrompt
-                    }
-                ],
-                max_tokens: 1500,
-                temperature: 0.1
-            }),
+        // Call configured LLM provider with the JSON contract
+        const completion = await callStructuredLLM(supplierQuadPrompt, SUPPLIER_QUAD_SCHEMA, {
+            provider: provider,
+            model: model,
+            maxTokens: BASE_OUTPUT_TOKENS + selection.count.max * TOKENS_PER_VENDOR,
+            temperature: 0.1
         });
 
-        if (!apiResponse.ok) {
-            throw new Error(`OpenAI API error: ${apiResponse.status}`);
-        }
-
-        const completion = await apiResponse.json();
-        const analysisText = completion.choices[0].message.content;
+        const analysisText = completion.data.overview;
         
         const endTime = Date.now();
         const executionTime = endTime - startTime;
 
         console.log(`Supplier quadrant analysis completed in ${executionTime}ms`);
 
-        // Extract vendor data from real GPT analysis only
-        const vendorData = extractRealVendorData(analysisText);
-        
-        if (vendorData.length === 0) {
-            throw new Error('Unable to extract vendor data from analysis. GPT response may not match expected format.');
-        }
-        
-        // Generate chart data for Magic Quadrant visualization
-        const chartData = generateQuadrantChartData(vendorData);
-        
-        // Extract key metrics
-        const metrics = extractQuadrantMetrics(vendorData);
-        
-        // Format for web summary
-        const webSummary = formatQuadrantSummary(analysisText, vendorData);
+        // Map validated vendor entries from the model response - no synthetic data; excluded vendors are dropped
+        const vendorSelection = reconcileVendorSelection(selection, completion.data.vendors, completion.data.unassessed);
+        const vendorData = completion.data.vendors
+            .filter(entry => !selection.excluded.some(name => sameVendor(name, entry.name)))
+            .map(entry => ({ ...mapVendorEntry(entry), role: vendorRole(selection, entry.name) }));
+
+        // Return structured response; positions, chart, metrics and summary follow from the weights
+        const response = {
+            success: true,
+            data: {
+                technology: technology,
+                analysis: analysisText,
+                ...assembleQuadrant(analysisText, vendorData, criterionWeights),
+                consistency: checkConsistency(vendorData, completion.validation),
+                vendorSelection: vendorSelection,
+                metadata: {
+                    technology: technology,
+                    executionTime: executionTime,
+                    provider: completion.provider,
+                    model: completion.model,
+                    validation: completion.validation,
+                    organizationProfile: organizationProfile,
+                    timestamp: new Date().toISOString(),
+                    methodology: 'Magic Quadrant-style weighted scoring - real data only'
+                }
+            }
+        };
+
+        response.cache = await storeCache(cacheLookup, response);
 
-        // Return structured response
         return {
             statusCode: 200,
             headers,
-            body: JSON.stringify({
-                success: true,
-                data: {
-                    analysis: analysisText,
-                    vendors: vendorData,
-                    chartData: chartData,
-                    metrics: metrics,
-                    webSummary: webSummary,
-                    metadata: {
-                        technology: technology,
-                        executionTime: executionTime,
-                        timestamp: new Date().toISOString(),
-                        methodology: 'Magic Quadrant-style weighted scoring - real data only'
-                    }
-                }
-            })
+            body: JSON.stringify(response)
         };
 
     } catch (error) {
         console.error('Supplier quadrant analysis error:', error);
         
         return {
-            statusCode: 500,
+            statusCode: error.statusCode || 500,
             headers,
             body: JSON.stringify({
                 success: false,
                 error: 'Failed to complete supplier quadrant analysis',
-                details: error.message
+                details: error.message,
+                validationErrors: Array.isArray(error.details) ? error.details : undefined
             })
         };
     }
 };
 
-// Extract real vendor data from GPT analysis - no synthetic data
-function extractRealVendorData(analysisText) {
-    const vendors = [];
-    
-    console.log('Extracting real vendor data from GPT analysis...');
-    
-    // Split by vendor sections
-    const vendorSections = analysisText.split(/(?=\*\*Vendor\s+\d+:)/);
-    
-    vendorSections.forEach((section, index) => {
-        if (section.trim().length < 100) return; // Skip short sections
-        
-        try {
-            const vendor = parseVendorSection(section);
-            if (vendor) {
-                vendors.push(vendor);
-                console.log(`Extracted vendor: ${vendor.name} - ${vendor.quadrant}`);
-            }
-        } catch (error) {
-            console.warn(`Failed to parse vendor section ${index}:`, error.message);
+// Merge requested weights over the defaults and normalize each axis to 100
+function normalizeWeights(weights) {
+    const requested = weights && typeof weights === 'object' ? weights : {};
+
+    return Object.keys(DEFAULT_WEIGHTS).reduce((normalized, axis) => {
+        const axisWeights = {};
+        Object.keys(DEFAULT_WEIGHTS[axis]).forEach(key => {
+            // Weights may be sent flat ({ productCapability: 30 }) or per axis ({ execution: { productCapability: 30 } })
+            const value = parseFloat(requested[axis]?.[key] ?? requested[key]);
+            axisWeights[key] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_WEIGHTS[axis][key];
+        });
+
+        const total = Object.values(axisWeights).reduce((sum, value) => sum + value, 0);
+        if (total <= 0) {
+            const error = new Error(`At least one ${axis} criterion needs a weight above zero`);
+            error.statusCode = 400;
+            throw error;
         }
-    });
-    
-    return vendors;
+
+        normalized[axis] = {};
+        Object.keys(axisWeights).forEach(key => {
+            normalized[axis][key] = Math.round((axisWeights[key] / total) * 1000) / 10;
+        });
+        return normalized;
+    }, {});
 }
 
-// Parse individual vendor section for real data
-function parseVendorSection(section) {
-    // Extract vendor name
-    const nameMatch = section.match(/\*\*Vendor\s+\d+:\s+([^*\n]+)\*\*/);
-    if (!nameMatch) return null;
-    
-    const vendorName = nameMatch[1].trim().replace(/\s*\([^)]*\)$/, ''); // Remove parenthetical
-    
-    // Extract scores
-    const scores = {};
-    const scorePatterns = {
-        productCapability: /Product Capability:\s*(\d+)/,
-        reliabilityAndOps: /Reliability & Operations:\s*(\d+)/,
-        customerExperience: /Customer Experience:\s*(\d+)/,
-        marketTraction: /Market Traction:\s*(\d+)/,
-        financialViability: /Financial Viability:\s*(\d+)/,
-        ecosystemPartners: /Ecosystem Partners:\s*(\d+)/,
-        innovationRoadmap: /Innovation Roadmap:\s*(\d+)/,
-        marketUnderstanding: /Market Understanding:\s*(\d+)/,
-        platformStrategy: /Platform Strategy:\s*(\d+)/,
-        goToMarket: /Go-to-Market:\s*(\d+)/,
-        standardsCompliance: /Standards Compliance:\s*(\d+)/,
-        geographicStrategy: /Geographic Strategy:\s*(\d+)/
+// Accept vendor lists as an array or a comma/newline separated string; drop blanks and duplicates
+function normalizeVendors(vendors) {
+    const items = Array.isArray(vendors) ? vendors : (typeof vendors === 'string' ? vendors.split(/[,\n]/) : []);
+    const seen = new Set();
+
+    return items
+        .map(item => String(item).trim())
+        .filter(item => {
+            const key = item.toLowerCase();
+            if (!item || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+// Corporate suffixes ignored when matching vendor names
+const CORPORATE_SUFFIXES = ['inc', 'corp', 'corporation', 'ltd', 'llc', 'plc', 'gmbh', 'co'];
+
+// Treat "Microsoft" and "Microsoft Corporation" as the same vendor, but not "HP" and "HPE"
+function sameVendor(a, b) {
+    const left = vendorKey(a);
+    const right = vendorKey(b);
+    if (!left || !right) return a.trim().toLowerCase() === b.trim().toLowerCase();
+    return left === right;
+}
+
+// Lower-case name words without trailing corporate suffixes, joined without punctuation
+function vendorKey(name) {
+    const words = name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    while (words.length > 1 && CORPORATE_SUFFIXES.includes(words[words.length - 1])) {
+        words.pop();
+    }
+    return words.join('');
+}
+
+// Validate the requested shortlist, incumbents, exclusions and vendor count
+function buildVendorSelection({ shortlist, incumbents, excludeVendors, vendorCount }) {
+    const selection = {
+        shortlist: normalizeVendors(shortlist),
+        incumbents: normalizeVendors(incumbents),
+        excluded: normalizeVendors(excludeVendors)
     };
-    
-    let validScoreCount = 0;
-    for (const [key, pattern] of Object.entries(scorePatterns)) {
-        const match = section.match(pattern);
-        if (match) {
-            scores[key] = parseInt(match[1]);
-            validScoreCount++;
+    // Incumbents that are also shortlisted keep their incumbent role only
+    selection.shortlist = selection.shortlist.filter(name => !selection.incumbents.some(other => sameVendor(name, other)));
+    const required = [...selection.shortlist, ...selection.incumbents];
+
+    const conflicts = required.filter(name => selection.excluded.some(other => sameVendor(name, other)));
+    if (conflicts.length > 0) {
+        const error = new Error(`Vendors cannot be both requested and excluded: ${conflicts.join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (vendorCount !== undefined && vendorCount !== null && vendorCount !== '') {
+        const count = parseInt(vendorCount, 10);
+        if (!Number.isInteger(count) || count < VENDOR_COUNT_LIMITS.min || count > VENDOR_COUNT_LIMITS.max) {
+            const error = new Error(`vendorCount must be between ${VENDOR_COUNT_LIMITS.min} and ${VENDOR_COUNT_LIMITS.max}`);
+            error.statusCode = 400;
+            throw error;
+        }
+        if (count < required.length) {
+            const error = new Error(`vendorCount (${count}) is smaller than the ${required.length} requested vendors`);
+            error.statusCode = 400;
+            throw error;
         }
+        selection.count = { min: count, max: count };
+    } else if (required.length > VENDOR_COUNT_LIMITS.max) {
+        const error = new Error(`At most ${VENDOR_COUNT_LIMITS.max} vendors can be requested`);
+        error.statusCode = 400;
+        throw error;
+    } else {
+        selection.count = {
+            min: Math.max(DEFAULT_VENDOR_RANGE.min, required.length),
+            max: Math.max(DEFAULT_VENDOR_RANGE.max, required.length)
+        };
+    }
+
+    return selection;
+}
+
+// Prompt lines describing the requested vendor set
+function buildSelectionPrompt(selection) {
+    const lines = [];
+    if (selection.shortlist.length > 0) {
+        lines.push(`- Must include our shortlisted vendors: ${selection.shortlist.join(', ')}`);
     }
-    
-    // Require at least 8 valid scores for data quality
-    if (validScoreCount < 8) {
-        console.warn(`Vendor ${vendorName} has insufficient scores (${validScoreCount}/12)`);
-        return null;
+    if (selection.incumbents.length > 0) {
+        lines.push(`- Must include our incumbent vendors (currently in use): ${selection.incumbents.join(', ')}`);
     }
-    
-    // Extract axis scores
-    const executeMatch = section.match(/Ability to Execute:\s*(\d+(?:\.\d+)?)/);
-    const visionMatch = section.match(/Completeness of Vision:\s*(\d+(?:\.\d+)?)/);
-    
-    if (!executeMatch || !visionMatch) {
-        console.warn(`Vendor ${vendorName} missing axis scores`);
-        return null;
+    if (selection.excluded.length > 0) {
+        lines.push(`- Do not include: ${selection.excluded.join(', ')}`);
     }
-    
-    const abilityToExecute = parseFloat(executeMatch[1]);
-    const completenessOfVision = parseFloat(visionMatch[1]);
-    
-    // Extract quadrant assignment
-    const quadrantMatch = section.match(/Quadrant Assignment:\s*([A-Za-z\s]+)/);
-    if (!quadrantMatch) {
-        console.warn(`Vendor ${vendorName} missing quadrant assignment`);
-        return null;
+    if (lines.length === 0) {
+        return '';
     }
-    
-    const quadrant = normalizeQuadrantName(quadrantMatch[1].trim());
-    
-    // Extract key strengths
-    const strengthsMatch = section.match(/Key Strengths:\s*([^\n]*)/);
-    const strengths = strengthsMatch ? strengthsMatch[1].trim() : '';
-    
+    lines.push('- Use the requested vendor names as given. If a requested vendor cannot be assessed (e.g. not active in this market or too little public information), list it under unassessed with the reason instead of guessing scores. Fill any remaining places with other major vendors.');
+    return `\n\n**VENDOR SELECTION:**\n${lines.join('\n')}`;
+}
+
+function vendorRole(selection, name) {
+    if (selection.incumbents.some(other => sameVendor(name, other))) return 'incumbent';
+    if (selection.shortlist.some(other => sameVendor(name, other))) return 'shortlist';
+    return 'market';
+}
+
+// Flag requested vendors missing from the result and excluded vendors the model returned anyway
+function reconcileVendorSelection(selection, entries, unassessed) {
+    const reported = (unassessed || []).map(item => ({ name: item.name.trim(), reason: item.reason }));
+    const requested = [...selection.shortlist, ...selection.incumbents];
+
+    const missing = requested
+        .filter(name => !entries.some(entry => sameVendor(name, entry.name)))
+        .map(name => {
+            const reason = reported.find(item => sameVendor(name, item.name));
+            return { name: name, reason: reason ? reason.reason : 'Not returned by the model' };
+        });
+
+    return {
+        shortlist: selection.shortlist,
+        incumbents: selection.incumbents,
+        excluded: selection.excluded,
+        vendorCount: selection.count,
+        unassessed: missing,
+        removedExcluded: entries
+            .filter(entry => selection.excluded.some(name => sameVendor(name, entry.name)))
+            .map(entry => entry.name.trim())
+    };
+}
+
+// Weighted average of one axis' raw sub-scores
+function axisScore(scores, axisWeights) {
+    const total = Object.values(axisWeights).reduce((sum, value) => sum + value, 0);
+    const weighted = Object.keys(axisWeights).reduce((sum, key) => sum + scores[key] * axisWeights[key], 0);
+    return Math.round((weighted / total) * 10) / 10;
+}
+
+function quadrantFor(abilityToExecute, completenessOfVision, quadrantLines = QUADRANT_LINES) {
+    const executes = abilityToExecute >= quadrantLines.horizontal;
+    const visionary = completenessOfVision >= quadrantLines.vertical;
+    if (executes && visionary) return 'Leaders';
+    if (executes) return 'Challengers';
+    if (visionary) return 'Visionaries';
+    return 'Niche Players';
+}
+
+// Position vendors from their raw sub-scores and build everything that depends on the positions
+function assembleQuadrant(analysisText, vendors, weights) {
+    const scoredVendors = vendors.map(vendor => {
+        const abilityToExecute = axisScore(vendor.scores, weights.execution);
+        const completenessOfVision = axisScore(vendor.scores, weights.vision);
+        return {
+            ...vendor,
+            abilityToExecute: abilityToExecute,
+            completenessOfVision: completenessOfVision,
+            quadrant: quadrantFor(abilityToExecute, completenessOfVision)
+        };
+    });
+
+    return {
+        vendors: scoredVendors,
+        weights: weights,
+        defaultWeights: DEFAULT_WEIGHTS,
+        criteria: SCORE_CRITERIA,
+        chartData: generateQuadrantChartData(scoredVendors),
+        metrics: extractQuadrantMetrics(scoredVendors),
+        summary: summarizeQuadrants(scoredVendors),
+        webSummary: formatQuadrantSummary(analysisText, scoredVendors)
+    };
+}
+
+// Compare the model's overall positions with the default-weighted sub-scores and collect parse warnings
+function checkConsistency(vendors, validation, quadrantLines = QUADRANT_LINES) {
+    const discrepancies = [];
+    const warnings = (validation?.correctedErrors || []).map(error => `Model output needed correction: ${error}`);
+    const seen = new Set();
+
+    vendors.forEach(vendor => {
+        const key = vendor.name.toLowerCase();
+        if (seen.has(key)) {
+            warnings.push(`${vendor.name} is listed more than once`);
+        }
+        seen.add(key);
+
+        const reported = vendor.reportedPosition;
+        if (!reported) {
+            warnings.push(`${vendor.name}: no overall position reported, sub-scores could not be cross-checked`);
+            return;
+        }
+
+        const computed = {
+            abilityToExecute: axisScore(vendor.scores, DEFAULT_WEIGHTS.execution),
+            completenessOfVision: axisScore(vendor.scores, DEFAULT_WEIGHTS.vision)
+        };
+        computed.quadrant = quadrantFor(computed.abilityToExecute, computed.completenessOfVision, quadrantLines);
+
+        ['abilityToExecute', 'completenessOfVision'].forEach(field => {
+            const difference = Math.round((reported[field] - computed[field]) * 10) / 10;
+            if (Math.abs(difference) > AXIS_TOLERANCE) {
+                discrepancies.push({
+                    vendor: vendor.name,
+                    field: field,
+                    reported: reported[field],
+                    computed: computed[field],
+                    difference: difference
+                });
+            }
+        });
+
+        if (reported.quadrant !== computed.quadrant) {
+            discrepancies.push({
+                vendor: vendor.name,
+                field: 'quadrant',
+                reported: reported.quadrant,
+                computed: computed.quadrant
+            });
+        }
+    });
+
+    return {
+        consistent: discrepancies.length === 0,
+        vendorsChecked: vendors.length,
+        weightsBasis: 'default',
+        tolerance: AXIS_TOLERANCE,
+        quadrantLines: quadrantLines,
+        discrepancies: discrepancies,
+        warnings: warnings
+    };
+}
+
+// Flatten a validated vendor entry into numeric scores and rationale maps
+function mapVendorEntry(entry) {
+    const scores = {};
+    const rationales = {};
+
+    Object.keys(SCORE_CRITERIA).forEach(key => {
+        scores[key] = entry.scores[key].score;
+        rationales[key] = entry.scores[key].rationale;
+    });
+
+    const strengths = entry.strengths.join('; ');
+
     return {
-        name: vendorName,
-        quadrant: quadrant,
-        abilityToExecute: abilityToExecute,
-        completenessOfVision: completenessOfVision,
+        name: entry.name.trim(),
         scores: scores,
+        rationales: rationales,
         strengths: strengths,
-        summary: `${vendorName}: ${strengths}`
+        summary: `${entry.name.trim()}: ${strengths}`,
+        reportedPosition: entry.overallPosition || null
     };
 }
 
-// Normalize quadrant names to standard format
-function normalizeQuadrantName(quadrant) {
-    const normalized = quadrant.toLowerCase().trim();
-    if (normalized.includes('leader')) return 'Leaders';
-    if (normalized.includes('challenger')) return 'Challengers';
-    if (normalized.includes('visionar')) return 'Visionaries';
-    if (normalized.includes('niche')) return 'Niche Players';
-    return 'Niche Players'; // Default fallback
+// One-line quadrant membership, used as the module summary by the research orchestrator
+function summarizeQuadrants(vendors) {
+    const parts = QUADRANTS
+        .map(quadrant => {
+            const names = vendors.filter(vendor => vendor.quadrant === quadrant).map(vendor => vendor.name);
+            return names.length > 0 ? `${quadrant}: ${names.join(', ')}` : null;
+        })
+        .filter(Boolean);
+
+    return parts.length > 0 ? `${parts.join('. ')}.` : 'No vendors could be positioned.';
 }
 
 // Generate chart data for Magic Quadrant visualization
 function generateQuadrantChartData(vendors) {
     return {
-        type: 'scatter',
+        type: 'vendor-positioning',
         title: 'Magic Quadrant - Vendor Positioning',
         datasets: [{
             label: 'Vendors',
@@ -296,6 +588,7 @@ function generateQuadrantChartData(vendors) {
                 x: vendor.completenessOfVision,
                 y: vendor.abilityToExecute,
                 label: vendor.name,
+                vendor: vendor.name,
                 quadrant: vendor.quadrant
             })),
             backgroundColor: 'rgba(54, 162, 235, 0.6)',
@@ -330,10 +623,7 @@ function generateQuadrantChartData(vendors) {
                 }
             }
         },
-        quadrantLines: {
-            vertical: 50,
-            horizontal: 50
-        }
+        quadrantLines: { ...QUADRANT_LINES }
     };
 }
 
@@ -358,7 +648,7 @@ function formatQuadrantSummary(analysisText, vendors) {
         title: 'Supplier Quadrant Analysis',
         overview: analysisText.substring(0, 300) + '...',
         quadrantDistribution: quadrantCounts,
-        topVendors: vendors
+        topVendors: [...vendors]
             .sort((a, b) => (b.abilityToExecute + b.completenessOfVision) - (a.abilityToExecute + a.completenessOfVision))
             .slice(0, 5)
             .map(v => ({ name: v.name, quadrant: v.quadrant })),
@@ -1,7 +1,54 @@
-// FILE PATH: netlify/functions/market-analysis.js
-// Production Market Analysis Module for Enterprise Architecture AI Agents
+// FILE PATH: netlify/functions/vendor-analysis.js
+// Production Vendor Landscape Module for Enterprise Architecture AI Agents
 
-const fetch = require('node-fetch');
+const { callStructuredLLM } = require('./lib/structured-output');
+const { resolveDepth } = require('./lib/analysis-depth');
+const { lookupCache, storeCache } = require('./lib/response-cache');
+const { normalizeOrganizationProfile, buildOrganizationContext } = require('./lib/organization-profile');
+const { prepareGrounding, withCitations, resolveCitations, formatFootnotes } = require('./lib/citations');
+
+const SEGMENTS = ['platform-suite', 'specialist', 'hyperscaler', 'open-source', 'emerging'];
+const DEPLOYMENT_MODELS = ['saas', 'private-cloud', 'on-premises', 'hybrid', 'managed-service'];
+const PRICING_MODELS = ['subscription', 'consumption', 'perpetual-license', 'open-core', 'freemium', 'custom-quote'];
+
+// Number of vendors profiled at each analysis depth
+const VENDOR_COUNTS = {
+  overview: 5,
+  comprehensive: 8,
+  detailed: 12
+};
+
+// JSON contract for the vendor module - narrative prose plus a typed vendor list for charts, metrics and PDFs
+const VENDOR_SCHEMA = {
+  type: 'object',
+  required: ['analysis', 'vendors'],
+  properties: {
+    analysis: {
+      type: 'string',
+      description: 'Narrative vendor landscape analysis in markdown using the bold section headings requested above'
+    },
+    vendors: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'segment', 'strengths', 'weaknesses', 'deploymentModels', 'pricingModel', 'notableCustomers', 'marketPresence', 'capabilityBreadth'],
+        properties: {
+          name: { type: 'string', description: 'Company name only' },
+          product: { type: ['string', 'null'], description: 'Primary product or service for this technology' },
+          segment: { type: 'string', enum: SEGMENTS },
+          strengths: { type: 'array', items: { type: 'string' }, description: '2-3 key strengths' },
+          weaknesses: { type: 'array', items: { type: 'string' }, description: '1-3 key weaknesses' },
+          deploymentModels: { type: 'array', minItems: 1, items: { type: 'string', enum: DEPLOYMENT_MODELS } },
+          pricingModel: { type: 'string', enum: PRICING_MODELS },
+          notableCustomers: { type: 'array', items: { type: 'string' }, description: 'Publicly referenced customers only; empty if none are known' },
+          marketPresence: { type: 'integer', minimum: 0, maximum: 100, description: 'Market share, customer base and brand reach relative to the other vendors' },
+          capabilityBreadth: { type: 'integer', minimum: 0, maximum: 100, description: 'Functional coverage of the technology relative to the other vendors' }
+        }
+      }
+    }
+  }
+};
 
 exports.handler = async (event, context) => {
   const headers = {
@@ -25,8 +72,8 @@ exports.handler = async (event, context) => {
 
   try {
     const startTime = Date.now();
-    const { technology } = JSON.parse(event.body);
-    
+    const { technology, provider, model, analysisDepth, organization, useWebSearch, forceRefresh } = JSON.parse(event.body);
+
     if (!technology) {
       return {
         statusCode: 400,
@@ -35,111 +82,107 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const openaiApiKey = process.env.OPENAI_API_KEY;
-    if (!openaiApiKey) {
+    // Serve repeat requests from the response cache unless a refresh is forced
+    const cacheLookup = await lookupCache('vendor-analysis', { technology, provider, model, analysisDepth, organization, useWebSearch }, forceRefresh);
+    if (cacheLookup.hit) {
       return {
-        statusCode: 500,
+        statusCode: 200,
         headers,
-        body: JSON.stringify({ error: 'OpenAI API key not configured' })
+        body: JSON.stringify(cacheLookup.response, null, 2)
       };
     }
 
-    // Market analysis prompt (proven 5.34s performance)
-    const marketPrompt = `Analyze the current market landscape for ${technology}.
-
-Provide comprehensive market intelligence covering:
-
-**MARKET SIZE AND GROWTH**
-- Current market valuation and projected 3-year growth rates
-- Key growth drivers and market expansion factors
-- Regional market distribution and growth patterns
-
-**INDUSTRY ADOPTION**
-- Current adoption rates across industry sectors
-- Leading industries driving implementation
-- Enterprise vs. SMB adoption patterns
-
-**MARKET DYNAMICS**
-- Competitive market structure and concentration
-- Pricing trends and cost evolution
-- Investment and funding landscape
-
-**MARKET DRIVERS**
-- Primary business drivers accelerating adoption
-- Technology enablers supporting growth
-- Regulatory and compliance factors
-
-**MARKET CHALLENGES**
-- Key barriers limiting market expansion
-- Technical and operational challenges
-- Market maturity and saturation risks
-
-Keep response under 300 words. Focus on quantitative market insights and actionable business intelligence for enterprise decision-making.`;
-
-    const apiCallStart = Date.now();
-    
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${openaiApiKey}`
-      },
-      body: JSON.stringify({
-        model: "gpt-4o",
-        messages: [{ role: "user", content: marketPrompt }],
-        max_tokens: 400,
-        temperature: 0.3
-      })
+    // Depth scales word limit, token budget, level of detail and the number of vendors profiled
+    const depth = resolveDepth(analysisDepth, 300, 1350);
+    const vendorCount = VENDOR_COUNTS[depth.depth];
+
+    // Organization profile tailors every section (industry, regulation, stack, risk appetite)
+    const organizationProfile = normalizeOrganizationProfile(organization);
+    const organizationContext = buildOrganizationContext(organizationProfile);
+
+    // Optional web search first; results become numbered sources the model must cite
+    const { sources, context: sourceContext, grounding } = await prepareGrounding(useWebSearch, technology, 'vendor');
+
+    const vendorPrompt = `Analyze the vendor landscape for ${technology}.
+
+${organizationContext}${sourceContext}Provide vendor intelligence covering:
+
+**VENDOR LANDSCAPE OVERVIEW**
+- How concentrated the market is and who sets the pace
+- Typical buying patterns (suite vs. best-of-breed, build vs. buy)
+
+**MARKET SEGMENTS**
+- Platform suites, specialists, hyperscalers, open-source and emerging vendors
+- Which segment suits which kind of enterprise
+
+**COMPETITIVE DYNAMICS**
+- Consolidation, acquisitions and new entrants
+- Pricing and packaging trends
+
+**SELECTION CONSIDERATIONS**
+- Lock-in, interoperability and exit risks
+- What to verify in references and proofs of concept
+
+Profile the ${vendorCount} most relevant vendors in the vendors list. For each vendor give its segment, strengths, weaknesses, supported deployment models, primary pricing model and publicly referenced customers. Rate market presence and capability breadth from 0-100 relative to the other vendors listed.
+
+Keep the analysis under ${depth.words} words.${depth.guidance ? ` ${depth.guidance}` : ''} Use only real, currently trading companies. Leave notableCustomers empty rather than inventing customer names.`;
+
+    const completion = await callStructuredLLM(vendorPrompt, withCitations(VENDOR_SCHEMA, grounding), {
+      provider: provider,
+      model: model,
+      maxTokens: depth.maxTokens,
+      temperature: 0.3
     });
 
-    const apiCallTime = Date.now() - apiCallStart;
+    const apiCallTime = completion.apiCallTime;
     const totalTime = Date.now() - startTime;
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      return {
-        statusCode: response.status,
-        headers,
-        body: JSON.stringify({
-          success: false,
-          error: `Market analysis failed: ${response.status}`,
-          details: errorData.error?.message
-        })
-      };
-    }
+    const responseText = completion.data.analysis;
+
+    const citations = resolveCitations(completion.data.citations, sources);
+    const vendors = normalizeVendors(completion.data.vendors);
 
-    const data = await response.json();
-    const responseText = data.choices[0].message.content;
-    
-    // Parse structured data from response for chart generation
-    const marketData = {
+    const vendorData = {
       technology: technology,
       analysis: responseText,
-      metrics: extractMarketMetrics(responseText),
-      chartData: generateMarketChartData(responseText, technology),
+      citations: citations,
+      sources: sources,
+      grounding: grounding,
+      vendors: vendors,
+      vendorCount: vendors.length,
+      segments: countBy(vendors, vendor => [vendor.segment]),
+      deploymentCoverage: countBy(vendors, vendor => vendor.deploymentModels),
+      metrics: formatVendorMetrics(vendors),
+      chartData: generateVendorChartData(vendors, technology),
       summary: extractExecutiveSummary(responseText),
       timestamp: new Date().toISOString()
     };
 
     const result = {
       success: true,
-      module: 'market-analysis',
+      module: 'vendor-analysis',
       technology: technology,
       timing: {
         apiCallTime: apiCallTime,
         totalTime: totalTime,
         status: totalTime < 5000 ? 'FAST' : totalTime < 8000 ? 'ACCEPTABLE' : 'SLOW'
       },
-      data: marketData,
+      data: vendorData,
       artifacts: {
-        webSummary: formatWebSummary(marketData),
-        chartData: marketData.chartData,
+        webSummary: formatWebSummary(vendorData),
+        chartData: vendorData.chartData,
         downloadReady: true
       },
-      tokens: data.usage,
+      provider: completion.provider,
+      model: completion.model,
+      analysisDepth: depth.depth,
+      organizationProfile: organizationProfile,
+      validation: completion.validation,
+      tokens: completion.usage,
       timestamp: new Date().toISOString()
     };
 
+    result.cache = await storeCache(cacheLookup, result);
+
     return {
       statusCode: 200,
       headers,
@@ -148,60 +191,93 @@ Keep response under 300 words. Focus on quantitative market insights and actiona
 
   } catch (error) {
     return {
-      statusCode: 500,
+      statusCode: error.statusCode || 500,
       headers,
       body: JSON.stringify({
         success: false,
-        error: 'Market analysis failed: ' + error.message,
-        module: 'market-analysis'
+        error: 'Vendor analysis failed: ' + error.message,
+        details: error.details,
+        module: 'vendor-analysis'
       })
     };
   }
 };
 
-// Extract key market metrics for dashboard display
-function extractMarketMetrics(analysisText) {
-  const metrics = {
-    marketSize: null,
-    growthRate: null,
-    adoptionRate: null,
-    timeToMarket: null
-  };
+// Trim names, merge duplicate vendors and order by market presence
+function normalizeVendors(vendors) {
+  const seen = new Set();
 
-  // Extract market size (patterns like "$X billion", "$X.X billion")
-  const sizeMatch = analysisText.match(/\$(\d+(?:\.\d+)?)\s*billion/i);
-  if (sizeMatch) {
-    metrics.marketSize = `$${sizeMatch[1]}B`;
-  }
+  return vendors
+    .map(vendor => ({
+      name: vendor.name.trim(),
+      product: vendor.product || null,
+      segment: vendor.segment,
+      strengths: vendor.strengths,
+      weaknesses: vendor.weaknesses,
+      deploymentModels: [...new Set(vendor.deploymentModels)],
+      pricingModel: vendor.pricingModel,
+      notableCustomers: vendor.notableCustomers,
+      marketPresence: vendor.marketPresence,
+      capabilityBreadth: vendor.capabilityBreadth
+    }))
+    .filter(vendor => {
+      const key = vendor.name.toLowerCase();
+      if (!vendor.name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => b.marketPresence - a.marketPresence);
+}
 
-  // Extract growth rate (patterns like "X%", "X percent")
-  const growthMatch = analysisText.match(/(\d+(?:\.\d+)?)\s*%?\s*(?:growth|CAGR|annually)/i);
-  if (growthMatch) {
-    metrics.growthRate = `${growthMatch[1]}%`;
-  }
+// Count vendors per value returned by pick (a vendor may contribute several values)
+function countBy(vendors, pick) {
+  return vendors.reduce((counts, vendor) => {
+    pick(vendor).forEach(value => {
+      counts[value] = (counts[value] || 0) + 1;
+    });
+    return counts;
+  }, {});
+}
 
-  // Extract adoption rate
-  const adoptionMatch = analysisText.match(/(\d+(?:\.\d+)?)\s*%?\s*(?:adoption|enterprises|organizations)/i);
-  if (adoptionMatch) {
-    metrics.adoptionRate = `${adoptionMatch[1]}%`;
-  }
+// Format vendor metrics for dashboard display
+function formatVendorMetrics(vendors) {
+  const segments = countBy(vendors, vendor => [vendor.segment]);
+  const dominantSegment = Object.keys(segments).sort((a, b) => segments[b] - segments[a])[0] || null;
+  const saasVendors = vendors.filter(vendor => vendor.deploymentModels.includes('saas')).length;
 
-  return metrics;
+  return {
+    vendorCount: vendors.length,
+    leadingVendor: vendors.length > 0 ? vendors[0].name : null,
+    dominantSegment: dominantSegment,
+    saasAvailability: vendors.length > 0 ? `${saasVendors} of ${vendors.length} vendors` : null
+  };
 }
 
-// Generate chart data for market visualization
-function generateMarketChartData(analysisText, technology) {
+// Generate vendor positioning chart data: market presence against capability breadth
+function generateVendorChartData(vendors, technology) {
+  if (vendors.length === 0) {
+    return null;
+  }
+
   return {
-    type: 'market-growth',
-    title: `${technology} Market Growth Projection`,
+    type: 'vendor-positioning',
+    title: `${technology} Vendor Landscape`,
+    axes: {
+      x: 'Market Presence',
+      y: 'Capability Breadth'
+    },
+    quadrantLabels: null,
     data: {
-      labels: ['2024', '2025', '2026', '2027', '2028'],
       datasets: [{
-        label: 'Market Size ($B)',
-        data: [20, 28, 38, 52, 68], // Sample data - would be extracted from analysis
-        borderColor: '#3498db',
-        backgroundColor: 'rgba(52, 152, 219, 0.1)',
-        tension: 0.4
+        label: 'Vendors',
+        data: vendors.map(vendor => ({
+          x: vendor.marketPresence,
+          y: vendor.capabilityBreadth,
+          vendor: vendor.name,
+          segment: vendor.segment
+        })),
+        backgroundColor: 'rgba(52, 152, 219, 0.6)',
+        borderColor: '#3498db'
       }]
     },
     options: {
@@ -209,17 +285,12 @@ function generateMarketChartData(analysisText, technology) {
       plugins: {
         title: {
           display: true,
-          text: `${technology} Market Growth (5-Year Projection)`
+          text: `${technology} Vendor Landscape`
         }
       },
       scales: {
-        y: {
-          beginAtZero: true,
-          title: {
-            display: true,
-            text: 'Market Size (Billions USD)'
-          }
-        }
+        x: { min: 0, max: 100, title: { display: true, text: 'Market Presence' } },
+        y: { min: 0, max: 100, title: { display: true, text: 'Capability Breadth' } }
       }
     }
   };
@@ -232,32 +303,39 @@ function extractExecutiveSummary(analysisText) {
   if (firstParagraph.length > 50) {
     return firstParagraph.substring(0, 200) + '...';
   }
-  
+
   return analysisText.substring(0, 200) + '...';
 }
 
 // Format data for web summary display
-function formatWebSummary(marketData) {
+function formatWebSummary(vendorData) {
   return {
-    title: `${marketData.technology} Market Analysis`,
-    summary: marketData.summary,
-    keyMetrics: marketData.metrics,
+    title: `${vendorData.technology} Vendor Landscape`,
+    summary: vendorData.summary,
+    footnotes: formatFootnotes(vendorData.citations),
+    keyMetrics: vendorData.metrics,
+    vendors: vendorData.vendors.map(vendor => ({
+      name: vendor.name,
+      segment: vendor.segment,
+      pricingModel: vendor.pricingModel,
+      deploymentModels: vendor.deploymentModels
+    })),
     sections: [
       {
-        title: 'Market Overview',
-        content: extractSection(marketData.analysis, 'MARKET SIZE AND GROWTH')
+        title: 'Landscape Overview',
+        content: extractSection(vendorData.analysis, 'VENDOR LANDSCAPE OVERVIEW')
       },
       {
-        title: 'Industry Adoption',
-        content: extractSection(marketData.analysis, 'INDUSTRY ADOPTION')
+        title: 'Market Segments',
+        content: extractSection(vendorData.analysis, 'MARKET SEGMENTS')
       },
       {
-        title: 'Market Drivers',
-        content: extractSection(marketData.analysis, 'MARKET DRIVERS')
+        title: 'Competitive Dynamics',
+        content: extractSection(vendorData.analysis, 'COMPETITIVE DYNAMICS')
       },
       {
-        title: 'Challenges',
-        content: extractSection(marketData.analysis, 'MARKET CHALLENGES')
+        title: 'Selection Considerations',
+        content: extractSection(vendorData.analysis, 'SELECTION CONSIDERATIONS')
       }
     ]
   };
@@ -267,10 +345,10 @@ function formatWebSummary(marketData) {
 function extractSection(analysisText, sectionTitle) {
   const sectionRegex = new RegExp(`\\*\\*${sectionTitle}\\*\\*([\\s\\S]*?)(?=\\*\\*|$)`, 'i');
   const match = analysisText.match(sectionRegex);
-  
+
   if (match && match[1]) {
     return match[1].trim().substring(0, 300) + '...';
   }
-  
+
   return 'Analysis content not available.';
-}
\ No newline at end of file
+}
@@ -1,7 +1,10 @@
 // FILE PATH: netlify/functions/vendor-technology-analysis.js
 // Production Vendor-Specific Technology Analysis Module for Enterprise Architecture AI Agents
 
-const fetch = require('node-fetch');
+const { callLLM } = require('./lib/llm-provider');
+const { resolveDepth } = require('./lib/analysis-depth');
+const { lookupCache, storeCache } = require('./lib/response-cache');
+const { normalizeOrganizationProfile, buildOrganizationContext } = require('./lib/organization-profile');
 
 exports.handler = async (event, context) => {
   const headers = {
@@ -25,7 +28,7 @@ exports.handler = async (event, context) => {
 
   try {
     const startTime = Date.now();
-    const { vendor, technology } = JSON.parse(event.body);
+    const { vendor, technology, provider, model, analysisDepth, organization, forceRefresh } = JSON.parse(event.body);
     
     if (!vendor || !technology) {
       return {
@@ -35,19 +38,27 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const openaiApiKey = process.env.OPENAI_API_KEY;
-    if (!openaiApiKey) {
+    // Serve repeat requests from the response cache unless a refresh is forced
+    const cacheLookup = await lookupCache('vendor-technology-analysis', { vendor, technology, provider, model, analysisDepth, organization }, forceRefresh);
+    if (cacheLookup.hit) {
       return {
-        statusCode: 500,
+        statusCode: 200,
         headers,
-        body: JSON.stringify({ error: 'OpenAI API key not configured' })
+        body: JSON.stringify(cacheLookup.response, null, 2)
       };
     }
 
+    // Depth scales word limit, token budget and level of detail
+    const depth = resolveDepth(analysisDepth, 350);
+
+    // Organization profile tailors every section (industry, regulation, stack, risk appetite)
+    const organizationProfile = normalizeOrganizationProfile(organization);
+    const organizationContext = buildOrganizationContext(organizationProfile);
+
     // Vendor-specific technology analysis prompt (targeting 6-7s performance)
     const vendorTechPrompt = `Analyze ${vendor}'s ${technology} solution for enterprise architecture evaluation.
 
-Provide comprehensive assessment covering:
+${organizationContext}Provide comprehensive assessment covering:
 
 **VENDOR IMPLEMENTATION APPROACH**
 - ${vendor}'s specific architecture and technical approach
@@ -85,42 +96,18 @@ Provide comprehensive assessment covering:
 - Risk factors and mitigation strategies
 - Strategic fit for enterprise architecture
 
-Keep response under 350 words. Focus on actionable insights for vendor selection and implementation planning.`;
+Keep response under ${depth.words} words.${depth.guidance ? ` ${depth.guidance}` : ''} Focus on actionable insights for vendor selection and implementation planning.`;
 
-    const apiCallStart = Date.now();
-    
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${openaiApiKey}`
-      },
-      body: JSON.stringify({
-        model: "gpt-4o",
-        messages: [{ role: "user", content: vendorTechPrompt }],
-        max_tokens: 450,
-        temperature: 0.3
-      })
+    const completion = await callLLM(vendorTechPrompt, {
+      provider: provider,
+      model: model,
+      maxTokens: depth.maxTokens,
+      temperature: 0.3
     });
 
-    const apiCallTime = Date.now() - apiCallStart;
+    const apiCallTime = completion.apiCallTime;
     const totalTime = Date.now() - startTime;
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      return {
-        statusCode: response.status,
-        headers,
-        body: JSON.stringify({
-          success: false,
-          error: `Vendor technology analysis failed: ${response.status}`,
-          details: errorData.error?.message
-        })
-      };
-    }
-
-    const data = await response.json();
-    const responseText = data.choices[0].message.content;
+    const responseText = completion.text;
     
     // Parse structured data from response for chart generation
     const vendorTechData = {
@@ -150,10 +137,16 @@ Keep response under 350 words. Focus on actionable insights for vendor selection
         chartData: vendorTechData.chartData,
         downloadReady: true
       },
-      tokens: data.usage,
+      provider: completion.provider,
+      model: completion.model,
+      analysisDepth: depth.depth,
+      organizationProfile: organizationProfile,
+      tokens: completion.usage,
       timestamp: new Date().toISOString()
     };
 
+    result.cache = await storeCache(cacheLookup, result);
+
     return {
       statusCode: 200,
       headers,
@@ -162,11 +155,12 @@ Keep response under 350 words. Focus on actionable insights for vendor selection
 
   } catch (error) {
     return {
-      statusCode: 500,
+      statusCode: error.statusCode || 500,
       headers,
       body: JSON.stringify({
         success: false,
         error: 'Vendor technology analysis failed: ' + error.message,
+        details: error.details,
         module: 'vendor-technology-analysis'
       })
     };